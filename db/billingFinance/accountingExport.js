@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('../plugins/propertyScoped');
+
+const departmentLedgerSchema = new mongoose.Schema({
+    department: {
+        type: String,
+        enum: ['Room', 'F&B', 'Spa', 'Laundry', 'Other'],
+        required: true
+    },
+    ledgerName: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+// GST rules post to the CGST/SGST/IGST ledgers, other rules (service charge, city tax...) to ledgerName
+const taxLedgerSchema = new mongoose.Schema({
+    taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule',
+        required: true
+    },
+    ledgerName: String,
+    cgstLedger: String,
+    sgstLedger: String,
+    igstLedger: String
+}, { _id: false });
+
+const paymentLedgerSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'],
+        required: true
+    },
+    ledgerName: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
+
+// Tally ledger names the export posts to (one mapping per property).
+// Anything not mapped falls back to the defaults in services/tallyExportService.js.
+const accountingLedgerMappingSchema = new mongoose.Schema({
+    companyName: String, // Tally company to import into (SVCURRENTCOMPANY)
+    departmentLedgers: [departmentLedgerSchema],
+    taxLedgers: [taxLedgerSchema],
+    cgstLedger: String,
+    sgstLedger: String,
+    igstLedger: String,
+    otherTaxLedger: String,
+    paymentLedgers: [paymentLedgerSchema],
+    guestLedger: String, // Party ledger for walk-in guests and paymaster bills
+    roundOffLedger: String,
+    suspenseLedger: String, // Payments with an unmapped method
+    salesVoucherType: String,
+    receiptVoucherType: String,
+    creditNoteVoucherType: String,
+    journalVoucherType: String,
+    paymentVoucherType: String // Refunds paid out
+}, { timestamps: true });
+
+accountingLedgerMappingSchema.plugin(propertyScoped);
+accountingLedgerMappingSchema.index({ property: 1 }, { unique: true });
+
+// One export run: the vouchers for a date range as a Tally XML file
+const accountingExportSchema = new mongoose.Schema({
+    fromDate: {
+        type: Date,
+        required: true
+    },
+    toDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['exported', 'voided'],
+        default: 'exported'
+    },
+    voucherCounts: {
+        sales: { type: Number, default: 0 },
+        receipt: { type: Number, default: 0 },
+        creditNote: { type: Number, default: 0 },
+        journal: { type: Number, default: 0 },
+        payment: { type: Number, default: 0 }
+    },
+    totals: {
+        sales: { type: Number, default: 0 },
+        receipt: { type: Number, default: 0 },
+        creditNote: { type: Number, default: 0 },
+        journal: { type: Number, default: 0 },
+        payment: { type: Number, default: 0 }
+    },
+    warnings: [String],
+    xml: {
+        type: String,
+        select: false
+    },
+    exportedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidedAt: Date,
+    voidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    voidReason: String
+}, { timestamps: true });
+
+accountingExportSchema.plugin(propertyScoped);
+accountingExportSchema.index({ property: 1, createdAt: -1 });
+
+// A source document (bill, payment, invoice...) that has been exported as a voucher.
+// The unique sourceKey stops the same voucher going to Tally twice.
+const accountingExportEntrySchema = new mongoose.Schema({
+    sourceKey: {
+        type: String,
+        required: true
+    },
+    sourceType: {
+        type: String,
+        enum: ['bill', 'bill-credit-note', 'bill-refund', 'deposit-payment', 'folio-payment', 'paymaster-payment', 'city-ledger-invoice',
+            'city-ledger-payment', 'city-ledger-credit-note', 'city-ledger-transfer'],
+        required: true
+    },
+    voucherType: {
+        type: String,
+        enum: ['sales', 'receipt', 'creditNote', 'journal', 'payment'],
+        required: true
+    },
+    voucherNumber: String,
+    voucherDate: Date,
+    amount: Number,
+    exportBatch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AccountingExport',
+        required: true
+    }
+}, { timestamps: true });
+
+accountingExportEntrySchema.plugin(propertyScoped);
+accountingExportEntrySchema.index({ sourceKey: 1, property: 1 }, { unique: true });
+accountingExportEntrySchema.index({ exportBatch: 1, property: 1 });
+
+const AccountingLedgerMappingModel =
+    mongoose.models.AccountingLedgerMapping || mongoose.model('AccountingLedgerMapping', accountingLedgerMappingSchema);
+const AccountingExportModel =
+    mongoose.models.AccountingExport || mongoose.model('AccountingExport', accountingExportSchema);
+const AccountingExportEntryModel =
+    mongoose.models.AccountingExportEntry || mongoose.model('AccountingExportEntry', accountingExportEntrySchema);
+
+module.exports = {
+    AccountingLedgerMapping: AccountingLedgerMappingModel,
+    AccountingExport: AccountingExportModel,
+    AccountingExportEntry: AccountingExportEntryModel,
+    accountingLedgerMappingSchema,
+    accountingExportSchema,
+    accountingExportEntrySchema
+};
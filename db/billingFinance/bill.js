@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('../plugins/propertyScoped');
+const { nextDocumentNumber } = require('../../services/documentNumberService');
+const eInvoiceDetailsSchema = require('./eInvoiceDetails');
 
 const billItemSchema = new mongoose.Schema({
     description: String,
@@ -22,9 +24,40 @@ const billItemSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    sacCode: String,
+    taxRate: Number,
+    taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+    },
+    sourceBillId: String, // Balance carried over from another folio's bill (see GuestFolio items)
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
     notes: String
 }, { _id: true });
 
+// Tax summary line per SAC code and GST rate
+const gstSummarySchema = new mongoose.Schema({
+    sacCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    legalName: String,
+    gstin: String,
+    address: String,
+    city: String,
+    pincode: String,
+    stateCode: String
+}, { _id: false });
+
 const billPaymentSchema = new mongoose.Schema({
     date: Date,
     method: {
@@ -36,6 +69,24 @@ const billPaymentSchema = new mongoose.Schema({
     notes: String
 }, { _id: true });
 
+// Folio billing window the bill settles, and where its unpaid balance went
+const billWindowSchema = new mongoose.Schema({
+    windowNumber: Number,
+    name: String,
+    payerType: {
+        type: String,
+        enum: ['guest', 'city_ledger', 'travel_agent', 'paymaster']
+    },
+    payerId: mongoose.Schema.Types.ObjectId,
+    payerName: String,
+    cityLedgerAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CityLedgerAccount'
+    },
+    cityLedgerInvoiceNumber: String, // Balance billed to the city ledger account
+    transferredToFolioId: String // Balance carried to the paymaster's folio
+}, { _id: false });
+
 const billSchema = new mongoose.Schema({
     billId: {
         type: String,
@@ -86,6 +137,55 @@ const billSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    billingWindow: billWindowSchema,
+    // Tax invoice details (see services/gstService.js)
+    supplier: partySchema,
+    buyer: partySchema,
+    invoiceType: {
+        type: String,
+        enum: ['B2B', 'B2C'],
+        default: 'B2C'
+    },
+    placeOfSupply: String, // GST state code
+    supplyType: {
+        type: String,
+        enum: ['intra', 'inter'],
+        default: 'intra'
+    },
+    gstSummary: [gstSummarySchema],
+    taxableValue: {
+        type: Number,
+        default: 0
+    },
+    cgstTotal: {
+        type: Number,
+        default: 0
+    },
+    sgstTotal: {
+        type: Number,
+        default: 0
+    },
+    igstTotal: {
+        type: Number,
+        default: 0
+    },
+    totalTax: {
+        type: Number,
+        default: 0
+    },
+    eInvoice: {
+        type: eInvoiceDetailsSchema,
+        default: () => ({})
+    },
+    // Running totals of the credit notes and refunds issued against the bill (see CreditNote)
+    creditedAmount: {
+        type: Number,
+        default: 0
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
     checkoutDate: {
         type: Date,
         default: Date.now
@@ -98,32 +198,11 @@ const billSchema = new mongoose.Schema({
 
 billSchema.plugin(propertyScoped);
 billSchema.index({ billId: 1, property: 1 }, { unique: true });
+billSchema.index({ 'billingWindow.cityLedgerAccountId': 1, property: 1 });
 
-// Generate unique bill ID
-billSchema.statics.generateBillId = async function(propertyId) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Find the last bill created today
-    const filter = {
-        billId: new RegExp(`^B${year}${month}${day}`),
-    };
-
-    if (propertyId) {
-        filter.property = propertyId;
-    }
-
-    const lastBill = await this.findOne(filter).sort({ billId: -1 });
-    
-    if (lastBill) {
-        const lastSuffix = parseInt(lastBill.billId.slice(-3)) || 0;
-        const newSuffix = String(lastSuffix + 1).padStart(3, '0');
-        return `B${year}${month}${day}${newSuffix}`;
-    }
-    
-    return `B${year}${month}${day}001`;
+// Next bill number from the property's invoice series (pass the session that saves the bill)
+billSchema.statics.generateBillId = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'bill', options);
 };
 
 const BillModel = mongoose.models.Bill || mongoose.model('Bill', billSchema);
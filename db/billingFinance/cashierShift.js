@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('../plugins/propertyScoped');
+const { nextDocumentNumber } = require('../../services/documentNumberService');
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'];
+
+// Amount counted in the drawer (or on the terminal slips) for one payment method
+const countedAmountSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        required: true
+    },
+    amount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { _id: false });
+
+// Expected vs counted for one payment method, fixed when the shift closes
+const shiftTotalSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS
+    },
+    received: { type: Number, default: 0 },
+    refunded: { type: Number, default: 0 },
+    paidOut: { type: Number, default: 0 },
+    expected: { type: Number, default: 0 }, // Opening float (cash) + received - refunded - paid out
+    counted: { type: Number, default: 0 },
+    variance: { type: Number, default: 0 } // counted - expected; negative is a shortage
+}, { _id: false });
+
+// A cashier's session at the desk. Payments and refunds the cashier posts
+// while it is open carry the shift, so the drawer can be reconciled on close.
+const cashierShiftSchema = new mongoose.Schema({
+    shiftNumber: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userName: String,
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    businessDate: Date, // Business date the shift was opened on
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    openingFloat: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    openingNotes: String,
+    closedAt: Date,
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    closedByName: String,
+    counted: [countedAmountSchema],
+    totals: [shiftTotalSchema],
+    expectedTotal: { type: Number, default: 0 },
+    countedTotal: { type: Number, default: 0 },
+    variance: { type: Number, default: 0 },
+    closingNotes: String,
+    handedOverTo: String
+}, { timestamps: true });
+
+cashierShiftSchema.plugin(propertyScoped);
+cashierShiftSchema.index({ shiftNumber: 1, property: 1 }, { unique: true });
+cashierShiftSchema.index({ openedAt: -1, property: 1 });
+// A cashier has at most one open shift
+cashierShiftSchema.index({ user: 1, property: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+// Next shift number (pass the session that saves the shift)
+cashierShiftSchema.statics.generateShiftNumber = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'cashierShift', options);
+};
+
+const CashierShift = mongoose.models.CashierShift || mongoose.model('CashierShift', cashierShiftSchema);
+
+module.exports = CashierShift;
+module.exports.schema = cashierShiftSchema;
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('../plugins/propertyScoped');
+const { nextDocumentNumber } = require('../../services/documentNumberService');
+
+// Part of a bill item being credited, with the GST on it reversed
+const creditNoteItemSchema = new mongoose.Schema({
+    billItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    description: String,
+    date: Date,
+    department: {
+        type: String,
+        enum: ['Room', 'F&B', 'Spa', 'Laundry', 'Other']
+    },
+    sacCode: String,
+    taxRate: Number,
+    taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+    },
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number, // cgst + sgst + igst
+    amount: Number // taxableValue + tax
+}, { _id: false });
+
+const gstSummarySchema = new mongoose.Schema({
+    sacCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+    name: String,
+    legalName: String,
+    gstin: String,
+    address: String,
+    city: String,
+    pincode: String,
+    stateCode: String
+}, { _id: false });
+
+// Credit note against an archived bill (full or per item). The bill itself is never changed.
+const creditNoteSchema = new mongoose.Schema({
+    creditNoteNumber: {
+        type: String,
+        required: true
+    },
+    bill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bill',
+        required: true
+    },
+    billId: {
+        type: String,
+        required: true
+    },
+    billDate: Date,
+    folioId: String,
+    reservationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservations'
+    },
+    guestName: String,
+    guestEmail: String,
+    roomNumber: String,
+    type: {
+        type: String,
+        enum: ['full', 'partial'],
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    items: [creditNoteItemSchema],
+    // Tax details copied from the bill so the note mirrors its invoice
+    supplier: partySchema,
+    buyer: partySchema,
+    invoiceType: {
+        type: String,
+        enum: ['B2B', 'B2C'],
+        default: 'B2C'
+    },
+    placeOfSupply: String,
+    supplyType: {
+        type: String,
+        enum: ['intra', 'inter'],
+        default: 'intra'
+    },
+    gstSummary: [gstSummarySchema],
+    taxableValue: {
+        type: Number,
+        default: 0
+    },
+    cgstTotal: {
+        type: Number,
+        default: 0
+    },
+    sgstTotal: {
+        type: Number,
+        default: 0
+    },
+    igstTotal: {
+        type: Number,
+        default: 0
+    },
+    totalTax: {
+        type: Number,
+        default: 0
+    },
+    totalAmount: {
+        type: Number,
+        default: 0
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    issuedByName: String
+}, { timestamps: true });
+
+creditNoteSchema.plugin(propertyScoped);
+creditNoteSchema.index({ creditNoteNumber: 1, property: 1 }, { unique: true });
+creditNoteSchema.index({ bill: 1, property: 1 });
+creditNoteSchema.index({ issuedAt: -1, property: 1 });
+
+// Next credit note number (pass the session that saves the note)
+creditNoteSchema.statics.generateCreditNoteNumber = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'creditNote', options);
+};
+
+// Money paid back to the guest against a bill (usually after a credit note)
+const billRefundSchema = new mongoose.Schema({
+    refundNumber: {
+        type: String,
+        required: true
+    },
+    bill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bill',
+        required: true
+    },
+    billId: {
+        type: String,
+        required: true
+    },
+    creditNote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditNote'
+    },
+    creditNoteNumber: String,
+    folioId: String,
+    guestName: String,
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    method: {
+        type: String,
+        enum: ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'],
+        required: true
+    },
+    transactionId: String,
+    reason: String,
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashierShift' // Cashier shift it was paid out of
+    },
+    refundedAt: {
+        type: Date,
+        default: Date.now
+    },
+    refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    refundedByName: String
+}, { timestamps: true });
+
+billRefundSchema.plugin(propertyScoped);
+billRefundSchema.index({ refundNumber: 1, property: 1 }, { unique: true });
+billRefundSchema.index({ bill: 1, property: 1 });
+billRefundSchema.index({ refundedAt: -1, property: 1 });
+billRefundSchema.index({ shift: 1, property: 1 });
+
+// Next refund number (pass the session that saves the refund)
+billRefundSchema.statics.generateRefundNumber = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'refund', options);
+};
+
+const CreditNoteModel = mongoose.models.CreditNote || mongoose.model('CreditNote', creditNoteSchema);
+const BillRefundModel = mongoose.models.BillRefund || mongoose.model('BillRefund', billRefundSchema);
+
+module.exports = {
+    CreditNote: CreditNoteModel,
+    BillRefund: BillRefundModel,
+    creditNoteSchema,
+    billRefundSchema
+};
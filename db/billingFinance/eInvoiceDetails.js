@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// GST e-invoice (IRN) details for a bill or city ledger invoice.
+// exportedAt is set when the JSON is exported for upload; irn, ackNo, ackDate
+// and signedQrCode are recorded once the invoice portal has registered it.
+const eInvoiceDetailsSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['not_generated', 'exported', 'generated', 'cancelled'],
+        default: 'not_generated'
+    },
+    exportedAt: Date,
+    irn: String,
+    ackNo: String,
+    ackDate: Date,
+    signedQrCode: String,
+    signedInvoice: String,
+    uploadedAt: Date,
+    cancelledAt: Date,
+    cancelReason: String
+}, { _id: false });
+
+module.exports = eInvoiceDetailsSchema;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('../plugins/propertyScoped');
+const { nextDocumentNumber } = require('../../services/documentNumberService');
 
 const folioItemSchema = new mongoose.Schema({
     description: String,
@@ -22,9 +23,29 @@ const folioItemSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    sacCode: String,
+    taxRate: Number, // GST % the tax on this item was charged at
+    taxRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule' // Rule the tax on (or in) this item came from
+    },
+    window: Number, // Billing window; set from the routing rules when missing
+    sourceBillId: String, // Unpaid balance of this bill, carried over from another folio's billing window
+    postedNight: Date, // Night the night audit posted this room rent / meal plan / tax charge for
+    businessDate: Date, // Business date the charge was posted on (reports count it on that day)
     notes: String
 }, { _id: true });
 
+// Buyer details for a B2B tax invoice
+const buyerSchema = new mongoose.Schema({
+    name: String,
+    gstin: String,
+    address: String,
+    city: String,
+    pincode: String,
+    stateCode: String
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
     date: Date,
     method: {
@@ -33,9 +54,109 @@ const paymentSchema = new mongoose.Schema({
     },
     amount: Number,
     transactionId: String,
+    window: {
+        type: Number,
+        default: 1
+    },
+    businessDate: Date, // Business date the payment was taken on
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashierShift' // Cashier shift it was taken in
+    },
     notes: String
 }, { _id: true });
 
+// Billing window: a separate bill on the folio with its own payer.
+// Window 1 is always the guest's own; the others are settled at checkout by their payer.
+const billingWindowSchema = new mongoose.Schema({
+    windowNumber: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    name: String,
+    payerType: {
+        type: String,
+        enum: ['guest', 'city_ledger', 'travel_agent', 'paymaster'],
+        default: 'guest'
+    },
+    // CityLedgerAccount, TravelAgent or PaymasterRoom, depending on payerType
+    payerId: mongoose.Schema.Types.ObjectId,
+    payerName: String,
+    // Account the balance is billed to: the payer for city_ledger, a post-paid agent's account for travel_agent
+    cityLedgerAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CityLedgerAccount'
+    },
+    buyer: buyerSchema,
+    status: {
+        type: String,
+        enum: ['open', 'settled'],
+        default: 'open'
+    },
+    billId: String,
+    settledAt: Date
+}, { _id: true });
+
+// Audit record of charges or payments moved between two folios; the same
+// transferId is written to both folios (direction out on the source, in on the target)
+const folioTransferSchema = new mongoose.Schema({
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    direction: {
+        type: String,
+        enum: ['in', 'out'],
+        required: true
+    },
+    entryType: {
+        type: String,
+        enum: ['charge', 'payment'],
+        required: true
+    },
+    entries: [{
+        _id: false,
+        entryId: mongoose.Schema.Types.ObjectId, // Charges and payments keep their _id when moved
+        description: String,
+        amount: Number
+    }],
+    amount: Number,
+    counterpartFolio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GuestFolio'
+    },
+    counterpartFolioId: String,
+    counterpartGuestName: String,
+    reason: {
+        type: String,
+        required: true
+    },
+    transferredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    transferredByName: String,
+    transferredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Sends matching charges to a window; the first matching rule wins
+const routingRuleSchema = new mongoose.Schema({
+    department: {
+        type: String,
+        enum: ['Room', 'F&B', 'Spa', 'Laundry', 'Other']
+    },
+    descriptionContains: String,
+    window: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, { _id: true });
+
 const guestFolioSchema = new mongoose.Schema({
     folioId: {
         type: String,
@@ -75,6 +196,20 @@ const guestFolioSchema = new mongoose.Schema({
     },
     items: [folioItemSchema],
     payments: [paymentSchema],
+    buyer: buyerSchema,
+    windows: [billingWindowSchema],
+    routingRules: [routingRuleSchema],
+    transfers: [folioTransferSchema],
+    // How the stay is charged: 'upfront' folios got the whole stay at check-in,
+    // 'nightly' ones get each night's room rent, meal plan and taxes from the night audit
+    roomPosting: {
+        type: String,
+        enum: ['upfront', 'nightly'],
+        default: 'upfront'
+    },
+    // Nights of this stay the night audit has posted. Kept on the folio rather than read from
+    // its items, since posted charges can be transferred to (or from) another guest's folio.
+    postedNights: [Date],
     totalCharges: {
         type: Number,
         default: 0
@@ -104,6 +239,7 @@ const guestFolioSchema = new mongoose.Schema({
 
 guestFolioSchema.plugin(propertyScoped);
 guestFolioSchema.index({ folioId: 1, property: 1 }, { unique: true });
+guestFolioSchema.index({ 'payments.shift': 1, property: 1 }, { sparse: true });
 
 // Update balance when items or payments change
 guestFolioSchema.methods.calculateBalance = function() {
@@ -118,31 +254,82 @@ guestFolioSchema.methods.calculateBalance = function() {
     return this.balance;
 };
 
-// Generate unique folio ID
-guestFolioSchema.statics.generateFolioId = async function(propertyId) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    
-    // Find the last folio created today
-    const filter = {
-        folioId: new RegExp(`^F${year}${month}${day}`),
-    };
-
-    if (propertyId) {
-        filter.property = propertyId;
+// Billing windows, with the guest's own window 1 added to folios that have none
+guestFolioSchema.methods.ensureDefaultWindow = function() {
+    if (!this.windows.some(window => window.windowNumber === 1)) {
+        this.windows.unshift({
+            windowNumber: 1,
+            name: 'Guest',
+            payerType: 'guest',
+            payerName: this.guestName
+        });
     }
+    return this.windows;
+};
 
-    const lastFolio = await this.findOne(filter).sort({ folioId: -1 });
-    
-    if (lastFolio) {
-        const lastSuffix = parseInt(lastFolio.folioId.slice(-3)) || 0;
-        const newSuffix = String(lastSuffix + 1).padStart(3, '0');
-        return `F${year}${month}${day}${newSuffix}`;
-    }
-    
-    return `F${year}${month}${day}001`;
+// Window a charge goes to under the routing rules (window 1 when no rule matches)
+guestFolioSchema.methods.getRoutedWindow = function(charge) {
+    const description = String(charge.description || '').toLowerCase();
+    const rule = (this.routingRules || []).find(rule => {
+        if (!rule.department && !rule.descriptionContains) {
+            return false;
+        }
+        if (rule.department && rule.department !== charge.department) {
+            return false;
+        }
+        return !rule.descriptionContains || description.includes(rule.descriptionContains.toLowerCase());
+    });
+    const openWindow = rule && this.windows.find(window => window.windowNumber === rule.window && window.status !== 'settled');
+    return openWindow ? rule.window : 1;
+};
+
+// Put every charge without a window into its routed window
+guestFolioSchema.methods.applyRouting = function() {
+    this.items.forEach(item => {
+        if (!item.window) {
+            item.window = this.getRoutedWindow(item);
+        }
+    });
+};
+
+// Charges, payments and balance per billing window
+guestFolioSchema.methods.getWindowBalances = function() {
+    this.ensureDefaultWindow();
+    this.applyRouting();
+    return this.windows
+        .slice()
+        .sort((a, b) => a.windowNumber - b.windowNumber)
+        .map(window => {
+            const totalCharges = this.items
+                .filter(item => item.window === window.windowNumber)
+                .reduce((sum, item) => sum + (item.amount + (item.tax || 0) - (item.discount || 0)) * (item.quantity || 1), 0);
+            const totalPayments = this.payments
+                .filter(payment => (payment.window || 1) === window.windowNumber)
+                .reduce((sum, payment) => sum + payment.amount, 0);
+            return {
+                windowNumber: window.windowNumber,
+                name: window.name,
+                payerType: window.payerType,
+                payerName: window.payerName,
+                status: window.status,
+                billId: window.billId,
+                totalCharges,
+                totalPayments,
+                balance: totalCharges - totalPayments
+            };
+        });
+};
+
+// Charges posted from anywhere (reservations, group moves, room moves) still follow the routing rules
+guestFolioSchema.pre('validate', function routeCharges(next) {
+    this.ensureDefaultWindow();
+    this.applyRouting();
+    next();
+});
+
+// Next folio number from the property's folio series
+guestFolioSchema.statics.generateFolioId = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'folio', options);
 };
 
 const GuestFolioModel =
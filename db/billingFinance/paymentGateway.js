@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('../plugins/propertyScoped');
+const { nextDocumentNumber } = require('../../services/documentNumberService');
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'];
+
+// Payment gateway account of a property (see services/paymentProviders)
+const paymentGatewaySchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Provider specific settings (keys, merchant id, ...)
+    settings: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Shared secret the provider signs its webhooks with
+    webhookSecret: {
+        type: String,
+        select: false
+    },
+    currency: {
+        type: String,
+        default: 'INR',
+        uppercase: true
+    },
+    // How long a payment link stays payable
+    linkExpiryMinutes: {
+        type: Number,
+        default: 1440,
+        min: 5
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+paymentGatewaySchema.plugin(propertyScoped);
+paymentGatewaySchema.index({ provider: 1, property: 1 }, { unique: true });
+
+// What a payment link collects for
+const paymentTargetSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['folio', 'city-ledger-invoice', 'deposit'],
+        required: true
+    },
+    folio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GuestFolio'
+    },
+    folioId: String,
+    window: Number, // Billing window of the folio
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CityLedgerAccount'
+    },
+    accountName: String,
+    invoiceId: mongoose.Schema.Types.ObjectId,
+    invoiceNumber: String,
+    reservation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservations'
+    }
+}, { _id: false });
+
+const paymentLinkRefundSchema = new mongoose.Schema({
+    reference: String, // Provider refund id
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    reason: String,
+    // Bill the refund is recorded against when the folio was already billed
+    bill: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bill'
+    },
+    creditNote: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditNote'
+    },
+    billRefund: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BillRefund'
+    },
+    posted: {
+        type: Boolean,
+        default: false
+    },
+    postingError: String,
+    failureReason: String,
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requestedByName: String,
+    processedAt: Date
+}, { _id: true });
+
+// Provider webhook event handled for a link (kept so redelivered events are ignored)
+const paymentLinkEventSchema = new mongoose.Schema({
+    eventId: String,
+    type: String,
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A payment link / order created with a gateway for a balance
+const paymentLinkSchema = new mongoose.Schema({
+    linkNumber: {
+        type: String,
+        required: true
+    },
+    gateway: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PaymentGateway',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    target: {
+        type: paymentTargetSchema,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    description: String,
+    customer: {
+        name: String,
+        email: String,
+        phone: String
+    },
+    status: {
+        type: String,
+        enum: ['created', 'paid', 'failed', 'expired', 'cancelled'],
+        default: 'created'
+    },
+    reference: String, // Provider link / order id
+    url: String,
+    expiresAt: Date,
+    paidAt: Date,
+    paymentId: String, // Provider payment id
+    paidAmount: Number,
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS
+    },
+    // Payment recorded in the PMS once the provider confirmed it
+    posted: {
+        type: Boolean,
+        default: false
+    },
+    postingError: String,
+    failureReason: String,
+    refundedAmount: {
+        type: Number,
+        default: 0
+    },
+    refunds: [paymentLinkRefundSchema],
+    events: [paymentLinkEventSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdByName: String
+}, { timestamps: true });
+
+paymentLinkSchema.plugin(propertyScoped);
+paymentLinkSchema.index({ linkNumber: 1, property: 1 }, { unique: true });
+paymentLinkSchema.index({ gateway: 1, reference: 1 });
+paymentLinkSchema.index({ 'refunds.reference': 1, property: 1 });
+paymentLinkSchema.index({ 'target.folio': 1, property: 1 });
+paymentLinkSchema.index({ 'target.account': 1, property: 1 });
+paymentLinkSchema.index({ 'target.reservation': 1, property: 1 });
+
+// Next payment link number (pass the session that saves the link)
+paymentLinkSchema.statics.generateLinkNumber = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'paymentLink', options);
+};
+
+const PaymentGatewayModel = mongoose.models.PaymentGateway || mongoose.model('PaymentGateway', paymentGatewaySchema);
+const PaymentLinkModel = mongoose.models.PaymentLink || mongoose.model('PaymentLink', paymentLinkSchema);
+
+module.exports = {
+    PaymentGateway: PaymentGatewayModel,
+    PaymentLink: PaymentLinkModel,
+    paymentGatewaySchema,
+    paymentLinkSchema,
+    PAYMENT_METHODS
+};
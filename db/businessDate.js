@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+
+// Open business date of a property (one per property). Moves on only when a night audit completes.
+const businessDateSchema = new mongoose.Schema({
+    date: {
+        type: Date, // UTC midnight of the business day, like reservation dates
+        required: true
+    },
+    lastAudit: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NightAudit'
+    },
+    advancedAt: Date,
+    advancedBy: String,
+    // Set when the audit of this date was rolled back: the scheduler leaves the
+    // date alone until its audit is run by hand (cleared when the date moves on)
+    scheduledAuditHeldAt: Date
+}, { timestamps: true });
+
+businessDateSchema.plugin(propertyScoped);
+businessDateSchema.index({ property: 1 }, { unique: true });
+
+const BusinessDate = mongoose.models.BusinessDate || mongoose.model('BusinessDate', businessDateSchema);
+
+module.exports = BusinessDate;
+module.exports.schema = businessDateSchema;
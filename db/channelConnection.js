@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+
+// Room type -> OTA room code
+const roomTypeMappingSchema = new mongoose.Schema({
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    externalRoomCode: {
+        type: String,
+        required: true
+    }
+}, { _id: true });
+
+// Rate plan (null = base rates) -> OTA rate code, per mapped room type
+const ratePlanMappingSchema = new mongoose.Schema({
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    ratePlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RatePlan',
+        default: null
+    },
+    externalRateCode: {
+        type: String,
+        required: true
+    }
+}, { _id: true });
+
+const channelConnectionSchema = new mongoose.Schema({
+    // Matches the reservation Source value (e.g. booking.com, agoda, expedia)
+    channel: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Adapter used to talk to the channel (see services/channelAdapters)
+    adapter: {
+        type: String,
+        required: true,
+        default: 'mock'
+    },
+    hotelCode: String, // Property ID on the channel side
+    // Adapter specific settings (endpoint, credentials, ...)
+    settings: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    roomTypeMappings: [roomTypeMappingSchema],
+    ratePlanMappings: [ratePlanMappingSchema],
+    // Shared secret the channel signs inbound booking webhooks with
+    webhookSecret: {
+        type: String,
+        select: false
+    },
+    // Commission charged by the channel on each booking
+    commissionType: {
+        type: String,
+        enum: ['percentage', 'fixed'],
+        default: 'percentage'
+    },
+    commissionRate: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // How many days ahead a full sync pushes
+    syncWindowDays: {
+        type: Number,
+        default: 365,
+        min: 1,
+        max: 730
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastSyncAt: Date,
+    lastError: String
+}, { timestamps: true });
+
+channelConnectionSchema.plugin(propertyScoped);
+channelConnectionSchema.index({ channel: 1, property: 1 }, { unique: true });
+
+const ChannelConnectionModel =
+    mongoose.models.ChannelConnection || mongoose.model('ChannelConnection', channelConnectionSchema);
+
+module.exports = ChannelConnectionModel;
+module.exports.schema = channelConnectionSchema;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+
+const syncAttemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    success: Boolean,
+    message: String
+}, { _id: false });
+
+// Queued ARI (availability, rates, inventory/restrictions) push for one room type on one channel.
+// Pending jobs for the same channel and room type are merged by widening the date range.
+const channelSyncJobSchema = new mongoose.Schema({
+    connection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChannelConnection',
+        required: true
+    },
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    dateFrom: {
+        type: Date,
+        required: true
+    },
+    dateTo: {
+        type: Date,
+        required: true
+    },
+    reasons: {
+        type: [String],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'success', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastError: String,
+    attemptLog: [syncAttemptSchema],
+    completedAt: Date,
+    // Channel reference returned by the adapter for a successful push
+    externalReference: String
+}, { timestamps: true });
+
+channelSyncJobSchema.plugin(propertyScoped);
+channelSyncJobSchema.index({ status: 1, nextAttemptAt: 1, property: 1 });
+channelSyncJobSchema.index({ connection: 1, roomType: 1, status: 1, property: 1 });
+
+const ChannelSyncJobModel =
+    mongoose.models.ChannelSyncJob || mongoose.model('ChannelSyncJob', channelSyncJobSchema);
+
+module.exports = ChannelSyncJobModel;
+module.exports.schema = channelSyncJobSchema;
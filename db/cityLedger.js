@@ -1,5 +1,75 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('./plugins/propertyScoped');
+const { nextDocumentNumber } = require('../services/documentNumberService');
+const eInvoiceDetailsSchema = require('./billingFinance/eInvoiceDetails');
+
+const cityLedgerChargeSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        required: true
+    },
+    date: {
+        type: Date,
+        default: Date.now
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    department: {
+        type: String,
+        enum: ['Room', 'F&B', 'Spa', 'Laundry', 'Other'],
+        default: 'Other'
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    unitPrice: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    tax: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    sacCode: String,
+    notes: String,
+    // Invoice the charge was billed on
+    invoiceId: mongoose.Schema.Types.ObjectId
+}, { _id: true });
+
+// One stay (folio bill) on a consolidated invoice
+const consolidatedStaySchema = new mongoose.Schema({
+    billId: String,
+    folioId: String,
+    reservationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservations'
+    },
+    guestName: String,
+    roomNumber: String,
+    checkIn: Date,
+    checkOut: Date,
+    costCenter: String,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    totalCharges: Number, // Bill total, taxes included
+    paidByGuest: Number, // Settled on the folio before checkout
+    amount: Number // Billed to the account on this invoice
+}, { _id: false });
 
 const cityLedgerInvoiceSchema = new mongoose.Schema({
     invoiceNumber: {
@@ -7,6 +77,7 @@ const cityLedgerInvoiceSchema = new mongoose.Schema({
         required: true
     },
     folioId: String,
+    billId: String, // Bill of the folio billing window invoiced here
     reservationId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Reservations'
@@ -27,7 +98,23 @@ const cityLedgerInvoiceSchema = new mongoose.Schema({
         enum: ['pending', 'paid', 'overdue', 'cancelled'],
         default: 'pending'
     },
-    description: String
+    description: String,
+    // Charges billed on this invoice (account checkout); folio invoices use the folio's bill
+    items: [cityLedgerChargeSchema],
+    // Consolidated invoice: every stay and charge of a period on one invoice
+    consolidated: {
+        type: Boolean,
+        default: false
+    },
+    periodFrom: Date,
+    periodTo: Date,
+    stays: [consolidatedStaySchema],
+    poNumber: String,
+    costCenter: String,
+    eInvoice: {
+        type: eInvoiceDetailsSchema,
+        default: () => ({})
+    }
 }, { _id: true });
 
 const cityLedgerPaymentSchema = new mongoose.Schema({
@@ -37,16 +124,19 @@ const cityLedgerPaymentSchema = new mongoose.Schema({
     },
     amount: {
         type: Number,
-        required: true,
-        min: 0
+        required: true // Negative for a payment refunded through the payment gateway
     },
     method: {
         type: String,
-        enum: ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Cheque'],
+        enum: ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'],
         default: 'Bank Transfer'
     },
     transactionId: String,
     referenceNumber: String,
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashierShift' // Cashier shift it was taken in
+    },
     notes: String,
     appliedToInvoices: [{
         invoiceId: mongoose.Schema.Types.ObjectId,
@@ -54,46 +144,29 @@ const cityLedgerPaymentSchema = new mongoose.Schema({
     }]
 }, { _id: true });
 
-const cityLedgerChargeSchema = new mongoose.Schema({
-    description: {
-        type: String,
-        required: true
-    },
+// Charge, checkout or booking a manager let through over the account's credit limit
+const creditOverrideSchema = new mongoose.Schema({
     date: {
         type: Date,
         default: Date.now
     },
-    amount: {
-        type: Number,
-        required: true,
-        min: 0
-    },
-    department: {
+    context: {
         type: String,
-        enum: ['Room', 'F&B', 'Spa', 'Laundry', 'Other'],
-        default: 'Other'
-    },
-    quantity: {
-        type: Number,
-        default: 1,
-        min: 1
-    },
-    unitPrice: {
-        type: Number,
-        default: 0,
-        min: 0
+        enum: ['charge', 'checkout', 'reservation']
     },
-    tax: {
-        type: Number,
-        default: 0,
-        min: 0
+    reservationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reservations'
     },
-    discount: {
-        type: Number,
-        default: 0,
-        min: 0
+    amount: Number, // Amount being added
+    exposure: Number, // Credit in use after it
+    creditLimit: Number,
+    reason: String,
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     },
-    notes: String
+    approvedByName: String
 }, { _id: true });
 
 const cityLedgerAccountSchema = new mongoose.Schema({
@@ -115,6 +188,12 @@ const cityLedgerAccountSchema = new mongoose.Schema({
     email: String,
     phone: String,
     address: String,
+    // GST details for B2B tax and e-invoices
+    gstin: String,
+    legalName: String,
+    city: String,
+    pincode: String,
+    stateCode: String,
     creditLimit: {
         type: Number,
         default: 0,
@@ -125,6 +204,20 @@ const cityLedgerAccountSchema = new mongoose.Schema({
         default: 30,
         min: 1
     },
+    // Over the limit: 'override' lets an Admin or Manager approve it, 'block' never does (0 = no limit)
+    creditLimitAction: {
+        type: String,
+        enum: ['override', 'block'],
+        default: 'override'
+    },
+    creditOverrides: [creditOverrideSchema],
+    // Folio checkouts wait for a consolidated invoice instead of being invoiced one by one
+    consolidatedInvoicing: {
+        type: Boolean,
+        default: false
+    },
+    poNumber: String, // Default PO number for consolidated invoices
+    costCenter: String,
     charges: [cityLedgerChargeSchema],
     invoices: [cityLedgerInvoiceSchema],
     payments: [cityLedgerPaymentSchema],
@@ -151,19 +244,23 @@ cityLedgerAccountSchema.plugin(propertyScoped);
 cityLedgerAccountSchema.index({ accountCode: 1, property: 1 }, { unique: true });
 cityLedgerAccountSchema.index({ accountName: 1, property: 1 });
 
-// Method to calculate outstanding balance
+// Charges not billed on an invoice yet (checkout invoices carry their charges as items)
+cityLedgerAccountSchema.methods.getUninvoicedCharges = function() {
+    const invoices = this.invoices.filter(inv => inv.status !== 'cancelled');
+    const invoiceIds = new Set(invoices.map(inv => inv._id.toString()));
+    const invoicedChargeIds = new Set(invoices.flatMap(inv => (inv.items || []).map(item => item._id.toString())));
+    return (this.charges || []).filter(charge =>
+        !(charge.invoiceId && invoiceIds.has(charge.invoiceId.toString())) && !invoicedChargeIds.has(charge._id.toString()));
+};
+
+// Method to calculate outstanding balance: invoices plus the charges not invoiced yet
 cityLedgerAccountSchema.methods.calculateBalance = function() {
-    // Calculate from charges if available, otherwise from invoices
-    let totalCharges = 0;
-    if (this.charges && this.charges.length > 0) {
-        totalCharges = this.charges.reduce((sum, charge) => {
+    const totalCharges = this.invoices
+        .filter(inv => inv.status !== 'cancelled')
+        .reduce((sum, inv) => sum + inv.amount, 0)
+        + this.getUninvoicedCharges().reduce((sum, charge) => {
             return sum + charge.amount + (charge.tax || 0) - (charge.discount || 0);
         }, 0);
-    } else {
-        totalCharges = this.invoices
-            .filter(inv => inv.status !== 'cancelled')
-            .reduce((sum, inv) => sum + inv.amount, 0);
-    }
     
     const totalPaid = this.payments.reduce((sum, pay) => sum + pay.amount, 0);
     
@@ -174,60 +271,17 @@ cityLedgerAccountSchema.methods.calculateBalance = function() {
     return this.outstandingBalance;
 };
 
-// Generate unique account code
-cityLedgerAccountSchema.statics.generateAccountCode = async function(propertyId, accountType) {
-    const prefix = accountType === 'corporate' ? 'CORP' : 
-                   accountType === 'travel-agent' ? 'TA' : 
-                   accountType === 'ota' ? 'OTA' : 'CL';
-    
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    
-    const filter = {
-        accountCode: new RegExp(`^${prefix}${year}`),
-    };
-    
-    if (propertyId) {
-        filter.property = propertyId;
-    }
-    
-    const lastAccount = await this.findOne(filter).sort({ accountCode: -1 });
-    
-    if (lastAccount) {
-        const lastSuffix = parseInt(lastAccount.accountCode.slice(-4)) || 0;
-        const newSuffix = String(lastSuffix + 1).padStart(4, '0');
-        return `${prefix}${year}${newSuffix}`;
-    }
-    
-    return `${prefix}${year}0001`;
+// Next account code; {TYPE} in the format is the account type prefix
+cityLedgerAccountSchema.statics.generateAccountCode = function(propertyId, accountType, options = {}) {
+    const type = accountType === 'corporate' ? 'CORP' :
+                 accountType === 'travel-agent' ? 'TA' :
+                 accountType === 'ota' ? 'OTA' : 'CL';
+    return nextDocumentNumber(this.db, propertyId, 'cityLedgerAccount', { ...options, context: { type } });
 };
 
-// Generate unique invoice number
-cityLedgerAccountSchema.statics.generateInvoiceNumber = async function(propertyId) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    const filter = {
-        'invoices.invoiceNumber': new RegExp(`^INV${year}${month}`),
-    };
-    
-    if (propertyId) {
-        filter.property = propertyId;
-    }
-    
-    const account = await this.findOne(filter).sort({ 'invoices.invoiceNumber': -1 });
-    
-    if (account && account.invoices.length > 0) {
-        const lastInvoice = account.invoices.sort((a, b) => 
-            b.invoiceNumber.localeCompare(a.invoiceNumber)
-        )[0];
-        const lastSuffix = parseInt(lastInvoice.invoiceNumber.slice(-4)) || 0;
-        const newSuffix = String(lastSuffix + 1).padStart(4, '0');
-        return `INV${year}${month}${newSuffix}`;
-    }
-    
-    return `INV${year}${month}0001`;
+// Next city ledger invoice number (pass the session that saves the invoice)
+cityLedgerAccountSchema.statics.generateInvoiceNumber = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'cityLedgerInvoice', options);
 };
 
 const CityLedgerAccount = mongoose.models.CityLedgerAccount || mongoose.model('CityLedgerAccount', cityLedgerAccountSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+const { nextDocumentNumber } = require('../services/documentNumberService');
+
+// Negotiated rate for one room type: a fixed nightly rate or a discount on the standard rate
+const contractRateSchema = new mongoose.Schema({
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    pricing: {
+        type: String,
+        enum: ['fixed', 'discount'],
+        default: 'fixed'
+    },
+    // Fixed rates, by the room type's price model (perRoom: base/extra guest, perPerson: adult/child)
+    baseRate: { type: Number, min: 0 },
+    extraGuestRate: { type: Number, min: 0 },
+    adultRate: { type: Number, min: 0 },
+    childRate: { type: Number, min: 0 },
+    // Discount off the standard rate (rate plan or base pricing)
+    discountPercent: { type: Number, default: 0, min: 0, max: 100 }
+}, { _id: true });
+
+// Dates (inclusive) the contract rates do not apply
+const blackoutSchema = new mongoose.Schema({
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    reason: String
+}, { _id: true });
+
+// Rooms per night the company can book at contract rates
+const allotmentSchema = new mongoose.Schema({
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    roomsPerNight: { type: Number, required: true, min: 0 }
+}, { _id: true });
+
+// Corporate rate contract of a city ledger account
+const corporateContractSchema = new mongoose.Schema({
+    contractNumber: {
+        type: String,
+        required: true
+    },
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CityLedgerAccount',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    validFrom: {
+        type: Date,
+        required: true
+    },
+    validTo: {
+        type: Date,
+        required: true
+    },
+    rates: [contractRateSchema],
+    blackoutDates: [blackoutSchema],
+    // Room types without an allotment are not capped
+    allotments: [allotmentSchema],
+    notes: String,
+    // Bumped by every booking that takes allotment, so concurrent bookings conflict and are checked one after the other
+    allotmentVersion: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+corporateContractSchema.plugin(propertyScoped);
+corporateContractSchema.index({ contractNumber: 1, property: 1 }, { unique: true });
+corporateContractSchema.index({ account: 1, validFrom: 1, validTo: 1, property: 1 });
+
+// Next contract number (pass the session that saves the contract)
+corporateContractSchema.statics.generateContractNumber = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'corporateContract', options);
+};
+
+const CorporateContract = mongoose.models.CorporateContract || mongoose.model('CorporateContract', corporateContractSchema);
+
+module.exports = CorporateContract;
+module.exports.schema = corporateContractSchema;
@@ -1,6 +1,64 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('../plugins/propertyScoped');
 
+// A single room line on a reservation (e.g. 1 x Deluxe + 1 x Suite)
+const roomLineSchema = new mongoose.Schema({
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    numberOfRooms: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    roomNumbers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rooms'
+    }],
+    adults: { type: Number, default: 0 },
+    children: { type: Number, default: 0 },
+    totalGuest: { type: Number, default: 0 },
+    ratePerNight: { type: Number, default: 0 }, // Per room per night
+    amount: { type: Number, default: 0 }, // Line total for the stay
+    contractNights: [Date], // Nights priced at the corporate contract rate (count against its allotment)
+    // Line amount of each night, when the nights were priced at different rates (contract and standard)
+    nightRates: [{
+        _id: false,
+        night: Date,
+        amount: Number
+    }]
+}, { _id: true });
+
+// Deposit installment due on a reservation
+const depositInstallmentSchema = new mongoose.Schema({
+    label: { type: String, default: 'Deposit' },
+    dueDate: { type: Date, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    paidAmount: { type: Number, default: 0, min: 0 },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'overdue'],
+        default: 'pending'
+    }
+}, { _id: true });
+
+// Payment taken on a reservation before (or while) it has a folio. Payments are
+// carried onto the folio with the same _id, so the cashier shift counts them once.
+const reservationPaymentSchema = new mongoose.Schema({
+    date: Date,
+    method: String,
+    amount: Number, // Negative for a refund
+    transactionId: String,
+    businessDate: Date,
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashierShift' // Cashier shift it was taken in
+    },
+    notes: String
+}, { _id: true });
+
 const reservations = new mongoose.Schema({
     guestName: String,
     guestNumber: String,
@@ -18,6 +76,9 @@ const reservations = new mongoose.Schema({
         required: true
     }],
     numberOfRooms: Number,
+    // Room lines for multi-room-type bookings. roomType/roomNumbers/numberOfRooms
+    // above are kept in sync (first line type, all rooms, total count) for older readers.
+    roomLines: [roomLineSchema],
     totalGuest: Number,
     totalAmount: Number,
     payedAmount: Number,
@@ -38,7 +99,13 @@ const reservations = new mongoose.Schema({
     paymentMethod: String,
     Source: String,
     adhaarNumber: String,
-    status: String,
+    status: String, // tentative | confirmed | checked-in | checked-out | cancelled | no-show
+    // Deposit required by the property's deposit policy; bookings stay tentative until it is paid
+    depositRequired: { type: Number, default: 0 },
+    depositSchedule: [depositInstallmentSchema],
+    depositPayments: [reservationPaymentSchema],
+    depositReceivedAt: Date,
+    releasedAt: Date, // Tentative booking released for non-payment
     groupId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'GroupReservation'
@@ -55,6 +122,37 @@ const reservations = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'CityLedgerAccount'
     },
+    // Company the stay is booked for, and the rate contract it was priced on
+    corporateAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CityLedgerAccount'
+    },
+    corporateContract: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CorporateContract'
+    },
+    // Rate plan the booking was priced on
+    ratePlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RatePlan'
+    },
+    // Cancellation terms agreed at booking time
+    cancellationPolicy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CancellationPolicy'
+    },
+    cancelledAt: Date,
+    cancellationFee: { type: Number, default: 0 },
+    cancellationReason: String,
+    // Bookings received from a connected channel (OTA)
+    channelConnection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChannelConnection'
+    },
+    externalBookingId: String, // Booking reference on the channel
+    externalModifiedAt: Date, // Channel's last modification time, to ignore stale or repeated deliveries
+    channelCommission: { type: Number, default: 0 }, // Commission owed to the channel
+    specialRequests: String,
     notes: [{
         content: {
             type: String,
@@ -73,6 +171,66 @@ const reservations = new mongoose.Schema({
 }, { timestamps: true });
 
 reservations.plugin(propertyScoped);
+reservations.index({ 'roomLines.roomType': 1, property: 1 });
+reservations.index({ corporateContract: 1, property: 1 });
+reservations.index({ status: 1, 'depositSchedule.dueDate': 1, property: 1 });
+reservations.index({ 'depositPayments.shift': 1, property: 1 }, { sparse: true });
+reservations.index(
+    { Source: 1, externalBookingId: 1, property: 1 },
+    { unique: true, partialFilterExpression: { externalBookingId: { $type: 'string' } } }
+);
+
+// Return the room lines of a reservation (document or lean object).
+// Reservations created before room lines existed get a single line built from the legacy fields.
+reservations.statics.getRoomLines = function(reservation) {
+    if (!reservation) return [];
+    if (Array.isArray(reservation.roomLines) && reservation.roomLines.length > 0) {
+        return reservation.roomLines;
+    }
+    if (!reservation.roomType) return [];
+
+    const adults = reservation.adultCount || reservation.numberOfAdults || reservation.adults || 0;
+    const children = reservation.childCount || reservation.numberOfChildren || reservation.children || 0;
+    return [{
+        roomType: reservation.roomType._id || reservation.roomType,
+        numberOfRooms: reservation.numberOfRooms || 1,
+        roomNumbers: reservation.roomNumbers || [],
+        adults,
+        children,
+        totalGuest: reservation.totalGuest || (adults + children) || 0,
+        ratePerNight: 0,
+        amount: reservation.totalAmount || 0
+    }];
+};
+
+// Query filter matching reservations that hold rooms of the given type on any line
+reservations.statics.roomTypeFilter = function(roomTypeId) {
+    return {
+        $or: [
+            { roomType: roomTypeId },
+            { 'roomLines.roomType': roomTypeId }
+        ]
+    };
+};
+
+// Number of rooms of the given type held by a reservation
+reservations.statics.countRoomsOfType = function(reservation, roomTypeId) {
+    const typeId = String(roomTypeId);
+    return this.getRoomLines(reservation).reduce((sum, line) => {
+        const lineTypeId = String(line.roomType?._id || line.roomType);
+        return lineTypeId === typeId ? sum + (line.numberOfRooms || 1) : sum;
+    }, 0);
+};
+
+// Keep the legacy single-type fields in sync with the room lines
+reservations.methods.syncRoomLines = function() {
+    if (!this.roomLines || this.roomLines.length === 0) {
+        return;
+    }
+    this.roomType = this.roomLines[0].roomType;
+    this.numberOfRooms = this.roomLines.reduce((sum, line) => sum + (line.numberOfRooms || 1), 0);
+    this.roomNumbers = this.roomLines.reduce((all, line) => all.concat(line.roomNumbers || []), []);
+};
 
 const Reservations =
     mongoose.models.Reservations || mongoose.model('Reservations', reservations);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('./plugins/propertyScoped');
+const { nextDocumentNumber } = require('../services/documentNumberService');
 
 const roomBlockSchema = new mongoose.Schema({
     roomType: {
@@ -139,30 +140,9 @@ groupReservationSchema.methods.calculateTotals = function() {
     };
 };
 
-// Generate unique group code
-groupReservationSchema.statics.generateGroupCode = async function(propertyId) {
-    const prefix = 'GRP';
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    
-    const filter = {
-        groupCode: new RegExp(`^${prefix}${year}${month}`),
-    };
-    
-    if (propertyId) {
-        filter.property = propertyId;
-    }
-    
-    const lastGroup = await this.findOne(filter).sort({ groupCode: -1 });
-    
-    if (lastGroup) {
-        const lastSuffix = parseInt(lastGroup.groupCode.slice(-3)) || 0;
-        const newSuffix = String(lastSuffix + 1).padStart(3, '0');
-        return `${prefix}${year}${month}${newSuffix}`;
-    }
-    
-    return `${prefix}${year}${month}001`;
+// Next group code
+groupReservationSchema.statics.generateGroupCode = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'groupReservation', options);
 };
 
 const GroupReservation = mongoose.models.GroupReservation || mongoose.model('GroupReservation', groupReservationSchema);
@@ -1,6 +1,49 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('./plugins/propertyScoped');
 
+// Stages of an audit, in the order they run
+const AUDIT_STAGES = ['pre-check', 'postings', 'no-shows', 'snapshots', 'date-roll'];
+
+// One change a stage made, with what is needed to undo it
+const auditJournalEntrySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['post-charges', 'mark-no-show', 'save-snapshot', 'advance-date'],
+        required: true
+    },
+    targetId: mongoose.Schema.Types.ObjectId, // Folio, reservation or snapshot changed
+    reference: String, // Folio number / guest name, for display
+    data: mongoose.Schema.Types.Mixed // { itemIds, nights } | { previousStatus } | { from, to }
+}, { _id: false });
+
+const auditCheckSchema = new mongoose.Schema({
+    code: String,
+    severity: {
+        type: String,
+        enum: ['block', 'warn']
+    },
+    message: String,
+    count: Number
+}, { _id: false });
+
+const auditStageSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        enum: AUDIT_STAGES,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'running', 'completed', 'failed', 'skipped', 'rolled-back'],
+        default: 'pending'
+    },
+    startedAt: Date,
+    completedAt: Date,
+    message: String,
+    checks: [auditCheckSchema], // Pre-check stage only
+    journal: [auditJournalEntrySchema]
+}, { _id: false });
+
 const auditLogSchema = new mongoose.Schema({
     auditDate: {
         type: Date,
@@ -16,20 +59,31 @@ const auditLogSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'in-progress', 'completed', 'failed'],
+        // blocked: stopped by a pre-check; rolled-back: undone by an Admin (or after failing)
+        enum: ['pending', 'in-progress', 'completed', 'failed', 'blocked', 'rolled-back'],
         default: 'pending'
     },
+    stages: [auditStageSchema],
     summary: {
         totalRevenue: { type: Number, default: 0 },
         roomRevenue: { type: Number, default: 0 },
         fBRevenue: { type: Number, default: 0 },
         otherRevenue: { type: Number, default: 0 },
+        creditNoteCount: { type: Number, default: 0 },
+        creditNoteTotal: { type: Number, default: 0 }, // Including the GST reversed
+        refundCount: { type: Number, default: 0 },
+        refundTotal: { type: Number, default: 0 },
         totalCheckIns: { type: Number, default: 0 },
         totalCheckOuts: { type: Number, default: 0 },
         totalReservations: { type: Number, default: 0 },
         occupiedRooms: { type: Number, default: 0 },
         availableRooms: { type: Number, default: 0 },
-        noShows: { type: Number, default: 0 }
+        noShows: { type: Number, default: 0 },
+        // Nightly room rent, meal plan and tax posting
+        foliosPosted: { type: Number, default: 0 },
+        roomNightsPosted: { type: Number, default: 0 }, // Folio nights, including nights caught up
+        roomChargesPosted: { type: Number, default: 0 },
+        roomTaxPosted: { type: Number, default: 0 } // GST on the posted charges
     },
     pendingTasks: [{
         type: {
@@ -40,11 +94,25 @@ const auditLogSchema = new mongoose.Schema({
         count: Number
     }],
     errors: [{
-        type: String,
+        type: { type: String },
         message: String,
         timestamp: { type: Date, default: Date.now }
     }],
     completedAt: Date,
+    // End-of-day report pack (PDF), made when the audit completes
+    reportPack: {
+        type: Buffer,
+        select: false
+    },
+    reportPackGeneratedAt: Date,
+    reportPackEmailedTo: [String],
+    rolledBackAt: Date,
+    rolledBackBy: String,
+    rollbackReason: String,
+    rerunOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NightAudit' // Rolled back audit this run replaces
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -54,9 +122,12 @@ const auditLogSchema = new mongoose.Schema({
 auditLogSchema.plugin(propertyScoped);
 auditLogSchema.index({ auditDate: -1, property: 1 });
 auditLogSchema.index({ businessDate: -1, property: 1 });
+// One run of a business date at a time
+auditLogSchema.index({ property: 1, businessDate: 1 }, { unique: true, partialFilterExpression: { status: 'in-progress' } });
 
 const NightAudit = mongoose.models.NightAudit || mongoose.model('NightAudit', auditLogSchema);
 
 module.exports = NightAudit;
 module.exports.schema = auditLogSchema;
+module.exports.AUDIT_STAGES = AUDIT_STAGES;
 
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('./plugins/propertyScoped');
+const { nextDocumentNumber } = require('../services/documentNumberService');
 
 const paymasterChargeSchema = new mongoose.Schema({
     description: String,
@@ -38,6 +39,10 @@ const paymasterPaymentSchema = new mongoose.Schema({
     },
     amount: Number,
     transactionId: String,
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashierShift' // Cashier shift it was taken in
+    },
     notes: String
 }, { _id: true });
 
@@ -104,27 +109,14 @@ paymasterRoomSchema.methods.calculateBalance = function() {
     return this.balance;
 };
 
-// Generate unique paymaster code (PM001, PM002, etc.)
-paymasterRoomSchema.statics.generatePaymasterCode = async function(propertyId) {
-    const prefix = 'PM';
-    
-    const filter = {
-        paymasterCode: new RegExp(`^${prefix}\\d+$`),
+// Next paymaster code (PM001, PM002, etc.)
+paymasterRoomSchema.statics.generatePaymasterCode = function(propertyId, options = {}) {
+    // The default format is the one existing codes use, so the counter starts after the highest of them
+    const seed = async () => {
+        const existing = await this.find({ property: propertyId, paymasterCode: /^PM\d+$/ }).select('paymasterCode').lean();
+        return existing.reduce((max, paymaster) => Math.max(max, parseInt(paymaster.paymasterCode.slice(2)) || 0), 0);
     };
-    
-    if (propertyId) {
-        filter.property = propertyId;
-    }
-    
-    const lastPaymaster = await this.findOne(filter).sort({ paymasterCode: -1 });
-    
-    if (lastPaymaster) {
-        const lastNumber = parseInt(lastPaymaster.paymasterCode.replace(prefix, '')) || 0;
-        const newNumber = lastNumber + 1;
-        return `${prefix}${String(newNumber).padStart(3, '0')}`;
-    }
-    
-    return `${prefix}001`;
+    return nextDocumentNumber(this.db, propertyId, 'paymaster', { seed, ...options });
 };
 
 const PaymasterRoom = mongoose.models.PaymasterRoom || mongoose.model('PaymasterRoom', paymasterRoomSchema);
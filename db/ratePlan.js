@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+
+// Sellable rate plan (e.g. BAR, Non-refundable, Bed & Breakfast, Corporate)
+// layered on top of daily rates. A plan without a parent derives from base pricing.
+const ratePlanSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    // Room types the plan can be sold on (empty = all room types)
+    roomTypes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType'
+    }],
+    // Inclusions
+    mealPlan: {
+        type: String,
+        enum: ['EP', 'CP', 'MAP', 'AP'],
+        default: 'EP'
+    },
+    cancellationPolicy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CancellationPolicy'
+    },
+    // Derivation from the parent plan (or base pricing): value is a signed % or amount
+    parentPlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RatePlan'
+    },
+    derivation: {
+        type: {
+            type: String,
+            enum: ['percentage', 'amount'],
+            default: 'percentage'
+        },
+        value: {
+            type: Number,
+            default: 0
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { timestamps: true });
+
+ratePlanSchema.plugin(propertyScoped);
+ratePlanSchema.index({ code: 1, property: 1 }, { unique: true });
+ratePlanSchema.index({ parentPlan: 1, property: 1 });
+
+const RatePlanModel =
+    mongoose.models.RatePlan || mongoose.model('RatePlan', ratePlanSchema);
+
+module.exports = RatePlanModel;
+module.exports.schema = ratePlanSchema;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+
+// Per-date rate override for a rate plan; takes priority over the plan's derivation
+const ratePlanRateSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    ratePlan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RatePlan',
+        required: true
+    },
+    baseRate: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    extraGuestRate: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    adultRate: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    childRate: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, { timestamps: true });
+
+ratePlanRateSchema.plugin(propertyScoped);
+ratePlanRateSchema.index({ date: 1, roomType: 1, ratePlan: 1, property: 1 }, { unique: true });
+
+const RatePlanRatesModel =
+    mongoose.models.ratePlanRates || mongoose.model('ratePlanRates', ratePlanRateSchema);
+
+module.exports = RatePlanRatesModel;
+module.exports.schema = ratePlanRateSchema;
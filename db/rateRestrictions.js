@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('./plugins/propertyScoped');
+
+// Stay restrictions for one room type on one date (managed next to dailyRates).
+// minLOS / maxLOS apply to stays arriving on the date; null = no limit.
+const rateRestrictionSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    roomType: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RoomType',
+        required: true
+    },
+    minLOS: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    maxLOS: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    closedToArrival: {
+        type: Boolean,
+        default: false
+    },
+    closedToDeparture: {
+        type: Boolean,
+        default: false
+    },
+    // No new stays may include this night
+    stopSell: {
+        type: Boolean,
+        default: false
+    }
+}, { timestamps: true });
+
+rateRestrictionSchema.plugin(propertyScoped);
+rateRestrictionSchema.index({ date: 1, roomType: 1, property: 1 }, { unique: true });
+
+const RateRestrictionsModel =
+    mongoose.models.rateRestrictions || mongoose.model('rateRestrictions', rateRestrictionSchema);
+
+module.exports = RateRestrictionsModel;
+module.exports.schema = rateRestrictionSchema;
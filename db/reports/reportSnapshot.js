@@ -4,7 +4,7 @@ const propertyScoped = require('../plugins/propertyScoped');
 const reportSnapshotSchema = new mongoose.Schema({
     type: {
         type: String,
-        enum: ['dashboard', 'occupancy', 'revenue', 'channel-performance'],
+        enum: ['dashboard', 'occupancy', 'revenue', 'channel-performance', 'night-audit'],
         required: true
     },
     dateRange: {
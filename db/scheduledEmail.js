@@ -26,22 +26,45 @@ const scheduledEmailSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    // Dunning step of a reminder (days relative to the invoice due date)
+    step: {
+        label: String,
+        offsetDays: Number
+    },
     status: {
         type: String,
-        enum: ['pending', 'sent', 'failed', 'cancelled'],
+        enum: ['pending', 'processing', 'sent', 'failed', 'cancelled'],
         default: 'pending'
     },
     attempts: {
         type: Number,
         default: 0
     },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextAttemptAt: Date, // Retry time after a failed attempt
+    lastAttemptAt: Date,
     lastError: String,
+    sentAt: Date,
+    cancelledAt: Date,
+    cancelReason: String,
+    // Mail this one resends
+    resendOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScheduledEmail'
+    },
     metadata: Object // Store extra data like payment terms, amount, etc.
 }, { timestamps: true });
 
 scheduledEmailSchema.plugin(propertyScoped);
+scheduledEmailSchema.index({ status: 1, scheduledAt: 1, property: 1 });
+scheduledEmailSchema.index({ invoiceId: 1, status: 1, property: 1 });
+scheduledEmailSchema.index({ targetId: 1, property: 1 });
 
 const ScheduledEmail = mongoose.models.ScheduledEmail || mongoose.model('ScheduledEmail', scheduledEmailSchema);
 
 module.exports = ScheduledEmail;
+module.exports.schema = scheduledEmailSchema;
 
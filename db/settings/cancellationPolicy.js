@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('../plugins/propertyScoped');
+
+// One window of a tiered policy: applies when the guest cancels
+// `withinDays` days or fewer before arrival (0 = on/after arrival day)
+const cancellationTierSchema = new mongoose.Schema({
+  withinDays: { type: Number, required: true, min: 0 },
+  chargeType: { type: String, enum: ['percentage', 'nights', 'fixed'], required: true },
+  chargeValue: { type: Number, required: true, min: 0 },
+  description: { type: String, default: '' }
+}, { _id: true });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  // Non-refundable bookings are charged the full stay regardless of tiers
+  isNonRefundable: { type: Boolean, default: false },
+  tiers: { type: [cancellationTierSchema], default: [] },
+  // Room types this policy applies to (empty = not attached to any room type)
+  roomTypes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'RoomType' }],
+  // Fallback policy when nothing more specific applies
+  isDefault: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+cancellationPolicySchema.plugin(propertyScoped);
+cancellationPolicySchema.index({ name: 1, property: 1 }, { unique: true });
+cancellationPolicySchema.index({ roomTypes: 1, property: 1 });
+
+const CancellationPolicyModel =
+  mongoose.models.CancellationPolicy || mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+module.exports = CancellationPolicyModel;
+module.exports.schema = cancellationPolicySchema;
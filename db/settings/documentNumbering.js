@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const propertyScoped = require('../plugins/propertyScoped');
+
+// Prefix and format of one document series (see services/documentNumberService.js for the tokens)
+const documentSequenceSchema = new mongoose.Schema({
+  documentType: { type: String, required: true },
+  prefix: { type: String, default: '' },
+  format: { type: String, required: true },
+  padding: { type: Number, default: 5, min: 1, max: 10 }
+}, { _id: false });
+
+// Document numbering settings of a property (one per property). Series not listed use the defaults.
+const documentNumberingSchema = new mongoose.Schema({
+  // Month the fiscal year starts in (4 = April, the Indian financial year)
+  fiscalYearStartMonth: { type: Number, default: 4, min: 1, max: 12 },
+  sequences: { type: [documentSequenceSchema], default: [] }
+}, { timestamps: true });
+
+documentNumberingSchema.plugin(propertyScoped);
+documentNumberingSchema.index({ property: 1 }, { unique: true });
+
+// Last number issued in a series for one period (a fiscal year, or ALL for series that never reset)
+const documentCounterSchema = new mongoose.Schema({
+  documentType: { type: String, required: true },
+  period: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+}, { timestamps: true });
+
+documentCounterSchema.plugin(propertyScoped);
+documentCounterSchema.index({ documentType: 1, period: 1, property: 1 }, { unique: true });
+
+const DocumentNumberingModel =
+  mongoose.models.DocumentNumbering || mongoose.model('DocumentNumbering', documentNumberingSchema);
+const DocumentCounterModel =
+  mongoose.models.DocumentCounter || mongoose.model('DocumentCounter', documentCounterSchema);
+
+module.exports = {
+  DocumentNumbering: DocumentNumberingModel,
+  DocumentCounter: DocumentCounterModel,
+  documentNumberingSchema,
+  documentCounterSchema
+};
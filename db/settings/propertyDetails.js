@@ -1,6 +1,27 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('../plugins/propertyScoped');
 
+// One installment of the deposit schedule, as a share of the required deposit
+const depositInstallmentSchema = new mongoose.Schema({
+  label: { type: String, default: 'Deposit' },
+  percentage: { type: Number, required: true, min: 0, max: 100 },
+  // Due N days after the booking is made, or N days before arrival
+  dueType: { type: String, enum: ['after_booking', 'before_arrival'], default: 'after_booking' },
+  days: { type: Number, default: 0, min: 0 }
+}, { _id: true });
+
+// One payment reminder of the city ledger dunning sequence, relative to the invoice due date
+const dunningStepSchema = new mongoose.Schema({
+  label: { type: String, default: '' },
+  // Days after the due date (negative: before it, 0: on the due date)
+  offsetDays: { type: Number, required: true, min: -60, max: 365 }
+}, { _id: false });
+
+const sacCodeSchema = new mongoose.Schema({
+  department: { type: String, enum: ['Room', 'F&B', 'Spa', 'Laundry', 'Other'], required: true },
+  sacCode: { type: String, required: true }
+}, { _id: false });
+
 const propertyDetailsSchema = new mongoose.Schema({
   propertyName: { type: String, required: true },
   address: { type: String, required: true },
@@ -10,12 +31,49 @@ const propertyDetailsSchema = new mongoose.Schema({
   currency: { type: String, required: true, default: 'INR' },
   timezone: { type: String, required: true, default: 'Asia/Kolkata' },
   gstin: { type: String, required: true },
+  legalName: { type: String, default: '' },
+  city: { type: String, default: '' },
+  pincode: { type: String, default: '' },
+  // GST state code of the property; defaults to the first two digits of the GSTIN
+  stateCode: { type: String, default: '' },
+  sacCodes: { type: [sacCodeSchema], default: [] },
   // Additional business settings
   checkInTime: { type: String, default: '14:00' },
   checkOutTime: { type: String, default: '11:00' },
   // Policy settings
   cancellationPolicy: { type: String, default: '' },
   generalPolicies: { type: String, default: '' },
+  // Deposit settings
+  depositPolicy: { type: String, enum: ['none', 'percentage', 'fixed', 'first_night'], default: 'none' },
+  depositPercentage: { type: Number, default: 0, min: 0, max: 100 },
+  depositAmount: { type: Number, default: 0, min: 0 },
+  // Empty schedule = whole deposit due on booking
+  depositSchedule: { type: [depositInstallmentSchema], default: [] },
+  // Bookings stay tentative until the deposit is in; release them once an installment is overdue
+  autoReleaseTentative: { type: Boolean, default: true },
+  tentativeReleaseGraceHours: { type: Number, default: 24, min: 0 },
+  // Night audit: run automatically at nightAuditTime (property timezone). Times before noon
+  // are the early hours after the business day; managers get the pre-check warnings first.
+  autoNightAudit: { type: Boolean, default: false },
+  nightAuditTime: { type: String, default: '02:00', match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+  nightAuditWarningMinutes: { type: Number, default: 60, min: 0, max: 720 },
+  // How long after it completes an Admin may still roll back the last audit
+  nightAuditRollbackHours: { type: Number, default: 12, min: 0, max: 72 },
+  // Addresses the end-of-day report pack is emailed to after each audit (none: not emailed)
+  nightAuditReportRecipients: [{ type: String, trim: true, lowercase: true }],
+  // Cashiers must have an open shift to take payments or pay refunds
+  requireCashierShift: { type: Boolean, default: false },
+  // Payment reminders emailed for unpaid city ledger invoices (cancelled once the invoice is paid)
+  cityLedgerDunning: { type: Boolean, default: true },
+  cityLedgerDunningSteps: {
+    type: [dunningStepSchema],
+    default: () => [
+      { label: 'Before due date', offsetDays: -3 },
+      { label: 'On due date', offsetDays: 0 },
+      { label: '7 days overdue', offsetDays: 7 },
+      { label: '15 days overdue', offsetDays: 15 }
+    ]
+  },
   // Tax settings
   gstRate: { type: Number, default: 18, min: 0, max: 100 },
   serviceChargeRate: { type: Number, default: 10, min: 0, max: 100 },
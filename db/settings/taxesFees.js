@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('../plugins/propertyScoped');
 
+// GST slab: rate applies to tariffs up to upTo (per unit per night); no upTo = open-ended
+const taxSlabSchema = new mongoose.Schema({
+  upTo: { type: Number, default: null, min: 0 },
+  rate: { type: Number, required: true, min: 0, max: 100 }
+}, { _id: false });
+
 const taxRuleSchema = new mongoose.Schema({
   name: { type: String, required: true },
   type: { type: String, enum: ['gst', 'service_charge', 'city_tax', 'tourism_tax', 'other'], required: true },
@@ -8,7 +14,9 @@ const taxRuleSchema = new mongoose.Schema({
   isPercentage: { type: Boolean, default: true },
   isActive: { type: Boolean, default: true },
   description: { type: String, default: '' },
-  applicableOn: { type: String, enum: ['room_rate', 'total_amount', 'food_beverage', 'all'], default: 'total_amount' }
+  applicableOn: { type: String, enum: ['room_rate', 'total_amount', 'food_beverage', 'all'], default: 'total_amount' },
+  slabs: { type: [taxSlabSchema], default: [] },
+  sacCode: { type: String, default: '' }
 }, { timestamps: true });
 
 taxRuleSchema.plugin(propertyScoped);
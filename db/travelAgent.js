@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const propertyScoped = require('./plugins/propertyScoped');
+const { nextDocumentNumber } = require('../services/documentNumberService');
 
 const commissionPaymentSchema = new mongoose.Schema({
     date: {
@@ -18,6 +19,10 @@ const commissionPaymentSchema = new mongoose.Schema({
     },
     transactionId: String,
     referenceNumber: String,
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CashierShift' // Cashier shift it was paid out of
+    },
     notes: String,
     appliedToBookings: [{
         reservationId: mongoose.Schema.Types.ObjectId,
@@ -100,29 +105,9 @@ travelAgentSchema.methods.calculateCommission = function() {
     return this.outstandingCommission;
 };
 
-// Generate unique agent code
-travelAgentSchema.statics.generateAgentCode = async function(propertyId) {
-    const prefix = 'TA';
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    
-    const filter = {
-        agentCode: new RegExp(`^${prefix}${year}`),
-    };
-    
-    if (propertyId) {
-        filter.property = propertyId;
-    }
-    
-    const lastAgent = await this.findOne(filter).sort({ agentCode: -1 });
-    
-    if (lastAgent) {
-        const lastSuffix = parseInt(lastAgent.agentCode.slice(-4)) || 0;
-        const newSuffix = String(lastSuffix + 1).padStart(4, '0');
-        return `${prefix}${year}${newSuffix}`;
-    }
-    
-    return `${prefix}${year}0001`;
+// Next travel agent code
+travelAgentSchema.statics.generateAgentCode = function(propertyId, options = {}) {
+    return nextDocumentNumber(this.db, propertyId, 'travelAgent', options);
 };
 
 const TravelAgent = mongoose.models.TravelAgent || mongoose.model('TravelAgent', travelAgentSchema);
@@ -8,18 +8,20 @@ const REQUEST_SIGNING_ENABLED = process.env.REQUEST_SIGNING_ENABLED === 'true';
 const SIGNING_SECRET = process.env.REQUEST_SIGNING_SECRET || process.env.JWT_SECRET || 'default-secret-change-in-production';
 const NONCE_TTL = 300; // 5 minutes
 
-// Generate request signature
-function generateSignature(method, path, body, timestamp, nonce) {
+// Generate request signature (secret defaults to the server-wide signing secret)
+function generateSignature(method, path, body, timestamp, nonce, secret = SIGNING_SECRET) {
     const payload = `${method}:${path}:${JSON.stringify(body)}:${timestamp}:${nonce}`;
     return crypto
-        .createHmac('sha256', SIGNING_SECRET)
+        .createHmac('sha256', secret)
         .update(payload)
         .digest('hex');
 }
 
 // Verify request signature
-async function verifySignature(req) {
-    if (!REQUEST_SIGNING_ENABLED) {
+// options.secret: shared secret of the caller (defaults to the server-wide one)
+// options.enforce: verify even when REQUEST_SIGNING_ENABLED is off
+async function verifySignature(req, { secret = SIGNING_SECRET, enforce = false } = {}) {
+    if (!REQUEST_SIGNING_ENABLED && !enforce) {
         return true; // Skip if not enabled
     }
 
@@ -51,21 +53,26 @@ async function verifySignature(req) {
     // Store nonce for 5 minutes
     await cacheSet(nonceKey, true, NONCE_TTL);
 
-    // Generate expected signature
+    // Generate expected signature (full path, also when mounted on a router)
     const body = req.body || {};
     const expectedSignature = generateSignature(
         req.method,
-        req.path,
+        `${req.baseUrl || ''}${req.path}`,
         body,
         timestamp,
-        nonce
+        nonce,
+        secret
     );
 
+    // timingSafeEqual needs equal byte lengths (a multibyte header would make it throw)
+    const signatureBuffer = Buffer.from(String(signature));
+    const expectedBuffer = Buffer.from(expectedSignature);
+    if (signatureBuffer.length !== expectedBuffer.length) {
+        return false;
+    }
+
     // Constant-time comparison to prevent timing attacks
-    return crypto.timingSafeEqual(
-        Buffer.from(signature),
-        Buffer.from(expectedSignature)
-    );
+    return crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
 }
 
 // Request signing middleware (optional, for enhanced security)
@@ -99,8 +106,38 @@ const requestSigning = async (req, res, next) => {
     }
 };
 
+// Always-on signature check for endpoints called by other systems (e.g. channel webhooks).
+// getSecret(req) returns the shared secret agreed with the caller.
+const requireRequestSignature = (getSecret) => async (req, res, next) => {
+    try {
+        const secret = await getSecret(req);
+        if (!secret) {
+            return res.status(401).json({
+                message: 'Request signing is not configured for this caller',
+                code: 'SIGNING_NOT_CONFIGURED'
+            });
+        }
+
+        const isValid = await verifySignature(req, { secret, enforce: true });
+        if (!isValid) {
+            return res.status(401).json({
+                message: 'Invalid request signature',
+                code: 'INVALID_SIGNATURE'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Request signing error:', error);
+        return res.status(500).json({
+            message: 'Request verification failed',
+            code: 'SIGNATURE_ERROR'
+        });
+    }
+};
+
 module.exports = {
     requestSigning,
+    requireRequestSignature,
     generateSignature,
     verifySignature,
 };
@@ -0,0 +1,300 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const { authenticate, requireModuleAccess } = require('../../middleware/auth');
+const { validateAndSetDefaults, validatePagination, isValidObjectId } = require('../../utils/validation');
+const {
+    DEPARTMENTS,
+    PAYMENT_METHODS,
+    DEFAULT_LEDGERS,
+    resolveLedgerMapping,
+    collectVouchers,
+    summarizeVouchers,
+    exportVouchers
+} = require('../../services/tallyExportService');
+
+const router = express.Router();
+router.use(bodyParser.json());
+router.use(authenticate);
+router.use(requireModuleAccess('billing-finance'));
+
+const getModel = (req, name) => req.tenant.models[name];
+const getPropertyId = (req) => req.tenant.property._id;
+
+const LEDGER_FIELDS = ['companyName', 'cgstLedger', 'sgstLedger', 'igstLedger', 'otherTaxLedger', 'guestLedger', 'roundOffLedger',
+    'suspenseLedger', 'salesVoucherType', 'receiptVoucherType', 'creditNoteVoucherType', 'journalVoucherType', 'paymentVoucherType'];
+
+// Entries must be objects with the key field from the allowed list and a ledger name
+const validateLedgerList = (list, keyField, allowed) => {
+    if (!Array.isArray(list)) {
+        return `${keyField} ledgers must be an array`;
+    }
+    const seen = new Set();
+    for (const entry of list) {
+        if (!entry || typeof entry !== 'object' || !allowed.includes(entry[keyField])) {
+            return `${keyField} must be one of: ${allowed.join(', ')}`;
+        }
+        if (typeof entry.ledgerName !== 'string' || !entry.ledgerName.trim()) {
+            return `ledgerName is required for ${entry[keyField]}`;
+        }
+        if (seen.has(entry[keyField])) {
+            return `${entry[keyField]} is mapped more than once`;
+        }
+        seen.add(entry[keyField]);
+    }
+    return true;
+};
+
+const validateTaxLedgers = (list) => {
+    if (!Array.isArray(list)) {
+        return 'taxLedgers must be an array';
+    }
+    const seen = new Set();
+    for (const entry of list) {
+        if (!entry || typeof entry !== 'object' || !isValidObjectId(entry.taxRule)) {
+            return 'taxLedgers entries need a valid taxRule ID';
+        }
+        if (!entry.ledgerName && !entry.cgstLedger && !entry.sgstLedger && !entry.igstLedger) {
+            return 'taxLedgers entries need ledgerName or CGST/SGST/IGST ledgers';
+        }
+        if (seen.has(String(entry.taxRule))) {
+            return `Tax rule ${entry.taxRule} is mapped more than once`;
+        }
+        seen.add(String(entry.taxRule));
+    }
+    return true;
+};
+
+// Inclusive date range from the request body (to is taken to the end of the day)
+const getExportRange = (body) => {
+    const validation = validateAndSetDefaults(body, {
+        from: { type: 'string', required: true, isDate: true },
+        to: { type: 'string', required: true, isDate: true }
+    });
+    if (!validation.isValid) {
+        return { error: validation.errors.join(', ') };
+    }
+
+    const from = new Date(validation.validated.from);
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(validation.validated.to);
+    to.setHours(23, 59, 59, 999);
+    if (from > to) {
+        return { error: 'from must be on or before to' };
+    }
+    return { from, to };
+};
+
+// Get the ledger mapping (with defaults filled in for anything not mapped)
+router.get('/ledger-mapping', async (req, res) => {
+    try {
+        const propertyId = getPropertyId(req);
+        const mapping = await getModel(req, 'AccountingLedgerMapping').findOne({ property: propertyId }).lean();
+        const taxRules = await getModel(req, 'TaxRule').find({ property: propertyId }).select('name type rate isActive').lean();
+        const resolved = resolveLedgerMapping(mapping, req.tenant.property.name);
+
+        res.status(200).json({
+            mapping: mapping || null,
+            effective: {
+                ...resolved,
+                taxLedgers: Array.from(resolved.taxLedgers.values())
+            },
+            defaults: DEFAULT_LEDGERS,
+            taxRules
+        });
+    } catch (error) {
+        console.error('Error fetching ledger mapping:', error);
+        res.status(500).json({ message: 'Server error fetching ledger mapping.' });
+    }
+});
+
+// Create or update the ledger mapping
+router.put('/ledger-mapping', async (req, res) => {
+    try {
+        const mappingSchema = {
+            departmentLedgers: { custom: (val) => validateLedgerList(val, 'department', DEPARTMENTS) },
+            paymentLedgers: { custom: (val) => validateLedgerList(val, 'method', PAYMENT_METHODS) },
+            taxLedgers: { custom: validateTaxLedgers }
+        };
+        LEDGER_FIELDS.forEach(field => {
+            mappingSchema[field] = { type: 'string' };
+        });
+
+        const validation = validateAndSetDefaults(req.body, mappingSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const propertyId = getPropertyId(req);
+        const updates = validation.validated;
+        if (updates.taxLedgers) {
+            const ruleIds = updates.taxLedgers.map(entry => entry.taxRule);
+            const found = await getModel(req, 'TaxRule').countDocuments({ _id: { $in: ruleIds }, property: propertyId });
+            if (found !== ruleIds.length) {
+                return res.status(400).json({ message: 'taxLedgers refers to a tax rule that does not exist' });
+            }
+        }
+
+        const AccountingLedgerMapping = getModel(req, 'AccountingLedgerMapping');
+        const mapping = await AccountingLedgerMapping.findOne({ property: propertyId })
+            || new AccountingLedgerMapping({ property: propertyId });
+
+        LEDGER_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) {
+                mapping[field] = updates[field].trim();
+            }
+        });
+        ['departmentLedgers', 'paymentLedgers', 'taxLedgers'].forEach(field => {
+            if (updates[field] !== undefined) {
+                mapping[field] = updates[field];
+            }
+        });
+
+        await mapping.save();
+        res.status(200).json(mapping);
+    } catch (error) {
+        console.error('Error updating ledger mapping:', error);
+        res.status(500).json({ message: 'Server error updating ledger mapping.' });
+    }
+});
+
+// Preview the vouchers a date range would export, without recording anything
+router.post('/exports/preview', async (req, res) => {
+    try {
+        const range = getExportRange(req.body);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const { vouchers, warnings } = await collectVouchers(req.tenant.models, getPropertyId(req), range);
+        res.status(200).json({
+            ...summarizeVouchers(vouchers),
+            warnings,
+            vouchers: vouchers.map(({ sourceKey, sourceType, voucherType, voucherNumber, date, partyLedger, amount, narration, lines }) => ({
+                sourceKey, sourceType, voucherType, voucherNumber, date, partyLedger, amount, narration, lines
+            }))
+        });
+    } catch (error) {
+        console.error('Error previewing accounting export:', error);
+        res.status(500).json({ message: 'Server error previewing accounting export.' });
+    }
+});
+
+// Export the not yet exported vouchers for a date range as Tally XML
+router.post('/exports', async (req, res) => {
+    try {
+        const range = getExportRange(req.body);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const result = await exportVouchers(req.tenant.models, getPropertyId(req), {
+            ...range,
+            userId: req.user?.id
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const { xml, ...exportBatch } = result.exportBatch.toObject();
+        res.status(201).json({ export: exportBatch, xml });
+    } catch (error) {
+        console.error('Error exporting accounting vouchers:', error);
+        res.status(500).json({ message: 'Server error exporting accounting vouchers.' });
+    }
+});
+
+// List export runs
+router.get('/exports', async (req, res) => {
+    try {
+        const { page, limit, status } = validatePagination(req.query);
+        const query = { property: getPropertyId(req) };
+        if (status) {
+            query.status = status;
+        }
+
+        const AccountingExport = getModel(req, 'AccountingExport');
+        const [exports, total] = await Promise.all([
+            AccountingExport.find(query)
+                .populate('exportedBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            AccountingExport.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            exports,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error fetching accounting exports:', error);
+        res.status(500).json({ message: 'Server error fetching accounting exports.' });
+    }
+});
+
+// Download the Tally XML of an export run
+router.get('/exports/:id/xml', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid export ID format' });
+        }
+
+        const exportBatch = await getModel(req, 'AccountingExport')
+            .findOne({ _id: id, property: getPropertyId(req) })
+            .select('+xml')
+            .lean();
+        if (!exportBatch) {
+            return res.status(404).json({ message: 'Export not found.' });
+        }
+
+        const toKey = (date) => new Date(date).toISOString().split('T')[0];
+        res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="tally_vouchers_${toKey(exportBatch.fromDate)}_${toKey(exportBatch.toDate)}.xml"`);
+        res.status(200).send(exportBatch.xml);
+    } catch (error) {
+        console.error('Error downloading accounting export:', error);
+        res.status(500).json({ message: 'Server error downloading accounting export.' });
+    }
+});
+
+// Void an export run so its documents can be exported again (delete the vouchers in Tally first)
+router.post('/exports/:id/void', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid export ID format' });
+        }
+
+        const validation = validateAndSetDefaults(req.body || {}, {
+            reason: { type: 'string', default: '' }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const propertyId = getPropertyId(req);
+        const exportBatch = await getModel(req, 'AccountingExport').findOne({ _id: id, property: propertyId });
+        if (!exportBatch) {
+            return res.status(404).json({ message: 'Export not found.' });
+        }
+        if (exportBatch.status === 'voided') {
+            return res.status(400).json({ message: 'Export is already voided.' });
+        }
+
+        await getModel(req, 'AccountingExportEntry').deleteMany({ exportBatch: exportBatch._id, property: propertyId });
+        exportBatch.status = 'voided';
+        exportBatch.voidedAt = new Date();
+        exportBatch.voidedBy = req.user?.id;
+        exportBatch.voidReason = validation.validated.reason;
+        await exportBatch.save();
+
+        res.status(200).json(exportBatch);
+    } catch (error) {
+        console.error('Error voiding accounting export:', error);
+        res.status(500).json({ message: 'Server error voiding accounting export.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,193 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const { authenticate, requireModuleAccess } = require('../../middleware/auth');
+const { validateAndSetDefaults, validatePagination, normalizePaymentMethod, isValidObjectId } = require('../../utils/validation');
+const {
+    getOpenShift,
+    openShift,
+    getShiftReport,
+    closeShift,
+    generateShiftHandoverPdf
+} = require('../../services/cashierShiftService');
+
+const router = express.Router();
+router.use(bodyParser.json());
+router.use(authenticate);
+router.use(requireModuleAccess('billing-finance'));
+
+const getModel = (req, name) => req.tenant.models[name];
+const getPropertyId = (req) => req.tenant.property._id;
+
+// Managers see every cashier's shifts, cashiers their own
+const canSeeAllShifts = (req) => ['Admin', 'Manager'].includes(req.user?.role);
+
+const findShift = (req, id) => {
+    const query = { _id: id, property: getPropertyId(req) };
+    if (!canSeeAllShifts(req)) {
+        query.user = req.user.id;
+    }
+    return getModel(req, 'CashierShift').findOne(query);
+};
+
+// List shifts
+router.get('/', async (req, res) => {
+    try {
+        const { page, limit } = validatePagination(req.query);
+        const query = { property: getPropertyId(req) };
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+        if (!canSeeAllShifts(req)) {
+            query.user = req.user.id;
+        } else if (req.query.user && isValidObjectId(req.query.user)) {
+            query.user = req.query.user;
+        }
+
+        const CashierShift = getModel(req, 'CashierShift');
+        const [shifts, total] = await Promise.all([
+            CashierShift.find(query)
+                .sort({ openedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            CashierShift.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            shifts,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error fetching cashier shifts:', error);
+        res.status(500).json({ message: 'Server error fetching cashier shifts.' });
+    }
+});
+
+// The caller's open shift with its running totals - MUST be before /:id route
+router.get('/current', async (req, res) => {
+    try {
+        const propertyId = getPropertyId(req);
+        const shift = await getOpenShift(req.tenant.models, propertyId, req.user.id);
+        if (!shift) {
+            return res.status(404).json({ message: 'You have no open shift.' });
+        }
+
+        res.status(200).json(await getShiftReport(req.tenant.models, propertyId, shift));
+    } catch (error) {
+        console.error('Error fetching current cashier shift:', error);
+        res.status(500).json({ message: 'Server error fetching current cashier shift.' });
+    }
+});
+
+// Open a shift with a cash float
+router.post('/open', async (req, res) => {
+    try {
+        const openSchema = {
+            openingFloat: { type: 'number', min: 0, default: 0 },
+            notes: { type: 'string', default: '' }
+        };
+
+        const validation = validateAndSetDefaults(req.body || {}, openSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const result = await openShift(req.tenant, req.user, {
+            openingFloat: validation.validated.openingFloat,
+            notes: validation.validated.notes.trim()
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(201).json(result.shift);
+    } catch (error) {
+        console.error('Error opening cashier shift:', error);
+        res.status(500).json({ message: 'Server error opening cashier shift.' });
+    }
+});
+
+// Close a shift with the amounts counted per payment method
+router.post('/:id/close', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid shift ID format' });
+        }
+
+        const closeSchema = {
+            counted: { isArray: true, required: true },
+            notes: { type: 'string', default: '' },
+            handedOverTo: { type: 'string', default: '' }
+        };
+
+        const validation = validateAndSetDefaults(req.body || {}, closeSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const counted = validation.validated.counted.map(entry => ({
+            method: normalizePaymentMethod(entry?.method),
+            amount: Number(entry?.amount)
+        }));
+
+        const result = await closeShift(req.tenant, id, req.user, {
+            counted,
+            notes: validation.validated.notes.trim(),
+            handedOverTo: validation.validated.handedOverTo.trim()
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(200).json(result.report);
+    } catch (error) {
+        console.error('Error closing cashier shift:', error);
+        res.status(500).json({ message: 'Server error closing cashier shift.' });
+    }
+});
+
+// Handover slip of a shift
+router.get('/:id/pdf', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid shift ID format' });
+        }
+
+        const shift = await findShift(req, id);
+        if (!shift) {
+            return res.status(404).json({ message: 'Shift not found.' });
+        }
+
+        const pdf = await generateShiftHandoverPdf(req.tenant, shift);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Shift_Handover_${shift.shiftNumber}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error generating shift handover slip:', error);
+        res.status(500).json({ message: 'Server error generating shift handover slip.' });
+    }
+});
+
+// Shift report: expected vs counted per payment method, with its transactions
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid shift ID format' });
+        }
+
+        const shift = await findShift(req, id);
+        if (!shift) {
+            return res.status(404).json({ message: 'Shift not found.' });
+        }
+
+        res.status(200).json(await getShiftReport(req.tenant.models, getPropertyId(req), shift));
+    } catch (error) {
+        console.error('Error fetching cashier shift:', error);
+        res.status(500).json({ message: 'Server error fetching cashier shift.' });
+    }
+});
+
+module.exports = router;
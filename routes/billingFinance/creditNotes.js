@@ -0,0 +1,561 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const { authenticate, requireRole, requireModuleAccess } = require('../../middleware/auth');
+const { validateAndSetDefaults, validatePagination, normalizePaymentMethod, isValidObjectId } = require('../../utils/validation');
+const { getBillCreditSummary, issueCreditNote, recordRefund } = require('../../services/creditNoteService');
+const { amountInWords } = require('../../services/gstService');
+
+const router = express.Router();
+router.use(bodyParser.json());
+router.use(authenticate);
+router.use(requireModuleAccess('billing-finance'));
+
+const getModel = (req, name) => req.tenant.models[name];
+const getPropertyId = (req) => req.tenant.property._id;
+
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'];
+
+// Partial credit note lines: [{ itemId, amount? }], each bill item once
+const validateCreditItems = (items) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'items must be a non-empty array';
+    }
+    const seen = new Set();
+    for (const entry of items) {
+        if (!entry || !isValidObjectId(entry.itemId)) {
+            return 'Each item needs a valid itemId';
+        }
+        if (entry.amount !== undefined && (!isFinite(Number(entry.amount)) || Number(entry.amount) <= 0)) {
+            return 'Item amount must be a number greater than 0';
+        }
+        if (seen.has(String(entry.itemId))) {
+            return `Item ${entry.itemId} is listed more than once`;
+        }
+        seen.add(String(entry.itemId));
+    }
+    return true;
+};
+
+// Inclusive issue date filter from the query string
+const getDateFilter = (from, to) => {
+    const filter = {};
+    if (from && !isNaN(new Date(from).getTime())) {
+        filter.$gte = new Date(from);
+        filter.$gte.setHours(0, 0, 0, 0);
+    }
+    if (to && !isNaN(new Date(to).getTime())) {
+        filter.$lte = new Date(to);
+        filter.$lte.setHours(23, 59, 59, 999);
+    }
+    return Object.keys(filter).length > 0 ? filter : null;
+};
+
+// Credit notes, refunds and what is left to credit / refund on a bill
+router.get('/bills/:billId', async (req, res) => {
+    try {
+        const { billId } = req.params;
+        if (!isValidObjectId(billId)) {
+            return res.status(400).json({ message: 'Invalid bill ID format' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const bill = await getModel(req, 'Bill').findOne({ _id: billId, property: propertyId });
+        if (!bill) {
+            return res.status(404).json({ message: 'Bill not found.' });
+        }
+
+        res.status(200).json(await getBillCreditSummary(req.tenant.models, propertyId, bill));
+    } catch (error) {
+        console.error('Error fetching bill credit summary:', error);
+        res.status(500).json({ message: 'Server error fetching bill credit summary.' });
+    }
+});
+
+// List refunds - MUST be before /:id route
+router.get('/refunds', async (req, res) => {
+    try {
+        const { page, limit, search } = validatePagination(req.query);
+        const query = { property: getPropertyId(req) };
+        if (search) {
+            query.$or = [
+                { refundNumber: { $regex: search, $options: 'i' } },
+                { billId: { $regex: search, $options: 'i' } },
+                { guestName: { $regex: search, $options: 'i' } }
+            ];
+        }
+        const dateFilter = getDateFilter(req.query.from, req.query.to);
+        if (dateFilter) {
+            query.refundedAt = dateFilter;
+        }
+
+        const BillRefund = getModel(req, 'BillRefund');
+        const [refunds, total] = await Promise.all([
+            BillRefund.find(query)
+                .sort({ refundedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            BillRefund.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            refunds,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error fetching refunds:', error);
+        res.status(500).json({ message: 'Server error fetching refunds.' });
+    }
+});
+
+// Record a refund against a bill
+router.post('/refunds', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const refundSchema = {
+            billId: { type: 'string', required: true, isObjectId: true },
+            creditNoteId: { type: 'string', isObjectId: true },
+            amount: { type: 'number', required: true, min: 0.01 },
+            method: { type: 'string', required: true },
+            transactionId: { type: 'string', default: '' },
+            reason: { type: 'string', default: '' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, refundSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { billId, creditNoteId, amount, transactionId, reason } = validation.validated;
+        const method = normalizePaymentMethod(validation.validated.method);
+        if (!PAYMENT_METHODS.includes(method)) {
+            return res.status(400).json({ message: `method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+        }
+
+        const result = await recordRefund(req.tenant, {
+            billId,
+            creditNoteId,
+            amount,
+            method,
+            transactionId: transactionId.trim(),
+            reason: reason.trim(),
+            user: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(201).json(result.refund);
+    } catch (error) {
+        console.error('Error recording refund:', error);
+        res.status(500).json({ message: 'Server error recording refund.' });
+    }
+});
+
+// List credit notes
+router.get('/', async (req, res) => {
+    try {
+        const { page, limit, search } = validatePagination(req.query);
+        const query = { property: getPropertyId(req) };
+        if (search) {
+            query.$or = [
+                { creditNoteNumber: { $regex: search, $options: 'i' } },
+                { billId: { $regex: search, $options: 'i' } },
+                { guestName: { $regex: search, $options: 'i' } }
+            ];
+        }
+        const dateFilter = getDateFilter(req.query.from, req.query.to);
+        if (dateFilter) {
+            query.issuedAt = dateFilter;
+        }
+
+        const CreditNote = getModel(req, 'CreditNote');
+        const [creditNotes, total] = await Promise.all([
+            CreditNote.find(query)
+                .sort({ issuedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            CreditNote.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            creditNotes,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error fetching credit notes:', error);
+        res.status(500).json({ message: 'Server error fetching credit notes.' });
+    }
+});
+
+// Get a single credit note
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid credit note ID format' });
+        }
+
+        const creditNote = await getModel(req, 'CreditNote').findOne({ _id: id, property: getPropertyId(req) }).lean();
+        if (!creditNote) {
+            return res.status(404).json({ message: 'Credit note not found.' });
+        }
+
+        const refunds = await getModel(req, 'BillRefund').find({ creditNote: creditNote._id, property: getPropertyId(req) }).lean();
+        res.status(200).json({ ...creditNote, refunds });
+    } catch (error) {
+        console.error('Error fetching credit note:', error);
+        res.status(500).json({ message: 'Server error fetching credit note.' });
+    }
+});
+
+// Issue a credit note against a bill (whole bill, or part of some items)
+router.post('/', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const creditNoteSchema = {
+            billId: { type: 'string', required: true, isObjectId: true },
+            type: { type: 'string', required: true, enum: ['full', 'partial'] },
+            items: { custom: validateCreditItems },
+            reason: { type: 'string', required: true }
+        };
+
+        const validation = validateAndSetDefaults(req.body, creditNoteSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { billId, type, items, reason } = validation.validated;
+        if (!reason.trim()) {
+            return res.status(400).json({ message: 'reason is required' });
+        }
+        if (type === 'partial' && !items) {
+            return res.status(400).json({ message: 'items are required for a partial credit note' });
+        }
+
+        const result = await issueCreditNote(req.tenant, {
+            billId,
+            type,
+            items: type === 'partial'
+                ? items.map(entry => ({ itemId: entry.itemId, amount: entry.amount === undefined ? undefined : Number(entry.amount) }))
+                : undefined,
+            reason: reason.trim(),
+            user: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(201).json(result.creditNote);
+    } catch (error) {
+        console.error('Error issuing credit note:', error);
+        res.status(500).json({ message: 'Server error issuing credit note.' });
+    }
+});
+
+// Generate PDF for a credit note and optionally send via email
+router.post('/:id/generate-pdf', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { sendViaEmail } = req.body || {};
+        const propertyId = getPropertyId(req);
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid credit note ID format' });
+        }
+
+        const PropertyDetails = getModel(req, 'PropertyDetails');
+        const emailService = require('../../services/emailService');
+        const PDFDocument = require('pdfkit');
+        const fs = require('fs');
+        const path = require('path');
+
+        const creditNote = await getModel(req, 'CreditNote').findOne({ _id: id, property: propertyId });
+        if (!creditNote) {
+            return res.status(404).json({ message: 'Credit note not found' });
+        }
+
+        const propertyDetails = await PropertyDetails.findOne({ property: propertyId });
+
+        const doc = new PDFDocument({ margin: 50, size: 'A4' });
+        const pdfPath = path.join(__dirname, '../../temp', `credit_note_${creditNote.creditNoteNumber}_${Date.now()}.pdf`);
+
+        const tempDir = path.dirname(pdfPath);
+        if (!fs.existsSync(tempDir)) {
+            fs.mkdirSync(tempDir, { recursive: true });
+        }
+
+        const stream = fs.createWriteStream(pdfPath);
+        doc.pipe(stream);
+
+        // Colors
+        const primaryColor = '#0f5f9c';
+        const textColor = '#1f2a37';
+        const grayColor = '#6b7280';
+
+        const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const isInterState = creditNote.supplyType === 'inter';
+
+        // Header
+        doc.rect(0, 0, doc.page.width, 80).fill(primaryColor);
+        doc.fillColor('white')
+           .fontSize(24)
+           .font('Helvetica-Bold')
+           .text(propertyDetails?.propertyName || 'Hotel', 50, 30);
+
+        doc.fontSize(10)
+           .font('Helvetica')
+           .text('Credit Note', 50, 60);
+
+        let yPos = 100;
+
+        const ensureSpace = (height) => {
+            if (yPos + height > doc.page.height - 80) {
+                doc.addPage();
+                yPos = 50;
+            }
+        };
+
+        // Supplier and buyer
+        doc.fillColor(textColor)
+           .fontSize(10)
+           .font('Helvetica-Bold')
+           .text('Supplier', 50, yPos)
+           .text(creditNote.invoiceType === 'B2B' ? 'Buyer (B2B)' : 'Issued To', 300, yPos);
+
+        yPos += 15;
+        doc.font('Helvetica')
+           .fontSize(9)
+           .text(creditNote.supplier?.legalName || propertyDetails?.propertyName || '-', 50, yPos, { width: 230 })
+           .text(creditNote.buyer?.name || creditNote.guestName, 300, yPos, { width: 250 });
+        doc.fillColor(grayColor)
+           .text(`GSTIN: ${creditNote.supplier?.gstin || '-'}`, 50, yPos + 12)
+           .text(`State Code: ${creditNote.supplier?.stateCode || '-'}`, 50, yPos + 24)
+           .text(`GSTIN: ${creditNote.buyer?.gstin || 'Unregistered'}`, 300, yPos + 12)
+           .text(creditNote.buyer?.address || '', 300, yPos + 24, { width: 250 });
+
+        yPos += 50;
+
+        // Credit note info
+        doc.fillColor(textColor)
+           .fontSize(10)
+           .font('Helvetica-Bold')
+           .text('Credit Note Information', 50, yPos);
+
+        yPos += 20;
+        doc.font('Helvetica')
+           .fontSize(9)
+           .fillColor(grayColor)
+           .text('Credit Note No:', 50, yPos)
+           .text('Date:', 50, yPos + 15)
+           .text('Original Invoice:', 50, yPos + 30)
+           .text('Invoice Date:', 50, yPos + 45);
+
+        doc.fillColor(textColor)
+           .text(creditNote.creditNoteNumber, 140, yPos)
+           .text(new Date(creditNote.issuedAt).toLocaleDateString('en-GB'), 140, yPos + 15)
+           .text(creditNote.billId, 140, yPos + 30)
+           .text(creditNote.billDate ? new Date(creditNote.billDate).toLocaleDateString('en-GB') : '-', 140, yPos + 45);
+
+        doc.fillColor(grayColor)
+           .text('Guest Name:', 300, yPos)
+           .text('Folio ID:', 300, yPos + 15)
+           .text('Room Number:', 300, yPos + 30)
+           .text('Place of Supply:', 300, yPos + 45);
+
+        doc.fillColor(textColor)
+           .text(creditNote.guestName || '-', 400, yPos)
+           .text(creditNote.folioId || '-', 400, yPos + 15)
+           .text(creditNote.roomNumber || '-', 400, yPos + 30)
+           .text(`${creditNote.placeOfSupply || '-'} (${isInterState ? 'Inter-state' : 'Intra-state'})`, 400, yPos + 45);
+
+        yPos += 65;
+        doc.fillColor(grayColor)
+           .text('Reason:', 50, yPos);
+        doc.fillColor(textColor)
+           .text(creditNote.reason, 140, yPos, { width: 410 });
+        yPos += doc.heightOfString(creditNote.reason, { width: 410 }) + 15;
+
+        // Credited items
+        doc.font('Helvetica-Bold')
+           .fontSize(10)
+           .fillColor(textColor)
+           .text('Credited Items', 50, yPos);
+
+        yPos += 20;
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .fillColor('white')
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .text('Date', 55, yPos + 6)
+           .text('Description', 110, yPos + 6)
+           .text('SAC', 280, yPos + 6)
+           .text('Taxable', 320, yPos + 6, { width: 70, align: 'right' })
+           .text('GST %', 395, yPos + 6, { width: 35, align: 'right' })
+           .text('GST', 430, yPos + 6, { width: 55, align: 'right' })
+           .text('Amount', 485, yPos + 6, { width: 60, align: 'right' });
+
+        yPos += 25;
+        doc.fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(8);
+
+        creditNote.items.forEach(item => {
+            ensureSpace(15);
+            doc.text(item.date ? new Date(item.date).toLocaleDateString('en-GB') : '-', 55, yPos)
+               .text(item.description || '-', 110, yPos, { width: 165, height: 10, ellipsis: true })
+               .text(item.sacCode || '-', 280, yPos)
+               .text(formatAmount(item.taxableValue), 320, yPos, { width: 70, align: 'right' })
+               .text(`${item.taxRate || 0}%`, 395, yPos, { width: 35, align: 'right' })
+               .text(formatAmount(item.tax), 430, yPos, { width: 55, align: 'right' })
+               .text(formatAmount(item.amount), 485, yPos, { width: 60, align: 'right' });
+            yPos += 15;
+        });
+
+        yPos += 10;
+
+        // Tax reversed by SAC code and rate
+        ensureSpace(60);
+        doc.font('Helvetica-Bold')
+           .fontSize(10)
+           .fillColor(textColor)
+           .text('Tax Reversed', 50, yPos);
+
+        yPos += 20;
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .fillColor('white')
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .text('SAC', 55, yPos + 6)
+           .text('Rate', 130, yPos + 6)
+           .text('Taxable Value', 190, yPos + 6, { width: 90, align: 'right' });
+        if (isInterState) {
+            doc.text('IGST', 380, yPos + 6, { width: 80, align: 'right' });
+        } else {
+            doc.text('CGST', 290, yPos + 6, { width: 80, align: 'right' })
+               .text('SGST', 380, yPos + 6, { width: 80, align: 'right' });
+        }
+        doc.text('Total Tax', 465, yPos + 6, { width: 80, align: 'right' });
+
+        yPos += 25;
+        doc.fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(8);
+
+        (creditNote.gstSummary || []).forEach(row => {
+            ensureSpace(15);
+            doc.text(row.sacCode || '-', 55, yPos)
+               .text(`${row.gstRate || 0}%`, 130, yPos)
+               .text(formatAmount(row.taxableValue), 190, yPos, { width: 90, align: 'right' });
+            if (isInterState) {
+                doc.text(formatAmount(row.igst), 380, yPos, { width: 80, align: 'right' });
+            } else {
+                doc.text(formatAmount(row.cgst), 290, yPos, { width: 80, align: 'right' })
+                   .text(formatAmount(row.sgst), 380, yPos, { width: 80, align: 'right' });
+            }
+            doc.text(formatAmount((row.cgst || 0) + (row.sgst || 0) + (row.igst || 0)), 465, yPos, { width: 80, align: 'right' });
+            yPos += 15;
+        });
+
+        yPos += 20;
+
+        // Summary
+        const taxLines = isInterState
+            ? [['IGST:', creditNote.igstTotal]]
+            : [['CGST:', creditNote.cgstTotal], ['SGST:', creditNote.sgstTotal]];
+        const summaryLines = [['Taxable Value:', creditNote.taxableValue], ...taxLines, ['Credit Note Total:', creditNote.totalAmount]];
+        const boxHeight = 16 + summaryLines.length * 13;
+
+        ensureSpace(boxHeight + 20);
+        doc.rect(50, yPos, 500, boxHeight)
+           .stroke(primaryColor)
+           .lineWidth(1);
+
+        summaryLines.forEach(([label, value], index) => {
+            doc.font(label === 'Credit Note Total:' ? 'Helvetica-Bold' : 'Helvetica')
+               .fontSize(9)
+               .fillColor(grayColor)
+               .text(label, 55, yPos + 8 + index * 13);
+            doc.font('Helvetica-Bold')
+               .fillColor(textColor)
+               .text(formatAmount(value), 500, yPos + 8 + index * 13, { align: 'right' });
+        });
+
+        yPos += boxHeight + 7;
+        doc.font('Helvetica-Oblique')
+           .fontSize(8)
+           .fillColor(textColor)
+           .text(`Amount in words: ${amountInWords(creditNote.totalAmount)}`, 50, yPos, { width: 500 });
+
+        // Footer
+        const footerY = doc.page.height - 50;
+        doc.font('Helvetica')
+           .fontSize(8)
+           .fillColor(grayColor)
+           .text(propertyDetails?.address || '', 50, footerY)
+           .text(`Phone: ${propertyDetails?.phone || ''} | Email: ${propertyDetails?.email || ''}`, 50, footerY + 10);
+
+        if (propertyDetails?.gstin) {
+            doc.text(`GSTIN: ${propertyDetails.gstin}`, 50, footerY + 20);
+        }
+
+        doc.end();
+
+        await new Promise((resolve, reject) => {
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+        });
+
+        const results = {
+            pdfPath,
+            emailSent: false
+        };
+
+        if (sendViaEmail && creditNote.guestEmail) {
+            const emailSubject = `Credit Note ${creditNote.creditNoteNumber} - ${propertyDetails?.propertyName || 'Hotel'}`;
+            const emailHtml = `
+                <div style="font-family: Arial, sans-serif; padding: 20px;">
+                    <h2 style="color: #0f5f9c;">Credit Note ${creditNote.creditNoteNumber}</h2>
+                    <p>Dear ${creditNote.guestName},</p>
+                    <p>Please find attached a credit note against invoice ${creditNote.billId}.</p>
+                    <p><strong>Credit Amount:</strong> ${formatAmount(creditNote.totalAmount)}</p>
+                    <p><strong>Reason:</strong> ${creditNote.reason}</p>
+                    <p>Best regards,<br>${propertyDetails?.propertyName || 'Hotel'} Team</p>
+                </div>
+            `;
+
+            const emailResult = await emailService.sendEmail(
+                req.tenant,
+                creditNote.guestEmail,
+                emailSubject,
+                emailHtml,
+                {
+                    attachments: [{
+                        filename: `Credit_Note_${creditNote.creditNoteNumber}.pdf`,
+                        path: pdfPath
+                    }]
+                }
+            );
+
+            results.emailSent = emailResult.success;
+        }
+
+        // Delete after 1 minute
+        setTimeout(() => {
+            if (fs.existsSync(pdfPath)) {
+                fs.unlinkSync(pdfPath);
+            }
+        }, 60000);
+
+        res.status(200).json({
+            message: 'PDF generated successfully',
+            ...results
+        });
+    } catch (error) {
+        console.error('Error generating credit note PDF:', error);
+        res.status(500).json({ message: 'Server error generating credit note PDF', error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,7 +1,14 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { authenticate, requireModuleAccess } = require('../../middleware/auth');
+const { authenticate, requireRole, requireModuleAccess } = require('../../middleware/auth');
 const { validateAndSetDefaults, validatePagination, normalizePaymentMethod, isValidObjectId } = require('../../utils/validation');
+const { buildReservationCharges, buildAdvancePayments } = require('../../services/folioService');
+const { transferFolioEntries } = require('../../services/folioTransferService');
+const { getBusinessDate, toBusinessDay } = require('../../services/businessDateService');
+const { resolvePaymentShift, isClosedShift } = require('../../services/cashierShiftService');
+const { applyGstToItem, loadTaxRules, getGstSettings, applyTaxInvoiceToBill, validateBuyer, isValidStateCode, amountInWords } = require('../../services/gstService');
+const { SCHEMA_VERSION, E_INVOICE_ACK_SCHEMA, buildBillEInvoice, markExported, recordEInvoiceAck } = require('../../services/eInvoiceService');
+const { scheduleInvoiceReminders } = require('../../services/scheduledEmailService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -11,6 +18,88 @@ router.use(requireModuleAccess('billing-finance'));
 const getModel = (req, name) => req.tenant.models[name];
 const getPropertyId = (req) => req.tenant.property._id;
 
+const BALANCE_THRESHOLD = 0.01; // Allow 1 paisa difference for rounding
+const PAYER_TYPES = ['guest', 'city_ledger', 'travel_agent', 'paymaster'];
+
+// Request validation for a billing window number on a charge or payment
+const windowNumberRule = { custom: (val) => (Number.isInteger(Number(val)) && Number(val) >= 1) || 'window must be a billing window number' };
+
+// Open billing window of a folio, or an error message
+const getOpenWindow = (folio, windowNumber) => {
+    folio.ensureDefaultWindow();
+    const window = folio.windows.find(w => w.windowNumber === Number(windowNumber));
+    if (!window) {
+        return { error: `Billing window ${windowNumber} does not exist on this folio` };
+    }
+    if (window.status === 'settled') {
+        return { error: `Billing window ${windowNumber} is already settled` };
+    }
+    return { window };
+};
+
+// GST buyer details of a city ledger account
+const getAccountBuyer = (account) => ({
+    name: account.legalName || account.accountName,
+    gstin: account.gstin,
+    address: account.address,
+    city: account.city,
+    pincode: account.pincode,
+    stateCode: account.stateCode
+});
+
+/**
+ * Look up the payer of a billing window.
+ * city_ledger: payerId is the account. travel_agent: payerId is the agent; a
+ * post-paid agent is billed through cityLedgerAccountId. paymaster: payerId
+ * is an open paymaster room with an active folio.
+ *
+ * @returns {Promise<{ payerName, cityLedgerAccountId, buyer } | { error }>}
+ */
+const resolveWindowPayer = async (req, { payerType, payerId, payerName, cityLedgerAccountId }) => {
+    const propertyId = getPropertyId(req);
+    if (payerType === 'guest') {
+        return { payerName: payerName || '' };
+    }
+    if (!payerId || !isValidObjectId(payerId)) {
+        return { error: `payerId is required for a ${payerType} window` };
+    }
+
+    const findAccount = async (accountId) => getModel(req, 'CityLedgerAccount').findOne({
+        _id: accountId,
+        property: propertyId,
+        isActive: true
+    }).lean();
+
+    if (payerType === 'city_ledger') {
+        const account = await findAccount(payerId);
+        if (!account) {
+            return { error: 'City ledger account not found or inactive' };
+        }
+        return { payerName: account.accountName, cityLedgerAccountId: account._id, buyer: getAccountBuyer(account) };
+    }
+
+    if (payerType === 'travel_agent') {
+        const agent = await getModel(req, 'TravelAgent').findOne({ _id: payerId, property: propertyId, isActive: true }).lean();
+        if (!agent) {
+            return { error: 'Travel agent not found or inactive' };
+        }
+        if (!cityLedgerAccountId) {
+            return { payerName: agent.companyName };
+        }
+        const account = isValidObjectId(cityLedgerAccountId) ? await findAccount(cityLedgerAccountId) : null;
+        if (!account) {
+            return { error: 'City ledger account for the travel agent not found or inactive' };
+        }
+        return { payerName: agent.companyName, cityLedgerAccountId: account._id, buyer: getAccountBuyer(account) };
+    }
+
+    const paymaster = await getModel(req, 'PaymasterRoom').findOne({ _id: payerId, property: propertyId, status: 'open' }).lean();
+    if (!paymaster) {
+        return { error: 'Paymaster not found or closed' };
+    }
+    return { payerName: paymaster.name };
+};
+
 // Get all active folios
 router.get('/', async (req, res) => {
     try {
@@ -94,7 +183,6 @@ router.post('/', async (req, res) => {
         const propertyId = getPropertyId(req);
         const GuestFolio = getModel(req, 'GuestFolio');
         const Reservations = getModel(req, 'Reservations');
-        const Rooms = getModel(req, 'Rooms');
         
         // Check if folio already exists for this reservation
         const existingFolio = await GuestFolio.findOne({ 
@@ -118,219 +206,25 @@ router.post('/', async (req, res) => {
             : reservation.payedAmount || 0;
         const paymentMethod = normalizePaymentMethod(overridePaymentMethod || reservation.paymentMethod);
         
-        // Fetch RoomType, TaxRule, and ServiceFee models
-        const RoomType = getModel(req, 'RoomType');
-        const TaxRule = getModel(req, 'TaxRule');
-        const ServiceFee = getModel(req, 'ServiceFee');
-        
-        // Fetch RoomType to get priceModel and room name
-        let roomTypeData = null;
-        if (reservation.roomType) {
-            roomTypeData = await RoomType.findOne({
-                _id: reservation.roomType,
-                property: propertyId,
-            });
-        }
-        
         // Generate folio ID
         const folioId = await GuestFolio.generateFolioId(propertyId);
         
-        // Get room numbers from reservation or provided roomNumber/roomNumbers
-        let finalRoomNumbers = [];
-        if (reservation.roomNumbers && reservation.roomNumbers.length > 0) {
-            // If reservation has room IDs, fetch room numbers
-            const rooms = await Rooms.find({ _id: { $in: reservation.roomNumbers }, property: propertyId });
-            finalRoomNumbers = rooms.map(r => r.roomNumber);
-        } else if (roomNumbers && roomNumbers.length > 0) {
-            finalRoomNumbers = roomNumbers;
-        } else if (roomNumber) {
-            finalRoomNumbers = [roomNumber];
-        }
-        
-        // Create accommodation charge items based on priceModel
+        // Service fees now; room rent, meal plan and taxes are posted nightly by the night audit
+        // (provided roomNumber/roomNumbers are used when the reservation has no rooms yet)
         const checkIn = new Date(reservation.checkInDate);
         const checkOut = new Date(reservation.checkOutDate);
-        const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-        const roomTypeName = roomTypeData?.name || 'Room';
-        
-        const items = [];
-        const priceModel = roomTypeData?.priceModel || 'perRoom';
-        
-        if (priceModel === 'perPerson') {
-            // For perPerson: Single accommodation charge with total guests and room name
-            const adultCount = reservation.adultCount || reservation.numberOfAdults || reservation.adults || 0;
-            const childCount = reservation.childCount || reservation.numberOfChildren || reservation.children || 0;
-            const totalGuests = adultCount + childCount || reservation.totalGuest || 1;
-            
-            items.push({
-                description: `Accommodation - ${roomTypeName} (${totalGuests} Guest${totalGuests > 1 ? 's' : ''})`,
-                date: checkIn,
-                amount: reservation.totalAmount || 0,
-                department: 'Room',
-                quantity: 1,
-                unitPrice: reservation.totalAmount || 0
-            });
-        } else {
-            // For perRoom: Separate charges for each room
-            const numberOfRooms = finalRoomNumbers.length || reservation.numberOfRooms || 1;
-            const roomChargePerRoom = (reservation.totalAmount || 0) / numberOfRooms;
-            
-            if (finalRoomNumbers.length > 0) {
-                // If we have room numbers, create a charge for each room
-                finalRoomNumbers.forEach((roomNum, index) => {
-                    items.push({
-                        description: `Accommodation - ${roomTypeName} (Room ${roomNum})`,
-                        date: checkIn,
-                        amount: roomChargePerRoom,
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: roomChargePerRoom
-                    });
-                });
-            } else {
-                // If no room numbers yet, create charges based on numberOfRooms
-                for (let i = 0; i < numberOfRooms; i++) {
-                    items.push({
-                        description: `Accommodation - ${roomTypeName} (Room ${i + 1})`,
-                        date: checkIn,
-                        amount: roomChargePerRoom,
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: roomChargePerRoom
-                    });
-                }
-            }
-        }
-        
-        // Fetch active tax rules
-        const activeTaxRules = await TaxRule.find({
-            property: propertyId,
-            isActive: true
-        });
-        
-        // Calculate and add tax items
-        const accommodationTotal = reservation.totalAmount || 0;
-        activeTaxRules.forEach(taxRule => {
-            // Check if tax applies to room_rate or total_amount
-            if (taxRule.applicableOn === 'room_rate' || taxRule.applicableOn === 'total_amount' || taxRule.applicableOn === 'all') {
-                let taxAmount = 0;
-                if (taxRule.isPercentage) {
-                    taxAmount = (accommodationTotal * taxRule.rate) / 100;
-                } else {
-                    taxAmount = taxRule.rate;
-                }
-                
-                if (taxAmount > 0) {
-                    items.push({
-                        description: `${taxRule.name}${taxRule.isPercentage ? ` (${taxRule.rate}%)` : ''}`,
-                        date: checkIn,
-                        amount: taxAmount,
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: taxAmount,
-                        tax: 0 // Tax is already included in amount
-                    });
-                }
-            }
-        });
-        
-        // Fetch active service fees
-        const activeServiceFees = await ServiceFee.find({
-            property: propertyId,
-            isActive: true
-        });
-        
-        // Calculate guest count for per-person calculations
-        const adultCount = reservation.adultCount || reservation.numberOfAdults || reservation.adults || 0;
-        const childCount = reservation.childCount || reservation.numberOfChildren || reservation.children || 0;
-        const totalGuests = adultCount + childCount || reservation.totalGuest || 1;
-        const numberOfRooms = finalRoomNumbers.length || reservation.numberOfRooms || 1;
-        
-        // Calculate and add service fee items
-        activeServiceFees.forEach(serviceFee => {
-            let feeAmount = 0;
-            
-            if (serviceFee.applicableOn === 'per_night') {
-                // Per night: multiply by number of nights
-                if (serviceFee.isPercentage) {
-                    // Percentage of accommodation per night
-                    const accommodationPerNight = accommodationTotal / nights;
-                    feeAmount = (accommodationPerNight * serviceFee.amount) / 100 * nights;
-                } else {
-                    // Fixed amount per night
-                    feeAmount = serviceFee.amount * nights;
-                }
-            } else if (serviceFee.applicableOn === 'per_booking') {
-                // Per booking: one-time fee
-                if (serviceFee.isPercentage) {
-                    feeAmount = (accommodationTotal * serviceFee.amount) / 100;
-                } else {
-                    feeAmount = serviceFee.amount;
-                }
-            } else if (serviceFee.applicableOn === 'per_person') {
-                // Per person: multiply by total number of guests
-                if (serviceFee.isPercentage) {
-                    // Percentage of accommodation per person
-                    feeAmount = (accommodationTotal * serviceFee.amount) / 100;
-                } else {
-                    // Fixed amount per person
-                    feeAmount = serviceFee.amount * totalGuests;
-                }
-            } else if (serviceFee.applicableOn === 'per_person_per_night') {
-                // Per person per night: multiply by guests and nights
-                if (serviceFee.isPercentage) {
-                    // Percentage of accommodation per person per night
-                    const accommodationPerNight = accommodationTotal / nights;
-                    feeAmount = (accommodationPerNight * serviceFee.amount) / 100 * totalGuests * nights;
-                } else {
-                    // Fixed amount per person per night
-                    feeAmount = serviceFee.amount * totalGuests * nights;
-                }
-            } else if (serviceFee.applicableOn === 'room_rate' || serviceFee.applicableOn === 'total_amount') {
-                // Based on room rate or total amount
-                if (serviceFee.isPercentage) {
-                    feeAmount = (accommodationTotal * serviceFee.amount) / 100;
-                } else {
-                    feeAmount = serviceFee.amount;
-                }
-            }
-            
-            if (feeAmount > 0) {
-                let description = serviceFee.name;
-                if (serviceFee.isPercentage) {
-                    description += ` (${serviceFee.amount}%)`;
-                }
-                if (serviceFee.applicableOn === 'per_night') {
-                    description += ` - ${nights} night${nights > 1 ? 's' : ''}`;
-                } else if (serviceFee.applicableOn === 'per_person') {
-                    description += ` - ${totalGuests} guest${totalGuests > 1 ? 's' : ''}`;
-                } else if (serviceFee.applicableOn === 'per_person_per_night') {
-                    description += ` - ${totalGuests} guest${totalGuests > 1 ? 's' : ''} × ${nights} night${nights > 1 ? 's' : ''}`;
-                }
-                
-                items.push({
-                    description: description,
-                    date: checkIn,
-                    amount: feeAmount,
-                    department: 'Room',
-                    quantity: 1,
-                    unitPrice: feeAmount,
-                    tax: 0
-                });
-            }
-        });
+        const fallbackRoomNumbers = roomNumbers && roomNumbers.length > 0
+            ? roomNumbers
+            : (roomNumber ? [roomNumber] : []);
+        const { items, roomNumbers: finalRoomNumbers } = await buildReservationCharges(
+            req.tenant.models,
+            propertyId,
+            reservation,
+            { fallbackRoomNumbers, nightlyPosting: true }
+        );
         
-        // Create initial payment if advance amount exists
-        const payments = [];
-        if (payedAmount && payedAmount > 0) {
-            payments.push({
-                date: new Date(),
-                method: paymentMethod,
-                amount: payedAmount,
-                transactionId: `ADV-${reservation._id}`,
-                notes: 'Advance payment'
-            });
-        }
+        // Deposits and advance already paid
+        const payments = buildAdvancePayments(reservation, { payedAmount, paymentMethod });
         
         // Create folio
         const newFolio = new GuestFolio({
@@ -345,6 +239,7 @@ router.post('/', async (req, res) => {
             checkOut: checkOut,
             items: items,
             payments: payments,
+            roomPosting: 'nightly',
             status: 'active',
             property: propertyId
         });
@@ -377,9 +272,13 @@ router.post('/:id/charges', async (req, res) => {
             department: { type: 'string', default: 'Other' },
             quantity: { type: 'number', default: 1, min: 1 },
             unitPrice: { type: 'number', min: 0 },
-            tax: { type: 'number', default: 0, min: 0 },
+            // Per-unit tax; when omitted, GST is worked out from the active tax rules
+            tax: { type: 'number', min: 0 },
             discount: { type: 'number', default: 0, min: 0 },
-            notes: { type: 'string', default: '' }
+            sacCode: { type: 'string' },
+            notes: { type: 'string', default: '' },
+            // Billing window; when omitted the folio's routing rules decide
+            window: windowNumberRule
         };
 
         const validation = validateAndSetDefaults(req.body, chargeSchema);
@@ -401,19 +300,32 @@ router.post('/:id/charges', async (req, res) => {
             return res.status(404).json({ message: "Folio not found." });
         }
         
-        const { description, date, amount, department, quantity, unitPrice, tax, discount, notes } = validation.validated;
+        const { description, date, amount, department, quantity, unitPrice, tax, discount, sacCode, notes, window } = validation.validated;
+        if (window !== undefined) {
+            const { error } = getOpenWindow(folio, window);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+        }
         
-        folio.items.push({
+        const charge = {
             description,
             date: date ? new Date(date) : new Date(),
+            businessDate: await getBusinessDate(req.tenant.models, getPropertyId(req)),
             amount: amount || 0,
             department: department || 'Other',
             quantity: quantity || 1,
             unitPrice: unitPrice || amount || 0,
             tax: tax || 0,
             discount: discount || 0,
-            notes
-        });
+            sacCode,
+            notes,
+            window: window !== undefined ? Number(window) : folio.getRoutedWindow({ description, department: department || 'Other' })
+        };
+        if (tax === undefined) {
+            applyGstToItem(charge, await loadTaxRules(req.tenant.models, getPropertyId(req)));
+        }
+        folio.items.push(charge);
         
         folio.calculateBalance();
         await folio.save();
@@ -471,7 +383,8 @@ router.post('/:id/payments', async (req, res) => {
             method: { type: 'string', default: 'Cash' },
             amount: { type: 'number', required: true, min: 0 },
             transactionId: { type: 'string', default: '' },
-            notes: { type: 'string', default: '' }
+            notes: { type: 'string', default: '' },
+            window: { ...windowNumberRule, default: 1 }
         };
 
         const validation = validateAndSetDefaults(req.body, paymentSchema);
@@ -491,13 +404,26 @@ router.post('/:id/payments', async (req, res) => {
             return res.status(404).json({ message: "Folio not found." });
         }
         
-        const { date, method, amount, transactionId, notes } = validation.validated;
+        const { date, method, amount, transactionId, notes, window } = validation.validated;
+        const { error: windowError } = getOpenWindow(folio, window);
+        if (windowError) {
+            return res.status(400).json({ message: windowError });
+        }
+
+        // Taken in the cashier's open shift
+        const shiftResult = await resolvePaymentShift(req.tenant.models, getPropertyId(req), req.user);
+        if (shiftResult.error) {
+            return res.status(shiftResult.status).json({ message: shiftResult.error });
+        }
         
         folio.payments.push({
             date: date ? new Date(date) : new Date(),
             method: normalizePaymentMethod(method),
             amount: amount || 0,
             transactionId,
+            window: Number(window),
+            businessDate: await getBusinessDate(req.tenant.models, getPropertyId(req)),
+            shift: shiftResult.shift,
             notes
         });
         
@@ -554,13 +480,18 @@ router.put('/:id', async (req, res) => {
             guestEmail: { type: 'string' },
             guestPhone: { type: 'string' },
             roomNumber: { type: 'string' },
-            roomNumbers: { isArray: true }
+            roomNumbers: { isArray: true },
+            // Buyer for a B2B tax invoice: { name, gstin, address, stateCode }
+            buyer: { custom: (val) => validateBuyer(val) || true }
         };
 
         const validation = validateAndSetDefaults(req.body, updateSchema);
         if (!validation.isValid) {
             return res.status(400).json({ message: validation.errors.join(', ') });
         }
+        if (validation.validated.buyer?.gstin) {
+            validation.validated.buyer.gstin = validation.validated.buyer.gstin.trim().toUpperCase();
+        }
 
         const updates = { ...validation.validated };
         delete updates.property;
@@ -585,6 +516,367 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+// Get the billing windows of a folio with their balances, and its routing rules
+router.get('/:id/windows', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const GuestFolio = getModel(req, 'GuestFolio');
+        const folio = await GuestFolio.findOne({ _id: id, property: getPropertyId(req) });
+        if (!folio) {
+            return res.status(404).json({ message: "Folio not found." });
+        }
+
+        const balances = folio.getWindowBalances();
+        res.status(200).json({
+            windows: folio.windows.map(window => ({
+                ...window.toObject(),
+                ...balances.find(balance => balance.windowNumber === window.windowNumber)
+            })),
+            routingRules: folio.routingRules
+        });
+    } catch (error) {
+        console.error('Error fetching billing windows:', error);
+        res.status(500).json({ message: "Server error fetching billing windows." });
+    }
+});
+
+// Add a billing window with its own payer
+router.post('/:id/windows', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const windowSchema = {
+            name: { type: 'string' },
+            payerType: { type: 'string', required: true, enum: PAYER_TYPES },
+            payerId: { type: 'string', isObjectId: true },
+            payerName: { type: 'string' },
+            cityLedgerAccountId: { type: 'string', isObjectId: true },
+            // Buyer for this window's B2B tax invoice (defaults to the city ledger account's GST details)
+            buyer: { custom: (val) => validateBuyer(val) || true }
+        };
+
+        const validation = validateAndSetDefaults(req.body, windowSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const GuestFolio = getModel(req, 'GuestFolio');
+        const folio = await GuestFolio.findOne({ _id: id, property: getPropertyId(req), status: 'active' });
+        if (!folio) {
+            return res.status(404).json({ message: "Active folio not found." });
+        }
+
+        const payer = await resolveWindowPayer(req, validation.validated);
+        if (payer.error) {
+            return res.status(400).json({ message: payer.error });
+        }
+        if (validation.validated.payerType === 'paymaster' && String(folio.paymasterId) === String(validation.validated.payerId)) {
+            return res.status(400).json({ message: 'A paymaster folio cannot bill a window to itself' });
+        }
+
+        folio.ensureDefaultWindow();
+        const windowNumber = Math.max(...folio.windows.map(window => window.windowNumber)) + 1;
+        const buyer = validation.validated.buyer || payer.buyer;
+        folio.windows.push({
+            windowNumber,
+            name: validation.validated.name || payer.payerName || `Window ${windowNumber}`,
+            payerType: validation.validated.payerType,
+            payerId: validation.validated.payerType === 'guest' ? undefined : validation.validated.payerId,
+            payerName: payer.payerName,
+            cityLedgerAccountId: payer.cityLedgerAccountId,
+            buyer: buyer?.gstin ? { ...buyer, gstin: buyer.gstin.trim().toUpperCase() } : buyer
+        });
+        await folio.save();
+
+        res.status(201).json(folio);
+    } catch (error) {
+        console.error('Error adding billing window:', error);
+        res.status(500).json({ message: "Server error adding billing window." });
+    }
+});
+
+// Update a billing window's name, payer or buyer
+router.put('/:id/windows/:windowNumber', async (req, res) => {
+    try {
+        const { id, windowNumber } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const windowSchema = {
+            name: { type: 'string' },
+            payerType: { type: 'string', enum: PAYER_TYPES },
+            payerId: { type: 'string', isObjectId: true },
+            payerName: { type: 'string' },
+            cityLedgerAccountId: { type: 'string', isObjectId: true },
+            buyer: { custom: (val) => validateBuyer(val) || true }
+        };
+
+        const validation = validateAndSetDefaults(req.body, windowSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const GuestFolio = getModel(req, 'GuestFolio');
+        const folio = await GuestFolio.findOne({ _id: id, property: getPropertyId(req), status: 'active' });
+        if (!folio) {
+            return res.status(404).json({ message: "Active folio not found." });
+        }
+
+        const { window, error } = getOpenWindow(folio, windowNumber);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const updates = validation.validated;
+        if (window.windowNumber === 1 && updates.payerType && updates.payerType !== 'guest') {
+            return res.status(400).json({ message: "Billing window 1 is the guest's own window" });
+        }
+
+        // Changing the payer: look the new one up again
+        if (updates.payerType || updates.payerId || updates.cityLedgerAccountId) {
+            const payerType = updates.payerType || window.payerType;
+            const samePayer = payerType === window.payerType && !updates.payerId;
+            const payerId = updates.payerId || (payerType === window.payerType ? window.payerId : undefined);
+            const payer = await resolveWindowPayer(req, {
+                payerType,
+                payerId,
+                payerName: updates.payerName || window.payerName,
+                cityLedgerAccountId: updates.cityLedgerAccountId || (samePayer ? window.cityLedgerAccountId : undefined)
+            });
+            if (payer.error) {
+                return res.status(400).json({ message: payer.error });
+            }
+            if (payerType === 'paymaster' && String(folio.paymasterId) === String(payerId)) {
+                return res.status(400).json({ message: 'A paymaster folio cannot bill a window to itself' });
+            }
+            window.payerType = payerType;
+            window.payerId = payerType === 'guest' ? undefined : payerId;
+            window.payerName = payer.payerName;
+            window.cityLedgerAccountId = payer.cityLedgerAccountId;
+            if (!updates.buyer && payer.buyer) {
+                window.buyer = payer.buyer;
+            }
+        } else if (updates.payerName !== undefined && window.payerType === 'guest') {
+            window.payerName = updates.payerName;
+        }
+        if (updates.name !== undefined) {
+            window.name = updates.name;
+        }
+        if (updates.buyer) {
+            window.buyer = updates.buyer.gstin
+                ? { ...updates.buyer, gstin: updates.buyer.gstin.trim().toUpperCase() }
+                : updates.buyer;
+        }
+        await folio.save();
+
+        res.status(200).json(folio);
+    } catch (error) {
+        console.error('Error updating billing window:', error);
+        res.status(500).json({ message: "Server error updating billing window." });
+    }
+});
+
+// Remove a billing window; its charges and payments go back to window 1
+router.delete('/:id/windows/:windowNumber', async (req, res) => {
+    try {
+        const { id, windowNumber } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const GuestFolio = getModel(req, 'GuestFolio');
+        const folio = await GuestFolio.findOne({ _id: id, property: getPropertyId(req), status: 'active' });
+        if (!folio) {
+            return res.status(404).json({ message: "Active folio not found." });
+        }
+
+        const { window, error } = getOpenWindow(folio, windowNumber);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (window.windowNumber === 1) {
+            return res.status(400).json({ message: "Billing window 1 is the guest's own window and cannot be removed" });
+        }
+
+        folio.items.forEach(item => {
+            if (item.window === window.windowNumber) {
+                item.window = 1;
+            }
+        });
+        folio.payments.forEach(payment => {
+            if (payment.window === window.windowNumber) {
+                payment.window = 1;
+            }
+        });
+        folio.routingRules = folio.routingRules.filter(rule => rule.window !== window.windowNumber);
+        folio.windows.pull(window._id);
+        await folio.save();
+
+        res.status(200).json(folio);
+    } catch (error) {
+        console.error('Error removing billing window:', error);
+        res.status(500).json({ message: "Server error removing billing window." });
+    }
+});
+
+// Replace the routing rules; optionally re-route the charges already on the folio
+router.put('/:id/routing-rules', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const rulesSchema = {
+            // [{ department, descriptionContains, window }], first match wins
+            rules: { required: true, isArray: true },
+            applyToExisting: { type: 'boolean', default: false }
+        };
+
+        const validation = validateAndSetDefaults(req.body, rulesSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const GuestFolio = getModel(req, 'GuestFolio');
+        const folio = await GuestFolio.findOne({ _id: id, property: getPropertyId(req), status: 'active' });
+        if (!folio) {
+            return res.status(404).json({ message: "Active folio not found." });
+        }
+
+        const departments = ['Room', 'F&B', 'Spa', 'Laundry', 'Other'];
+        const rules = [];
+        for (const [index, rule] of validation.validated.rules.entries()) {
+            if (!rule || typeof rule !== 'object') {
+                return res.status(400).json({ message: `rules[${index}] must be an object` });
+            }
+            if (rule.department && !departments.includes(rule.department)) {
+                return res.status(400).json({ message: `rules[${index}].department must be one of: ${departments.join(', ')}` });
+            }
+            const descriptionContains = typeof rule.descriptionContains === 'string' ? rule.descriptionContains.trim() : '';
+            if (!rule.department && !descriptionContains) {
+                return res.status(400).json({ message: `rules[${index}] needs a department or descriptionContains` });
+            }
+            const { error } = getOpenWindow(folio, rule.window);
+            if (error) {
+                return res.status(400).json({ message: `rules[${index}]: ${error}` });
+            }
+            rules.push({
+                department: rule.department || undefined,
+                descriptionContains: descriptionContains || undefined,
+                window: Number(rule.window)
+            });
+        }
+
+        folio.routingRules = rules;
+        if (validation.validated.applyToExisting) {
+            folio.items.forEach(item => {
+                item.window = folio.getRoutedWindow(item);
+            });
+        }
+        await folio.save();
+
+        res.status(200).json(folio);
+    } catch (error) {
+        console.error('Error updating routing rules:', error);
+        res.status(500).json({ message: "Server error updating routing rules." });
+    }
+});
+
+// Transfer request shared by the charge and payment transfer routes
+const transferSchema = (idsKey) => ({
+    toFolioId: { type: 'string', required: true, isObjectId: true },
+    [idsKey]: {
+        required: true,
+        isArray: true,
+        custom: (val) => (Array.isArray(val) && val.length > 0 && val.every(isValidObjectId)) || `${idsKey} must be a non-empty list of IDs`
+    },
+    reason: { type: 'string', required: true },
+    // Billing window on the target folio (charges default to its routing rules, payments to window 1)
+    window: windowNumberRule
+});
+
+const handleTransfer = (entryType, idsKey) => async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const validation = validateAndSetDefaults(req.body, transferSchema(idsKey));
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+        const { toFolioId, reason, window } = validation.validated;
+        if (!reason.trim()) {
+            return res.status(400).json({ message: 'reason is required' });
+        }
+
+        const result = await transferFolioEntries(req.tenant, {
+            sourceFolioId: id,
+            targetFolioId: toFolioId,
+            entryType,
+            entryIds: validation.validated[idsKey],
+            reason: reason.trim(),
+            window,
+            user: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(200).json({
+            transferId: result.transferId,
+            fromFolio: result.source,
+            toFolio: result.target
+        });
+    } catch (error) {
+        console.error(`Error transferring ${entryType}s:`, error);
+        res.status(500).json({ message: `Server error transferring ${entryType}s.` });
+    }
+};
+
+// Move charges to another active folio (e.g. a guest paying for a friend's room, a wrong-room posting)
+router.post('/:id/transfers/charges', handleTransfer('charge', 'chargeIds'));
+
+// Move payments to another active folio; moving money between guests needs a manager
+router.post('/:id/transfers/payments', requireRole('Admin', 'Manager'), handleTransfer('payment', 'paymentIds'));
+
+// Transfer history of a folio (both directions)
+router.get('/:id/transfers', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid folio ID format' });
+        }
+
+        const GuestFolio = getModel(req, 'GuestFolio');
+        const folio = await GuestFolio.findOne({ _id: id, property: getPropertyId(req) })
+            .select('folioId guestName transfers')
+            .lean();
+        if (!folio) {
+            return res.status(404).json({ message: "Folio not found." });
+        }
+
+        res.status(200).json({
+            folioId: folio.folioId,
+            guestName: folio.guestName,
+            transfers: (folio.transfers || []).sort((a, b) => new Date(b.transferredAt) - new Date(a.transferredAt))
+        });
+    } catch (error) {
+        console.error('Error fetching folio transfers:', error);
+        res.status(500).json({ message: "Server error fetching folio transfers." });
+    }
+});
+
 // Settle and checkout - Archive folio to permanent bills
 router.post('/:id/checkout', async (req, res) => {
     try {
@@ -595,6 +887,16 @@ router.post('/:id/checkout', async (req, res) => {
             return res.status(400).json({ message: 'Invalid folio ID format' });
         }
         
+        // Optional tax invoice details: buyer { name, gstin, address, stateCode } and place of supply
+        const buyerError = validateBuyer(req.body?.buyer);
+        if (buyerError) {
+            return res.status(400).json({ message: buyerError });
+        }
+        const placeOfSupply = req.body?.placeOfSupply;
+        if (placeOfSupply && !isValidStateCode(placeOfSupply)) {
+            return res.status(400).json({ message: 'placeOfSupply must be a two digit GST state code' });
+        }
+        
         const propertyId = getPropertyId(req);
         const GuestFolio = getModel(req, 'GuestFolio');
         const Bill = getModel(req, 'Bill');
@@ -607,53 +909,97 @@ router.post('/:id/checkout', async (req, res) => {
         if (!folio) {
             return res.status(404).json({ message: "Folio not found." });
         }
+        if (folio.status !== 'active') {
+            return res.status(400).json({ message: "Folio is already checked out." });
+        }
         
-        // Calculate final balance
+        // Each billing window is settled by its payer: guest windows (and prepaid
+        // travel agents) must be paid up, city ledger windows are invoiced to the
+        // account and paymaster windows are carried to the paymaster's folio
         folio.calculateBalance();
+        const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+        const settlements = new Map();
+        for (const window of folio.ensureDefaultWindow()) {
+            if (window.status === 'settled') {
+                continue;
+            }
+            if (window.cityLedgerAccountId && (window.payerType === 'city_ledger' || window.payerType === 'travel_agent')) {
+                const account = await CityLedgerAccount.findOne({ _id: window.cityLedgerAccountId, property: propertyId, isActive: true });
+                if (!account) {
+                    return res.status(400).json({ message: `City ledger account for billing window ${window.windowNumber} (${window.name}) not found or inactive.` });
+                }
+                settlements.set(window.windowNumber, { type: 'city_ledger', account });
+            } else if (window.payerType === 'paymaster') {
+                const paymasterFolio = await GuestFolio.findOne({ paymasterId: window.payerId, property: propertyId, status: 'active' });
+                if (!paymasterFolio) {
+                    return res.status(400).json({ message: `Paymaster for billing window ${window.windowNumber} (${window.name}) has no active folio.` });
+                }
+                settlements.set(window.windowNumber, { type: 'paymaster', paymasterFolio });
+            } else {
+                settlements.set(window.windowNumber, { type: 'paid' });
+            }
+        }
         
-        // Check if balance is settled (allow small rounding differences)
-        const balanceThreshold = 0.01; // Allow 1 paisa difference for rounding
-        if (folio.balance > balanceThreshold) {
+        // Guest-paid windows must be settled (allow small rounding differences)
+        const findUnpaidWindow = () => folio.getWindowBalances()
+            .find(window => settlements.get(window.windowNumber)?.type === 'paid' && window.balance > BALANCE_THRESHOLD);
+        let unpaidWindow = findUnpaidWindow();
+        if (unpaidWindow) {
             return res.status(400).json({ 
-                message: `Cannot checkout with outstanding balance of ₹${folio.balance.toFixed(2)}. Please settle the balance first.` 
+                message: `Cannot checkout with outstanding balance of ₹${unpaidWindow.balance.toFixed(2)}${folio.windows.length > 1 ? ` on billing window ${unpaidWindow.windowNumber} (${unpaidWindow.name})` : ''}. Please settle the balance first.` 
             });
         }
         
+        // A checkout that failed part way already saved its adjustments with the first bill
+        const isResumedCheckout = folio.windows.some(window => window.status === 'settled');
+        
         // Handle early checkout - adjust charges if checkout is before scheduled check-out date
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const scheduledCheckOut = new Date(folio.checkOut);
-        scheduledCheckOut.setHours(0, 0, 0, 0);
+        // (nightly posted folios were never charged for the nights not stayed)
+        const today = await getBusinessDate(req.tenant.models, getPropertyId(req));
+        const scheduledCheckOut = toBusinessDay(folio.checkOut);
         
-        if (today < scheduledCheckOut) {
+        if (today < scheduledCheckOut && folio.roomPosting !== 'nightly' && !isResumedCheckout) {
             // Early checkout - calculate refund for unused nights
             const nightsUsed = Math.ceil((today.getTime() - new Date(folio.checkIn).getTime()) / (1000 * 60 * 60 * 24));
             const scheduledNights = Math.ceil((scheduledCheckOut.getTime() - new Date(folio.checkIn).getTime()) / (1000 * 60 * 60 * 24));
             const unusedNights = scheduledNights - nightsUsed;
             
             if (unusedNights > 0) {
-                // Calculate refund amount (proportional to accommodation charges)
-                const accommodationCharges = folio.items
-                    .filter(item => item.description.toLowerCase().includes('accommodation'))
-                    .reduce((sum, item) => sum + (item.amount * (item.quantity || 1)), 0);
+                // Calculate refund amount (proportional to accommodation charges), in the billing window that was charged
+                const accommodationItems = folio.items
+                    .filter(item => item.description.toLowerCase().includes('accommodation'));
+                const accommodationWindows = [...new Set(accommodationItems.map(item => item.window || 1))];
                 
-                const refundAmount = (accommodationCharges / scheduledNights) * unusedNights;
-                
-                // Add refund as a negative charge or payment adjustment
-                if (refundAmount > 0) {
-                    folio.items.push({
-                        description: `Early Checkout Refund (${unusedNights} unused night${unusedNights > 1 ? 's' : ''})`,
-                        date: today,
-                        amount: -refundAmount, // Negative amount for refund
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: -refundAmount
-                    });
+                accommodationWindows.forEach(windowNumber => {
+                    const windowItems = accommodationItems.filter(item => (item.window || 1) === windowNumber);
+                    const accommodationCharges = windowItems
+                        .reduce((sum, item) => sum + (item.amount * (item.quantity || 1)), 0);
+                    const accommodationTax = windowItems
+                        .reduce((sum, item) => sum + ((item.tax || 0) * (item.quantity || 1)), 0);
                     
-                    // Recalculate balance after refund
-                    folio.calculateBalance();
-                    console.log(`Early checkout detected: Refund of ₹${refundAmount.toFixed(2)} for ${unusedNights} unused night(s)`);
-                }
+                    const refundAmount = (accommodationCharges / scheduledNights) * unusedNights;
+                    // GST charged on the unused nights is reversed with the refund
+                    const refundTax = Math.round((accommodationTax / scheduledNights) * unusedNights * 100) / 100;
+                    
+                    // Add refund as a negative charge or payment adjustment
+                    if (refundAmount > 0) {
+                        folio.items.push({
+                            description: `Early Checkout Refund (${unusedNights} unused night${unusedNights > 1 ? 's' : ''})`,
+                            date: today,
+                            amount: -refundAmount, // Negative amount for refund
+                            department: 'Room',
+                            quantity: 1,
+                            unitPrice: -refundAmount,
+                            tax: -refundTax,
+                            taxRate: accommodationCharges ? Math.round((accommodationTax / accommodationCharges) * 10000) / 100 : 0,
+                            window: windowNumber
+                        });
+                        console.log(`Early checkout detected: Refund of ₹${refundAmount.toFixed(2)} for ${unusedNights} unused night(s)`);
+                    }
+                });
+                
+                // Recalculate balance after refund
+                folio.calculateBalance();
             }
         }
         
@@ -664,7 +1010,7 @@ router.post('/:id/checkout', async (req, res) => {
         scheduledCheckOutTime.setHours(11, 0, 0, 0);
         
         // Check if checkout is after scheduled checkout time (e.g., after 11 AM)
-        if (checkOutTime > scheduledCheckOutTime) {
+        if (checkOutTime > scheduledCheckOutTime && !isResumedCheckout) {
             const PropertyDetails = getModel(req, 'PropertyDetails');
             const propertyDetails = await PropertyDetails.findOne({
                 property: propertyId,
@@ -683,14 +1029,14 @@ router.post('/:id/checkout', async (req, res) => {
                 }
                 
                 if (feeAmount > 0) {
-                    folio.items.push({
+                    folio.items.push(applyGstToItem({
                         description: `Late Checkout Fee`,
                         date: checkOutTime,
                         amount: feeAmount,
                         department: 'Room',
                         quantity: 1,
                         unitPrice: feeAmount
-                    });
+                    }, await loadTaxRules(req.tenant.models, propertyId)));
                     
                     folio.calculateBalance();
                     console.log(`Late checkout fee added: ₹${feeAmount.toFixed(2)}`);
@@ -698,19 +1044,16 @@ router.post('/:id/checkout', async (req, res) => {
             }
         }
         
-        // Final balance check after adjustments
-        if (folio.balance > balanceThreshold) {
+        // Final balance check after adjustments (late fees follow the routing rules)
+        unpaidWindow = findUnpaidWindow();
+        if (unpaidWindow) {
             return res.status(400).json({ 
-                message: `Cannot checkout with outstanding balance of ₹${folio.balance.toFixed(2)} after adjustments. Please settle the balance first.` 
+                message: `Cannot checkout with outstanding balance of ₹${unpaidWindow.balance.toFixed(2)}${folio.windows.length > 1 ? ` on billing window ${unpaidWindow.windowNumber} (${unpaidWindow.name})` : ''} after adjustments. Please settle the balance first.` 
             });
         }
         
-        // Generate bill ID
-        const billId = await Bill.generateBillId(propertyId);
-        
-        // Create permanent bill from folio
-        const billData = {
-            billId,
+        // Fields shared by the bill of every billing window
+        const billBase = {
             folioId: folio.folioId,
             guestName: folio.guestName,
             guestEmail: folio.guestEmail,
@@ -719,42 +1062,175 @@ router.post('/:id/checkout', async (req, res) => {
             roomNumbers: folio.roomNumbers,
             checkIn: folio.checkIn,
             checkOut: folio.checkOut,
-            items: folio.items,
-            payments: folio.payments,
-            totalCharges: folio.totalCharges,
-            totalPayments: folio.totalPayments,
-            finalBalance: folio.balance,
-            checkoutDate: new Date(),
-            archivedAt: new Date(),
             property: propertyId
         };
         
         // Handle paymaster vs guest folio
+        let paymaster = null;
         if (folio.paymasterId) {
-            billData.paymasterId = folio.paymasterId;
+            billBase.paymasterId = folio.paymasterId;
             // For paymaster invoices, use paymaster name
             const PaymasterRoom = getModel(req, 'PaymasterRoom');
-            const paymaster = await PaymasterRoom.findOne({
+            paymaster = await PaymasterRoom.findOne({
                 _id: folio.paymasterId,
                 property: propertyId
             });
             if (paymaster) {
-                billData.guestName = paymaster.name; // Use paymaster name
-                // Update paymaster status to closed
-                paymaster.status = 'closed';
-                await paymaster.save();
+                billBase.guestName = paymaster.name; // Use paymaster name
             }
         } else {
-            billData.reservationId = folio.reservationId;
-            // Update reservation status to checked-out
-            if (folio.reservationId) {
-                await Reservations.findOneAndUpdate(
-                    { _id: folio.reservationId, property: propertyId },
-                    { status: 'checked-out' }
-                );
+            billBase.reservationId = folio.reservationId;
+        }
+        
+        // One bill per billing window with something posted to it (window 1 for an empty folio).
+        // Each bill is saved together with its settled window and what it posts to the payer,
+        // so a checkout that fails part way can be retried without billing a window twice.
+        const gstSettings = await getGstSettings(req.tenant.models, propertyId);
+        const windowBalances = folio.getWindowBalances();
+        const isEmptyFolio = folio.items.length === 0 && folio.payments.length === 0;
+        const bills = [];
+        for (const summary of windowBalances) {
+            const window = folio.windows.find(w => w.windowNumber === summary.windowNumber);
+            const settlement = settlements.get(summary.windowNumber);
+            const items = folio.items.filter(item => item.window === summary.windowNumber);
+            const payments = folio.payments.filter(payment => (payment.window || 1) === summary.windowNumber);
+            const hasPostings = items.length > 0 || payments.length > 0;
+            if (!settlement || !(hasPostings || (isEmptyFolio && summary.windowNumber === 1))) {
+                continue;
+            }
+            
+            const bill = new Bill({
+                ...billBase,
+                items: items.map(item => item.toObject()),
+                payments: payments.map(payment => payment.toObject()),
+                totalCharges: summary.totalCharges,
+                totalPayments: summary.totalPayments,
+                finalBalance: summary.balance,
+                billingWindow: {
+                    windowNumber: window.windowNumber,
+                    name: window.name,
+                    payerType: window.payerType,
+                    payerId: window.payerId,
+                    payerName: window.payerName,
+                    cityLedgerAccountId: window.cityLedgerAccountId
+                },
+                checkoutDate: new Date(),
+                archivedAt: new Date()
+            });
+            const buyer = window.windowNumber === 1
+                ? req.body?.buyer || folio.buyer || window.buyer
+                : window.buyer;
+            applyTaxInvoiceToBill(bill, gstSettings, { buyer, placeOfSupply });
+            
+            // Unpaid balance of an account-billed window goes to its payer; accounts on
+            // consolidated invoicing pick the bill up on their next consolidated invoice
+            const balance = Math.round(summary.balance * 100) / 100;
+            const invoiceToAccount = summary.balance > BALANCE_THRESHOLD && settlement.type === 'city_ledger' && !settlement.account.consolidatedInvoicing;
+            const carryToPaymaster = summary.balance > BALANCE_THRESHOLD && settlement.type === 'paymaster';
+            let invoice = null;
+            let paymasterCharge = null;
+            
+            // Number and save the bill, its payer posting and the settled window together,
+            // so a failed save leaves no gap in the invoice series and no half-settled window
+            await req.tenant.connection.transaction(async (session) => {
+                bill.billId = await Bill.generateBillId(propertyId, { session });
+                
+                if (invoiceToAccount) {
+                    const { account } = settlement;
+                    if (!invoice) {
+                        const paymentTermsDays = account.paymentTerms || 30;
+                        invoice = account.invoices[account.invoices.push({
+                            folioId: folio.folioId,
+                            reservationId: folio.reservationId,
+                            guestName: folio.guestName,
+                            amount: balance,
+                            issueDate: new Date(),
+                            dueDate: new Date(Date.now() + paymentTermsDays * 24 * 60 * 60 * 1000),
+                            status: 'pending'
+                        }) - 1];
+                        account.calculateBalance();
+                    }
+                    invoice.billId = bill.billId;
+                    invoice.description = `Folio ${folio.folioId} - ${window.name} (Bill ${bill.billId})`;
+                    invoice.invoiceNumber = await CityLedgerAccount.generateInvoiceNumber(propertyId, { session });
+                    await account.save({ session });
+                    bill.billingWindow.cityLedgerInvoiceNumber = invoice.invoiceNumber;
+                } else if (carryToPaymaster) {
+                    const { paymasterFolio } = settlement;
+                    if (!paymasterCharge) {
+                        paymasterCharge = paymasterFolio.items[paymasterFolio.items.push({
+                            date: new Date(),
+                            amount: balance,
+                            department: 'Other',
+                            quantity: 1,
+                            unitPrice: balance,
+                            tax: 0,
+                            notes: `Billing window ${window.windowNumber} (${window.name}) of folio ${folio.folioId}`
+                        }) - 1];
+                        paymasterFolio.calculateBalance();
+                    }
+                    paymasterCharge.description = `Folio ${folio.folioId} - ${folio.guestName} (Bill ${bill.billId})`;
+                    paymasterCharge.sourceBillId = bill.billId;
+                    await paymasterFolio.save({ session });
+                    bill.billingWindow.transferredToFolioId = paymasterFolio.folioId;
+                }
+                
+                await bill.save({ session });
+                window.status = 'settled';
+                window.billId = bill.billId;
+                window.settledAt = new Date();
+                await folio.save({ session });
+            });
+            bills.push(bill);
+            
+            if (invoice) {
+                await scheduleInvoiceReminders(req.tenant.models, propertyId, settlement.account, invoice);
+            } else if (paymasterCharge) {
+                try {
+                    const PaymasterRoom = getModel(req, 'PaymasterRoom');
+                    const { paymasterFolio } = settlement;
+                    const payerPaymaster = await PaymasterRoom.findOne({
+                        _id: paymasterFolio.paymasterId,
+                        property: propertyId
+                    });
+                    if (payerPaymaster) {
+                        payerPaymaster.charges = paymasterFolio.items.map(item => ({
+                            description: item.description,
+                            date: item.date,
+                            amount: item.amount,
+                            department: item.department,
+                            quantity: item.quantity,
+                            unitPrice: item.unitPrice,
+                            tax: item.tax,
+                            discount: item.discount,
+                            notes: item.notes
+                        }));
+                        payerPaymaster.calculateBalance();
+                        await payerPaymaster.save();
+                    }
+                } catch (paymasterError) {
+                    console.error('Error updating paymaster:', paymasterError);
+                }
             }
         }
         
+        // Update folio status to archived
+        folio.status = 'archived';
+        await folio.save();
+        
+        // The stay ends only once every window is billed
+        if (paymaster) {
+            // Update paymaster status to closed
+            paymaster.status = 'closed';
+            await paymaster.save();
+        } else if (folio.reservationId) {
+            // Update reservation status to checked-out
+            await Reservations.findOneAndUpdate(
+                { _id: folio.reservationId, property: propertyId },
+                { status: 'checked-out' }
+            );
+        }
+        
         // CRITICAL: Update room statuses to 'dirty' when guest checks out
         // This is essential for housekeeping workflow
         const Rooms = getModel(req, 'Rooms');
@@ -778,16 +1254,10 @@ router.post('/:id/checkout', async (req, res) => {
             }
         }
         
-        const bill = new Bill(billData);
-        await bill.save();
-        
-        // Update folio status to archived
-        folio.status = 'archived';
-        await folio.save();
-        
         res.status(200).json({
             message: "Folio settled and archived successfully",
-            bill: bill,
+            bill: bills[0],
+            bills,
             folio: folio
         });
     } catch (error) {
@@ -863,6 +1333,171 @@ router.get('/bills/:id', async (req, res) => {
     }
 });
 
+// Set the buyer (B2B GSTIN) and place of supply on a bill and recalculate its tax invoice
+router.put('/bills/:id/tax-details', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid bill ID format' });
+        }
+
+        const taxDetailsSchema = {
+            buyer: { custom: (val) => validateBuyer(val) || true },
+            placeOfSupply: { type: 'string', custom: (val) => isValidStateCode(val) || 'placeOfSupply must be a two digit GST state code' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, taxDetailsSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const propertyId = getPropertyId(req);
+        const Bill = getModel(req, 'Bill');
+        const bill = await Bill.findOne({ _id: id, property: propertyId });
+        if (!bill) {
+            return res.status(404).json({ message: "Bill not found." });
+        }
+        if (bill.eInvoice?.irn) {
+            return res.status(409).json({ message: 'An IRN has been generated for this bill; its tax details can no longer be changed.' });
+        }
+
+        applyTaxInvoiceToBill(bill, await getGstSettings(req.tenant.models, propertyId), validation.validated);
+        await bill.save();
+
+        res.status(200).json(bill);
+    } catch (error) {
+        console.error('Error updating bill tax details:', error);
+        res.status(500).json({ message: "Server error updating bill tax details." });
+    }
+});
+
+// Export B2B bills as e-invoice JSON in one batch, by bill IDs or checkout date range
+router.post('/bills/e-invoice/export', async (req, res) => {
+    try {
+        const exportSchema = {
+            billIds: { isArray: true, custom: (val) => !Array.isArray(val) || val.every(isValidObjectId) || 'billIds must be valid IDs' },
+            from: { type: 'string', isDate: true },
+            to: { type: 'string', isDate: true },
+            includeGenerated: { type: 'boolean', default: false }
+        };
+
+        const validation = validateAndSetDefaults(req.body, exportSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { billIds, from, to, includeGenerated } = validation.validated;
+        if (!billIds && !(from && to)) {
+            return res.status(400).json({ message: 'Provide billIds or a from/to checkout date range' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const Bill = getModel(req, 'Bill');
+        const query = { property: propertyId };
+        if (billIds) {
+            query._id = { $in: billIds };
+        } else {
+            const toDate = new Date(to);
+            toDate.setHours(23, 59, 59, 999);
+            query.checkoutDate = { $gte: new Date(from), $lte: toDate };
+            query.invoiceType = 'B2B';
+        }
+        if (!includeGenerated) {
+            query['eInvoice.status'] = { $nin: ['generated', 'cancelled'] };
+        }
+
+        const bills = await Bill.find(query).sort({ billId: 1 });
+        const settings = await getGstSettings(req.tenant.models, propertyId);
+        const exportedAt = new Date();
+        const invoices = [];
+        const errors = [];
+
+        for (const bill of bills) {
+            const { payload, errors: billErrors } = buildBillEInvoice(bill, settings);
+            if (billErrors.length > 0) {
+                errors.push({ billId: bill.billId, id: bill._id, errors: billErrors });
+                continue;
+            }
+            invoices.push(payload);
+            markExported(bill.eInvoice, exportedAt);
+            await bill.save();
+        }
+
+        res.status(200).json({
+            version: SCHEMA_VERSION,
+            exported: invoices.length,
+            invoices,
+            errors
+        });
+    } catch (error) {
+        console.error('Error exporting e-invoices:', error);
+        res.status(500).json({ message: "Server error exporting e-invoices." });
+    }
+});
+
+// Export a single bill as e-invoice JSON
+router.post('/bills/:id/e-invoice/export', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid bill ID format' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const Bill = getModel(req, 'Bill');
+        const bill = await Bill.findOne({ _id: id, property: propertyId });
+        if (!bill) {
+            return res.status(404).json({ message: "Bill not found." });
+        }
+
+        const { payload, errors } = buildBillEInvoice(bill, await getGstSettings(req.tenant.models, propertyId));
+        if (errors.length > 0) {
+            return res.status(422).json({ message: 'Bill is not ready for e-invoicing', errors });
+        }
+
+        markExported(bill.eInvoice);
+        await bill.save();
+
+        res.status(200).json(payload);
+    } catch (error) {
+        console.error('Error exporting e-invoice:', error);
+        res.status(500).json({ message: "Server error exporting e-invoice." });
+    }
+});
+
+// Record the IRN, acknowledgement and signed QR code once the e-invoice is registered
+router.put('/bills/:id/e-invoice', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid bill ID format' });
+        }
+
+        const validation = validateAndSetDefaults(req.body, E_INVOICE_ACK_SCHEMA);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const Bill = getModel(req, 'Bill');
+        const bill = await Bill.findOne({ _id: id, property: getPropertyId(req) });
+        if (!bill) {
+            return res.status(404).json({ message: "Bill not found." });
+        }
+        if (bill.eInvoice?.irn && bill.eInvoice.irn !== validation.validated.irn.toLowerCase()) {
+            return res.status(409).json({ message: `Bill already has IRN ${bill.eInvoice.irn}` });
+        }
+
+        recordEInvoiceAck(bill.eInvoice, validation.validated);
+        await bill.save();
+
+        res.status(200).json(bill);
+    } catch (error) {
+        console.error('Error recording e-invoice IRN:', error);
+        res.status(500).json({ message: "Server error recording e-invoice IRN." });
+    }
+});
+
 // Generate HTML invoice template
 const generateInvoiceHTML = (folio, propertyDetails, isPaymaster = false) => {
     const formatDate = (date) => {
@@ -1135,6 +1770,7 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         const PropertyDetails = getModel(req, 'PropertyDetails');
         const emailService = require('../../services/emailService');
         const PDFDocument = require('pdfkit');
+        const QRCode = require('qrcode');
         const fs = require('fs');
         const path = require('path');
         
@@ -1169,6 +1805,14 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         const textColor = '#1f2a37';
         const grayColor = '#6b7280';
         
+        // Bills archived before GST invoicing get their tax breakdown worked out for printing
+        if (!bill.supplier?.gstin) {
+            applyTaxInvoiceToBill(bill, await getGstSettings(req.tenant.models, propertyId));
+        }
+        
+        const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        const isInterState = bill.supplyType === 'inter';
+        
         // Header
         doc.rect(0, 0, doc.page.width, 80).fill(primaryColor);
         doc.fillColor('white')
@@ -1178,10 +1822,38 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         
         doc.fontSize(10)
            .font('Helvetica')
-           .text('Invoice Statement', 50, 60);
+           .text('Tax Invoice', 50, 60);
         
         let yPos = 100;
         
+        // Start a new page when the next block would run into the footer
+        const ensureSpace = (height) => {
+            if (yPos + height > doc.page.height - 80) {
+                doc.addPage();
+                yPos = 50;
+            }
+        };
+        
+        // Supplier and buyer
+        doc.fillColor(textColor)
+           .fontSize(10)
+           .font('Helvetica-Bold')
+           .text('Supplier', 50, yPos)
+           .text(bill.invoiceType === 'B2B' ? 'Buyer (B2B)' : 'Billed To', 300, yPos);
+        
+        yPos += 15;
+        doc.font('Helvetica')
+           .fontSize(9)
+           .text(bill.supplier?.legalName || propertyDetails?.propertyName || '-', 50, yPos, { width: 230 })
+           .text(bill.buyer?.name || bill.guestName, 300, yPos, { width: 250 });
+        doc.fillColor(grayColor)
+           .text(`GSTIN: ${bill.supplier?.gstin || '-'}`, 50, yPos + 12)
+           .text(`State Code: ${bill.supplier?.stateCode || '-'}`, 50, yPos + 24)
+           .text(`GSTIN: ${bill.buyer?.gstin || 'Unregistered'}`, 300, yPos + 12)
+           .text(bill.buyer?.address || '', 300, yPos + 24, { width: 250 });
+        
+        yPos += 50;
+        
         // Invoice Info
         doc.fillColor(textColor)
            .fontSize(10)
@@ -1192,23 +1864,25 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         doc.font('Helvetica')
            .fontSize(9)
            .fillColor(grayColor)
-           .text('Bill ID:', 50, yPos)
-           .text('Folio ID:', 50, yPos + 15)
-           .text('Checkout Date:', 50, yPos + 30)
-           .text('Archived Date:', 50, yPos + 45);
+           .text('Invoice No:', 50, yPos)
+           .text('Invoice Date:', 50, yPos + 15)
+           .text('Folio ID:', 50, yPos + 30)
+           .text('Place of Supply:', 50, yPos + 45);
         
         doc.fillColor(textColor)
-           .text(bill.billId, 120, yPos)
-           .text(bill.folioId, 120, yPos + 15)
-           .text(new Date(bill.checkoutDate).toLocaleDateString('en-GB'), 120, yPos + 30)
-           .text(new Date(bill.archivedAt).toLocaleDateString('en-GB'), 120, yPos + 45);
+           .text(bill.billId, 130, yPos)
+           .text(new Date(bill.checkoutDate).toLocaleDateString('en-GB'), 130, yPos + 15)
+           .text(bill.folioId, 130, yPos + 30)
+           .text(`${bill.placeOfSupply || '-'} (${isInterState ? 'Inter-state' : 'Intra-state'})`, 130, yPos + 45);
         
-        doc.text('Guest Name:', 300, yPos)
+        doc.fillColor(grayColor)
+           .text('Guest Name:', 300, yPos)
            .text('Reservation ID:', 300, yPos + 15)
            .text('Room Number:', 300, yPos + 30)
            .text('Stay Period:', 300, yPos + 45);
         
-        doc.text(bill.guestName, 400, yPos)
+        doc.fillColor(textColor)
+           .text(bill.guestName, 400, yPos)
            .text(String(bill.reservationId || '-'), 400, yPos + 15)
            .text(bill.roomNumber || '-', 400, yPos + 30)
            .text(
@@ -1219,6 +1893,32 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         
         yPos += 70;
         
+        // E-invoice registration: the signed QR code as a scannable image, with the IRN and acknowledgement beside it
+        if (bill.eInvoice?.irn) {
+            const qrSize = 120;
+            const qrImage = bill.eInvoice.signedQrCode
+                ? await QRCode.toBuffer(bill.eInvoice.signedQrCode, { errorCorrectionLevel: 'M', margin: 1, width: 480 })
+                : null;
+            ensureSpace(qrImage ? qrSize + 10 : 40);
+            
+            const textX = qrImage ? 50 + qrSize + 15 : 50;
+            if (qrImage) {
+                doc.image(qrImage, 50, yPos, { width: qrSize, height: qrSize });
+            }
+            doc.font('Helvetica')
+               .fontSize(8)
+               .fillColor(grayColor)
+               .text('IRN:', textX, yPos)
+               .text('Ack No:', textX, yPos + 24)
+               .text('Ack Date:', textX, yPos + 36);
+            doc.fillColor(textColor)
+               .text(bill.eInvoice.irn, textX + 50, yPos, { width: 550 - textX - 50 })
+               .text(bill.eInvoice.ackNo || '-', textX + 50, yPos + 24)
+               .text(bill.eInvoice.ackDate ? new Date(bill.eInvoice.ackDate).toLocaleString('en-GB') : '-', textX + 50, yPos + 36);
+            
+            yPos += (qrImage ? qrSize : 48) + 10;
+        }
+        
         // Charges Table
         doc.font('Helvetica-Bold')
            .fontSize(10)
@@ -1232,9 +1932,12 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
            .rect(50, yPos, 500, 20)
            .fill(primaryColor)
            .text('Date', 55, yPos + 6)
-           .text('Description', 120, yPos + 6)
-           .text('Department', 350, yPos + 6)
-           .text('Amount', 450, yPos + 6, { align: 'right' });
+           .text('Description', 110, yPos + 6)
+           .text('SAC', 280, yPos + 6)
+           .text('Taxable', 320, yPos + 6, { width: 70, align: 'right' })
+           .text('GST %', 395, yPos + 6, { width: 35, align: 'right' })
+           .text('GST', 430, yPos + 6, { width: 55, align: 'right' })
+           .text('Amount', 485, yPos + 6, { width: 60, align: 'right' });
         
         yPos += 25;
         doc.fillColor(textColor)
@@ -1243,11 +1946,15 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         
         if (bill.items && bill.items.length > 0) {
             bill.items.forEach(item => {
-                const itemAmount = ((item.amount || 0) + (item.tax || 0) - (item.discount || 0)) * (item.quantity || 1);
+                ensureSpace(15);
+                const itemTax = (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
                 doc.text(new Date(item.date).toLocaleDateString('en-GB'), 55, yPos)
-                   .text(item.description || '-', 120, yPos, { width: 220 })
-                   .text(item.department || 'Other', 350, yPos)
-                   .text(`₹${itemAmount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 450, yPos, { align: 'right' });
+                   .text(item.description || '-', 110, yPos, { width: 165, height: 10, ellipsis: true })
+                   .text(item.sacCode || '-', 280, yPos)
+                   .text(formatAmount(item.taxableValue), 320, yPos, { width: 70, align: 'right' })
+                   .text(`${item.taxRate || 0}%`, 395, yPos, { width: 35, align: 'right' })
+                   .text(formatAmount(itemTax), 430, yPos, { width: 55, align: 'right' })
+                   .text(formatAmount((item.taxableValue || 0) + itemTax), 485, yPos, { width: 60, align: 'right' });
                 yPos += 15;
             });
         } else {
@@ -1257,7 +1964,54 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         
         yPos += 10;
         
+        // GST summary by SAC code and rate
+        ensureSpace(60);
+        doc.font('Helvetica-Bold')
+           .fontSize(10)
+           .fillColor(textColor)
+           .text('Tax Summary', 50, yPos);
+        
+        yPos += 20;
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .fillColor('white')
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .text('SAC', 55, yPos + 6)
+           .text('Rate', 130, yPos + 6)
+           .text('Taxable Value', 190, yPos + 6, { width: 90, align: 'right' });
+        if (isInterState) {
+            doc.text('IGST', 380, yPos + 6, { width: 80, align: 'right' });
+        } else {
+            doc.text('CGST', 290, yPos + 6, { width: 80, align: 'right' })
+               .text('SGST', 380, yPos + 6, { width: 80, align: 'right' });
+        }
+        doc.text('Total Tax', 465, yPos + 6, { width: 80, align: 'right' });
+        
+        yPos += 25;
+        doc.fillColor(textColor)
+           .font('Helvetica')
+           .fontSize(8);
+        
+        (bill.gstSummary || []).forEach(row => {
+            ensureSpace(15);
+            doc.text(row.sacCode || '-', 55, yPos)
+               .text(`${row.gstRate || 0}%`, 130, yPos)
+               .text(formatAmount(row.taxableValue), 190, yPos, { width: 90, align: 'right' });
+            if (isInterState) {
+                doc.text(formatAmount(row.igst), 380, yPos, { width: 80, align: 'right' });
+            } else {
+                doc.text(formatAmount(row.cgst), 290, yPos, { width: 80, align: 'right' })
+                   .text(formatAmount(row.sgst), 380, yPos, { width: 80, align: 'right' });
+            }
+            doc.text(formatAmount((row.cgst || 0) + (row.sgst || 0) + (row.igst || 0)), 465, yPos, { width: 80, align: 'right' });
+            yPos += 15;
+        });
+        
+        yPos += 10;
+        
         // Payments Table
+        ensureSpace(60);
         doc.font('Helvetica-Bold')
            .fontSize(10)
            .fillColor(textColor)
@@ -1281,10 +2035,11 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         
         if (bill.payments && bill.payments.length > 0) {
             bill.payments.forEach(payment => {
+                ensureSpace(15);
                 doc.text(new Date(payment.date).toLocaleDateString('en-GB'), 55, yPos)
                    .text(payment.method, 120, yPos)
                    .text(payment.transactionId || '-', 250, yPos, { width: 180 })
-                   .text(`₹${payment.amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 450, yPos, { align: 'right' });
+                   .text(formatAmount(payment.amount), 450, yPos, { align: 'right' });
                 yPos += 15;
             });
         } else {
@@ -1295,26 +2050,43 @@ router.post('/bills/:id/generate-pdf', async (req, res) => {
         yPos += 20;
         
         // Summary
-        doc.rect(50, yPos, 500, 60)
+        ensureSpace(125);
+        doc.rect(50, yPos, 500, 105)
            .stroke(primaryColor)
            .lineWidth(1);
         
+        const taxLines = isInterState
+            ? [['IGST:', bill.igstTotal]]
+            : [['CGST:', bill.cgstTotal], ['SGST:', bill.sgstTotal]];
+        const summaryLines = [['Taxable Value:', bill.taxableValue], ...taxLines, ['Invoice Total:', bill.totalCharges], ['Total Payments:', bill.totalPayments]];
+        
+        summaryLines.forEach(([label, value], index) => {
+            doc.font(label === 'Invoice Total:' ? 'Helvetica-Bold' : 'Helvetica')
+               .fontSize(9)
+               .fillColor(grayColor)
+               .text(label, 55, yPos + 8 + index * 13);
+            doc.font('Helvetica-Bold')
+               .fillColor(textColor)
+               .text(formatAmount(value), 500, yPos + 8 + index * 13, { align: 'right' });
+        });
+        
+        const balanceY = yPos + 8 + summaryLines.length * 13;
         doc.font('Helvetica')
            .fontSize(9)
            .fillColor(grayColor)
-           .text('Total Charges:', 55, yPos + 10)
-           .text('Total Payments:', 55, yPos + 25)
-           .text('Final Balance:', 55, yPos + 45);
-        
-        doc.font('Helvetica-Bold')
-           .fillColor(textColor)
-           .text(`₹${bill.totalCharges.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 500, yPos + 10, { align: 'right' })
-           .text(`₹${bill.totalPayments.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 500, yPos + 25, { align: 'right' });
+           .text('Final Balance:', 55, balanceY);
         
         const balanceColor = bill.finalBalance === 0 ? '#22c55e' : '#ef4444';
-        doc.fillColor(balanceColor)
+        doc.font('Helvetica-Bold')
+           .fillColor(balanceColor)
            .fontSize(12)
-           .text(`₹${bill.finalBalance.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 500, yPos + 45, { align: 'right' });
+           .text(formatAmount(bill.finalBalance), 500, balanceY, { align: 'right' });
+        
+        yPos += 112;
+        doc.font('Helvetica-Oblique')
+           .fontSize(8)
+           .fillColor(textColor)
+           .text(`Amount in words: ${amountInWords(bill.totalCharges)}`, 50, yPos, { width: 500 });
         
         // Footer
         const footerY = doc.page.height - 50;
@@ -1416,7 +2188,9 @@ router.put('/:id/charges/:chargeId', async (req, res) => {
             unitPrice: { type: 'number', min: 0 },
             tax: { type: 'number', min: 0 },
             discount: { type: 'number', min: 0 },
-            notes: { type: 'string' }
+            sacCode: { type: 'string' },
+            notes: { type: 'string' },
+            window: windowNumberRule
         };
 
         const validation = validateAndSetDefaults(req.body, chargeSchema);
@@ -1439,14 +2213,23 @@ router.put('/:id/charges/:chargeId', async (req, res) => {
             return res.status(404).json({ message: "Charge not found." });
         }
         
-        // Check if it's a room charge (don't allow editing)
         const charge = folio.items[chargeIndex];
-        if (charge.department === 'Room' && charge.description.toLowerCase().includes('accommodation')) {
+        const updates = validation.validated;
+        if (updates.window !== undefined) {
+            const { error } = getOpenWindow(folio, updates.window);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+        }
+        
+        // Check if it's a room charge (don't allow editing, only moving to another billing window)
+        const otherUpdates = Object.keys(updates).filter(key => key !== 'window');
+        if (charge.department === 'Room' && charge.description.toLowerCase().includes('accommodation') && otherUpdates.length > 0) {
             return res.status(400).json({ message: "Room accommodation charges cannot be edited." });
         }
         
         // Update the charge
-        const updates = validation.validated;
+        if (updates.window !== undefined) folio.items[chargeIndex].window = Number(updates.window);
         if (updates.date) {
             folio.items[chargeIndex].date = new Date(updates.date);
         }
@@ -1455,9 +2238,20 @@ router.put('/:id/charges/:chargeId', async (req, res) => {
         if (updates.department !== undefined) folio.items[chargeIndex].department = updates.department;
         if (updates.quantity !== undefined) folio.items[chargeIndex].quantity = updates.quantity;
         if (updates.unitPrice !== undefined) folio.items[chargeIndex].unitPrice = updates.unitPrice;
-        if (updates.tax !== undefined) folio.items[chargeIndex].tax = updates.tax;
         if (updates.discount !== undefined) folio.items[chargeIndex].discount = updates.discount;
+        if (updates.sacCode !== undefined) folio.items[chargeIndex].sacCode = updates.sacCode;
         if (updates.notes !== undefined) folio.items[chargeIndex].notes = updates.notes;
+        if (updates.tax !== undefined) {
+            folio.items[chargeIndex].tax = updates.tax;
+            folio.items[chargeIndex].taxRate = undefined;
+            folio.items[chargeIndex].taxRule = undefined;
+        } else if (charge.taxRate != null && (updates.amount !== undefined || updates.discount !== undefined || updates.department !== undefined)) {
+            // GST was worked out from the tax rules: recalculate it for the new amount
+            charge.tax = 0;
+            charge.taxRate = undefined;
+            charge.taxRule = undefined;
+            applyGstToItem(charge, await loadTaxRules(req.tenant.models, getPropertyId(req)));
+        }
         
         // Set unitPrice to amount if not provided
         if (!folio.items[chargeIndex].unitPrice) {
@@ -1590,7 +2384,8 @@ router.put('/:id/payments/:paymentId', async (req, res) => {
             method: { type: 'string' },
             amount: { type: 'number', min: 0 },
             transactionId: { type: 'string' },
-            notes: { type: 'string' }
+            notes: { type: 'string' },
+            window: windowNumberRule
         };
 
         const validation = validateAndSetDefaults(req.body, paymentSchema);
@@ -1612,9 +2407,19 @@ router.put('/:id/payments/:paymentId', async (req, res) => {
         if (paymentIndex === -1) {
             return res.status(404).json({ message: "Payment not found." });
         }
+        if (await isClosedShift(req.tenant.models, getPropertyId(req), folio.payments[paymentIndex].shift)) {
+            return res.status(400).json({ message: "Payment belongs to a closed cashier shift and cannot be changed." });
+        }
         
         // Update the payment
         const updates = validation.validated;
+        if (updates.window !== undefined) {
+            const { error } = getOpenWindow(folio, updates.window);
+            if (error) {
+                return res.status(400).json({ message: error });
+            }
+            folio.payments[paymentIndex].window = Number(updates.window);
+        }
         if (updates.date) {
             folio.payments[paymentIndex].date = new Date(updates.date);
         }
@@ -1683,6 +2488,9 @@ router.delete('/:id/payments/:paymentId', async (req, res) => {
         if (paymentIndex === -1) {
             return res.status(404).json({ message: "Payment not found." });
         }
+        if (await isClosedShift(req.tenant.models, getPropertyId(req), folio.payments[paymentIndex].shift)) {
+            return res.status(400).json({ message: "Payment belongs to a closed cashier shift and cannot be changed." });
+        }
         
         // Remove the payment
         folio.payments.splice(paymentIndex, 1);
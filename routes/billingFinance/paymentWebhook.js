@@ -0,0 +1,52 @@
+const express = require('express');
+const { getTenantContext } = require('../../services/tenantManager');
+const { getProvider } = require('../../services/paymentProviders');
+const { handleWebhookEvent } = require('../../services/paymentGatewayService');
+
+// Inbound webhooks from payment gateways. There is no user session here: the
+// property and provider come from the URL and the provider checks the
+// signature over the raw request body (kept as req.rawBody by the JSON parser
+// in server.js) with the gateway's webhook secret.
+const router = express.Router();
+
+router.post('/:propertyCode/:provider', async (req, res) => {
+    let tenant;
+    try {
+        tenant = await getTenantContext(req.params.propertyCode);
+    } catch (error) {
+        if (error.message === 'TENANT_PROPERTY_NOT_FOUND' || error.message === 'TENANT_CODE_REQUIRED') {
+            return res.status(404).json({ message: 'Property not found or inactive.' });
+        }
+        console.error('Error resolving tenant for payment webhook:', error);
+        return res.status(500).json({ message: 'Server error resolving property.' });
+    }
+
+    try {
+        const providerName = String(req.params.provider).toLowerCase();
+        const provider = getProvider(providerName);
+        const gateway = provider && await tenant.models.PaymentGateway.findOne({
+            provider: providerName,
+            property: tenant.property._id,
+            isActive: true
+        }).select('+webhookSecret');
+        if (!gateway) {
+            return res.status(404).json({ message: 'Payment gateway is not set up for this property.' });
+        }
+
+        let event;
+        try {
+            event = provider.parseWebhook(gateway, { headers: req.headers, rawBody: req.rawBody, body: req.body });
+        } catch (error) {
+            return res.status(401).json({ message: error.message });
+        }
+
+        const result = await handleWebhookEvent(tenant, gateway, event);
+        res.status(200).json({ received: true, handled: result.handled, duplicate: !!result.duplicate, message: result.message });
+    } catch (error) {
+        // The provider retries the webhook on a server error
+        console.error('Error handling payment webhook:', error);
+        res.status(500).json({ message: 'Server error handling payment webhook.' });
+    }
+});
+
+module.exports = router;
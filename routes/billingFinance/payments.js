@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { authenticate, requireModuleAccess, requireRole } = require('../../middleware/auth');
+const { validateAndSetDefaults, validatePagination, isValidObjectId, isValidEmail } = require('../../utils/validation');
+const { getProvider, listProviders } = require('../../services/paymentProviders');
+const {
+    createPaymentLink,
+    cancelPaymentLink,
+    postPaymentLink,
+    refundLinkPayment,
+    handleWebhookEvent
+} = require('../../services/paymentGatewayService');
+
+const router = express.Router();
+router.use(bodyParser.json());
+router.use(authenticate);
+router.use(requireModuleAccess('billing-finance'));
+
+const getModel = (req, name) => req.tenant.models[name];
+const getPropertyId = (req) => req.tenant.property._id;
+
+const TARGET_TYPES = ['folio', 'city-ledger-invoice', 'deposit'];
+const LINK_STATUSES = ['created', 'paid', 'failed', 'expired', 'cancelled'];
+
+const settingsRule = { custom: (val) => (typeof val === 'object' && val !== null && !Array.isArray(val)) || 'settings must be an object' };
+
+// Payment providers available to set up
+router.get('/providers', requireRole('Admin'), (req, res) => {
+    res.status(200).json({ providers: listProviders() });
+});
+
+router.get('/gateways', async (req, res) => {
+    try {
+        const PaymentGateway = getModel(req, 'PaymentGateway');
+        const gateways = await PaymentGateway.find({ property: getPropertyId(req) }).sort({ name: 1 }).lean();
+        res.status(200).json(gateways);
+    } catch (error) {
+        console.error('Error fetching payment gateways:', error);
+        res.status(500).json({ message: 'Server error fetching payment gateways.' });
+    }
+});
+
+router.post('/gateways', requireRole('Admin'), async (req, res) => {
+    try {
+        const gatewaySchema = {
+            provider: { type: 'string', required: true, custom: (val) => !!getProvider(val) || `Unknown provider. Available: ${listProviders().join(', ')}` },
+            name: { type: 'string', required: true },
+            settings: { ...settingsRule, default: {} },
+            currency: { type: 'string', default: 'INR', pattern: /^[A-Za-z]{3}$/ },
+            linkExpiryMinutes: { type: 'number', default: 1440, min: 5 },
+            webhookSecret: { type: 'string' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, gatewaySchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        // The webhook secret is only shown once, when the gateway is set up
+        const webhookSecret = validation.validated.webhookSecret || crypto.randomBytes(32).toString('hex');
+
+        const PaymentGateway = getModel(req, 'PaymentGateway');
+        const gateway = new PaymentGateway({
+            ...validation.validated,
+            webhookSecret,
+            property: getPropertyId(req)
+        });
+        await gateway.save();
+
+        res.status(201).json({ ...gateway.toObject(), webhookSecret });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'This payment provider is already set up.' });
+        }
+        console.error('Error creating payment gateway:', error);
+        res.status(500).json({ message: 'Server error creating payment gateway.' });
+    }
+});
+
+router.put('/gateways/:id', requireRole('Admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid gateway ID format' });
+        }
+
+        const updateSchema = {
+            name: { type: 'string' },
+            settings: settingsRule,
+            currency: { type: 'string', pattern: /^[A-Za-z]{3}$/ },
+            linkExpiryMinutes: { type: 'number', min: 5 },
+            webhookSecret: { type: 'string' },
+            isActive: { type: 'boolean' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, updateSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const PaymentGateway = getModel(req, 'PaymentGateway');
+        const gateway = await PaymentGateway.findOne({ _id: id, property: getPropertyId(req) });
+        if (!gateway) {
+            return res.status(404).json({ message: 'Payment gateway not found.' });
+        }
+
+        Object.assign(gateway, validation.validated);
+        await gateway.save();
+
+        const { webhookSecret, ...updated } = gateway.toObject();
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating payment gateway:', error);
+        res.status(500).json({ message: 'Server error updating payment gateway.' });
+    }
+});
+
+// Create a payment link for a folio window, city ledger invoice or deposit
+router.post('/links', async (req, res) => {
+    try {
+        const linkSchema = {
+            gatewayId: { type: 'string', isObjectId: true },
+            targetType: { type: 'string', required: true, enum: TARGET_TYPES },
+            folioId: { type: 'string', isObjectId: true },
+            window: { type: 'number', default: 1, min: 1 },
+            accountId: { type: 'string', isObjectId: true },
+            invoiceId: { type: 'string', isObjectId: true },
+            reservationId: { type: 'string', isObjectId: true },
+            amount: { type: 'number', min: 0.01 },
+            description: { type: 'string' },
+            customerName: { type: 'string' },
+            customerEmail: { type: 'string', custom: (val) => isValidEmail(val) || 'Invalid customer email' },
+            customerPhone: { type: 'string' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, linkSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { targetType, folioId, window, accountId, invoiceId, reservationId } = validation.validated;
+        const missing = {
+            folio: !folioId && 'folioId',
+            'city-ledger-invoice': (!accountId || !invoiceId) && 'accountId and invoiceId',
+            deposit: !reservationId && 'reservationId'
+        }[targetType];
+        if (missing) {
+            return res.status(400).json({ message: `${missing} required for a ${targetType} payment link` });
+        }
+
+        const result = await createPaymentLink(req.tenant, {
+            gatewayId: validation.validated.gatewayId,
+            target: { type: targetType, folio: folioId, window, account: accountId, invoiceId, reservation: reservationId },
+            amount: validation.validated.amount,
+            description: validation.validated.description,
+            customer: {
+                name: validation.validated.customerName,
+                email: validation.validated.customerEmail,
+                phone: validation.validated.customerPhone
+            },
+            user: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(201).json(result.link);
+    } catch (error) {
+        console.error('Error creating payment link:', error);
+        res.status(500).json({ message: 'Server error creating payment link.' });
+    }
+});
+
+router.get('/links', async (req, res) => {
+    try {
+        const { page, limit } = validatePagination(req.query);
+        const query = { property: getPropertyId(req) };
+        if (req.query.status && LINK_STATUSES.includes(req.query.status)) {
+            query.status = req.query.status;
+        }
+        if (req.query.targetType && TARGET_TYPES.includes(req.query.targetType)) {
+            query['target.type'] = req.query.targetType;
+        }
+        if (req.query.folioId && isValidObjectId(req.query.folioId)) {
+            query['target.folio'] = req.query.folioId;
+        }
+        if (req.query.accountId && isValidObjectId(req.query.accountId)) {
+            query['target.account'] = req.query.accountId;
+        }
+        if (req.query.reservationId && isValidObjectId(req.query.reservationId)) {
+            query['target.reservation'] = req.query.reservationId;
+        }
+        if (req.query.unposted === 'true') {
+            query.status = 'paid';
+            query.posted = false;
+        }
+
+        const PaymentLink = getModel(req, 'PaymentLink');
+        const [links, total] = await Promise.all([
+            PaymentLink.find(query)
+                .select('-events')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            PaymentLink.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            links,
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        console.error('Error fetching payment links:', error);
+        res.status(500).json({ message: 'Server error fetching payment links.' });
+    }
+});
+
+router.get('/links/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid payment link ID format' });
+        }
+
+        const PaymentLink = getModel(req, 'PaymentLink');
+        const link = await PaymentLink.findOne({ _id: id, property: getPropertyId(req) }).lean();
+        if (!link) {
+            return res.status(404).json({ message: 'Payment link not found.' });
+        }
+
+        res.status(200).json(link);
+    } catch (error) {
+        console.error('Error fetching payment link:', error);
+        res.status(500).json({ message: 'Server error fetching payment link.' });
+    }
+});
+
+router.post('/links/:id/cancel', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid payment link ID format' });
+        }
+
+        const result = await cancelPaymentLink(req.tenant, id);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(200).json(result.link);
+    } catch (error) {
+        console.error('Error cancelling payment link:', error);
+        res.status(500).json({ message: 'Server error cancelling payment link.' });
+    }
+});
+
+// Retry posting a paid link whose payment could not be posted automatically
+router.post('/links/:id/post', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid payment link ID format' });
+        }
+
+        const result = await postPaymentLink(req.tenant, id);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        if (result.link.postingError) {
+            return res.status(409).json({ message: result.link.postingError, link: result.link });
+        }
+
+        res.status(200).json(result.link);
+    } catch (error) {
+        console.error('Error posting payment link:', error);
+        res.status(500).json({ message: 'Server error posting payment link.' });
+    }
+});
+
+// Refund (part of) a link payment through the gateway
+router.post('/links/:id/refund', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid payment link ID format' });
+        }
+
+        const refundSchema = {
+            amount: { type: 'number', min: 0.01 },
+            reason: { type: 'string', default: '' },
+            billId: { type: 'string', isObjectId: true },
+            creditNoteId: { type: 'string', isObjectId: true }
+        };
+
+        const validation = validateAndSetDefaults(req.body || {}, refundSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const result = await refundLinkPayment(req.tenant, id, {
+            ...validation.validated,
+            reason: validation.validated.reason.trim() || undefined,
+            user: req.user
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error refunding payment link:', error);
+        res.status(500).json({ message: 'Server error refunding payment link.' });
+    }
+});
+
+// Simulator only: act as the customer paying a link, or the gateway finishing a refund.
+// The signed webhook is run through the same verification as a real one and
+// returned, so it can also be replayed against the webhook URL.
+const findSimulatorLink = async (req, res) => {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+        res.status(400).json({ message: 'Invalid payment link ID format' });
+        return null;
+    }
+
+    const link = await getModel(req, 'PaymentLink').findOne({ _id: id, property: getPropertyId(req) });
+    if (!link) {
+        res.status(404).json({ message: 'Payment link not found.' });
+        return null;
+    }
+    const gateway = await getModel(req, 'PaymentGateway').findOne({ _id: link.gateway, property: getPropertyId(req) }).select('+webhookSecret');
+    if (!gateway || gateway.provider !== 'simulator') {
+        res.status(400).json({ message: 'Only simulator payment links can be simulated.' });
+        return null;
+    }
+    return { link, gateway };
+};
+
+const deliverSimulatedWebhook = async (req, res, gateway, webhook) => {
+    const provider = getProvider('simulator');
+    const event = provider.parseWebhook(gateway, webhook);
+    const result = await handleWebhookEvent(req.tenant, gateway, event);
+    res.status(200).json({
+        event,
+        result,
+        webhook: {
+            url: `/api/billingfinance/payment-webhook/${req.tenant.property.code}/simulator`,
+            headers: webhook.headers,
+            body: webhook.body
+        }
+    });
+};
+
+router.post('/links/:id/simulate', async (req, res) => {
+    try {
+        const simulateSchema = {
+            outcome: { type: 'string', default: 'success', enum: ['success', 'failure'] },
+            method: { type: 'string', default: 'UPI' },
+            amount: { type: 'number', min: 0.01 }
+        };
+
+        const validation = validateAndSetDefaults(req.body || {}, simulateSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const found = await findSimulatorLink(req, res);
+        if (!found) {
+            return;
+        }
+
+        let webhook;
+        try {
+            webhook = getProvider('simulator').simulatePayment(found.gateway, found.link.reference, validation.validated);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        await deliverSimulatedWebhook(req, res, found.gateway, webhook);
+    } catch (error) {
+        console.error('Error simulating payment:', error);
+        res.status(500).json({ message: 'Server error simulating payment.' });
+    }
+});
+
+router.post('/links/:id/refunds/:refundId/simulate', async (req, res) => {
+    try {
+        const simulateSchema = {
+            outcome: { type: 'string', default: 'success', enum: ['success', 'failure'] }
+        };
+
+        const validation = validateAndSetDefaults(req.body || {}, simulateSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const found = await findSimulatorLink(req, res);
+        if (!found) {
+            return;
+        }
+        const refund = isValidObjectId(req.params.refundId) && found.link.refunds.id(req.params.refundId);
+        if (!refund) {
+            return res.status(404).json({ message: 'Refund not found.' });
+        }
+
+        let webhook;
+        try {
+            webhook = getProvider('simulator').simulateRefundResult(found.gateway, refund.reference, validation.validated);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+        await deliverSimulatedWebhook(req, res, found.gateway, webhook);
+    } catch (error) {
+        console.error('Error simulating refund:', error);
+        res.status(500).json({ message: 'Server error simulating refund.' });
+    }
+});
+
+module.exports = router;
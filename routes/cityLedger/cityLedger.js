@@ -1,7 +1,30 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
-const { validateAndSetDefaults, validatePagination, isValidObjectId } = require('../../utils/validation');
+const { validateAndSetDefaults, validatePagination, isValidObjectId, isValidEmail } = require('../../utils/validation');
+const { getGstSettings, isValidGstin, isValidStateCode } = require('../../services/gstService');
+const { resolvePaymentShift } = require('../../services/cashierShiftService');
+const {
+    getCreditExposure,
+    checkCreditLimit,
+    buildCreditOverride,
+    getAccountAging,
+    buildAgingReport,
+    getPaymentUnallocated,
+    refreshInvoiceStatuses,
+    allocatePayment
+} = require('../../services/cityLedgerService');
+const { buildStatement, generateStatementPdf, emailStatement } = require('../../services/cityLedgerStatementService');
+const { buildConsolidatedInvoice, createConsolidatedInvoice, generateInvoicePdf } = require('../../services/consolidatedInvoiceService');
+const { scheduleInvoiceReminders, cancelSettledInvoiceReminders, sendScheduledEmail, resendScheduledEmail } = require('../../services/scheduledEmailService');
+const {
+    SCHEMA_VERSION,
+    E_INVOICE_ACK_SCHEMA,
+    getCityLedgerInvoiceItems,
+    buildCityLedgerEInvoice,
+    markExported,
+    recordEInvoiceAck
+} = require('../../services/eInvoiceService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -11,6 +34,34 @@ router.use(requireModuleAccess('billing-finance'));
 const getModel = (req, name) => req.tenant.models[name];
 const getPropertyId = (req) => req.tenant.property._id;
 
+// GST details of an account, used as the buyer on tax and e-invoices
+const gstDetailsSchema = {
+    gstin: { type: 'string', custom: (val) => !val || isValidGstin(val) || 'gstin is not a valid GSTIN' },
+    legalName: { type: 'string' },
+    city: { type: 'string' },
+    pincode: { type: 'string', pattern: /^[1-9][0-9]{5}$/ },
+    stateCode: { type: 'string', custom: (val) => !val || isValidStateCode(val) || 'stateCode must be a two digit GST state code' }
+};
+
+// Manager approval to go over an account's credit limit
+const creditOverrideSchema = {
+    overrideCreditLimit: { type: 'boolean', default: false },
+    overrideReason: { type: 'string', default: '' }
+};
+
+// Credit limit check for an amount added to an account; logs an approved override on the account (saved by the caller)
+const checkAccountCredit = async (req, account, amount, context, { overrideCreditLimit, overrideReason }) => {
+    const result = await checkCreditLimit(req.tenant.models, getPropertyId(req), account, amount, {
+        override: overrideCreditLimit,
+        reason: overrideReason,
+        user: req.user
+    });
+    if (result.override) {
+        account.creditOverrides.push(buildCreditOverride(context, result.credit, { reason: overrideReason, user: req.user }));
+    }
+    return result;
+};
+
 // Get all city ledger accounts
 router.get('/accounts', async (req, res) => {
     try {
@@ -66,7 +117,12 @@ router.post('/accounts', async (req, res) => {
             address: { type: 'string', default: '' },
             creditLimit: { type: 'number', default: 0, min: 0 },
             paymentTerms: { type: 'number', default: 30, min: 1 },
-            remarks: { type: 'string', default: '' }
+            creditLimitAction: { type: 'string', default: 'override', enum: ['override', 'block'] },
+            consolidatedInvoicing: { type: 'boolean', default: false },
+            poNumber: { type: 'string' },
+            costCenter: { type: 'string' },
+            remarks: { type: 'string', default: '' },
+            ...gstDetailsSchema
         };
         
         const validation = validateAndSetDefaults(req.body, accountSchema);
@@ -140,8 +196,13 @@ router.put('/accounts/:id', async (req, res) => {
             address: { type: 'string' },
             creditLimit: { type: 'number', min: 0 },
             paymentTerms: { type: 'number', min: 1 },
+            creditLimitAction: { type: 'string', enum: ['override', 'block'] },
+            consolidatedInvoicing: { type: 'boolean' },
+            poNumber: { type: 'string' },
+            costCenter: { type: 'string' },
             remarks: { type: 'string' },
-            isActive: { type: 'boolean' }
+            isActive: { type: 'boolean' },
+            ...gstDetailsSchema
         };
         
         const validation = validateAndSetDefaults(req.body, updateSchema);
@@ -203,8 +264,6 @@ router.post('/accounts/:id/invoices', async (req, res) => {
             return res.status(404).json({ message: 'Account not found.' });
         }
         
-        const invoiceNumber = await CityLedgerAccount.generateInvoiceNumber(propertyId);
-        
         // Calculate due date based on payment terms (default to 30 days if not set)
         const paymentTermsDays = account.paymentTerms || 30;
         const dueDate = validation.validated.dueDate 
@@ -212,7 +271,6 @@ router.post('/accounts/:id/invoices', async (req, res) => {
             : new Date(Date.now() + paymentTermsDays * 24 * 60 * 60 * 1000);
         
         const invoice = {
-            invoiceNumber,
             folioId: validation.validated.folioId,
             reservationId: validation.validated.reservationId,
             guestName: validation.validated.guestName,
@@ -225,9 +283,16 @@ router.post('/accounts/:id/invoices', async (req, res) => {
         
         account.invoices.push(invoice);
         account.calculateBalance();
-        await account.save();
+        const savedInvoice = account.invoices[account.invoices.length - 1];
+        
+        // Number and save together so a failed save leaves no gap in the invoice series
+        await req.tenant.connection.transaction(async (session) => {
+            savedInvoice.invoiceNumber = await CityLedgerAccount.generateInvoiceNumber(propertyId, { session });
+            await account.save({ session });
+        });
+        await scheduleInvoiceReminders(req.tenant.models, propertyId, account, savedInvoice);
         
-        res.status(201).json({ invoice, account });
+        res.status(201).json({ invoice: savedInvoice, account });
     } catch (error) {
         console.error('Error creating invoice:', error);
         res.status(500).json({ message: 'Failed to create invoice.' });
@@ -251,7 +316,9 @@ router.post('/accounts/:id/charges', async (req, res) => {
             unitPrice: { type: 'number', default: 0, min: 0 },
             tax: { type: 'number', default: 0, min: 0 },
             discount: { type: 'number', default: 0, min: 0 },
-            notes: { type: 'string', default: '' }
+            sacCode: { type: 'string' },
+            notes: { type: 'string', default: '' },
+            ...creditOverrideSchema
         };
         
         const validation = validateAndSetDefaults(req.body, chargeSchema);
@@ -281,6 +348,7 @@ router.post('/accounts/:id/charges', async (req, res) => {
             unitPrice: Number(validation.validated.unitPrice) || Number(validation.validated.amount),
             tax: Number(validation.validated.tax) || 0,
             discount: Number(validation.validated.discount) || 0,
+            sacCode: validation.validated.sacCode,
             notes: validation.validated.notes || ''
         };
         
@@ -289,6 +357,12 @@ router.post('/accounts/:id/charges', async (req, res) => {
             return res.status(400).json({ message: 'Invalid amount. Amount must be a positive number.' });
         }
         
+        // Keep the account within its credit limit
+        const creditCheck = await checkAccountCredit(req, account, charge.amount + charge.tax - charge.discount, 'charge', validation.validated);
+        if (creditCheck.error) {
+            return res.status(creditCheck.status).json({ message: creditCheck.error, code: creditCheck.code, credit: creditCheck.credit });
+        }
+        
         // Initialize charges array if it doesn't exist
         if (!account.charges) {
             account.charges = [];
@@ -321,7 +395,8 @@ router.post('/accounts/:id/payments', async (req, res) => {
             transactionId: { type: 'string', default: '' },
             referenceNumber: { type: 'string', default: '' },
             notes: { type: 'string', default: '' },
-            appliedToInvoices: { isArray: true, default: [] }
+            appliedToInvoices: { isArray: true, default: [] },
+            autoAllocate: { type: 'boolean', default: true }
         };
         
         const validation = validateAndSetDefaults(req.body, paymentSchema);
@@ -340,36 +415,40 @@ router.post('/accounts/:id/payments', async (req, res) => {
         if (!account) {
             return res.status(404).json({ message: 'Account not found.' });
         }
+
+        // Taken in the cashier's open shift
+        const shiftResult = await resolvePaymentShift(req.tenant.models, propertyId, req.user);
+        if (shiftResult.error) {
+            return res.status(shiftResult.status).json({ message: shiftResult.error });
+        }
         
-        const payment = {
+        account.payments.push({
             date: validation.validated.date ? new Date(validation.validated.date) : new Date(),
             amount: validation.validated.amount,
             method: validation.validated.method,
             transactionId: validation.validated.transactionId,
             referenceNumber: validation.validated.referenceNumber,
+            shift: shiftResult.shift,
             notes: validation.validated.notes,
-            appliedToInvoices: validation.validated.appliedToInvoices || []
-        };
-        
-        account.payments.push(payment);
-        
-        // Update invoice statuses if payments are applied
-        if (payment.appliedToInvoices && payment.appliedToInvoices.length > 0) {
-            payment.appliedToInvoices.forEach(({ invoiceId, amount }) => {
-                const invoice = account.invoices.id(invoiceId);
-                if (invoice) {
-                    const paidAmount = (invoice.paidAmount || 0) + amount;
-                    if (paidAmount >= invoice.amount) {
-                        invoice.status = 'paid';
-                    }
-                }
-            });
+            appliedToInvoices: []
+        });
+        const payment = account.payments[account.payments.length - 1];
+        
+        // Allocate to the invoices given, or oldest due date first unless autoAllocate is off
+        const allocations = validation.validated.appliedToInvoices;
+        if (allocations.length > 0 || validation.validated.autoAllocate) {
+            const allocation = allocatePayment(account, payment, allocations);
+            if (allocation.error) {
+                return res.status(allocation.status).json({ message: allocation.error });
+            }
         }
+        refreshInvoiceStatuses(account);
         
         account.calculateBalance();
         await account.save();
+        await cancelSettledInvoiceReminders(req.tenant.models, propertyId, account);
         
-        res.status(201).json({ payment, account });
+        res.status(201).json({ payment, unallocated: getPaymentUnallocated(payment), account });
     } catch (error) {
         console.error('Error recording payment:', error);
         res.status(500).json({ message: 'Failed to record payment.' });
@@ -399,32 +478,36 @@ router.post('/accounts/:id/checkout', async (req, res) => {
             return res.status(404).json({ message: 'Account not found.' });
         }
         
+        const validation = validateAndSetDefaults(req.body || {}, creditOverrideSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+        
         // Calculate balance
         account.calculateBalance();
         
-        // Check if balance is settled
+        // Without a credit limit the balance must be settled first; with one it goes on credit up to the limit
         const balanceThreshold = 0.01;
-        if (account.outstandingBalance > balanceThreshold) {
+        if (!account.creditLimit && account.outstandingBalance > balanceThreshold) {
             return res.status(400).json({ 
                 message: `Cannot checkout with outstanding balance of ₹${account.outstandingBalance.toFixed(2)}. Please settle the balance first.` 
             });
         }
-        
-        // Calculate total charges
-        let totalCharges = 0;
-        if (account.charges && account.charges.length > 0) {
-            totalCharges = account.charges.reduce((sum, charge) => {
-                return sum + charge.amount + (charge.tax || 0) - (charge.discount || 0);
-            }, 0);
+        const creditCheck = await checkAccountCredit(req, account, 0, 'checkout', validation.validated);
+        if (creditCheck.error) {
+            return res.status(creditCheck.status).json({ message: creditCheck.error, code: creditCheck.code, credit: creditCheck.credit });
         }
         
+        // Calculate total of the charges not invoiced yet
+        const charges = account.getUninvoicedCharges();
+        const totalCharges = charges.reduce((sum, charge) => {
+            return sum + charge.amount + (charge.tax || 0) - (charge.discount || 0);
+        }, 0);
+        
         if (totalCharges === 0) {
             return res.status(400).json({ message: 'No charges to invoice.' });
         }
         
-        // Generate invoice number
-        const invoiceNumber = await CityLedgerAccount.generateInvoiceNumber(propertyId);
-        
         // Calculate due date based on payment terms
         const paymentTermsDays = account.paymentTerms || 30;
         const issueDate = new Date();
@@ -432,19 +515,28 @@ router.post('/accounts/:id/checkout', async (req, res) => {
         
         // Create invoice
         const invoice = {
-            invoiceNumber,
             amount: totalCharges,
             issueDate: issueDate,
             dueDate: dueDate,
             status: 'pending',
-            description: `Invoice for ${account.accountName} - Account ${account.accountCode}`
+            description: `Invoice for ${account.accountName} - Account ${account.accountCode}`,
+            items: charges.map(charge => charge.toObject())
         };
         
         account.invoices.push(invoice);
-        await account.save();
+        const savedInvoice = account.invoices[account.invoices.length - 1];
+        charges.forEach(charge => {
+            charge.invoiceId = savedInvoice._id;
+        });
+        
+        // Number and save together so a failed save leaves no gap in the invoice series
+        await req.tenant.connection.transaction(async (session) => {
+            savedInvoice.invoiceNumber = await CityLedgerAccount.generateInvoiceNumber(propertyId, { session });
+            await account.save({ session });
+        });
+        const invoiceNumber = savedInvoice.invoiceNumber;
         
         // Get the saved invoice ID
-        const savedInvoice = account.invoices[account.invoices.length - 1];
         const invoiceId = savedInvoice._id;
         
         // Get property details for email
@@ -456,11 +548,10 @@ router.post('/accounts/:id/checkout', async (req, res) => {
             property: propertyId
         });
         
+        let invoiceEmail = null;
         if (!emailTemplate) {
             console.warn('City Ledger invoice email template not found. Email will not be sent.');
         } else if (account.email) {
-            // Prepare email content
-            const emailService = require('../../services/emailService');
             const tenant = req.tenant;
             
             // Replace variables in email template
@@ -477,7 +568,7 @@ router.post('/accounts/:id/checkout', async (req, res) => {
                 dueDate: dueDate.toLocaleDateString('en-GB'),
                 totalAmount: totalCharges.toLocaleString('en-IN'),
                 paymentTerms: paymentTermsDays,
-                propertyName: propertyDetails?.name || 'Hotel',
+                propertyName: propertyDetails?.propertyName || 'Hotel',
                 propertyEmail: propertyDetails?.email || '',
                 propertyPhone: propertyDetails?.phone || '',
                 propertyAddress: propertyDetails?.address || '',
@@ -494,9 +585,9 @@ router.post('/accounts/:id/checkout', async (req, res) => {
             
             // Build charges table HTML
             let chargesTableHtml = '';
-            if (account.charges && account.charges.length > 0) {
+            if (charges.length > 0) {
                 chargesTableHtml = '<table class="charges-table"><thead><tr><th>Date</th><th>Description</th><th class="amount">Amount</th></tr></thead><tbody>';
-                account.charges.forEach(charge => {
+                charges.forEach(charge => {
                     const chargeAmount = charge.amount + (charge.tax || 0) - (charge.discount || 0);
                     chargesTableHtml += `<tr><td>${new Date(charge.date).toLocaleDateString('en-GB')}</td><td>${charge.description}</td><td class="amount">₹${chargeAmount.toLocaleString('en-IN')}</td></tr>`;
                 });
@@ -508,46 +599,38 @@ router.post('/accounts/:id/checkout', async (req, res) => {
             // Replace charges table placeholder
             emailContent = emailContent.replace('{{chargesTable}}', chargesTableHtml);
             
-            // Send immediate email
-            try {
-                await emailService.sendEmail(
-                    tenant,
-                    account.email,
-                    emailSubject,
-                    emailContent
-                );
-                console.log(`Invoice email sent immediately to ${account.email}`);
-            } catch (emailError) {
-                console.error('Error sending immediate invoice email:', emailError);
-            }
-            
-            // Schedule reminder email after payment terms days
-            if (ScheduledEmail) {
-                const scheduledDate = new Date(Date.now() + paymentTermsDays * 24 * 60 * 60 * 1000);
-                await ScheduledEmail.create({
-                    type: 'city-ledger-reminder',
-                    targetId: account._id,
-                    invoiceId: invoiceId,
-                    recipientEmail: account.email,
-                    subject: `Payment Reminder - Invoice ${invoiceNumber}`,
-                    content: emailContent,
-                    scheduledAt: scheduledDate,
-                    status: 'pending',
-                    property: propertyId,
-                    metadata: {
-                        invoiceNumber,
-                        amount: totalCharges,
-                        paymentTerms: paymentTermsDays
-                    }
-                });
-                console.log(`Reminder email scheduled for ${scheduledDate.toISOString()}`);
-            }
+            // Queued as a scheduled email so a failed send is retried by the dispatcher
+            const queuedEmail = await ScheduledEmail.create({
+                type: 'city-ledger-invoice',
+                targetId: account._id,
+                invoiceId: invoiceId,
+                recipientEmail: account.email,
+                subject: emailSubject,
+                content: emailContent,
+                scheduledAt: new Date(),
+                status: 'processing',
+                lastAttemptAt: new Date(),
+                property: propertyId,
+                metadata: {
+                    invoiceNumber,
+                    amount: totalCharges,
+                    paymentTerms: paymentTermsDays
+                }
+            });
+            invoiceEmail = await sendScheduledEmail(tenant, queuedEmail);
         }
         
+        // Payment reminders per the property's dunning sequence
+        const reminders = await scheduleInvoiceReminders(req.tenant.models, propertyId, account, savedInvoice);
+        
         res.status(200).json({ 
-            message: 'Checkout successful. Invoice created and email sent.',
+            message: invoiceEmail?.status === 'sent'
+                ? 'Checkout successful. Invoice created and email sent.'
+                : 'Checkout successful. Invoice created.',
             invoice,
-            account
+            account,
+            invoiceEmail: invoiceEmail && { _id: invoiceEmail._id, status: invoiceEmail.status, lastError: invoiceEmail.lastError },
+            remindersScheduled: reminders.length
         });
     } catch (error) {
         console.error('Error during checkout:', error);
@@ -555,9 +638,186 @@ router.post('/accounts/:id/checkout', async (req, res) => {
     }
 });
 
+// Build the e-invoice for one city ledger invoice
+const buildInvoiceEInvoice = async (req, account, invoice, settings) => {
+    const { items, placeOfSupply } = await getCityLedgerInvoiceItems(req.tenant.models, getPropertyId(req), account, invoice);
+    return buildCityLedgerEInvoice(account, invoice, items, settings, placeOfSupply);
+};
+
+// Export city ledger invoices as e-invoice JSON in one batch, by invoice or issue date range
+router.post('/invoices/e-invoice/export', async (req, res) => {
+    try {
+        const exportSchema = {
+            // [{ accountId, invoiceId }]
+            invoices: { isArray: true },
+            from: { type: 'string', isDate: true },
+            to: { type: 'string', isDate: true },
+            includeGenerated: { type: 'boolean', default: false }
+        };
+
+        const validation = validateAndSetDefaults(req.body, exportSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { invoices: selection, from, to, includeGenerated } = validation.validated;
+        if (!selection && !(from && to)) {
+            return res.status(400).json({ message: 'Provide invoices or a from/to issue date range' });
+        }
+        if (selection && selection.some(entry => !isValidObjectId(entry?.accountId) || !isValidObjectId(entry?.invoiceId))) {
+            return res.status(400).json({ message: 'Each invoice needs a valid accountId and invoiceId' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+
+        const query = { property: propertyId };
+        if (selection) {
+            query._id = { $in: [...new Set(selection.map(entry => entry.accountId))] };
+        } else {
+            query.gstin = { $nin: [null, ''] };
+        }
+        const accounts = await CityLedgerAccount.find(query);
+
+        const toDate = to ? new Date(to) : null;
+        if (toDate) {
+            toDate.setHours(23, 59, 59, 999);
+        }
+        const isSelected = (account, invoice) => {
+            if (selection) {
+                return selection.some(entry => entry.accountId === account._id.toString() && entry.invoiceId === invoice._id.toString());
+            }
+            const issued = new Date(invoice.issueDate);
+            return issued >= new Date(from) && issued <= toDate;
+        };
+
+        const settings = await getGstSettings(req.tenant.models, propertyId);
+        const exportedAt = new Date();
+        const invoices = [];
+        const errors = [];
+
+        for (const account of accounts) {
+            let changed = false;
+            for (const invoice of account.invoices) {
+                if (!isSelected(account, invoice) || invoice.status === 'cancelled') {
+                    continue;
+                }
+                if (!includeGenerated && ['generated', 'cancelled'].includes(invoice.eInvoice?.status)) {
+                    continue;
+                }
+
+                const { payload, errors: invoiceErrors } = await buildInvoiceEInvoice(req, account, invoice, settings);
+                if (invoiceErrors.length > 0) {
+                    errors.push({ accountId: account._id, invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, errors: invoiceErrors });
+                    continue;
+                }
+                invoices.push(payload);
+                if (!invoice.eInvoice) {
+                    invoice.eInvoice = {};
+                }
+                markExported(invoice.eInvoice, exportedAt);
+                changed = true;
+            }
+            if (changed) {
+                await account.save();
+            }
+        }
+
+        res.status(200).json({
+            version: SCHEMA_VERSION,
+            exported: invoices.length,
+            invoices,
+            errors
+        });
+    } catch (error) {
+        console.error('Error exporting city ledger e-invoices:', error);
+        res.status(500).json({ message: 'Failed to export e-invoices.' });
+    }
+});
+
+// Load an account and one of its invoices for the e-invoice routes
+const findAccountInvoice = async (req, res) => {
+    const { id, invoiceId } = req.params;
+    if (!isValidObjectId(id) || !isValidObjectId(invoiceId)) {
+        res.status(400).json({ message: 'Invalid account or invoice ID format' });
+        return null;
+    }
+
+    const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+    const account = await CityLedgerAccount.findOne({ _id: id, property: getPropertyId(req) });
+    const invoice = account?.invoices.id(invoiceId);
+    if (!invoice) {
+        res.status(404).json({ message: account ? 'Invoice not found.' : 'Account not found.' });
+        return null;
+    }
+    if (!invoice.eInvoice) {
+        invoice.eInvoice = {};
+    }
+    return { account, invoice };
+};
+
+// Export a single city ledger invoice as e-invoice JSON
+router.post('/accounts/:id/invoices/:invoiceId/e-invoice/export', async (req, res) => {
+    try {
+        const found = await findAccountInvoice(req, res);
+        if (!found) {
+            return;
+        }
+        const { account, invoice } = found;
+
+        const settings = await getGstSettings(req.tenant.models, getPropertyId(req));
+        const { payload, errors } = await buildInvoiceEInvoice(req, account, invoice, settings);
+        if (errors.length > 0) {
+            return res.status(422).json({ message: 'Invoice is not ready for e-invoicing', errors });
+        }
+
+        markExported(invoice.eInvoice);
+        await account.save();
+
+        res.status(200).json(payload);
+    } catch (error) {
+        console.error('Error exporting city ledger e-invoice:', error);
+        res.status(500).json({ message: 'Failed to export e-invoice.' });
+    }
+});
+
+// Record the IRN, acknowledgement and signed QR code for a city ledger invoice
+router.put('/accounts/:id/invoices/:invoiceId/e-invoice', async (req, res) => {
+    try {
+        const validation = validateAndSetDefaults(req.body, E_INVOICE_ACK_SCHEMA);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const found = await findAccountInvoice(req, res);
+        if (!found) {
+            return;
+        }
+        const { account, invoice } = found;
+
+        if (invoice.eInvoice.irn && invoice.eInvoice.irn !== validation.validated.irn.toLowerCase()) {
+            return res.status(409).json({ message: `Invoice already has IRN ${invoice.eInvoice.irn}` });
+        }
+
+        recordEInvoiceAck(invoice.eInvoice, validation.validated);
+        await account.save();
+
+        res.status(200).json({ invoice, account });
+    } catch (error) {
+        console.error('Error recording city ledger e-invoice IRN:', error);
+        res.status(500).json({ message: 'Failed to record e-invoice IRN.' });
+    }
+});
+
 // Get outstanding summary
+// Outstanding summary with the receivables aging (current/30/60/90+ days past due), per account and in total
 router.get('/outstanding', async (req, res) => {
     try {
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf.getTime())) {
+            return res.status(400).json({ message: 'asOf must be a valid date' });
+        }
+
         const propertyId = getPropertyId(req);
         const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
         
@@ -576,12 +836,19 @@ router.get('/outstanding', async (req, res) => {
             totalInvoiced += account.totalInvoiced;
             totalPaid += account.totalPaid;
         });
+
+        const report = buildAgingReport(accounts, asOf);
+        if (req.query.includeInvoices !== 'true') {
+            report.accounts.forEach(account => delete account.invoices);
+        }
         
         res.status(200).json({
             totalOutstanding,
             totalInvoiced,
             totalPaid,
-            accountCount: accounts.length
+            accountCount: accounts.length,
+            overLimitCount: report.accounts.filter(account => account.overLimit).length,
+            ...report
         });
     } catch (error) {
         console.error('Error fetching outstanding summary:', error);
@@ -589,5 +856,492 @@ router.get('/outstanding', async (req, res) => {
     }
 });
 
-module.exports = router;
+// Aging of one account's invoices, with the credit it has in use
+router.get('/accounts/:id/aging', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid account ID format' });
+        }
+        const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+        if (isNaN(asOf.getTime())) {
+            return res.status(400).json({ message: 'asOf must be a valid date' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+        const account = await CityLedgerAccount.findOne({ _id: id, property: propertyId });
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        res.status(200).json({
+            asOf,
+            ...getAccountAging(account, asOf),
+            credit: await getCreditExposure(req.tenant.models, propertyId, account),
+            creditOverrides: account.creditOverrides.slice(-20).reverse()
+        });
+    } catch (error) {
+        console.error('Error fetching account aging:', error);
+        res.status(500).json({ message: 'Failed to fetch account aging.' });
+    }
+});
+
+
+// Allocate a payment's unallocated amount to invoices (explicitly, or oldest due date first)
+router.post('/accounts/:id/payments/:paymentId/allocate', async (req, res) => {
+    try {
+        const { id, paymentId } = req.params;
+        if (!isValidObjectId(id) || !isValidObjectId(paymentId)) {
+            return res.status(400).json({ message: 'Invalid account or payment ID format' });
+        }
+
+        const validation = validateAndSetDefaults(req.body || {}, {
+            appliedToInvoices: { isArray: true, default: [] },
+            // Drop the payment's current allocations first
+            reallocate: { type: 'boolean', default: false }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const propertyId = getPropertyId(req);
+        const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+        const account = await CityLedgerAccount.findOne({ _id: id, property: propertyId });
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+        const payment = account.payments.id(paymentId);
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found.' });
+        }
+        if (payment.amount <= 0) {
+            return res.status(400).json({ message: 'Refunds are not allocated to invoices.' });
+        }
+
+        if (validation.validated.reallocate) {
+            payment.appliedToInvoices = [];
+        }
+        const allocation = allocatePayment(account, payment, validation.validated.appliedToInvoices);
+        if (allocation.error) {
+            return res.status(allocation.status).json({ message: allocation.error });
+        }
+        refreshInvoiceStatuses(account);
+        account.calculateBalance();
+        await account.save();
+        await cancelSettledInvoiceReminders(req.tenant.models, propertyId, account);
+
+        res.status(200).json({ payment, allocated: allocation.allocated, unallocated: allocation.unallocated, account });
+    } catch (error) {
+        console.error('Error allocating payment:', error);
+        res.status(500).json({ message: 'Failed to allocate payment.' });
+    }
+});
+
+// Allocate all unallocated payments of an account, oldest payment and oldest due date first
+router.post('/accounts/:id/allocate', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid account ID format' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+        const account = await CityLedgerAccount.findOne({ _id: id, property: propertyId });
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        const allocated = [];
+        [...account.payments]
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .forEach(payment => {
+                allocatePayment(account, payment).allocated.forEach(entry => allocated.push({ paymentId: payment._id, ...entry }));
+            });
+        refreshInvoiceStatuses(account);
+        account.calculateBalance();
+        await account.save();
+        await cancelSettledInvoiceReminders(req.tenant.models, propertyId, account);
+
+        res.status(200).json({
+            allocated,
+            unallocated: getAccountAging(account).unappliedPayments,
+            account
+        });
+    } catch (error) {
+        console.error('Error allocating payments:', error);
+        res.status(500).json({ message: 'Failed to allocate payments.' });
+    }
+});
+
+// Statement period from { from, to } (YYYY-MM-DD, both inclusive); defaults to the current month
+const parseStatementPeriod = (params) => {
+    const to = params.to ? new Date(params.to) : new Date();
+    const from = params.from ? new Date(params.from) : new Date(to.getFullYear(), to.getMonth(), 1);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+    from.setHours(0, 0, 0, 0);
+    to.setHours(23, 59, 59, 999);
+    if (from > to) {
+        return { error: 'from must not be after to' };
+    }
+    return { from, to };
+};
+
+// Load an account and build its statement for the requested period
+const loadStatement = async (req, params) => {
+    const { id } = req.params;
+    if (!isValidObjectId(id)) {
+        return { status: 400, error: 'Invalid account ID format' };
+    }
+    const period = parseStatementPeriod(params);
+    if (period.error) {
+        return { status: 400, error: period.error };
+    }
+    const account = await getModel(req, 'CityLedgerAccount').findOne({ _id: id, property: getPropertyId(req) });
+    if (!account) {
+        return { status: 404, error: 'Account not found.' };
+    }
+    return { account, statement: buildStatement(account, period) };
+};
 
+// Statement of account for a period
+router.get('/accounts/:id/statement', async (req, res) => {
+    try {
+        const result = await loadStatement(req, req.query);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.status(200).json(result.statement);
+    } catch (error) {
+        console.error('Error building statement of account:', error);
+        res.status(500).json({ message: 'Failed to build statement of account.' });
+    }
+});
+
+// Statement of account as a PDF
+router.get('/accounts/:id/statement/pdf', async (req, res) => {
+    try {
+        const result = await loadStatement(req, req.query);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        const pdf = await generateStatementPdf(req.tenant, result.statement);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Statement_${result.account.accountCode}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error generating statement PDF:', error);
+        res.status(500).json({ message: 'Failed to generate statement PDF.' });
+    }
+});
+
+// Email the statement of account as a PDF (to the account's email unless one is given)
+router.post('/accounts/:id/statement/email', async (req, res) => {
+    try {
+        const validation = validateAndSetDefaults(req.body || {}, {
+            from: { type: 'string', isDate: true },
+            to: { type: 'string', isDate: true },
+            email: { type: 'string', custom: (val) => isValidEmail(val) || 'email is not a valid email address' }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const result = await loadStatement(req, validation.validated);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        const recipient = validation.validated.email || result.account.email;
+        if (!recipient) {
+            return res.status(400).json({ message: 'The account has no email address; pass email.' });
+        }
+
+        const sent = await emailStatement(req.tenant, result.statement, recipient);
+        if (!sent.success) {
+            return res.status(502).json({ message: `Statement could not be emailed: ${sent.error}` });
+        }
+        res.status(200).json({ message: `Statement emailed to ${recipient}.`, messageId: sent.messageId });
+    } catch (error) {
+        console.error('Error emailing statement of account:', error);
+        res.status(500).json({ message: 'Failed to email statement of account.' });
+    }
+});
+
+// Consolidated invoice options; the period runs up to to (default today), from all not invoiced when omitted
+const consolidatedInvoiceSchema = {
+    from: { type: 'string', isDate: true },
+    to: { type: 'string', isDate: true },
+    poNumber: { type: 'string' },
+    costCenter: { type: 'string' },
+    // Cost center per stay: [{ billId, costCenter }]
+    costCenters: {
+        isArray: true,
+        default: [],
+        custom: (val) => !Array.isArray(val) || val.every(entry => entry && typeof entry.billId === 'string' && typeof entry.costCenter === 'string')
+            || 'costCenters must be a list of { billId, costCenter }'
+    },
+    dueDate: { type: 'string', isDate: true },
+    description: { type: 'string' }
+};
+
+// Consolidated invoice period: from start of day, to end of day
+const parseConsolidatedPeriod = ({ from, to }) => {
+    const period = { to: to ? new Date(to) : new Date() };
+    period.to.setHours(23, 59, 59, 999);
+    if (from) {
+        period.from = new Date(from);
+        period.from.setHours(0, 0, 0, 0);
+        if (period.from > period.to) {
+            return { error: 'from must not be after to' };
+        }
+    }
+    return period;
+};
+
+// Preview what a consolidated invoice for a period would bill
+router.get('/accounts/:id/consolidated-invoice/preview', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid account ID format' });
+        }
+        const validation = validateAndSetDefaults(req.query, {
+            from: consolidatedInvoiceSchema.from,
+            to: consolidatedInvoiceSchema.to,
+            costCenter: consolidatedInvoiceSchema.costCenter
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+        const period = parseConsolidatedPeriod(validation.validated);
+        if (period.error) {
+            return res.status(400).json({ message: period.error });
+        }
+
+        const propertyId = getPropertyId(req);
+        const account = await getModel(req, 'CityLedgerAccount').findOne({ _id: id, property: propertyId });
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        const preview = await buildConsolidatedInvoice(req.tenant.models, propertyId, account, period, {
+            costCenter: validation.validated.costCenter || account.costCenter
+        });
+        res.status(200).json({
+            period: preview.period,
+            poNumber: account.poNumber,
+            costCenter: validation.validated.costCenter || account.costCenter,
+            stays: preview.stays,
+            charges: preview.chargeLines,
+            totals: preview.totals
+        });
+    } catch (error) {
+        console.error('Error previewing consolidated invoice:', error);
+        res.status(500).json({ message: 'Failed to preview consolidated invoice.' });
+    }
+});
+
+// Raise one invoice for every stay and charge of a period not invoiced yet
+router.post('/accounts/:id/consolidated-invoices', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid account ID format' });
+        }
+        const validation = validateAndSetDefaults(req.body || {}, consolidatedInvoiceSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+        const period = parseConsolidatedPeriod(validation.validated);
+        if (period.error) {
+            return res.status(400).json({ message: period.error });
+        }
+
+        const account = await getModel(req, 'CityLedgerAccount').findOne({ _id: id, property: getPropertyId(req) });
+        if (!account) {
+            return res.status(404).json({ message: 'Account not found.' });
+        }
+
+        const { poNumber, costCenter, costCenters, dueDate, description } = validation.validated;
+        const result = await createConsolidatedInvoice(req.tenant, account, {
+            ...period,
+            poNumber,
+            costCenter,
+            costCenters,
+            dueDate: dueDate ? new Date(dueDate) : undefined,
+            description
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+
+        res.status(201).json({ invoice: result.invoice, totals: result.totals, account });
+    } catch (error) {
+        console.error('Error creating consolidated invoice:', error);
+        res.status(500).json({ message: 'Failed to create consolidated invoice.' });
+    }
+});
+
+// City ledger invoice as a PDF (with the stay breakdown of a consolidated invoice)
+router.get('/accounts/:id/invoices/:invoiceId/pdf', async (req, res) => {
+    try {
+        const { id, invoiceId } = req.params;
+        if (!isValidObjectId(id) || !isValidObjectId(invoiceId)) {
+            return res.status(400).json({ message: 'Invalid account or invoice ID format' });
+        }
+
+        const account = await getModel(req, 'CityLedgerAccount').findOne({ _id: id, property: getPropertyId(req) });
+        const invoice = account?.invoices.id(invoiceId);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found.' });
+        }
+
+        const pdf = await generateInvoicePdf(req.tenant, account, invoice);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Invoice_${invoice.invoiceNumber}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error generating invoice PDF:', error);
+        res.status(500).json({ message: 'Failed to generate invoice PDF.' });
+    }
+});
+
+const SCHEDULED_EMAIL_STATUSES = ['pending', 'processing', 'sent', 'failed', 'cancelled'];
+const SCHEDULED_EMAIL_TYPES = ['city-ledger-invoice', 'city-ledger-reminder'];
+
+// List scheduled invoice emails and payment reminders
+router.get('/scheduled-emails', async (req, res) => {
+    try {
+        const { page, limit } = validatePagination({ ...req.query, limit: req.query.limit || 50 });
+        const { status, type, accountId, invoiceId } = req.query;
+        if (status && !SCHEDULED_EMAIL_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `status must be one of: ${SCHEDULED_EMAIL_STATUSES.join(', ')}` });
+        }
+        if (type && !SCHEDULED_EMAIL_TYPES.includes(type)) {
+            return res.status(400).json({ message: `type must be one of: ${SCHEDULED_EMAIL_TYPES.join(', ')}` });
+        }
+        if ((accountId && !isValidObjectId(accountId)) || (invoiceId && !isValidObjectId(invoiceId))) {
+            return res.status(400).json({ message: 'Invalid account or invoice ID format' });
+        }
+
+        const ScheduledEmail = getModel(req, 'ScheduledEmail');
+        const query = { property: getPropertyId(req) };
+        if (status) query.status = status;
+        if (type) query.type = type;
+        if (accountId) query.targetId = accountId;
+        if (invoiceId) query.invoiceId = invoiceId;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [total, emails] = await Promise.all([
+            ScheduledEmail.countDocuments(query),
+            ScheduledEmail.find(query)
+                .select('-content')
+                .populate('targetId', 'accountName accountCode')
+                .sort({ scheduledAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+        ]);
+
+        res.status(200).json({
+            emails,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching scheduled emails:', error);
+        res.status(500).json({ message: 'Failed to fetch scheduled emails.' });
+    }
+});
+
+// Get one scheduled email, with its content
+router.get('/scheduled-emails/:emailId', async (req, res) => {
+    try {
+        const { emailId } = req.params;
+        if (!isValidObjectId(emailId)) {
+            return res.status(400).json({ message: 'Invalid scheduled email ID format' });
+        }
+
+        const ScheduledEmail = getModel(req, 'ScheduledEmail');
+        const email = await ScheduledEmail.findOne({ _id: emailId, property: getPropertyId(req) })
+            .populate('targetId', 'accountName accountCode email');
+        if (!email) {
+            return res.status(404).json({ message: 'Scheduled email not found.' });
+        }
+
+        res.status(200).json(email);
+    } catch (error) {
+        console.error('Error fetching scheduled email:', error);
+        res.status(500).json({ message: 'Failed to fetch scheduled email.' });
+    }
+});
+
+// Cancel a scheduled email that has not been sent
+router.post('/scheduled-emails/:emailId/cancel', async (req, res) => {
+    try {
+        const { emailId } = req.params;
+        if (!isValidObjectId(emailId)) {
+            return res.status(400).json({ message: 'Invalid scheduled email ID format' });
+        }
+
+        const ScheduledEmail = getModel(req, 'ScheduledEmail');
+        // Only while not being sent, so the dispatcher cannot send it after it is cancelled
+        const email = await ScheduledEmail.findOneAndUpdate(
+            { _id: emailId, property: getPropertyId(req), status: { $in: ['pending', 'failed'] } },
+            { status: 'cancelled', cancelledAt: new Date(), cancelReason: req.body?.reason || `Cancelled by ${req.user?.name || 'user'}` },
+            { new: true }
+        );
+        if (!email) {
+            const existing = await ScheduledEmail.findOne({ _id: emailId, property: getPropertyId(req) }).select('status');
+            if (!existing) {
+                return res.status(404).json({ message: 'Scheduled email not found.' });
+            }
+            return res.status(400).json({ message: `A ${existing.status} email cannot be cancelled.` });
+        }
+
+        res.status(200).json({ message: 'Scheduled email cancelled.', email });
+    } catch (error) {
+        console.error('Error cancelling scheduled email:', error);
+        res.status(500).json({ message: 'Failed to cancel scheduled email.' });
+    }
+});
+
+// Send a scheduled email again now (a pending or failed one is replaced by the new send)
+router.post('/scheduled-emails/:emailId/resend', async (req, res) => {
+    try {
+        const { emailId } = req.params;
+        if (!isValidObjectId(emailId)) {
+            return res.status(400).json({ message: 'Invalid scheduled email ID format' });
+        }
+
+        const ScheduledEmail = getModel(req, 'ScheduledEmail');
+        const original = await ScheduledEmail.findOne({ _id: emailId, property: getPropertyId(req) });
+        if (!original) {
+            return res.status(404).json({ message: 'Scheduled email not found.' });
+        }
+        if (original.status === 'processing') {
+            return res.status(409).json({ message: 'This email is being sent; try again shortly.' });
+        }
+
+        const email = await resendScheduledEmail(req.tenant, original);
+        if (email.status === 'sent') {
+            return res.status(200).json({ message: 'Email sent.', email });
+        }
+        if (email.status === 'cancelled') {
+            return res.status(400).json({ message: `Email not sent: ${email.cancelReason}.`, email });
+        }
+        res.status(502).json({ message: `Email could not be sent: ${email.lastError}. It will be retried.`, email });
+    } catch (error) {
+        console.error('Error resending scheduled email:', error);
+        res.status(500).json({ message: 'Failed to resend scheduled email.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const { authenticate, requireModuleAccess, requireRole } = require('../../middleware/auth');
+const { validateAndSetDefaults, validatePagination, isValidObjectId } = require('../../utils/validation');
+const { buildUtilisationReport } = require('../../services/corporateContractService');
+
+// Corporate rate contracts of city ledger accounts (see services/corporateContractService.js)
+const router = express.Router();
+router.use(bodyParser.json());
+router.use(authenticate);
+router.use(requireModuleAccess('billing-finance'));
+
+const getModel = (req, name) => req.tenant.models[name];
+const getPropertyId = (req) => req.tenant.property._id;
+
+const rateSchema = {
+    roomType: { type: 'string', required: true, isObjectId: true },
+    pricing: { type: 'string', default: 'fixed', enum: ['fixed', 'discount'] },
+    baseRate: { type: 'number', min: 0 },
+    extraGuestRate: { type: 'number', min: 0 },
+    adultRate: { type: 'number', min: 0 },
+    childRate: { type: 'number', min: 0 },
+    discountPercent: { type: 'number', default: 0, min: 0, max: 100 }
+};
+
+const blackoutSchema = {
+    from: { type: 'string', required: true, isDate: true },
+    to: { type: 'string', required: true, isDate: true },
+    reason: { type: 'string', default: '' }
+};
+
+const allotmentSchema = {
+    roomType: { type: 'string', required: true, isObjectId: true },
+    roomsPerNight: { type: 'number', required: true, min: 0, custom: (val) => Number.isInteger(val) || 'roomsPerNight must be a whole number' }
+};
+
+// Validate each entry of a list against a schema; errors are prefixed with the field and index
+const validateList = (list, schema, field) => {
+    const errors = [];
+    const entries = [];
+    list.forEach((entry, index) => {
+        const entryValidation = validateAndSetDefaults(entry || {}, schema);
+        if (!entryValidation.isValid) {
+            errors.push(...entryValidation.errors.map(error => `${field}[${index}].${error}`));
+            return;
+        }
+        entries.push(entryValidation.validated);
+    });
+    return { errors, entries };
+};
+
+/**
+ * Validate the rates, blackout dates and allotments of a contract against the
+ * property's room types. Fixed rates need the rate of the room type's price model.
+ *
+ * @returns {Promise<{ errors: Array, contract: Object }>}
+ */
+const validateContractTerms = async (req, validated) => {
+    const errors = [];
+    const contract = {};
+
+    if (validated.rates) {
+        const rates = validateList(validated.rates, rateSchema, 'rates');
+        errors.push(...rates.errors);
+        contract.rates = rates.entries;
+    }
+    if (validated.blackoutDates) {
+        const blackouts = validateList(validated.blackoutDates, blackoutSchema, 'blackoutDates');
+        errors.push(...blackouts.errors);
+        contract.blackoutDates = blackouts.entries.map(entry => ({ ...entry, from: new Date(entry.from), to: new Date(entry.to) }));
+        if (contract.blackoutDates.some(entry => entry.from > entry.to)) {
+            errors.push('blackoutDates from must not be after to');
+        }
+    }
+    if (validated.allotments) {
+        const allotments = validateList(validated.allotments, allotmentSchema, 'allotments');
+        errors.push(...allotments.errors);
+        contract.allotments = allotments.entries;
+    }
+    if (errors.length > 0) {
+        return { errors, contract };
+    }
+
+    const roomTypeIds = [...new Set([...(contract.rates || []), ...(contract.allotments || [])].map(entry => entry.roomType))];
+    const roomTypes = await getModel(req, 'RoomType').find({ _id: { $in: roomTypeIds }, property: getPropertyId(req) }).select('name priceModel').lean();
+    const roomTypeMap = new Map(roomTypes.map(roomType => [roomType._id.toString(), roomType]));
+    roomTypeIds.filter(id => !roomTypeMap.has(id)).forEach(id => errors.push(`Room type ${id} not found`));
+
+    ['rates', 'allotments'].forEach(field => {
+        const ids = (contract[field] || []).map(entry => entry.roomType);
+        if (new Set(ids).size !== ids.length) {
+            errors.push(`${field} must not repeat a room type`);
+        }
+    });
+
+    (contract.rates || []).forEach((rate, index) => {
+        const roomType = roomTypeMap.get(rate.roomType);
+        if (!roomType || rate.pricing !== 'fixed') {
+            return;
+        }
+        const rateField = roomType.priceModel === 'perPerson' ? 'adultRate' : 'baseRate';
+        if (rate[rateField] === undefined) {
+            errors.push(`rates[${index}].${rateField} is required for a fixed rate on ${roomType.name}`);
+        }
+    });
+
+    return { errors, contract };
+};
+
+// List contracts
+router.get('/', async (req, res) => {
+    try {
+        const { page, limit, search } = validatePagination({ ...req.query, limit: req.query.limit || 50 });
+        const { accountId, active } = req.query;
+        if (accountId && !isValidObjectId(accountId)) {
+            return res.status(400).json({ message: 'Invalid account ID format' });
+        }
+
+        const CorporateContract = getModel(req, 'CorporateContract');
+        const query = { property: getPropertyId(req) };
+        if (accountId) {
+            query.account = accountId;
+        }
+        if (active === 'true') {
+            // In force today
+            const today = new Date();
+            query.isActive = true;
+            query.validFrom = { $lte: today };
+            query.validTo = { $gte: new Date(today.getTime() - 1000 * 60 * 60 * 24) };
+        } else if (active === 'false') {
+            query.isActive = false;
+        }
+        if (search) {
+            query.$or = [
+                { name: { $regex: search, $options: 'i' } },
+                { contractNumber: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [total, contracts] = await Promise.all([
+            CorporateContract.countDocuments(query),
+            CorporateContract.find(query)
+                .populate('account', 'accountCode accountName')
+                .sort({ validFrom: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+        ]);
+
+        res.status(200).json({
+            contracts,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching corporate contracts:', error);
+        res.status(500).json({ message: 'Failed to fetch corporate contracts.' });
+    }
+});
+
+// Contract utilisation per company: room nights, revenue and allotment used - MUST be before /:id
+router.get('/reports/utilisation', async (req, res) => {
+    try {
+        const validation = validateAndSetDefaults(req.query, {
+            from: { type: 'string', required: true, isDate: true },
+            to: { type: 'string', required: true, isDate: true },
+            accountId: { type: 'string', isObjectId: true }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+        const from = new Date(validation.validated.from);
+        const to = new Date(validation.validated.to);
+        if (from > to) {
+            return res.status(400).json({ message: 'from must not be after to' });
+        }
+
+        const report = await buildUtilisationReport(req.tenant.models, getPropertyId(req), {
+            from,
+            to,
+            accountId: validation.validated.accountId
+        });
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error building contract utilisation report:', error);
+        res.status(500).json({ message: 'Failed to build contract utilisation report.' });
+    }
+});
+
+// Get one contract
+router.get('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid contract ID format' });
+        }
+
+        const contract = await getModel(req, 'CorporateContract').findOne({ _id: id, property: getPropertyId(req) })
+            .populate('account', 'accountCode accountName')
+            .populate('rates.roomType', 'name priceModel')
+            .populate('allotments.roomType', 'name');
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found.' });
+        }
+
+        res.status(200).json(contract);
+    } catch (error) {
+        console.error('Error fetching corporate contract:', error);
+        res.status(500).json({ message: 'Failed to fetch corporate contract.' });
+    }
+});
+
+// Create a contract for a corporate account
+router.post('/', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const validation = validateAndSetDefaults(req.body, {
+            accountId: { type: 'string', required: true, isObjectId: true },
+            name: { type: 'string', required: true },
+            validFrom: { type: 'string', required: true, isDate: true },
+            validTo: { type: 'string', required: true, isDate: true },
+            rates: { isArray: true, required: true },
+            blackoutDates: { isArray: true, default: [] },
+            allotments: { isArray: true, default: [] },
+            notes: { type: 'string', default: '' },
+            isActive: { type: 'boolean', default: true }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+        const { accountId, name, notes, isActive } = validation.validated;
+        const validFrom = new Date(validation.validated.validFrom);
+        const validTo = new Date(validation.validated.validTo);
+        if (validFrom > validTo) {
+            return res.status(400).json({ message: 'validFrom must not be after validTo' });
+        }
+
+        const terms = await validateContractTerms(req, validation.validated);
+        if (terms.errors.length > 0) {
+            return res.status(400).json({ message: terms.errors.join(', ') });
+        }
+        if (terms.contract.rates.length === 0) {
+            return res.status(400).json({ message: 'A contract needs at least one room type rate' });
+        }
+
+        const propertyId = getPropertyId(req);
+        const account = await getModel(req, 'CityLedgerAccount').findOne({ _id: accountId, property: propertyId, isActive: true });
+        if (!account) {
+            return res.status(404).json({ message: 'City ledger account not found.' });
+        }
+        if (account.accountType !== 'corporate') {
+            return res.status(400).json({ message: 'Rate contracts are for corporate accounts.' });
+        }
+
+        const CorporateContract = getModel(req, 'CorporateContract');
+        const contract = new CorporateContract({
+            account: account._id,
+            name,
+            validFrom,
+            validTo,
+            ...terms.contract,
+            notes,
+            isActive,
+            createdBy: req.user?.id,
+            property: propertyId
+        });
+        await req.tenant.connection.transaction(async (session) => {
+            contract.contractNumber = await CorporateContract.generateContractNumber(propertyId, { session });
+            await contract.save({ session });
+        });
+
+        res.status(201).json(contract);
+    } catch (error) {
+        console.error('Error creating corporate contract:', error);
+        res.status(500).json({ message: 'Failed to create corporate contract.' });
+    }
+});
+
+// Update a contract; bookings already made keep the price they were given
+router.put('/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid contract ID format' });
+        }
+
+        const validation = validateAndSetDefaults(req.body, {
+            name: { type: 'string' },
+            validFrom: { type: 'string', isDate: true },
+            validTo: { type: 'string', isDate: true },
+            rates: { isArray: true },
+            blackoutDates: { isArray: true },
+            allotments: { isArray: true },
+            notes: { type: 'string' },
+            isActive: { type: 'boolean' }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const contract = await getModel(req, 'CorporateContract').findOne({ _id: id, property: getPropertyId(req) });
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found.' });
+        }
+
+        const terms = await validateContractTerms(req, validation.validated);
+        if (terms.errors.length > 0) {
+            return res.status(400).json({ message: terms.errors.join(', ') });
+        }
+        if (terms.contract.rates && terms.contract.rates.length === 0) {
+            return res.status(400).json({ message: 'A contract needs at least one room type rate' });
+        }
+
+        const { name, validFrom, validTo, notes, isActive } = validation.validated;
+        if (name !== undefined) contract.name = name;
+        if (validFrom) contract.validFrom = new Date(validFrom);
+        if (validTo) contract.validTo = new Date(validTo);
+        if (notes !== undefined) contract.notes = notes;
+        if (isActive !== undefined) contract.isActive = isActive;
+        Object.assign(contract, terms.contract);
+        if (contract.validFrom > contract.validTo) {
+            return res.status(400).json({ message: 'validFrom must not be after validTo' });
+        }
+
+        await contract.save();
+        res.status(200).json(contract);
+    } catch (error) {
+        console.error('Error updating corporate contract:', error);
+        res.status(500).json({ message: 'Failed to update corporate contract.' });
+    }
+});
+
+// Deactivate a contract (kept for the bookings priced on it)
+router.delete('/:id', requireRole('Admin', 'Manager'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid contract ID format' });
+        }
+
+        const contract = await getModel(req, 'CorporateContract').findOneAndUpdate(
+            { _id: id, property: getPropertyId(req) },
+            { isActive: false },
+            { new: true }
+        );
+        if (!contract) {
+            return res.status(404).json({ message: 'Contract not found.' });
+        }
+
+        res.status(200).json({ message: 'Contract deactivated.', contract });
+    } catch (error) {
+        console.error('Error deactivating corporate contract:', error);
+        res.status(500).json({ message: 'Failed to deactivate corporate contract.' });
+    }
+});
+
+module.exports = router;
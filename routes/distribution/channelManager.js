@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const express = require('express');
+const { authenticate, requireModuleAccess } = require('../../middleware/auth');
+const { validateAndSetDefaults, validatePagination, isValidObjectId } = require('../../utils/validation');
+const { getAdapter, listAdapters } = require('../../services/channelAdapters');
+const { queueFullSync, processPendingJobs } = require('../../services/channelManagerService');
+
+const router = express.Router();
+router.use(express.json());
+router.use(authenticate);
+router.use(requireModuleAccess('distribution'));
+
+const getModel = (req, name) => req.tenant.models[name];
+const getPropertyId = (req) => req.tenant.property._id;
+
+// Validate room type / rate plan mappings against this property's data
+const validateMappings = async (req, roomTypeMappings, ratePlanMappings) => {
+    const errors = [];
+    const propertyId = getPropertyId(req);
+
+    if (roomTypeMappings !== undefined) {
+        if (!Array.isArray(roomTypeMappings)) {
+            errors.push('roomTypeMappings must be an array');
+        } else {
+            const roomTypeIds = roomTypeMappings.map(mapping => mapping?.roomType);
+            if (!roomTypeIds.every(id => isValidObjectId(id))) {
+                errors.push('Each room type mapping needs a valid roomType');
+            } else if (new Set(roomTypeIds.map(String)).size !== roomTypeIds.length) {
+                errors.push('Each room type can only be mapped once per channel');
+            } else if (roomTypeIds.length > 0) {
+                const RoomType = getModel(req, 'RoomType');
+                const found = await RoomType.countDocuments({ _id: { $in: roomTypeIds }, property: propertyId });
+                if (found !== roomTypeIds.length) {
+                    errors.push('One or more mapped room types not found');
+                }
+            }
+            if (!roomTypeMappings.every(mapping => mapping?.externalRoomCode)) {
+                errors.push('Each room type mapping needs an externalRoomCode');
+            }
+        }
+    }
+
+    if (ratePlanMappings !== undefined) {
+        if (!Array.isArray(ratePlanMappings)) {
+            errors.push('ratePlanMappings must be an array');
+        } else {
+            ratePlanMappings.forEach((mapping, index) => {
+                if (!isValidObjectId(mapping?.roomType)) {
+                    errors.push(`ratePlanMappings[${index}].roomType must be a valid ObjectId`);
+                }
+                if (mapping?.ratePlan && !isValidObjectId(mapping.ratePlan)) {
+                    errors.push(`ratePlanMappings[${index}].ratePlan must be a valid ObjectId`);
+                }
+                if (!mapping?.externalRateCode) {
+                    errors.push(`ratePlanMappings[${index}].externalRateCode is required`);
+                }
+            });
+
+            const planIds = ratePlanMappings.map(mapping => mapping?.ratePlan).filter(id => id && isValidObjectId(id));
+            if (errors.length === 0 && planIds.length > 0) {
+                const RatePlan = getModel(req, 'RatePlan');
+                const found = await RatePlan.countDocuments({ _id: { $in: planIds }, property: propertyId });
+                if (found !== new Set(planIds.map(String)).size) {
+                    errors.push('One or more mapped rate plans not found');
+                }
+            }
+        }
+    }
+
+    return errors;
+};
+
+// Mapped rate plans must belong to a room type mapped on the same channel
+const checkRateMappingsCoverRoomTypes = (roomTypeMappings, ratePlanMappings) => {
+    const mappedRoomTypes = new Set((roomTypeMappings || []).map(mapping => mapping.roomType.toString()));
+    const unmapped = (ratePlanMappings || []).filter(mapping => !mappedRoomTypes.has(mapping.roomType.toString()));
+    return unmapped.length === 0 ? null : 'Rate plan mappings must use room types mapped on this channel';
+};
+
+router.get('/adapters', async (req, res) => {
+    res.status(200).json({ adapters: listAdapters() });
+});
+
+router.get('/connections', async (req, res) => {
+    try {
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connections = await ChannelConnection.find({ property: getPropertyId(req) })
+            .populate('roomTypeMappings.roomType', 'name')
+            .populate('ratePlanMappings.ratePlan', 'name code')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json(connections);
+    } catch (error) {
+        console.error('Error fetching channel connections:', error);
+        res.status(500).json({ message: 'Server error fetching channel connections.' });
+    }
+});
+
+router.post('/connections', async (req, res) => {
+    try {
+        const connectionSchema = {
+            channel: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            adapter: { type: 'string', default: 'mock', custom: (val) => !!getAdapter(val) || `Unknown adapter. Available: ${listAdapters().join(', ')}` },
+            hotelCode: { type: 'string' },
+            settings: { default: {}, custom: (val) => (typeof val === 'object' && !Array.isArray(val)) || 'settings must be an object' },
+            roomTypeMappings: { isArray: true, default: [] },
+            ratePlanMappings: { isArray: true, default: [] },
+            syncWindowDays: { type: 'number', default: 365, min: 1, max: 730 },
+            commissionType: { type: 'string', default: 'percentage', enum: ['percentage', 'fixed'] },
+            commissionRate: { type: 'number', default: 0, min: 0 },
+            webhookSecret: { type: 'string' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, connectionSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { roomTypeMappings, ratePlanMappings } = validation.validated;
+        const errors = await validateMappings(req, roomTypeMappings, ratePlanMappings);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: errors.join(', ') });
+        }
+        const coverageError = checkRateMappingsCoverRoomTypes(roomTypeMappings, ratePlanMappings);
+        if (coverageError) {
+            return res.status(400).json({ message: coverageError });
+        }
+
+        // The webhook secret is only shown once, when the channel is connected
+        const webhookSecret = validation.validated.webhookSecret || crypto.randomBytes(32).toString('hex');
+
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connection = new ChannelConnection({
+            ...validation.validated,
+            webhookSecret,
+            property: getPropertyId(req)
+        });
+        await connection.save();
+
+        res.status(201).json({ ...connection.toObject(), webhookSecret });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'This channel is already connected.' });
+        }
+        console.error('Error creating channel connection:', error);
+        res.status(500).json({ message: 'Server error creating channel connection.' });
+    }
+});
+
+router.put('/connections/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid channel connection ID format' });
+        }
+
+        const updateSchema = {
+            name: { type: 'string' },
+            adapter: { type: 'string', custom: (val) => !!getAdapter(val) || `Unknown adapter. Available: ${listAdapters().join(', ')}` },
+            hotelCode: { type: 'string' },
+            settings: { custom: (val) => (typeof val === 'object' && !Array.isArray(val)) || 'settings must be an object' },
+            roomTypeMappings: { isArray: true },
+            ratePlanMappings: { isArray: true },
+            syncWindowDays: { type: 'number', min: 1, max: 730 },
+            commissionType: { type: 'string', enum: ['percentage', 'fixed'] },
+            commissionRate: { type: 'number', min: 0 },
+            webhookSecret: { type: 'string' },
+            isActive: { type: 'boolean' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, updateSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connection = await ChannelConnection.findOne({ _id: id, property: getPropertyId(req) });
+        if (!connection) {
+            return res.status(404).json({ message: 'Channel connection not found.' });
+        }
+
+        const { roomTypeMappings, ratePlanMappings } = validation.validated;
+        const errors = await validateMappings(req, roomTypeMappings, ratePlanMappings);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: errors.join(', ') });
+        }
+        const coverageError = checkRateMappingsCoverRoomTypes(
+            roomTypeMappings || connection.roomTypeMappings,
+            ratePlanMappings || connection.ratePlanMappings
+        );
+        if (coverageError) {
+            return res.status(400).json({ message: coverageError });
+        }
+
+        Object.assign(connection, validation.validated);
+        await connection.save();
+
+        const { webhookSecret, ...updated } = connection.toObject();
+        res.status(200).json(updated);
+    } catch (error) {
+        console.error('Error updating channel connection:', error);
+        res.status(500).json({ message: 'Server error updating channel connection.' });
+    }
+});
+
+// Disconnect a channel (pending pushes are dropped)
+router.delete('/connections/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid channel connection ID format' });
+        }
+
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connection = await ChannelConnection.findOneAndUpdate(
+            { _id: id, property: getPropertyId(req) },
+            { isActive: false },
+            { new: true }
+        );
+        if (!connection) {
+            return res.status(404).json({ message: 'Channel connection not found.' });
+        }
+
+        const ChannelSyncJob = getModel(req, 'ChannelSyncJob');
+        await ChannelSyncJob.deleteMany({ connection: id, property: getPropertyId(req), status: 'pending' });
+
+        res.status(200).json({ message: 'Channel disconnected.', connection });
+    } catch (error) {
+        console.error('Error disconnecting channel:', error);
+        res.status(500).json({ message: 'Server error disconnecting channel.' });
+    }
+});
+
+router.post('/connections/:id/test', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid channel connection ID format' });
+        }
+
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connection = await ChannelConnection.findOne({ _id: id, property: getPropertyId(req) }).lean();
+        if (!connection) {
+            return res.status(404).json({ message: 'Channel connection not found.' });
+        }
+
+        const adapter = getAdapter(connection.adapter);
+        if (!adapter) {
+            return res.status(400).json({ message: `No channel adapter registered for "${connection.adapter}".` });
+        }
+        if (typeof adapter.testConnection !== 'function') {
+            return res.status(200).json({ ok: true, message: 'Adapter does not support connection tests.' });
+        }
+
+        const result = await adapter.testConnection(connection);
+        res.status(200).json(result);
+    } catch (error) {
+        console.error('Error testing channel connection:', error);
+        res.status(500).json({ message: 'Server error testing channel connection.' });
+    }
+});
+
+// Queue a push of everything in the channel's sync window
+router.post('/connections/:id/full-sync', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid channel connection ID format' });
+        }
+
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connection = await ChannelConnection.findOne({ _id: id, property: getPropertyId(req), isActive: true }).lean();
+        if (!connection) {
+            return res.status(404).json({ message: 'Channel connection not found.' });
+        }
+
+        const queued = await queueFullSync(req.tenant.models, getPropertyId(req), connection);
+        res.status(202).json({ message: `Full sync queued for ${queued} room type(s).`, queued });
+    } catch (error) {
+        console.error('Error queueing full sync:', error);
+        res.status(500).json({ message: 'Server error queueing full sync.' });
+    }
+});
+
+// What the local mock OTA has received for a connection
+router.get('/connections/:id/mock-state', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid channel connection ID format' });
+        }
+
+        const ChannelConnection = getModel(req, 'ChannelConnection');
+        const connection = await ChannelConnection.findOne({ _id: id, property: getPropertyId(req) }).lean();
+        if (!connection) {
+            return res.status(404).json({ message: 'Channel connection not found.' });
+        }
+        if (connection.adapter !== 'mock') {
+            return res.status(400).json({ message: 'Connection does not use the mock adapter.' });
+        }
+
+        res.status(200).json(getAdapter('mock').getState(connection._id));
+    } catch (error) {
+        console.error('Error fetching mock OTA state:', error);
+        res.status(500).json({ message: 'Server error fetching mock OTA state.' });
+    }
+});
+
+// Push due jobs now instead of waiting for the scheduler
+router.post('/sync', async (req, res) => {
+    try {
+        const summary = await processPendingJobs(req.tenant);
+        res.status(200).json(summary);
+    } catch (error) {
+        console.error('Error processing channel sync jobs:', error);
+        res.status(500).json({ message: 'Server error processing channel sync jobs.' });
+    }
+});
+
+router.get('/jobs', async (req, res) => {
+    try {
+        const { page, limit } = validatePagination(req.query);
+        const filter = { property: getPropertyId(req) };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+        if (req.query.connectionId && isValidObjectId(req.query.connectionId)) {
+            filter.connection = req.query.connectionId;
+        }
+
+        const ChannelSyncJob = getModel(req, 'ChannelSyncJob');
+        const [jobs, total] = await Promise.all([
+            ChannelSyncJob.find(filter)
+                .populate('connection', 'name channel')
+                .populate('roomType', 'name')
+                .sort({ updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            ChannelSyncJob.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            jobs,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching channel sync jobs:', error);
+        res.status(500).json({ message: 'Server error fetching channel sync jobs.' });
+    }
+});
+
+// Retry a failed push
+router.post('/jobs/:id/retry', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid job ID format' });
+        }
+
+        const ChannelSyncJob = getModel(req, 'ChannelSyncJob');
+        const job = await ChannelSyncJob.findOneAndUpdate(
+            { _id: id, property: getPropertyId(req), status: 'failed' },
+            { status: 'pending', attempts: 0, nextAttemptAt: new Date(), completedAt: null },
+            { new: true }
+        );
+        if (!job) {
+            return res.status(404).json({ message: 'Failed job not found.' });
+        }
+
+        res.status(200).json(job);
+    } catch (error) {
+        console.error('Error retrying channel sync job:', error);
+        res.status(500).json({ message: 'Server error retrying channel sync job.' });
+    }
+});
+
+module.exports = router;
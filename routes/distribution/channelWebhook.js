@@ -0,0 +1,116 @@
+const express = require('express');
+const { getTenantContext } = require('../../services/tenantManager');
+const { requireRequestSignature } = require('../../middleware/requestSigning');
+const { validateAndSetDefaults, validateDateRange } = require('../../utils/validation');
+const { ingestChannelBooking } = require('../../services/channelBookingService');
+
+// Inbound webhooks from connected channels. There is no user session here:
+// the property and channel come from the URL and every request must be signed
+// with the connection's webhook secret (see middleware/requestSigning.js).
+const router = express.Router();
+router.use(express.json());
+
+// Resolve the property and the channel connection the webhook is for
+const resolveChannelConnection = async (req, res, next) => {
+    let tenant;
+    try {
+        tenant = await getTenantContext(req.params.propertyCode);
+    } catch (error) {
+        if (error.message === 'TENANT_PROPERTY_NOT_FOUND' || error.message === 'TENANT_CODE_REQUIRED') {
+            return res.status(404).json({ message: 'Property not found or inactive.' });
+        }
+        console.error('Error resolving tenant for channel webhook:', error);
+        return res.status(500).json({ message: 'Server error resolving property.' });
+    }
+
+    try {
+        const ChannelConnection = tenant.models.ChannelConnection;
+        const connection = await ChannelConnection.findOne({
+            channel: String(req.params.channel).toLowerCase(),
+            property: tenant.property._id,
+            isActive: true
+        }).select('+webhookSecret');
+
+        if (!connection) {
+            return res.status(404).json({ message: 'Channel is not connected for this property.' });
+        }
+
+        req.tenant = tenant;
+        req.channelConnection = connection;
+        next();
+    } catch (error) {
+        console.error('Error resolving channel connection:', error);
+        res.status(500).json({ message: 'Server error resolving channel connection.' });
+    }
+};
+
+// Create, modify or cancel a booking made on the channel
+router.post(
+    '/:propertyCode/:channel/bookings',
+    resolveChannelConnection,
+    requireRequestSignature(req => req.channelConnection.webhookSecret),
+    async (req, res) => {
+        const connection = req.channelConnection;
+        try {
+            const bookingSchema = {
+                bookingId: { type: 'string', required: true },
+                status: { type: 'string', required: true, enum: ['new', 'modified', 'cancelled'] },
+                modifiedAt: { type: 'string', isDate: true },
+                checkIn: { type: 'string' },
+                checkOut: { type: 'string' },
+                guest: { custom: (val) => (typeof val === 'object' && !Array.isArray(val) && !!val.name) || 'guest.name is required' },
+                rooms: { isArray: true, custom: (val) => Array.isArray(val) && val.length > 0 || 'rooms must not be empty' },
+                totalAmount: { type: 'number', min: 0 },
+                paidAmount: { type: 'number', default: 0, min: 0 },
+                paymentMethod: { type: 'string' },
+                commissionAmount: { type: 'number', min: 0 },
+                cancellationFee: { type: 'number', default: 0, min: 0 },
+                specialRequests: { type: 'string' }
+            };
+
+            const validation = validateAndSetDefaults(req.body, bookingSchema);
+            if (!validation.isValid) {
+                return res.status(400).json({ message: validation.errors.join(', ') });
+            }
+
+            const booking = validation.validated;
+            if (booking.status !== 'cancelled') {
+                if (!booking.guest || !booking.rooms) {
+                    return res.status(400).json({ message: 'guest and rooms are required' });
+                }
+                const dateValidation = validateDateRange(booking.checkIn, booking.checkOut);
+                if (!dateValidation.isValid) {
+                    return res.status(400).json({ message: dateValidation.errors.join(', ') });
+                }
+                booking.checkIn = dateValidation.checkIn;
+                booking.checkOut = dateValidation.checkOut;
+
+                const invalidRoom = booking.rooms.findIndex(room => !room?.roomCode || isNaN(Number(room.amount)) || Number(room.amount) < 0);
+                if (invalidRoom !== -1) {
+                    return res.status(400).json({ message: `rooms[${invalidRoom}] needs a roomCode and a non-negative amount` });
+                }
+            }
+
+            const result = await ingestChannelBooking(req.tenant, connection, booking);
+            if (result.error) {
+                connection.lastError = `Booking ${booking.bookingId}: ${result.error}${result.details ? ` ${result.details.join('; ')}` : ''}`;
+                await connection.save();
+                return res.status(result.status).json({ message: result.error, details: result.details });
+            }
+
+            const statusCode = result.action === 'created' ? 201 : 200;
+            res.status(statusCode).json({
+                action: result.action,
+                bookingId: booking.bookingId,
+                reservationId: result.reservation?._id || null,
+                status: result.reservation?.status || null,
+                warnings: result.warnings || []
+            });
+        } catch (error) {
+            console.error('Error processing channel booking:', error);
+            res.status(500).json({ message: 'Server error processing channel booking.' });
+        }
+    }
+);
+
+module.exports = router;
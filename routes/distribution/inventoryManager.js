@@ -3,6 +3,7 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
 const { validateAndSetDefaults, isValidObjectId } = require('../../utils/validation');
+const { queueDatesAriUpdate } = require('../../services/channelManagerService');
 
 router.use(express.json());
 router.use(authenticate);
@@ -111,22 +112,26 @@ router.get('/monthly', async (req, res) => {
         reservations.forEach(reservation => {
             const checkIn = new Date(reservation.checkInDate);
             const checkOut = new Date(reservation.checkOutDate);
-            const roomTypeId = reservation.roomType._id.toString();
-            const numberOfRooms = reservation.numberOfRooms || 1;
 
             // Find the overlap between reservation dates and the requested month
             const reservationStart = new Date(Math.max(checkIn.getTime(), startDate.getTime()));
             const reservationEnd = new Date(Math.min(checkOut.getTime(), endDate.getTime()));
 
-            // For each day the reservation is active in this month
-            for (let d = new Date(reservationStart); d < reservationEnd; d.setDate(d.getDate() + 1)) {
-                const day = d.getDate();
-                const dateStr = `${yearNum}-${monthNum.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
-                
-                if (dailyInventory[dateStr] && dailyInventory[dateStr][roomTypeId]) {
-                    dailyInventory[dateStr][roomTypeId].bookedRooms += numberOfRooms;
+            // Each room line books rooms against its own room type
+            Reservations.getRoomLines(reservation).forEach(line => {
+                const roomTypeId = (line.roomType._id || line.roomType).toString();
+                const numberOfRooms = line.numberOfRooms || 1;
+
+                // For each day the reservation is active in this month
+                for (let d = new Date(reservationStart); d < reservationEnd; d.setDate(d.getDate() + 1)) {
+                    const day = d.getDate();
+                    const dateStr = `${yearNum}-${monthNum.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+                    
+                    if (dailyInventory[dateStr] && dailyInventory[dateStr][roomTypeId]) {
+                        dailyInventory[dateStr][roomTypeId].bookedRooms += numberOfRooms;
+                    }
                 }
-            }
+            });
         });
 
         // Process inventory blocks
@@ -238,14 +243,14 @@ router.get('/availability', async (req, res) => {
 
             const reservations = await Reservations.find({
                 property: propertyId,
-                roomType: roomTypeId,
+                ...Reservations.roomTypeFilter(roomTypeId),
                 checkInDate: { $lte: endOfDay },
                 checkOutDate: { $gt: startOfDay },
                 status: { $nin: ['cancelled', 'no-show'] }
             });
 
             bookedRooms = reservations.reduce((total, reservation) => {
-                return total + (reservation.numberOfRooms || 1);
+                return total + Reservations.countRoomsOfType(reservation, roomTypeId);
             }, 0);
         }
 
@@ -322,14 +327,14 @@ router.get('/room-types-availability', async (req, res) => {
 
                     const reservations = await Reservations.find({
                         property: propertyId,
-                        roomType: roomType._id,
+                        ...Reservations.roomTypeFilter(roomType._id),
                         checkInDate: { $lte: endOfDay },
                         checkOutDate: { $gt: startOfDay },
                         status: { $nin: ['cancelled', 'no-show'] }
                     });
 
                     bookedRooms = reservations.reduce((total, reservation) => {
-                        return total + (reservation.numberOfRooms || 1);
+                        return total + Reservations.countRoomsOfType(reservation, roomType._id);
                     }, 0);
                 }
 
@@ -440,6 +445,7 @@ router.post('/block-inventory', async (req, res) => {
             modifiedCount = result.modifiedCount;
             upsertedCount = result.upsertedCount;
         }
+        queueDatesAriUpdate(req.tenant.models, propertyId, [roomTypeId], dateObjects, 'inventory-block');
 
         res.status(200).json({
             message: `Inventory blocked for ${dates.length} day(s). Modified: ${modifiedCount}, Created: ${upsertedCount}.`,
@@ -684,6 +690,9 @@ router.delete('/unblock-inventory', async (req, res) => {
             property: propertyId,
             date: { $in: dateObjects }
         });
+        if (result.deletedCount > 0) {
+            queueDatesAriUpdate(req.tenant.models, propertyId, [roomTypeId], dateObjects, 'inventory-block');
+        }
 
         res.status(200).json({
             message: `Removed ${result.deletedCount} inventory block(s).`,
@@ -2,6 +2,9 @@ const mongoose = require('mongoose');
 const express = require('express');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
 const { validateAndSetDefaults, isValidObjectId } = require('../../utils/validation');
+const { toDateKey, getRestrictionsForStay, evaluateStayRestrictions } = require('../../services/restrictionService');
+const { getPriceForDate, calculateOccupancyForDate, applyDynamicPricingRules, getRatePlanPriceForDate } = require('../../services/pricingService');
+const { queueAriUpdate, queueDatesAriUpdate } = require('../../services/channelManagerService');
 
 const router = express.Router();
 router.use(express.json());
@@ -11,6 +14,19 @@ router.use(requireModuleAccess('distribution'));
 const getModel = (req, name) => req.tenant.models[name];
 const getPropertyId = (req) => req.tenant.property._id;
 
+// Load an active rate plan and check it can be sold on the room type
+const findRatePlan = async (req, ratePlanId, roomTypeId) => {
+    const RatePlan = getModel(req, 'RatePlan');
+    const plan = await RatePlan.findOne({ _id: ratePlanId, property: getPropertyId(req), isActive: true }).lean();
+    if (!plan) {
+        return { status: 404, error: 'Rate plan not found.' };
+    }
+    if (roomTypeId && plan.roomTypes?.length > 0 && !plan.roomTypes.some(id => id.toString() === roomTypeId.toString())) {
+        return { status: 400, error: `Rate plan ${plan.code} is not available for this room type.` };
+    }
+    return { plan };
+};
+
 router.post ('/setRates', async (req, res) => {
     try {
         // Validate and set defaults
@@ -21,7 +37,8 @@ router.post ('/setRates', async (req, res) => {
             adultPrice: { type: 'number', min: 0 },
             childPrice: { type: 'number', default: 0, min: 0 },
             baseRate: { type: 'number', min: 0 },
-            extraGuestRate: { type: 'number', default: 0, min: 0 }
+            extraGuestRate: { type: 'number', default: 0, min: 0 },
+            ratePlanId: { type: 'string', isObjectId: true } // Set overrides for a rate plan instead of the daily rates
         };
 
         const validation = validateAndSetDefaults(req.body, rateSchema);
@@ -29,7 +46,7 @@ router.post ('/setRates', async (req, res) => {
             return res.status(400).json({ message: validation.errors.join(', ') });
         }
 
-        const { roomTypeId, dates, adultPrice, childPrice, baseRate, extraGuestRate, priceModel } = validation.validated;
+        const { roomTypeId, dates, adultPrice, childPrice, baseRate, extraGuestRate, priceModel, ratePlanId } = validation.validated;
 
         // Validate based on price model
         if (priceModel === 'perPerson') {
@@ -61,7 +78,8 @@ router.post ('/setRates', async (req, res) => {
             return res.status(500).json({ message: "Property ID not found in request." });
         }
 
-        const DailyRate = getModel(req, 'dailyRates');
+        // Plan overrides live in ratePlanRates; everything else works the same way
+        const DailyRate = getModel(req, ratePlanId ? 'ratePlanRates' : 'dailyRates');
         const RoomType = getModel(req, 'RoomType');
 
         if (!DailyRate) {
@@ -79,6 +97,15 @@ router.post ('/setRates', async (req, res) => {
             return res.status(404).json({ message: "Room type not found." });
         }
 
+        const planFilter = {};
+        if (ratePlanId) {
+            const ratePlan = await findRatePlan(req, ratePlanId, roomTypeId);
+            if (ratePlan.error) {
+                return res.status(ratePlan.status).json({ message: ratePlan.error });
+            }
+            planFilter.ratePlan = ratePlan.plan._id;
+        }
+
         // --- Prepare Bulk Operations ---
         const updatePayload = {};
         
@@ -113,7 +140,8 @@ router.post ('/setRates', async (req, res) => {
                     filter: { 
                         roomType: new mongoose.Types.ObjectId(roomTypeId), 
                         date: dateObj, 
-                        property: propertyId 
+                        property: propertyId,
+                        ...planFilter
                     },
                     update: {
                         $set: { 
@@ -124,6 +152,7 @@ router.post ('/setRates', async (req, res) => {
                             roomType: new mongoose.Types.ObjectId(roomTypeId), 
                             date: dateObj, 
                             property: propertyId,
+                            ...planFilter,
                             createdAt: new Date()
                         },
                     },
@@ -139,11 +168,14 @@ router.post ('/setRates', async (req, res) => {
             modifiedCount = result.modifiedCount;
             upsertedCount = result.upsertedCount;
         }
+        // Push the new rates to connected channels (does not block the response)
+        queueDatesAriUpdate(req.tenant.models, propertyId, [roomTypeId], dateObjects, 'rates');
 
         // --- Fetch the Updated Rates ---
         const updatedRates = await DailyRate.find({
             roomType: roomTypeId,
             property: propertyId,
+            ...planFilter,
             date: { $in: dateObjects }
         }).select('date adultRate childRate baseRate extraGuestRate -_id');
 
@@ -184,6 +216,7 @@ router.post ('/setRates', async (req, res) => {
         // --- Respond ---
         res.status(200).json({
             message: `Rates processed for ${dates.length} day(s). Modified: ${modifiedCount}, Created: ${upsertedCount}.`,
+            ratePlanId: ratePlanId || null,
             updatedRates: ratesMap
          });
 
@@ -212,7 +245,8 @@ router.get("/getRates" , async (req, res) => {
         const querySchema = {
             roomTypeId: { type: 'string', required: true, isObjectId: true },
             month: { type: 'number', required: true, min: 1, max: 12 },
-            year: { type: 'number', required: true, min: 2000, max: 2100 }
+            year: { type: 'number', required: true, min: 2000, max: 2100 },
+            ratePlanId: { type: 'string', isObjectId: true }
         };
 
         const validation = validateAndSetDefaults(req.query, querySchema);
@@ -220,8 +254,27 @@ router.get("/getRates" , async (req, res) => {
             return res.status(400).json({ message: validation.errors.join(', ') });
         }
 
-        const { roomTypeId, month, year } = validation.validated;
+        const { roomTypeId, month, year, ratePlanId } = validation.validated;
         const propertyId = getPropertyId(req);
+
+        // Rate plan prices: plan overrides, otherwise derived from the parent plan / base pricing
+        if (ratePlanId) {
+            const ratePlan = await findRatePlan(req, ratePlanId, roomTypeId);
+            if (ratePlan.error) {
+                return res.status(ratePlan.status).json({ message: ratePlan.error });
+            }
+
+            const ratesMap = {};
+            const currentDate = new Date(Date.UTC(year, month - 1, 1));
+            const monthEnd = new Date(Date.UTC(year, month, 1));
+            while (currentDate < monthEnd) {
+                const dateStr = currentDate.toISOString().split('T')[0];
+                ratesMap[dateStr] = await getRatePlanPriceForDate(req.tenant.models, propertyId, ratePlan.plan, roomTypeId, currentDate);
+                currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+            }
+            return res.status(200).json(ratesMap);
+        }
+
         const DailyRate = getModel(req, 'dailyRates');
         const RoomType = getModel(req, 'RoomType');
         const DynamicPricingRule = getModel(req, 'dynamicPricingRules');
@@ -502,6 +555,405 @@ router.get("/getRatesForDateRange", async (req, res) => {
     }
 });
 
+// --- Stay restrictions (min/max LOS, closed to arrival/departure, stop-sell) ---
+// Only the restriction fields sent are changed; send null to clear a LOS limit
+router.post('/setRestrictions', async (req, res) => {
+    try {
+        const restrictionSchema = {
+            roomTypeId: { type: 'string', required: true, isObjectId: true },
+            dates: { isArray: true, required: true, custom: (val) => Array.isArray(val) && val.length > 0 || 'Dates array must not be empty' },
+            minLOS: { type: 'number', min: 1 },
+            maxLOS: { type: 'number', min: 1 },
+            closedToArrival: { type: 'boolean' },
+            closedToDeparture: { type: 'boolean' },
+            stopSell: { type: 'boolean' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, restrictionSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { roomTypeId, dates } = validation.validated;
+
+        const updatePayload = {};
+        ['minLOS', 'maxLOS', 'closedToArrival', 'closedToDeparture', 'stopSell'].forEach(field => {
+            if (validation.validated[field] !== undefined) {
+                updatePayload[field] = validation.validated[field];
+            } else if (req.body[field] === null && (field === 'minLOS' || field === 'maxLOS')) {
+                updatePayload[field] = null;
+            }
+        });
+
+        if (Object.keys(updatePayload).length === 0) {
+            return res.status(400).json({ message: "No restriction fields provided." });
+        }
+
+        if (updatePayload.minLOS && updatePayload.maxLOS && updatePayload.minLOS > updatePayload.maxLOS) {
+            return res.status(400).json({ message: "minLOS cannot be greater than maxLOS." });
+        }
+
+        const dateObjects = [];
+        for (const dateStr of dates) {
+            if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
+                return res.status(400).json({ message: `Invalid date format found: ${dateStr}. Use YYYY-MM-DD.` });
+            }
+            const dateObj = new Date(dateStr + 'T00:00:00.000Z');
+            if (isNaN(dateObj.getTime())) {
+                return res.status(400).json({ message: `Invalid date format found: ${dateStr}. Use YYYY-MM-DD.` });
+            }
+            dateObjects.push(dateObj);
+        }
+
+        const propertyId = getPropertyId(req);
+        const RateRestriction = getModel(req, 'rateRestrictions');
+        const RoomType = getModel(req, 'RoomType');
+
+        const roomTypeExists = await RoomType.findOne({ _id: roomTypeId, property: propertyId });
+        if (!roomTypeExists) {
+            return res.status(404).json({ message: "Room type not found." });
+        }
+
+        const bulkOps = dateObjects.map(dateObj => ({
+            updateOne: {
+                filter: {
+                    roomType: new mongoose.Types.ObjectId(roomTypeId),
+                    date: dateObj,
+                    property: propertyId
+                },
+                update: {
+                    $set: {
+                        ...updatePayload,
+                        updatedAt: new Date()
+                    },
+                    $setOnInsert: {
+                        roomType: new mongoose.Types.ObjectId(roomTypeId),
+                        date: dateObj,
+                        property: propertyId,
+                        createdAt: new Date()
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        const result = await RateRestriction.bulkWrite(bulkOps);
+        queueDatesAriUpdate(req.tenant.models, propertyId, [roomTypeId], dateObjects, 'restrictions');
+
+        // Check LOS consistency on the stored documents (one side may have been set earlier)
+        const updatedRestrictions = await RateRestriction.find({
+            roomType: roomTypeId,
+            property: propertyId,
+            date: { $in: dateObjects }
+        }).select('date minLOS maxLOS closedToArrival closedToDeparture stopSell -_id').lean();
+
+        const restrictionsMap = {};
+        const warnings = [];
+        updatedRestrictions.forEach(restriction => {
+            const dateStr = toDateKey(restriction.date);
+            restrictionsMap[dateStr] = restriction;
+            if (restriction.minLOS && restriction.maxLOS && restriction.minLOS > restriction.maxLOS) {
+                warnings.push(`${dateStr}: minLOS is greater than maxLOS`);
+            }
+        });
+
+        res.status(200).json({
+            message: `Restrictions processed for ${dates.length} day(s). Modified: ${result.modifiedCount}, Created: ${result.upsertedCount}.`,
+            updatedRestrictions: restrictionsMap,
+            warnings
+        });
+    } catch (error) {
+        console.error("Restriction Update Error:", error);
+        if (error.code === 11000) {
+            return res.status(409).json({ message: "Concurrency error or duplicate restriction entry detected." });
+        }
+        res.status(500).json({ message: "Server error updating restrictions." });
+    }
+});
+
+router.get('/getRestrictions', async (req, res) => {
+    try {
+        const querySchema = {
+            roomTypeId: { type: 'string', required: true, isObjectId: true },
+            month: { type: 'number', required: true, min: 1, max: 12 },
+            year: { type: 'number', required: true, min: 2000, max: 2100 }
+        };
+
+        const validation = validateAndSetDefaults(req.query, querySchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const { roomTypeId, month, year } = validation.validated;
+        const RateRestriction = getModel(req, 'rateRestrictions');
+
+        const startDate = new Date(Date.UTC(year, month - 1, 1));
+        const endDate = new Date(Date.UTC(year, month, 0, 23, 59, 59, 999));
+
+        const restrictions = await RateRestriction.find({
+            roomType: roomTypeId,
+            property: getPropertyId(req),
+            date: { $gte: startDate, $lte: endDate }
+        }).select('date minLOS maxLOS closedToArrival closedToDeparture stopSell -_id').lean();
+
+        const restrictionsMap = restrictions.reduce((acc, restriction) => {
+            acc[toDateKey(restriction.date)] = restriction;
+            return acc;
+        }, {});
+
+        res.status(200).json(restrictionsMap);
+    } catch (error) {
+        console.error("Get Restrictions Error:", error);
+        res.status(500).json({ message: "Server error fetching restrictions." });
+    }
+});
+
+// --- Rate plans ---
+
+const validateRatePlanPayload = async (req, payload, planId = null) => {
+    const errors = [];
+    const propertyId = getPropertyId(req);
+
+    if (payload.roomTypes !== undefined) {
+        if (!Array.isArray(payload.roomTypes) || !payload.roomTypes.every(id => isValidObjectId(id))) {
+            errors.push('roomTypes must contain valid room type IDs');
+        } else if (payload.roomTypes.length > 0) {
+            const RoomType = getModel(req, 'RoomType');
+            const found = await RoomType.countDocuments({ _id: { $in: payload.roomTypes }, property: propertyId });
+            if (found !== new Set(payload.roomTypes.map(String)).size) {
+                errors.push('One or more room types not found');
+            }
+        }
+    }
+
+    if (payload.cancellationPolicy) {
+        const CancellationPolicy = getModel(req, 'CancellationPolicy');
+        const policyExists = await CancellationPolicy.exists({ _id: payload.cancellationPolicy, property: propertyId, isActive: true });
+        if (!policyExists) {
+            errors.push('Cancellation policy not found');
+        }
+    }
+
+    if (payload.derivationType === 'percentage' && payload.derivationValue !== undefined && payload.derivationValue <= -100) {
+        errors.push('derivationValue must be greater than -100 for percentage derivation');
+    }
+
+    // Walk up the parent chain so a plan can never derive from itself
+    if (payload.parentPlan) {
+        const RatePlan = getModel(req, 'RatePlan');
+        let parentId = payload.parentPlan;
+        const seen = new Set();
+        while (parentId) {
+            if ((planId && parentId.toString() === planId.toString()) || seen.has(parentId.toString())) {
+                errors.push('parentPlan would create a derivation cycle');
+                break;
+            }
+            seen.add(parentId.toString());
+            const parent = await RatePlan.findOne({ _id: parentId, property: propertyId }).select('parentPlan').lean();
+            if (!parent) {
+                if (seen.size === 1) {
+                    errors.push('Parent rate plan not found');
+                }
+                break;
+            }
+            parentId = parent.parentPlan;
+        }
+    }
+
+    return errors;
+};
+
+// Build the stored fields from a validated rate plan payload
+const buildRatePlanUpdate = (validated) => {
+    const update = {};
+    ['name', 'code', 'description', 'roomTypes', 'mealPlan', 'isActive'].forEach(field => {
+        if (validated[field] !== undefined) {
+            update[field] = validated[field];
+        }
+    });
+    if (validated.cancellationPolicy !== undefined) {
+        update.cancellationPolicy = validated.cancellationPolicy || null;
+    }
+    if (validated.parentPlan !== undefined) {
+        update.parentPlan = validated.parentPlan || null;
+    }
+    if (validated.derivationType !== undefined) {
+        update['derivation.type'] = validated.derivationType;
+    }
+    if (validated.derivationValue !== undefined) {
+        update['derivation.value'] = validated.derivationValue;
+    }
+    return update;
+};
+
+router.get('/ratePlans', async (req, res) => {
+    try {
+        const RatePlan = getModel(req, 'RatePlan');
+        const filter = { property: getPropertyId(req) };
+        if (req.query.includeInactive !== 'true') {
+            filter.isActive = true;
+        }
+        if (req.query.roomTypeId && isValidObjectId(req.query.roomTypeId)) {
+            filter.$or = [{ roomTypes: req.query.roomTypeId }, { roomTypes: { $size: 0 } }];
+        }
+
+        const plans = await RatePlan.find(filter)
+            .populate('roomTypes', 'name')
+            .populate('cancellationPolicy', 'name isNonRefundable')
+            .populate('parentPlan', 'name code')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json(plans);
+    } catch (error) {
+        console.error('Error fetching rate plans:', error);
+        res.status(500).json({ message: 'Server error fetching rate plans.' });
+    }
+});
+
+router.post('/ratePlans', async (req, res) => {
+    try {
+        const ratePlanSchema = {
+            name: { type: 'string', required: true },
+            code: { type: 'string', required: true },
+            description: { type: 'string', default: '' },
+            roomTypes: { isArray: true, default: [] },
+            mealPlan: { type: 'string', default: 'EP', enum: ['EP', 'CP', 'MAP', 'AP'] },
+            cancellationPolicy: { type: 'string', isObjectId: true },
+            parentPlan: { type: 'string', isObjectId: true },
+            derivationType: { type: 'string', default: 'percentage', enum: ['percentage', 'amount'] },
+            derivationValue: { type: 'number', default: 0 }
+        };
+
+        const validation = validateAndSetDefaults(req.body, ratePlanSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const errors = await validateRatePlanPayload(req, validation.validated);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: errors.join(', ') });
+        }
+
+        const RatePlan = getModel(req, 'RatePlan');
+        const { name, code, description, roomTypes, mealPlan, cancellationPolicy, parentPlan } = validation.validated;
+        const plan = new RatePlan({
+            name,
+            code,
+            description,
+            roomTypes,
+            mealPlan,
+            cancellationPolicy,
+            parentPlan,
+            derivation: {
+                type: validation.validated.derivationType,
+                value: validation.validated.derivationValue
+            },
+            property: getPropertyId(req)
+        });
+        await plan.save();
+
+        res.status(201).json(plan);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A rate plan with this code already exists.' });
+        }
+        console.error('Error creating rate plan:', error);
+        res.status(500).json({ message: 'Server error creating rate plan.' });
+    }
+});
+
+router.put('/ratePlans/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid rate plan ID format' });
+        }
+
+        const ratePlanSchema = {
+            name: { type: 'string' },
+            code: { type: 'string' },
+            description: { type: 'string' },
+            roomTypes: { isArray: true },
+            mealPlan: { type: 'string', enum: ['EP', 'CP', 'MAP', 'AP'] },
+            cancellationPolicy: { type: 'string', isObjectId: true },
+            parentPlan: { type: 'string', isObjectId: true },
+            derivationType: { type: 'string', enum: ['percentage', 'amount'] },
+            derivationValue: { type: 'number' },
+            isActive: { type: 'boolean' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, ratePlanSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const errors = await validateRatePlanPayload(req, validation.validated, id);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: errors.join(', ') });
+        }
+
+        const update = buildRatePlanUpdate(validation.validated);
+        // Explicit nulls detach the parent plan / cancellation policy
+        if (req.body.parentPlan === null) {
+            update.parentPlan = null;
+        }
+        if (req.body.cancellationPolicy === null) {
+            update.cancellationPolicy = null;
+        }
+
+        const RatePlan = getModel(req, 'RatePlan');
+        const plan = await RatePlan.findOneAndUpdate(
+            { _id: id, property: getPropertyId(req) },
+            update,
+            { new: true, runValidators: true }
+        );
+
+        if (!plan) {
+            return res.status(404).json({ message: 'Rate plan not found.' });
+        }
+
+        res.status(200).json(plan);
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'A rate plan with this code already exists.' });
+        }
+        console.error('Error updating rate plan:', error);
+        res.status(500).json({ message: 'Server error updating rate plan.' });
+    }
+});
+
+// Deactivate a rate plan (existing reservations keep their reference)
+router.delete('/ratePlans/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid rate plan ID format' });
+        }
+
+        const RatePlan = getModel(req, 'RatePlan');
+        const childPlans = await RatePlan.countDocuments({ parentPlan: id, property: getPropertyId(req), isActive: true });
+        if (childPlans > 0) {
+            return res.status(400).json({ message: `Rate plan has ${childPlans} active derived plan(s). Deactivate or re-parent them first.` });
+        }
+
+        const plan = await RatePlan.findOneAndUpdate(
+            { _id: id, property: getPropertyId(req) },
+            { isActive: false },
+            { new: true }
+        );
+
+        if (!plan) {
+            return res.status(404).json({ message: 'Rate plan not found.' });
+        }
+
+        res.status(200).json({ message: 'Rate plan deactivated.', ratePlan: plan });
+    } catch (error) {
+        console.error('Error deleting rate plan:', error);
+        res.status(500).json({ message: 'Server error deleting rate plan.' });
+    }
+});
+
 // Get dynamic pricing rules for a room type
 router.get('/dynamic-pricing/:roomTypeId', async (req, res) => {
     try {
@@ -604,6 +1056,16 @@ router.post('/dynamic-pricing/:roomTypeId', async (req, res) => {
             { new: true, upsert: true }
         );
 
+        // Dynamic rates can move on any future night
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        queueAriUpdate(req.tenant.models, propertyId, {
+            roomTypeIds: [roomTypeId],
+            dateFrom: today,
+            dateTo: new Date(Date.UTC(today.getUTCFullYear() + 2, 0, 1)),
+            reason: 'dynamic-pricing'
+        });
+
         res.status(200).json(rule);
     } catch (error) {
         console.error('Error saving dynamic pricing rules:', error);
@@ -611,205 +1073,6 @@ router.post('/dynamic-pricing/:roomTypeId', async (req, res) => {
     }
 });
 
-// Helper function to calculate occupancy for a date
-async function calculateOccupancyForDate(propertyId, roomTypeId, date, Reservations, Rooms) {
-    const dateStart = new Date(date);
-    dateStart.setHours(0, 0, 0, 0);
-    const dateEnd = new Date(date);
-    dateEnd.setHours(23, 59, 59, 999);
-
-    // Get all rooms of this type
-    const totalRooms = await Rooms.countDocuments({
-        roomType: roomTypeId,
-        property: propertyId,
-        status: { $nin: ['maintenance'] }
-    });
-
-    if (totalRooms === 0) return 0;
-
-    // Get occupied rooms (checked-in or confirmed reservations that overlap with this date)
-    const occupiedReservations = await Reservations.find({
-        roomType: roomTypeId,
-        property: propertyId,
-        status: { $in: ['confirmed', 'checked-in'] },
-        checkInDate: { $lte: dateEnd },
-        checkOutDate: { $gt: dateStart }
-    });
-
-    // Count unique rooms assigned
-    const occupiedRoomIds = new Set();
-    occupiedReservations.forEach(res => {
-        if (res.roomNumbers && Array.isArray(res.roomNumbers)) {
-            res.roomNumbers.forEach(roomId => {
-                occupiedRoomIds.add(roomId.toString());
-            });
-        }
-    });
-
-    const occupiedRooms = occupiedRoomIds.size;
-    const occupancyPercent = (occupiedRooms / totalRooms) * 100;
-    
-    return occupancyPercent;
-}
-
-// Helper function to apply dynamic pricing rules
-function applyDynamicPricingRules(basePrice, occupancyPercent, rule, rateRoundOff) {
-    if (!rule || !rule.enabled) {
-        return basePrice;
-    }
-
-    let adjustedPrice = basePrice;
-
-    // Apply demand scale
-    adjustedPrice = adjustedPrice * (rule.demandScale || 1.0);
-
-    // Apply occupancy rules
-    if (rule.occupancyRules && Array.isArray(rule.occupancyRules)) {
-        for (const occupancyRule of rule.occupancyRules) {
-            if (!occupancyRule.enabled) continue;
-            
-            if (occupancyPercent >= occupancyRule.startPercent && occupancyPercent <= occupancyRule.endPercent) {
-                // Apply first add/subtract
-                if (occupancyRule.addSubtract1 !== undefined && occupancyRule.addSubtract1 !== null) {
-                    adjustedPrice = adjustedPrice + occupancyRule.addSubtract1;
-                }
-                
-                // Apply multiplier
-                if (occupancyRule.multiplier !== undefined && occupancyRule.multiplier !== null && occupancyRule.multiplier > 0) {
-                    adjustedPrice = adjustedPrice * occupancyRule.multiplier;
-                }
-                
-                // Apply second add/subtract
-                if (occupancyRule.addSubtract2 !== undefined && occupancyRule.addSubtract2 !== null) {
-                    adjustedPrice = adjustedPrice + occupancyRule.addSubtract2;
-                }
-                
-                break; // Only apply the first matching rule
-            }
-        }
-    }
-
-    // Apply rate round off
-    if (rateRoundOff && rateRoundOff > 1) {
-        adjustedPrice = Math.round(adjustedPrice / rateRoundOff) * rateRoundOff;
-    }
-
-    return Math.max(0, adjustedPrice); // Ensure price is not negative
-}
-
-// Unified function to get price for a single date
-// Priority: Manual Price > Dynamic Pricing > Base Price
-async function getPriceForDate(propertyId, roomTypeId, date, DailyRate, RoomType, DynamicPricingRule, Reservations, Rooms) {
-    // Normalize date to UTC midnight
-    const dateObj = new Date(date);
-    dateObj.setUTCHours(0, 0, 0, 0);
-    
-    // Get room type
-    const roomType = await RoomType.findOne({ _id: roomTypeId, property: propertyId });
-    if (!roomType) {
-        throw new Error('Room type not found');
-    }
-
-    // Check for manual price first (highest priority)
-    const manualRate = await DailyRate.findOne({
-        roomType: roomTypeId,
-        property: propertyId,
-        date: dateObj
-    });
-
-    if (manualRate) {
-        // Manual price exists - return it
-        if (roomType.priceModel === 'perPerson') {
-            return {
-                adultRate: manualRate.adultRate || 0,
-                childRate: manualRate.childRate || 0,
-                source: 'manual'
-            };
-        } else {
-            return {
-                baseRate: manualRate.baseRate || 0,
-                extraGuestRate: manualRate.extraGuestRate || 0,
-                source: 'manual'
-            };
-        }
-    }
-
-    // No manual price - check dynamic pricing
-    const pricingRule = await DynamicPricingRule.findOne({
-        roomType: roomTypeId,
-        property: propertyId
-    });
-
-    if (pricingRule && pricingRule.enabled) {
-        // Calculate occupancy
-        const occupancyPercent = await calculateOccupancyForDate(
-            propertyId,
-            roomTypeId,
-            dateObj,
-            Reservations,
-            Rooms
-        );
-
-        // Get base rates from room type
-        let baseAdultRate = roomType.adultRate || 0;
-        let baseChildRate = roomType.childRate || 0;
-        let baseRoomRate = roomType.baseRate || 0;
-        let baseExtraGuestRate = roomType.extraGuestRate || 0;
-
-        // Apply dynamic pricing rules
-        if (roomType.priceModel === 'perPerson') {
-            return {
-                adultRate: applyDynamicPricingRules(
-                    baseAdultRate,
-                    occupancyPercent,
-                    pricingRule,
-                    pricingRule.rateRoundOff
-                ),
-                childRate: applyDynamicPricingRules(
-                    baseChildRate,
-                    occupancyPercent,
-                    pricingRule,
-                    pricingRule.rateRoundOff
-                ),
-                source: 'dynamic',
-                occupancyPercent: occupancyPercent
-            };
-        } else {
-            return {
-                baseRate: applyDynamicPricingRules(
-                    baseRoomRate,
-                    occupancyPercent,
-                    pricingRule,
-                    pricingRule.rateRoundOff
-                ),
-                extraGuestRate: applyDynamicPricingRules(
-                    baseExtraGuestRate,
-                    occupancyPercent,
-                    pricingRule,
-                    pricingRule.rateRoundOff
-                ),
-                source: 'dynamic',
-                occupancyPercent: occupancyPercent
-            };
-        }
-    }
-
-    // No dynamic pricing - return base price from room type
-    if (roomType.priceModel === 'perPerson') {
-        return {
-            adultRate: roomType.adultRate || 0,
-            childRate: roomType.childRate || 0,
-            source: 'base'
-        };
-    } else {
-        return {
-            baseRate: roomType.baseRate || 0,
-            extraGuestRate: roomType.extraGuestRate || 0,
-            source: 'base'
-        };
-    }
-}
-
 // Unified pricing endpoint - handles manual, dynamic, and base pricing
 // Can be used for single date or date range
 router.get("/getPrice", async (req, res) => {
@@ -819,7 +1082,8 @@ router.get("/getPrice", async (req, res) => {
             roomTypeId: { type: 'string', required: true, isObjectId: true },
             date: { type: 'string', required: false, isDate: true },
             startDate: { type: 'string', required: false, isDate: true },
-            endDate: { type: 'string', required: false, isDate: true }
+            endDate: { type: 'string', required: false, isDate: true },
+            ratePlanId: { type: 'string', isObjectId: true }
         };
 
         const validation = validateAndSetDefaults(req.query, querySchema);
@@ -827,7 +1091,7 @@ router.get("/getPrice", async (req, res) => {
             return res.status(400).json({ message: validation.errors.join(', ') });
         }
 
-        const { roomTypeId, date, startDate, endDate } = validation.validated;
+        const { roomTypeId, date, startDate, endDate, ratePlanId } = validation.validated;
         const propertyId = getPropertyId(req);
         const DailyRate = getModel(req, 'dailyRates');
         const RoomType = getModel(req, 'RoomType');
@@ -841,23 +1105,44 @@ router.get("/getPrice", async (req, res) => {
             return res.status(404).json({ message: 'Room type not found' });
         }
 
-        // Handle single date
-        if (date) {
-            const price = await getPriceForDate(
+        let ratePlan = null;
+        if (ratePlanId) {
+            const planLookup = await findRatePlan(req, ratePlanId, roomTypeId);
+            if (planLookup.error) {
+                return res.status(planLookup.status).json({ message: planLookup.error });
+            }
+            ratePlan = planLookup.plan;
+        }
+
+        // Base pricing, or the rate plan's price when one is given
+        const priceForDate = (day) => ratePlan
+            ? getRatePlanPriceForDate(req.tenant.models, propertyId, ratePlan, roomTypeId, day)
+            : getPriceForDate(
                 propertyId,
                 roomTypeId,
-                date,
+                day,
                 DailyRate,
                 RoomType,
                 DynamicPricingRule,
                 Reservations,
                 Rooms
             );
+
+        const planInfo = ratePlan
+            ? { ratePlanId: ratePlan._id, ratePlanCode: ratePlan.code, mealPlan: ratePlan.mealPlan, cancellationPolicy: ratePlan.cancellationPolicy || null }
+            : {};
+
+        // Handle single date
+        if (date) {
+            const price = await priceForDate(date);
+            const dayRestrictions = await getRestrictionsForStay(req.tenant.models, propertyId, roomTypeId, date, date);
             return res.status(200).json({
                 roomTypeId,
                 date,
                 priceModel: roomType.priceModel,
-                ...price
+                ...planInfo,
+                ...price,
+                restrictions: dayRestrictions[toDateKey(date)] || null
             });
         }
 
@@ -901,32 +1186,34 @@ router.get("/getPrice", async (req, res) => {
                 return res.status(400).json({ message: "Error parsing dates: " + dateError.message });
             }
 
+            // Restrictions for the range; startDate/endDate are treated as arrival/departure
+            const restrictionMap = await getRestrictionsForStay(req.tenant.models, propertyId, roomTypeId, start, end);
+
             // Get prices for each date in range
             const ratesMap = {};
             let currentDate = new Date(start);
             
             while (currentDate < end) {
                 const dateStr = currentDate.toISOString().split('T')[0];
-                const price = await getPriceForDate(
-                    propertyId,
-                    roomTypeId,
-                    currentDate,
-                    DailyRate,
-                    RoomType,
-                    DynamicPricingRule,
-                    Reservations,
-                    Rooms
-                );
-                ratesMap[dateStr] = price;
+                const price = await priceForDate(currentDate);
+                ratesMap[dateStr] = {
+                    ...price,
+                    restrictions: restrictionMap[dateStr] || null
+                };
                 currentDate.setUTCDate(currentDate.getUTCDate() + 1);
             }
 
+            const stayRestrictions = evaluateStayRestrictions(restrictionMap, start, end, roomType.name);
+
             return res.status(200).json({
                 roomTypeId,
                 priceModel: roomType.priceModel,
+                ...planInfo,
                 startDate: start.toISOString().split('T')[0],
                 endDate: end.toISOString().split('T')[0],
-                rates: ratesMap
+                rates: ratesMap,
+                bookable: stayRestrictions.isAllowed,
+                restrictionViolations: stayRestrictions.violations
             });
         }
 
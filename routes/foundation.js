@@ -2,6 +2,8 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const { authenticate, requireModuleAccess } = require('../middleware/auth');
 const { validateAndSetDefaults, validateDateRange, isValidObjectId } = require('../utils/validation');
+const { checkStayRestrictions } = require('../services/restrictionService');
+const { calculateRoomTypeAvailability } = require('../services/availabilityService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -10,11 +12,36 @@ router.use(authenticate);
 const getModel = (req, name) => req.tenant.models[name];
 const getPropertyId = (req) => req.tenant.property._id;
 
+// Day-by-day availability for one room type over a stay (cached).
+// Returns null when the room type does not exist.
+const getRoomTypeAvailability = async (req, roomTypeId, requestedCheckIn, requestedCheckOut) => {
+    const propertyId = getPropertyId(req);
+    const { getAvailability } = require('../services/cacheService');
+
+    // Check cache first (availability changes frequently, but cache helps with repeated queries)
+    return getAvailability(
+        propertyId,
+        roomTypeId,
+        requestedCheckIn.toISOString(),
+        requestedCheckOut.toISOString(),
+        () => calculateRoomTypeAvailability(req.tenant.models, propertyId, roomTypeId, requestedCheckIn, requestedCheckOut)
+    );
+};
+
+// Stay restrictions for one room type (min/max LOS, CTA/CTD, stop-sell)
+const getStayRestrictions = async (req, roomTypeId, checkIn, checkOut) => {
+    const RoomType = getModel(req, 'RoomType');
+    const roomType = await RoomType.findOne({ _id: roomTypeId, property: getPropertyId(req) }).select('name').lean();
+    return checkStayRestrictions(req.tenant.models, getPropertyId(req), roomType || roomTypeId, checkIn, checkOut);
+};
+
 router.post('/check-availability', requireModuleAccess('front-office'), async (req, res) => {
     try {
         // Validate and set defaults
+        // Either a single roomTypeId or roomLines: [{ roomType, numberOfRooms }] for multi-room-type bookings
         const availabilitySchema = {
-            roomTypeId: { type: 'string', required: true, isObjectId: true },
+            roomTypeId: { type: 'string', isObjectId: true },
+            roomLines: { isArray: true, default: [] },
             checkInDate: { type: 'string', required: true, isDate: true },
             checkOutDate: { type: 'string', required: true, isDate: true }
         };
@@ -30,105 +57,64 @@ router.post('/check-availability', requireModuleAccess('front-office'), async (r
             return res.status(400).json({ message: dateValidation.errors.join(', ') });
         }
 
-        const propertyId = getPropertyId(req);
-        const { getAvailability } = require('../services/cacheService');
-        const RoomType = getModel(req, 'RoomType');
-        const Reservation = getModel(req, 'Reservations');
-        const InventoryBlock = getModel(req, 'InventoryBlock');
-        
-        const roomTypeId = validation.validated.roomTypeId;
+        const { roomTypeId, roomLines } = validation.validated;
         const requestedCheckIn = dateValidation.checkIn;
         const requestedCheckOut = dateValidation.checkOut;
 
-        // Check cache first (availability changes frequently, but cache helps with repeated queries)
-        const cachedResult = await getAvailability(
-            propertyId,
-            roomTypeId,
-            requestedCheckIn.toISOString(),
-            requestedCheckOut.toISOString(),
-            async () => {
-                // --- Get Total Inventory (use lean for performance) ---
-                const roomType = await RoomType.findOne({ _id: roomTypeId, property: propertyId }).lean();
-                if (!roomType) {
-                    return null; // Return null to indicate not found
+        if (roomLines.length > 0) {
+            // Sum requested rooms per room type (a booking may repeat a type on several lines)
+            const requestedByType = new Map();
+            for (const line of roomLines) {
+                const lineRoomTypeId = line?.roomTypeId || line?.roomType;
+                if (!lineRoomTypeId || !isValidObjectId(lineRoomTypeId)) {
+                    return res.status(400).json({ message: 'Each room line needs a valid roomType' });
                 }
-                const totalInventory = roomType.totalInventory;
-
-                // --- Find Potentially Conflicting Reservations (optimized query) ---
-                const potentialConflicts = await Reservation.find({
-                    roomType: roomTypeId,
-                    property: propertyId,
-                    status: { $in: ['confirmed', 'checked-in'] },
-                    checkInDate: { $lt: requestedCheckOut },
-                    checkOutDate: { $gt: requestedCheckIn }
-                }).select('checkInDate checkOutDate numberOfRooms').lean();
-
-                // --- Get Blocked Inventory for the Date Range (optimized query) ---
-                const inventoryBlocks = await InventoryBlock.find({
-                    roomType: roomTypeId,
-                    property: propertyId,
-                    date: { $gte: requestedCheckIn, $lt: requestedCheckOut }
-                }).select('date blockedInventory').lean();
-
-                // Create a map of blocked inventory by date
-                const blockedInventoryMap = {};
-                inventoryBlocks.forEach(block => {
-                    const dateStr = block.date.toISOString().split('T')[0];
-                    blockedInventoryMap[dateStr] = (blockedInventoryMap[dateStr] || 0) + (block.blockedInventory || 0);
-                });
-
-                // --- Calculate Availability for Each Day ---
-                let dailyAvailability = {};
-                let isOverallAvailable = true; // Still useful to know if *at least one* room is free the whole time
-                let minAvailableOnAnyDay = totalInventory;
-
-                let currentDate = new Date(requestedCheckIn);
-                while (currentDate < requestedCheckOut) {
-                    const dateStr = currentDate.toISOString().split('T')[0];
-                    let committedRoomsForDay = 0;
-
-                    potentialConflicts.forEach(res => {
-                        const resCheckIn = new Date(res.checkInDate); resCheckIn.setUTCHours(0,0,0,0);
-                        const resCheckOut = new Date(res.checkOutDate); resCheckOut.setUTCHours(0,0,0,0);
-                        if (resCheckIn <= currentDate && resCheckOut > currentDate) {
-                            committedRoomsForDay += res.numberOfRooms;
-                        }
-                    });
-
-                    // Get blocked inventory for this date
-                    const blockedForDay = blockedInventoryMap[dateStr] || 0;
-
-                    // Calculate available: total - booked - blocked
-                    const availableCount = totalInventory - committedRoomsForDay - blockedForDay;
-                    const finalAvailableCount = Math.max(0, availableCount);
-                    dailyAvailability[dateStr] = finalAvailableCount;
+                const requested = Math.max(1, parseInt(line.numberOfRooms, 10) || 1);
+                requestedByType.set(String(lineRoomTypeId), (requestedByType.get(String(lineRoomTypeId)) || 0) + requested);
+            }
 
-                    // Update overall flag based on whether *at least one* room is available
-                    if (finalAvailableCount <= 0) {
-                        isOverallAvailable = false;
-                    }
+            const lineResults = [];
+            for (const [lineRoomTypeId, requested] of requestedByType) {
+                const availability = await getRoomTypeAvailability(req, lineRoomTypeId, requestedCheckIn, requestedCheckOut);
+                if (availability === null) {
+                    return res.status(404).json({ message: "Room type not found.", roomTypeId: lineRoomTypeId });
+                }
+                const restrictions = await getStayRestrictions(req, lineRoomTypeId, requestedCheckIn, requestedCheckOut);
+                lineResults.push({
+                    roomTypeId: lineRoomTypeId,
+                    requested,
+                    available: availability.minAvailableCount >= requested && restrictions.isAllowed,
+                    ...availability,
+                    restrictions
+                });
+            }
 
-                    minAvailableOnAnyDay = Math.min(minAvailableOnAnyDay, finalAvailableCount);
+            return res.status(200).json({
+                overallAvailable: lineResults.every(line => line.available),
+                lines: lineResults
+            });
+        }
 
-                    currentDate.setUTCDate(currentDate.getUTCDate() + 1);
-                }
+        if (!roomTypeId) {
+            return res.status(400).json({ message: 'roomTypeId or roomLines is required' });
+        }
 
-                // Return result for caching
-                return {
-                    overallAvailable: isOverallAvailable,
-                    minAvailableCount: minAvailableOnAnyDay,
-                    dailyAvailability: dailyAvailability
-                };
-            }
-        );
+        const cachedResult = await getRoomTypeAvailability(req, roomTypeId, requestedCheckIn, requestedCheckOut);
 
         // Check if room type was found
         if (cachedResult === null) {
             return res.status(404).json({ message: "Room type not found." });
         }
 
+        // Restrictions are not cached with availability; a restricted stay is never available
+        const restrictions = await getStayRestrictions(req, roomTypeId, requestedCheckIn, requestedCheckOut);
+
         // --- Respond with Detailed Availability (raw counts) ---
-        res.status(200).json(cachedResult);
+        res.status(200).json({
+            ...cachedResult,
+            overallAvailable: cachedResult.overallAvailable && restrictions.isAllowed,
+            restrictions
+        });
 
     } catch (error) {
         console.error("Detailed Availability Check Error:", error);
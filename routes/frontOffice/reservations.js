@@ -18,6 +18,17 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
 const emailService = require('../../services/emailService');
+const { createReservationFolio, postCancellationCharge } = require('../../services/folioService');
+const { recordGuestStay } = require('../../services/guestProfileService');
+const { findAvailableRooms } = require('../../services/availabilityService');
+const { checkStayRestrictions } = require('../../services/restrictionService');
+const { priceLineForStay } = require('../../services/pricingService');
+const { findContract, priceLinesWithContract, findAllotmentOverbooking } = require('../../services/corporateContractService');
+const { calculateRequiredDeposit, buildDepositSchedule, applyDepositPayment, getOutstandingDeposit, settleDeposit, recordDepositPayment } = require('../../services/depositService');
+const { resolvePaymentShift } = require('../../services/cashierShiftService');
+const { checkCreditLimit, buildCreditOverride } = require('../../services/cityLedgerService');
+const { queueAriUpdate, queueReservationAriUpdate } = require('../../services/channelManagerService');
+const { getBusinessDate, isSameBusinessDay, toDateKey } = require('../../services/businessDateService');
 const { validateAndSetDefaults, validatePagination, validateDateRange, normalizePaymentMethod, isValidObjectId, isValidEmail, isValidPhone } = require('../../utils/validation');
 
 const router = express.Router();
@@ -29,267 +40,7 @@ const getModel = (req, name) => req.tenant.models[name];
 const getPropertyId = (req) => req.tenant.property._id;
 
 // Helper function to create folio for a reservation
-const createFolioForReservation = async (req, reservation) => {
-    try {
-        const propertyId = getPropertyId(req);
-        const GuestFolio = getModel(req, 'GuestFolio');
-        const Rooms = getModel(req, 'Rooms');
-        const RoomType = getModel(req, 'RoomType');
-        const TaxRule = getModel(req, 'TaxRule');
-        const ServiceFee = getModel(req, 'ServiceFee');
-        
-        // Check if folio already exists for this reservation
-        const existingFolio = await GuestFolio.findOne({ 
-            reservationId: reservation._id,
-            property: propertyId,
-            status: 'active'
-        });
-        
-        if (existingFolio) {
-            return existingFolio; // Return existing folio
-        }
-        
-        // Fetch RoomType to get priceModel and room name
-        let roomTypeData = null;
-        if (reservation.roomType) {
-            roomTypeData = await RoomType.findOne({
-                _id: reservation.roomType,
-                property: propertyId,
-            });
-        }
-        
-        // Get room numbers from reservation
-        let finalRoomNumbers = [];
-        if (reservation.roomNumbers && reservation.roomNumbers.length > 0) {
-            // If reservation has room IDs, fetch room numbers
-            const rooms = await Rooms.find({ _id: { $in: reservation.roomNumbers }, property: propertyId });
-            finalRoomNumbers = rooms.map(r => r.roomNumber);
-        }
-        
-        // Generate folio ID
-        const folioId = await GuestFolio.generateFolioId(propertyId);
-        
-        // Create accommodation charge items based on priceModel
-        const checkIn = new Date(reservation.checkInDate);
-        const checkOut = new Date(reservation.checkOutDate);
-        const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-        const roomTypeName = roomTypeData?.name || 'Room';
-        
-        const items = [];
-        const priceModel = roomTypeData?.priceModel || 'perRoom';
-        
-        if (priceModel === 'perPerson') {
-            // For perPerson: Single accommodation charge with total guests and room name
-            const adultCount = reservation.adultCount || reservation.numberOfAdults || reservation.adults || 0;
-            const childCount = reservation.childCount || reservation.numberOfChildren || reservation.children || 0;
-            const totalGuests = adultCount + childCount || reservation.totalGuest || 1;
-            
-            items.push({
-                description: `Accommodation - ${roomTypeName} (${totalGuests} Guest${totalGuests > 1 ? 's' : ''})`,
-                date: checkIn,
-                amount: reservation.totalAmount || 0,
-                department: 'Room',
-                quantity: 1,
-                unitPrice: reservation.totalAmount || 0
-            });
-        } else {
-            // For perRoom: Separate charges for each room
-            const numberOfRooms = finalRoomNumbers.length || reservation.numberOfRooms || 1;
-            const roomChargePerRoom = (reservation.totalAmount || 0) / numberOfRooms;
-            
-            if (finalRoomNumbers.length > 0) {
-                // If we have room numbers, create a charge for each room
-                finalRoomNumbers.forEach((roomNum, index) => {
-                    items.push({
-                        description: `Accommodation - ${roomTypeName} (Room ${roomNum})`,
-                        date: checkIn,
-                        amount: roomChargePerRoom,
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: roomChargePerRoom
-                    });
-                });
-            } else {
-                // If no room numbers yet, create charges based on numberOfRooms
-                for (let i = 0; i < numberOfRooms; i++) {
-                    items.push({
-                        description: `Accommodation - ${roomTypeName} (Room ${i + 1})`,
-                        date: checkIn,
-                        amount: roomChargePerRoom,
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: roomChargePerRoom
-                    });
-                }
-            }
-        }
-        
-        // Fetch active tax rules (use lean and cache)
-        const { getTaxRules } = require('../../services/cacheService');
-        const activeTaxRules = await getTaxRules(propertyId, async () => {
-            return await TaxRule.find({
-                property: propertyId,
-                isActive: true
-            }).lean();
-        });
-        
-        // Calculate and add tax items
-        const accommodationTotal = reservation.totalAmount || 0;
-        activeTaxRules.forEach(taxRule => {
-            // Check if tax applies to room_rate or total_amount
-            if (taxRule.applicableOn === 'room_rate' || taxRule.applicableOn === 'total_amount' || taxRule.applicableOn === 'all') {
-                let taxAmount = 0;
-                if (taxRule.isPercentage) {
-                    taxAmount = (accommodationTotal * taxRule.rate) / 100;
-                } else {
-                    taxAmount = taxRule.rate;
-                }
-                
-                if (taxAmount > 0) {
-                    items.push({
-                        description: `${taxRule.name}${taxRule.isPercentage ? ` (${taxRule.rate}%)` : ''}`,
-                        date: checkIn,
-                        amount: taxAmount,
-                        department: 'Room',
-                        quantity: 1,
-                        unitPrice: taxAmount,
-                        tax: 0 // Tax is already included in amount
-                    });
-                }
-            }
-        });
-        
-        // Fetch active service fees (use lean and cache)
-        const { getServiceFees } = require('../../services/cacheService');
-        const activeServiceFees = await getServiceFees(propertyId, async () => {
-            return await ServiceFee.find({
-                property: propertyId,
-                isActive: true
-            }).lean();
-        });
-        
-        // Calculate guest count for per-person calculations
-        const adultCount = reservation.adultCount || reservation.numberOfAdults || reservation.adults || 0;
-        const childCount = reservation.childCount || reservation.numberOfChildren || reservation.children || 0;
-        const totalGuests = adultCount + childCount || reservation.totalGuest || 1;
-        const numberOfRooms = finalRoomNumbers.length || reservation.numberOfRooms || 1;
-        
-        // Calculate and add service fee items
-        activeServiceFees.forEach(serviceFee => {
-            let feeAmount = 0;
-            
-            if (serviceFee.applicableOn === 'per_night') {
-                // Per night: multiply by number of nights
-                if (serviceFee.isPercentage) {
-                    // Percentage of accommodation per night
-                    const accommodationPerNight = accommodationTotal / nights;
-                    feeAmount = (accommodationPerNight * serviceFee.amount) / 100 * nights;
-                } else {
-                    // Fixed amount per night
-                    feeAmount = serviceFee.amount * nights;
-                }
-            } else if (serviceFee.applicableOn === 'per_booking') {
-                // Per booking: one-time fee
-                if (serviceFee.isPercentage) {
-                    feeAmount = (accommodationTotal * serviceFee.amount) / 100;
-                } else {
-                    feeAmount = serviceFee.amount;
-                }
-            } else if (serviceFee.applicableOn === 'per_person') {
-                // Per person: multiply by total number of guests
-                if (serviceFee.isPercentage) {
-                    // Percentage of accommodation per person
-                    feeAmount = (accommodationTotal * serviceFee.amount) / 100;
-                } else {
-                    // Fixed amount per person
-                    feeAmount = serviceFee.amount * totalGuests;
-                }
-            } else if (serviceFee.applicableOn === 'per_person_per_night') {
-                // Per person per night: multiply by guests and nights
-                if (serviceFee.isPercentage) {
-                    // Percentage of accommodation per person per night
-                    const accommodationPerNight = accommodationTotal / nights;
-                    feeAmount = (accommodationPerNight * serviceFee.amount) / 100 * totalGuests * nights;
-                } else {
-                    // Fixed amount per person per night
-                    feeAmount = serviceFee.amount * totalGuests * nights;
-                }
-            } else if (serviceFee.applicableOn === 'room_rate' || serviceFee.applicableOn === 'total_amount') {
-                // Based on room rate or total amount
-                if (serviceFee.isPercentage) {
-                    feeAmount = (accommodationTotal * serviceFee.amount) / 100;
-                } else {
-                    feeAmount = serviceFee.amount;
-                }
-            }
-            
-            if (feeAmount > 0) {
-                let description = serviceFee.name;
-                if (serviceFee.isPercentage) {
-                    description += ` (${serviceFee.amount}%)`;
-                }
-                if (serviceFee.applicableOn === 'per_night') {
-                    description += ` - ${nights} night${nights > 1 ? 's' : ''}`;
-                } else if (serviceFee.applicableOn === 'per_person') {
-                    description += ` - ${totalGuests} guest${totalGuests > 1 ? 's' : ''}`;
-                } else if (serviceFee.applicableOn === 'per_person_per_night') {
-                    description += ` - ${totalGuests} guest${totalGuests > 1 ? 's' : ''} × ${nights} night${nights > 1 ? 's' : ''}`;
-                }
-                
-                items.push({
-                    description: description,
-                    date: checkIn,
-                    amount: feeAmount,
-                    department: 'Room',
-                    quantity: 1,
-                    unitPrice: feeAmount,
-                    tax: 0
-                });
-            }
-        });
-        
-        // Create initial payment if advance amount exists
-        const payments = [];
-        const payedAmount = reservation.payedAmount || 0;
-        const paymentMethod = normalizePaymentMethod(reservation.paymentMethod);
-        
-        if (payedAmount && payedAmount > 0) {
-            payments.push({
-                date: new Date(),
-                method: paymentMethod,
-                amount: payedAmount,
-                transactionId: `ADV-${reservation._id}`,
-                notes: 'Advance payment'
-            });
-        }
-        
-        // Create folio
-        const newFolio = new GuestFolio({
-            folioId,
-            reservationId: reservation._id,
-            guestName: reservation.guestName,
-            guestEmail: reservation.guestEmail,
-            guestPhone: reservation.guestNumber,
-            roomNumber: finalRoomNumbers[0] || '',
-            roomNumbers: finalRoomNumbers,
-            checkIn: checkIn,
-            checkOut: checkOut,
-            items: items,
-            payments: payments,
-            status: 'active',
-            property: propertyId
-        });
-        
-        newFolio.calculateBalance();
-        await newFolio.save();
-        
-        console.log(`Folio created for reservation ${reservation._id} with paid amount: ${payedAmount}`);
-        return newFolio;
-    } catch (error) {
-        console.error('Error creating folio for reservation:', error);
-        return null; // Don't throw, just log and return null
-    }
-};
+const createFolioForReservation = (req, reservation) => createReservationFolio(req.tenant.models, getPropertyId(req), reservation);
 
 const compileTemplate = (content, variables = {}) => {
   if (!content || typeof content !== 'string') {
@@ -335,6 +86,23 @@ const sendReservationEmail = async (req, reservation) => {
       });
     }
 
+    // Structured cancellation policy for this booking (falls back to the free-text policy)
+    const { resolvePolicy, describePolicy } = require('../../services/cancellationPolicyService');
+    const cancellationPolicy = await resolvePolicy(req.tenant.models, getPropertyId(req), reservation);
+
+    // Multi-room-type bookings list every line, e.g. "1 x Deluxe, 1 x Suite"
+    let roomTypeLabel = roomTypeData?.name || reservation.roomType || '';
+    if (Array.isArray(reservation.roomLines) && reservation.roomLines.length > 1) {
+      const lineRoomTypes = await RoomType.find({
+        _id: { $in: reservation.roomLines.map(line => line.roomType) },
+        property: getPropertyId(req),
+      }).select('name').lean();
+      const nameMap = new Map(lineRoomTypes.map(rt => [rt._id.toString(), rt.name]));
+      roomTypeLabel = reservation.roomLines
+        .map(line => `${line.numberOfRooms || 1} x ${nameMap.get(line.roomType.toString()) || 'Room'}`)
+        .join(', ');
+    }
+
     const property = req.tenant?.property || {};
     const checkInValue = reservation.checkInDate || reservation.checkIn;
     const checkOutValue = reservation.checkOutDate || reservation.checkOut;
@@ -376,7 +144,7 @@ const sendReservationEmail = async (req, reservation) => {
       reservationId: reservation.reservationId || reservation._id,
       checkInDate: checkInValue ? new Date(checkInValue).toLocaleDateString('en-GB') : '',
       checkOutDate: checkOutValue ? new Date(checkOutValue).toLocaleDateString('en-GB') : '',
-      roomType: roomTypeData?.name || reservation.roomType || '',
+      roomType: roomTypeLabel,
       totalGuests: guestCount != null ? guestCount : '',
       totalAmount: reservation.totalAmount != null ? reservation.totalAmount : '',
       paidAmount: reservation.payedAmount != null ? reservation.payedAmount : '',
@@ -392,7 +160,7 @@ const sendReservationEmail = async (req, reservation) => {
       propertyWebsite: propertyDetails?.website || '',
       checkInTime: propertyDetails?.checkInTime || '14:00',
       checkOutTime: propertyDetails?.checkOutTime || '11:00',
-      cancellationPolicy: propertyDetails?.cancellationPolicy || '',
+      cancellationPolicy: cancellationPolicy ? describePolicy(cancellationPolicy) : (propertyDetails?.cancellationPolicy || ''),
       generalPolicies: propertyDetails?.generalPolicies || '',
       gstin: propertyDetails?.gstin || '',
       currency: propertyDetails?.currency || 'INR',
@@ -436,6 +204,57 @@ const sendReservationEmail = async (req, reservation) => {
   }
 };
 
+// Normalize the requested room lines. Requests without roomLines are treated as a
+// single line built from the legacy roomType/numberOfRooms/roomNumbers fields.
+const normalizeRoomLines = (validated) => {
+    const lineSchema = {
+        roomType: { type: 'string', required: true, isObjectId: true },
+        numberOfRooms: { type: 'number', default: 1, min: 1 },
+        roomNumbers: { isArray: true, default: [] },
+        adults: { type: 'number', default: 0, min: 0 },
+        children: { type: 'number', default: 0, min: 0 },
+        totalGuest: { type: 'number', default: 0, min: 0 },
+        ratePerNight: { type: 'number', default: 0, min: 0 },
+        amount: { type: 'number', default: 0, min: 0 }
+    };
+
+    let rawLines = validated.roomLines || [];
+    if (rawLines.length === 0 && validated.roomType) {
+        rawLines = [{
+            roomType: validated.roomType,
+            numberOfRooms: validated.numberOfRooms,
+            roomNumbers: validated.roomNumbers,
+            totalGuest: validated.totalGuest,
+            amount: validated.totalAmount
+        }];
+    }
+
+    if (rawLines.length === 0) {
+        return { isValid: false, errors: ['roomType or roomLines is required'], lines: [] };
+    }
+
+    const errors = [];
+    const lines = [];
+    rawLines.forEach((rawLine, index) => {
+        const lineValidation = validateAndSetDefaults(rawLine || {}, lineSchema);
+        if (!lineValidation.isValid) {
+            errors.push(...lineValidation.errors.map(error => `roomLines[${index}].${error}`));
+            return;
+        }
+
+        const line = lineValidation.validated;
+        if (!line.totalGuest) {
+            line.totalGuest = line.adults + line.children;
+        }
+        if (line.roomNumbers.length > line.numberOfRooms) {
+            line.numberOfRooms = line.roomNumbers.length;
+        }
+        lines.push(line);
+    });
+
+    return { isValid: errors.length === 0, errors, lines };
+};
+
 router.post('/', async (req, res) => {
     try {
         // Validate and set defaults for reservation creation
@@ -445,16 +264,24 @@ router.post('/', async (req, res) => {
             guestNumber: { type: 'string', required: true, custom: (val) => isValidPhone(val) || 'Invalid phone number' },
             checkInDate: { type: 'string', required: true, isDate: true },
             checkOutDate: { type: 'string', required: true, isDate: true },
-            roomType: { type: 'string', required: true, isObjectId: true },
+            roomType: { type: 'string', isObjectId: true },
+            roomLines: { isArray: true, default: [] }, // [{ roomType, numberOfRooms, roomNumbers, adults, children, totalGuest, ratePerNight, amount }]
             numberOfRooms: { type: 'number', default: 1, min: 1 },
-            totalGuest: { type: 'number', required: true, min: 1 },
+            totalGuest: { type: 'number', min: 1 },
             totalAmount: { type: 'number', default: 0, min: 0 },
             payedAmount: { type: 'number', default: 0, min: 0 },
             paymentMethod: { type: 'string', default: 'Cash' },
             Source: { type: 'string', default: 'direct', enum: ['direct', 'website', 'booking.com', 'agoda', 'expedia', 'airbnb', 'phone', 'walk-in', 'travel-agent'] },
             travelAgentId: { type: 'string', isObjectId: true },
+            billToCityLedger: { type: 'boolean', default: false },
+            cityLedgerAccountId: { type: 'string', isObjectId: true },
+            corporateAccountId: { type: 'string', isObjectId: true }, // Company booked for; lines without a rate are priced from its contract
+            overrideCreditLimit: { type: 'boolean', default: false }, // Manager approval over the account's credit limit
+            overrideReason: { type: 'string', default: '' },
+            cancellationPolicy: { type: 'string', isObjectId: true }, // Override the room type / default policy
+            ratePlan: { type: 'string', isObjectId: true }, // Lines without a rate are priced from this plan
             adhaarNumber: { type: 'string', default: '' },
-            status: { type: 'string', default: 'confirmed', enum: ['confirmed', 'checked-in', 'checked-out', 'cancelled'] },
+            status: { type: 'string', default: 'confirmed', enum: ['tentative', 'confirmed', 'checked-in', 'checked-out', 'cancelled'] },
             mealPlan: { type: 'string', default: 'EP', enum: ['EP', 'CP', 'MAP', 'AP'] },
             mealPlanAmount: { type: 'number', default: 0, min: 0 },
             mealPlanGuestCount: { type: 'number', default: 0, min: 0 },
@@ -476,149 +303,231 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ message: dateValidation.errors.join(', ') });
         }
 
-        // Validate minimum stay requirement (use lean for performance)
+        // Resolve room lines (multi-room-type bookings or the legacy single room type)
+        const lineValidation = normalizeRoomLines(validation.validated);
+        if (!lineValidation.isValid) {
+            return res.status(400).json({ message: lineValidation.errors.join(', ') });
+        }
+        const roomLines = lineValidation.lines;
+
+        if (!validation.validated.totalGuest) {
+            validation.validated.totalGuest = roomLines.reduce((sum, line) => sum + (line.totalGuest || 0), 0);
+        }
+        if (!validation.validated.totalGuest || validation.validated.totalGuest < 1) {
+            return res.status(400).json({ message: 'totalGuest is required' });
+        }
+
+        // Fetch every room type on the reservation (use lean for performance)
         const RoomType = getModel(req, 'RoomType');
-        const roomType = await RoomType.findOne({
-            _id: validation.validated.roomType,
+        const roomTypeIds = [...new Set(roomLines.map(line => line.roomType))];
+        const roomTypeDocs = await RoomType.find({
+            _id: { $in: roomTypeIds },
             property: getPropertyId(req),
         }).lean();
 
-        if (!roomType) {
+        if (roomTypeDocs.length !== roomTypeIds.length) {
             return res.status(404).json({ message: 'Room type not found.' });
         }
+        const roomTypeMap = new Map(roomTypeDocs.map(rt => [rt._id.toString(), rt]));
 
-        // Check minimum stay requirement
+        // Check length-of-stay, arrival/departure and stop-sell restrictions per room type
         const checkIn = dateValidation.checkIn;
         const checkOut = dateValidation.checkOut;
         const nights = Math.ceil((checkOut.getTime() - checkIn.getTime()) / (1000 * 60 * 60 * 24));
-        
-        if (roomType.minimumStay && nights < roomType.minimumStay) {
-            return res.status(400).json({ 
-                message: `Minimum stay requirement is ${roomType.minimumStay} night(s). Selected stay is ${nights} night(s).` 
-            });
+
+        for (const roomType of roomTypeDocs) {
+            const restrictionCheck = await checkStayRestrictions(req.tenant.models, getPropertyId(req), roomType, checkIn, checkOut);
+            if (!restrictionCheck.isAllowed) {
+                return res.status(400).json({
+                    message: restrictionCheck.violations.map(violation => violation.message).join(', '),
+                    restrictions: restrictionCheck.violations
+                });
+            }
         }
 
-        // Validate maximum stay requirement (if set)
-        if (roomType.maximumStay && nights > roomType.maximumStay) {
-            return res.status(400).json({ 
-                message: `Maximum stay allowed is ${roomType.maximumStay} night(s). Selected stay is ${nights} night(s).` 
+        // Rate plan: must be sellable on every room type; its meal plan applies unless one was chosen
+        let ratePlan = null;
+        if (validation.validated.ratePlan) {
+            const RatePlan = getModel(req, 'RatePlan');
+            ratePlan = await RatePlan.findOne({
+                _id: validation.validated.ratePlan,
+                property: getPropertyId(req),
+                isActive: true
+            }).lean();
+            if (!ratePlan) {
+                return res.status(404).json({ message: 'Rate plan not found.' });
+            }
+
+            if (ratePlan.roomTypes?.length > 0) {
+                const allowedRoomTypes = new Set(ratePlan.roomTypes.map(id => id.toString()));
+                const excluded = roomTypeDocs.filter(roomType => !allowedRoomTypes.has(roomType._id.toString()));
+                if (excluded.length > 0) {
+                    return res.status(400).json({
+                        message: `Rate plan ${ratePlan.code} is not available for ${excluded.map(roomType => roomType.name).join(', ')}.`
+                    });
+                }
+            }
+
+            if (!req.body.mealPlan) {
+                validation.validated.mealPlan = ratePlan.mealPlan;
+            }
+        }
+
+        // Company bookings (and stays billed to a corporate account) get the account's contract rates
+        let contract = null;
+        const requestedAccountId = validation.validated.corporateAccountId;
+        const corporateAccountId = requestedAccountId
+            || (validation.validated.billToCityLedger ? validation.validated.cityLedgerAccountId : undefined);
+        delete validation.validated.corporateAccountId;
+        if (corporateAccountId) {
+            const corporateAccount = await getModel(req, 'CityLedgerAccount').findOne({
+                _id: corporateAccountId,
+                property: getPropertyId(req),
+                isActive: true
+            }).select('accountType').lean();
+            if (requestedAccountId && corporateAccount?.accountType !== 'corporate') {
+                return res.status(404).json({ message: 'Corporate account not found.' });
+            }
+            if (corporateAccount?.accountType === 'corporate') {
+                validation.validated.corporateAccountId = corporateAccount._id;
+                contract = await findContract(req.tenant.models, getPropertyId(req), corporateAccount._id, checkIn, checkOut);
+            }
+        }
+
+        // Price each line from its nightly rate when no line amount was given,
+        // or from the corporate contract or rate plan when the line has no rate either
+        const unpricedLines = [];
+        for (const line of roomLines) {
+            if (!line.amount && line.ratePerNight > 0) {
+                line.amount = line.ratePerNight * line.numberOfRooms * nights;
+            } else if (!line.amount && contract) {
+                unpricedLines.push(line);
+            } else if (!line.amount && ratePlan) {
+                const priced = await priceLineForStay(req.tenant.models, getPropertyId(req), ratePlan, roomTypeMap.get(line.roomType.toString()), line, checkIn, checkOut);
+                line.amount = priced.amount;
+                line.ratePerNight = priced.ratePerNight;
+            }
+        }
+        let contractPricing = null;
+        if (unpricedLines.length > 0) {
+            const priced = await priceLinesWithContract(req.tenant.models, getPropertyId(req), contract, ratePlan, roomTypeMap, unpricedLines, checkIn, checkOut);
+            unpricedLines.forEach((line, index) => {
+                line.amount = priced[index].amount;
+                line.ratePerNight = priced[index].ratePerNight;
+                line.nightRates = priced[index].nightRates;
+                line.contractNights = priced[index].contractNights;
+            });
+            if (priced.some(result => result.contractNights.length > 0)) {
+                validation.validated.corporateContract = contract._id;
+            }
+            // Nights priced at the standard rate, and why (blackout, allotment full, ...)
+            contractPricing = {
+                contractNumber: contract.contractNumber,
+                standardNights: priced.flatMap((result, index) => result.standardNights.map(night => ({
+                    roomType: unpricedLines[index].roomType,
+                    ...night
+                })))
+            };
+        }
+
+        // Multi-line, rate plan and contract bookings without an explicit total are the sum of their lines plus meal plan
+        if ((roomLines.length > 1 || ratePlan || contract) && (req.body.totalAmount === undefined || req.body.totalAmount === null || req.body.totalAmount === '')) {
+            const linesTotal = roomLines.reduce((sum, line) => sum + (line.amount || 0), 0);
+            validation.validated.totalAmount = linesTotal + (validation.validated.mealPlanAmount || 0);
+        }
+
+        // Stays billed to a city ledger account must fit within its credit limit
+        const { overrideCreditLimit, overrideReason } = validation.validated;
+        delete validation.validated.overrideCreditLimit;
+        delete validation.validated.overrideReason;
+        let cityLedgerAccount = null;
+        let creditCheck = null;
+        if (validation.validated.billToCityLedger) {
+            if (!validation.validated.cityLedgerAccountId) {
+                return res.status(400).json({ message: 'cityLedgerAccountId is required to bill to the city ledger' });
+            }
+            const CityLedgerAccount = getModel(req, 'CityLedgerAccount');
+            cityLedgerAccount = await CityLedgerAccount.findOne({
+                _id: validation.validated.cityLedgerAccountId,
+                property: getPropertyId(req),
+                isActive: true
+            });
+            if (!cityLedgerAccount) {
+                return res.status(404).json({ message: 'City ledger account not found.' });
+            }
+
+            const billedAmount = Math.max(0, (validation.validated.totalAmount || 0) - (validation.validated.payedAmount || 0));
+            creditCheck = await checkCreditLimit(req.tenant.models, getPropertyId(req), cityLedgerAccount, billedAmount, {
+                override: overrideCreditLimit,
+                reason: overrideReason,
+                user: req.user
             });
+            if (creditCheck.error) {
+                return res.status(creditCheck.status).json({ message: creditCheck.error, code: creditCheck.code, credit: creditCheck.credit });
+            }
+        } else {
+            delete validation.validated.cityLedgerAccountId;
         }
 
-        // Validate deposit policy
+        // Work out the deposit required by the property's deposit policy
         const PropertyDetails = getModel(req, 'PropertyDetails');
         const propertyDetails = await PropertyDetails.findOne({
             property: getPropertyId(req),
         });
 
-        const depositPolicy = propertyDetails?.depositPolicy || 'none'; // 'none', 'percentage', 'fixed', 'first_night'
-        const depositAmount = propertyDetails?.depositAmount || 0;
-        const depositPercentage = propertyDetails?.depositPercentage || 0;
-        
-        let requiredDeposit = 0;
-        if (depositPolicy === 'percentage' && depositPercentage > 0) {
-            requiredDeposit = (validation.validated.totalAmount * depositPercentage) / 100;
-        } else if (depositPolicy === 'fixed' && depositAmount > 0) {
-            requiredDeposit = depositAmount;
-        } else if (depositPolicy === 'first_night') {
-            // Calculate first night charge
-            if (roomType.priceModel === 'perRoom') {
-                requiredDeposit = roomType.baseRate * (validation.validated.numberOfRooms || 1);
-            } else if (roomType.priceModel === 'perPerson') {
-                const adultCount = validation.validated.adultCount || validation.validated.numberOfAdults || 0;
-                const childCount = validation.validated.childCount || validation.validated.numberOfChildren || 0;
-                requiredDeposit = (roomType.adultRate || 0) * adultCount + (roomType.childRate || 0) * childCount;
-            }
-        }
-
-        // Warn if deposit is less than required (but allow override for now - can be made strict)
-        if (requiredDeposit > 0 && validation.validated.payedAmount < requiredDeposit) {
-            // For production, you might want to make this strict:
-            // return res.status(400).json({ message: `Deposit required: ₹${requiredDeposit.toFixed(2)}. Provided: ₹${validation.validated.payedAmount.toFixed(2)}` });
-            console.warn(`Deposit policy: Required ₹${requiredDeposit.toFixed(2)}, provided ₹${validation.validated.payedAmount.toFixed(2)}`);
-        }
+        const requiredDeposit = calculateRequiredDeposit(propertyDetails, {
+            totalAmount: validation.validated.totalAmount,
+            roomLines,
+            roomTypeMap
+        });
 
         // Normalize payment method
         validation.validated.paymentMethod = normalizePaymentMethod(validation.validated.paymentMethod);
 
+        // An advance taken with the booking goes in the cashier's open shift
+        let advanceShift;
+        if (validation.validated.payedAmount > 0) {
+            const shiftResult = await resolvePaymentShift(req.tenant.models, getPropertyId(req), req.user);
+            if (shiftResult.error) {
+                return res.status(shiftResult.status).json({ message: shiftResult.error });
+            }
+            advanceShift = shiftResult.shift;
+        }
+
+        // Arrivals on the business date count as same-day
+        const businessDate = await getBusinessDate(req.tenant.models, getPropertyId(req));
+        const isSameDay = isSameBusinessDay(validation.validated.checkInDate, businessDate);
+
         // Determine status based on check-in date (if not explicitly set)
         if (!req.body.status) {
-            const checkInDate = new Date(validation.validated.checkInDate);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            checkInDate.setHours(0, 0, 0, 0);
-            
-            if (checkInDate.getTime() === today.getTime()) {
+            if (isSameDay) {
                 validation.validated.status = 'checked-in';
+            } else if (requiredDeposit > 0 && validation.validated.payedAmount < requiredDeposit) {
+                // Hold the booking until the deposit is received
+                validation.validated.status = 'tentative';
             } else {
                 validation.validated.status = 'confirmed';
             }
         }
 
         const Reservations = getModel(req, 'Reservations');
-        const Rooms = getModel(req, 'Rooms');
         const propertyId = getPropertyId(req);
         
         // Auto-assign rooms for non-same-day reservations
-        const checkInDate = new Date(validation.validated.checkInDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        checkInDate.setHours(0, 0, 0, 0);
-        const isSameDay = checkInDate.getTime() === today.getTime();
-        
-        let assignedRoomIds = validation.validated.roomNumbers || [];
-        
-        // If not same-day and no rooms assigned, auto-assign sequentially
-        if (!isSameDay && (!assignedRoomIds || assignedRoomIds.length === 0)) {
-            const numberOfRooms = validation.validated.numberOfRooms || 1;
-            const roomTypeId = validation.validated.roomType;
-            
-            // Get all rooms of this type, sorted by room number
-            const allRooms = await Rooms.find({
-                roomType: roomTypeId,
-                property: propertyId,
-                status: { $nin: ['maintenance'] } // Exclude maintenance rooms
-            }).sort({ roomNumber: 1 }); // Sort by room number ascending
-            
-            // Find available rooms for the date range
-            const checkIn = dateValidation.checkIn;
-            const checkOut = dateValidation.checkOut;
-            
-            // Get conflicting reservations
-            const conflictingReservations = await Reservations.find({
-                property: propertyId,
-                roomType: roomTypeId,
-                checkInDate: { $lt: checkOut },
-                checkOutDate: { $gt: checkIn },
-                status: { $nin: ['cancelled', 'no-show'] }
-            })
-            .select('roomNumbers') // Only select roomNumbers field
-            .lean(); // Use lean() for better performance
-            
-            // Extract occupied room IDs
-            const occupiedRoomIds = new Set();
-            conflictingReservations.forEach(res => {
-                if (res.roomNumbers && Array.isArray(res.roomNumbers)) {
-                    res.roomNumbers.forEach(roomId => {
-                        occupiedRoomIds.add(roomId.toString());
-                    });
+        // If not same-day and a line has no rooms assigned, auto-assign sequentially per line
+        if (!isSameDay) {
+            const takenRoomIds = new Set(
+                roomLines.reduce((all, line) => all.concat(line.roomNumbers.map(id => id.toString())), [])
+            );
+
+            for (const line of roomLines) {
+                if (line.roomNumbers.length > 0) {
+                    continue;
                 }
-            });
-            
-            // Find available rooms (not occupied and not in maintenance)
-            const availableRooms = allRooms.filter(room => {
-                const roomIdStr = room._id.toString();
-                return !occupiedRoomIds.has(roomIdStr);
-            });
-            
-            // Assign rooms sequentially from available rooms
-            if (availableRooms.length >= numberOfRooms) {
-                assignedRoomIds = availableRooms.slice(0, numberOfRooms).map(room => room._id);
-                console.log(`Auto-assigned ${numberOfRooms} room(s) for non-same-day reservation: ${assignedRoomIds.map(id => id.toString())}`);
-            } else {
-                console.warn(`Not enough available rooms. Required: ${numberOfRooms}, Available: ${availableRooms.length}`);
-                // Assign what we can, but reservation will be created without full room assignment
-                assignedRoomIds = availableRooms.map(room => room._id);
+
+                line.roomNumbers = await findAvailableRooms(req.tenant.models, propertyId, line.roomType, checkIn, checkOut, line.numberOfRooms, takenRoomIds);
+                line.roomNumbers.forEach(id => takenRoomIds.add(id.toString()));
+                console.log(`Auto-assigned ${line.roomNumbers.length} room(s) for non-same-day reservation: ${line.roomNumbers.map(id => id.toString())}`);
             }
         }
         
@@ -633,12 +542,92 @@ router.post('/', async (req, res) => {
             ...validation.validated,
             checkInDate: dateValidation.checkIn,
             checkOutDate: dateValidation.checkOut,
-            roomNumbers: assignedRoomIds, // Use auto-assigned or provided rooms
+            roomLines: roomLines, // Lines carry the auto-assigned or provided rooms
             notes: notesArray, // Ensure notes is always an array
             property: propertyId,
         });
+        reservation.syncRoomLines();
 
-        await reservation.save();
+        // The advance is carried onto the folio, with its shift, when one is opened
+        if (validation.validated.payedAmount > 0) {
+            reservation.depositPayments.push({
+                date: new Date(),
+                method: validation.validated.paymentMethod,
+                amount: validation.validated.payedAmount,
+                transactionId: `ADV-${reservation._id}`,
+                businessDate,
+                shift: advanceShift,
+                notes: 'Advance payment'
+            });
+        }
+
+        // Deposit schedule, with anything already paid allocated to the earliest installments
+        if (requiredDeposit > 0 && validation.validated.status !== 'checked-in') {
+            reservation.depositRequired = requiredDeposit;
+            reservation.depositSchedule = buildDepositSchedule(propertyDetails, requiredDeposit, {
+                bookingDate: new Date(),
+                checkInDate: dateValidation.checkIn
+            });
+            applyDepositPayment(reservation, validation.validated.payedAmount);
+            if (getOutstandingDeposit(reservation) <= 0) {
+                reservation.depositReceivedAt = new Date();
+            }
+        }
+
+        // Lock in the cancellation policy that applies at booking time
+        if (validation.validated.cancellationPolicy) {
+            const CancellationPolicy = getModel(req, 'CancellationPolicy');
+            const overridePolicy = await CancellationPolicy.exists({
+                _id: validation.validated.cancellationPolicy,
+                property: propertyId,
+                isActive: true
+            });
+            if (!overridePolicy) {
+                return res.status(404).json({ message: 'Cancellation policy not found.' });
+            }
+        } else if (ratePlan?.cancellationPolicy) {
+            // The rate plan's cancellation terms are part of what was sold
+            const CancellationPolicy = getModel(req, 'CancellationPolicy');
+            const planPolicy = await CancellationPolicy.exists({
+                _id: ratePlan.cancellationPolicy,
+                property: propertyId,
+                isActive: true
+            });
+            if (planPolicy) {
+                reservation.cancellationPolicy = ratePlan.cancellationPolicy;
+            }
+        }
+        const { resolvePolicy } = require('../../services/cancellationPolicyService');
+        const cancellationPolicy = await resolvePolicy(req.tenant.models, propertyId, reservation);
+        reservation.cancellationPolicy = cancellationPolicy?._id;
+
+        // Contract nights take the allotment as it stands when the booking is saved
+        if (reservation.corporateContract && contract.allotments?.length > 0) {
+            let overbooked = [];
+            await req.tenant.connection.transaction(async (session) => {
+                overbooked = await findAllotmentOverbooking(req.tenant.models, propertyId, contract, reservation, session);
+                if (overbooked.length === 0) {
+                    await reservation.save({ session });
+                }
+            });
+            if (overbooked.length > 0) {
+                return res.status(409).json({
+                    message: `The contract allotment was taken by another booking for ${[...new Set(overbooked.map(night => toDateKey(night.date)))].join(', ')}. Submit the reservation again to reprice those nights.`,
+                    overbooked
+                });
+            }
+        } else {
+            await reservation.save();
+        }
+        queueReservationAriUpdate(req.tenant.models, propertyId, reservation);
+
+        // Log the manager's approval to go over the account's credit limit
+        if (creditCheck?.override) {
+            await getModel(req, 'CityLedgerAccount').updateOne(
+                { _id: cityLedgerAccount._id },
+                { $push: { creditOverrides: buildCreditOverride('reservation', creditCheck.credit, { reason: overrideReason, user: req.user, reservationId: reservation._id }) } }
+            );
+        }
         
         // Handle travel agent commission if travel agent is selected
         if (validation.validated.Source === 'travel-agent' && validation.validated.travelAgentId) {
@@ -675,99 +664,15 @@ router.post('/', async (req, res) => {
             }
         }
         
-        // Check if check-in date is today - if so, create folio and guest profile automatically
+        // Check if check-in date is the business date - if so, create folio and guest profile automatically
         if (reservation.checkInDate) {
-            const checkInDateCheck = new Date(reservation.checkInDate);
-            const todayCheck = new Date();
-            todayCheck.setHours(0, 0, 0, 0);
-            checkInDateCheck.setHours(0, 0, 0, 0);
-            
-            if (checkInDateCheck.getTime() === todayCheck.getTime()) {
+            if (isSameDay) {
                 // Same day check-in, create folio automatically
                 await createFolioForReservation(req, reservation);
                 
                 // Create or update guest profile for same-day reservation (like check-in)
                 try {
-                    const propertyId = getPropertyId(req);
-                    const guestProfiles = getModel(req, 'GuestProfiles');
-                    
-                    // Check if guest already exists by email or phone
-                    const identifierQuery = [];
-                    if (reservation.guestEmail) identifierQuery.push({ guestEmail: reservation.guestEmail });
-                    if (reservation.guestNumber) identifierQuery.push({ guestNumber: reservation.guestNumber });
-
-                    let existingGuest = null;
-                    if (identifierQuery.length > 0) {
-                        existingGuest = await guestProfiles.findOne({
-                            property: propertyId,
-                            $or: identifierQuery
-                        });
-                    }
-
-                    const checkIn = reservation.checkInDate ? new Date(reservation.checkInDate) : new Date();
-                    const checkOut = reservation.checkOutDate ? new Date(reservation.checkOutDate) : new Date();
-                    const totalSpend = reservation.payedAmount || reservation.advanceAmount || 0;
-
-                    const buildStayRecord = () => {
-                        return {
-                            checkInDate: checkIn,
-                            checkOutDate: checkOut,
-                            amount: totalSpend
-                        };
-                    };
-
-                    if (existingGuest) {
-                        // Update existing guest
-                        const newStayRecord = buildStayRecord();
-                        const allRecords = [...existingGuest.records, newStayRecord];
-                        const totalNights = allRecords.reduce((sum, record) => {
-                            const checkIn = new Date(record.checkInDate);
-                            const checkOut = new Date(record.checkOutDate);
-                            const nights = Math.ceil((checkOut.getTime() - checkIn.getTime()) / (1000 * 60 * 60 * 24));
-                            return sum + nights;
-                        }, 0);
-                        const averageStay = totalNights / allRecords.length;
-
-                        await guestProfiles.findOneAndUpdate(
-                            { _id: existingGuest._id, property: propertyId },
-                            {
-                                $set: {
-                                    totalVisits: existingGuest.totalVisits + 1,
-                                    totalSpend: existingGuest.totalSpend + totalSpend,
-                                    AverageStay: Math.round(averageStay * 100) / 100,
-                                    reservationId: reservation._id
-                                },
-                                $push: { records: newStayRecord }
-                            },
-                            { new: true, runValidators: true }
-                        );
-                        console.log(`Guest profile updated for same-day reservation: ${reservation._id}`);
-                    } else {
-                        // Create new guest
-                        const newStayRecord = buildStayRecord();
-                        const checkInDate = new Date(newStayRecord.checkInDate);
-                        const checkOutDate = new Date(newStayRecord.checkOutDate);
-                        const nights = Math.ceil((checkOutDate.getTime() - checkInDate.getTime()) / (1000 * 60 * 60 * 24));
-                        const averageStay = nights;
-
-                        const newGuest = new guestProfiles({
-                            guestName: reservation.guestName,
-                            guestEmail: reservation.guestEmail,
-                            guestNumber: reservation.guestNumber,
-                            guestType: 'regular',
-                            reservationId: reservation._id,
-                            aadhaarNumber: reservation.adhaarNumber,
-                            adultCount: reservation.totalGuest || 1,
-                            childCount: 0,
-                            totalVisits: 1,
-                            totalSpend: totalSpend,
-                            AverageStay: averageStay,
-                            records: [newStayRecord],
-                            property: propertyId
-                        });
-                        await newGuest.save();
-                        console.log(`Guest profile created for same-day reservation: ${reservation._id}`);
-                    }
+                    await recordGuestStay(req.tenant.models, getPropertyId(req), reservation);
                 } catch (guestError) {
                     console.error('Error creating/updating guest profile for same-day reservation:', guestError);
                     // Don't fail the reservation creation if guest profile creation fails
@@ -776,7 +681,8 @@ router.post('/', async (req, res) => {
         }
         
         await sendReservationEmail(req, reservation);
-        res.status(201).json(reservation);
+        // Contract bookings also say which nights were priced at the standard rate
+        res.status(201).json(contractPricing ? { ...reservation.toObject(), contractPricing } : reservation);
     } catch (error) {
         console.error('Error creating reservation:', error);
         res.status(500).json({ message: 'Server error creating reservation.' });
@@ -1002,6 +908,7 @@ router.put('/:id', async (req, res) => {
             checkInDate: { type: 'string', isDate: true },
             checkOutDate: { type: 'string', isDate: true },
             roomType: { type: 'string', isObjectId: true },
+            roomLines: { isArray: true }, // Replaces the room lines; same shape as on create
             numberOfRooms: { type: 'number', min: 1 },
             totalGuest: { type: 'number', min: 1 },
             totalAmount: { type: 'number', min: 0 },
@@ -1009,7 +916,7 @@ router.put('/:id', async (req, res) => {
             paymentMethod: { type: 'string' },
             Source: { type: 'string', enum: ['direct', 'website', 'booking.com', 'agoda', 'expedia', 'airbnb', 'phone', 'walk-in', 'travel-agent'] },
             travelAgentId: { type: 'string', isObjectId: true },
-            status: { type: 'string', enum: ['confirmed', 'checked-in', 'checked-out', 'cancelled'] },
+            status: { type: 'string', enum: ['tentative', 'confirmed', 'checked-in', 'checked-out', 'cancelled'] },
             mealPlan: { type: 'string', enum: ['EP', 'CP', 'MAP', 'AP'] },
             mealPlanAmount: { type: 'number', min: 0 },
             mealPlanGuestCount: { type: 'number', min: 0 },
@@ -1033,12 +940,62 @@ router.put('/:id', async (req, res) => {
             _id: id,
             property: getPropertyId(req)
         });
-        
-        // Build update object - only include roomNumbers if it's provided in the request
-        const updateData = { ...validation.validated, property: getPropertyId(req) };
-        if (req.body.roomNumbers !== undefined && Array.isArray(req.body.roomNumbers)) {
-            updateData.roomNumbers = req.body.roomNumbers;
+        if (!oldReservation) {
+            return res.status(404).json({ message: 'Reservation not found.' });
         }
+
+        // Room changes go through the room lines: given as roomLines, or as the legacy
+        // roomType/numberOfRooms/roomNumbers fields on a single-room-type reservation
+        const editsLegacyRooms = validation.validated.roomType !== undefined
+            || validation.validated.numberOfRooms !== undefined
+            || Array.isArray(req.body.roomNumbers);
+        let roomLines = null;
+        if (validation.validated.roomLines || editsLegacyRooms) {
+            let rawLines = validation.validated.roomLines;
+            if (!rawLines) {
+                const currentLines = Reservations.getRoomLines(oldReservation);
+                if (currentLines.length > 1) {
+                    return res.status(400).json({ message: 'This reservation has several room types; update its roomLines instead.' });
+                }
+                const current = currentLines[0] || {};
+                const roomType = validation.validated.roomType || String(current.roomType);
+                const roomNumbers = Array.isArray(req.body.roomNumbers) ? req.body.roomNumbers : (current.roomNumbers || []);
+                const numberOfRooms = validation.validated.numberOfRooms || (Array.isArray(req.body.roomNumbers) ? roomNumbers.length : current.numberOfRooms) || 1;
+                // The booked rate only carries over while the room type and count are unchanged
+                const sameRooms = roomType === String(current.roomType) && numberOfRooms === current.numberOfRooms;
+                rawLines = [{
+                    roomType,
+                    numberOfRooms,
+                    roomNumbers,
+                    adults: current.adults || 0,
+                    children: current.children || 0,
+                    totalGuest: validation.validated.totalGuest || current.totalGuest || 0,
+                    ratePerNight: sameRooms ? current.ratePerNight || 0 : 0,
+                    amount: sameRooms && oldReservation.roomLines.length > 0 ? current.amount || 0 : 0
+                }];
+            }
+
+            const lineValidation = normalizeRoomLines({ roomLines: rawLines });
+            if (!lineValidation.isValid) {
+                return res.status(400).json({ message: lineValidation.errors.join(', ') });
+            }
+            roomLines = lineValidation.lines;
+
+            const roomTypeIds = [...new Set(roomLines.map(line => line.roomType))];
+            const roomTypeCount = await getModel(req, 'RoomType').countDocuments({
+                _id: { $in: roomTypeIds },
+                property: getPropertyId(req)
+            });
+            if (roomTypeCount !== roomTypeIds.length) {
+                return res.status(404).json({ message: 'Room type not found.' });
+            }
+        }
+
+        // Build update object; room fields are set from the room lines below
+        const updateData = { ...validation.validated, property: getPropertyId(req) };
+        delete updateData.roomLines;
+        delete updateData.roomType;
+        delete updateData.numberOfRooms;
         
         const reservation = await Reservations.findOneAndUpdate(
             { _id: id, property: getPropertyId(req) },
@@ -1050,6 +1007,24 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ message: 'Reservation not found.' });
         }
 
+        // Keep the legacy single-type fields in sync with the new lines
+        if (roomLines) {
+            reservation.roomLines = roomLines;
+            reservation.syncRoomLines();
+            await reservation.save();
+        }
+
+        // Dates, rooms or status may have moved: push both the old and the new stay
+        queueReservationAriUpdate(req.tenant.models, getPropertyId(req), oldReservation);
+        queueReservationAriUpdate(req.tenant.models, getPropertyId(req), reservation);
+
+        // An increased paid amount counts towards the deposit schedule
+        const paidIncrease = (validation.validated.payedAmount ?? reservation.payedAmount) - (oldReservation?.payedAmount || 0);
+        if (paidIncrease > 0 && reservation.depositSchedule?.length > 0 && reservation.status === oldReservation?.status) {
+            settleDeposit(reservation, paidIncrease);
+            await reservation.save();
+        }
+
         // Handle travel agent commission if travel agent is added or changed
         if (validation.validated.Source === 'travel-agent' && validation.validated.travelAgentId) {
             try {
@@ -1141,6 +1116,68 @@ router.put('/:id', async (req, res) => {
     }
 });
 
+// Record a deposit payment against a reservation
+router.post('/:id/deposit', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid reservation ID format' });
+        }
+
+        const depositSchema = {
+            amount: { type: 'number', required: true, min: 0.01 },
+            paymentMethod: { type: 'string', default: 'Cash' },
+            transactionId: { type: 'string' },
+            notes: { type: 'string' }
+        };
+
+        const validation = validateAndSetDefaults(req.body, depositSchema);
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const propertyId = getPropertyId(req);
+        const Reservations = getModel(req, 'Reservations');
+        const reservation = await Reservations.findOne({
+            _id: id,
+            property: propertyId
+        });
+
+        if (!reservation) {
+            return res.status(404).json({ message: 'Reservation not found.' });
+        }
+
+        if (['cancelled', 'no-show', 'checked-out'].includes(reservation.status)) {
+            return res.status(400).json({ message: `Cannot record a deposit on a ${reservation.status} reservation.` });
+        }
+
+        // Taken in the cashier's open shift
+        const shiftResult = await resolvePaymentShift(req.tenant.models, propertyId, req.user);
+        if (shiftResult.error) {
+            return res.status(shiftResult.status).json({ message: shiftResult.error });
+        }
+
+        const { amount, transactionId, notes } = validation.validated;
+        await recordDepositPayment(req.tenant.models, propertyId, reservation, {
+            amount,
+            method: normalizePaymentMethod(validation.validated.paymentMethod),
+            transactionId,
+            notes,
+            shift: shiftResult.shift
+        });
+
+        res.status(200).json({
+            message: reservation.depositReceivedAt ? 'Deposit received in full.' : 'Deposit payment recorded.',
+            reservation,
+            outstandingDeposit: getOutstandingDeposit(reservation)
+        });
+    } catch (error) {
+        console.error('Error recording deposit:', error);
+        res.status(500).json({ message: 'Server error recording deposit.' });
+    }
+});
+
 // Cancel reservation endpoint
 router.post('/:id/cancel', async (req, res) => {
     try {
@@ -1161,7 +1198,10 @@ router.post('/:id/cancel', async (req, res) => {
             return res.status(404).json({ message: 'Reservation not found.' });
         }
 
-        // Cannot cancel already checked-out or cancelled reservations
+        // Cannot cancel stays that have started (check the guest out instead) or already cancelled reservations
+        if (reservation.status === 'checked-in') {
+            return res.status(400).json({ message: 'Cannot cancel a checked-in reservation. Check the guest out instead.' });
+        }
         if (reservation.status === 'checked-out') {
             return res.status(400).json({ message: 'Cannot cancel a checked-out reservation.' });
         }
@@ -1170,40 +1210,31 @@ router.post('/:id/cancel', async (req, res) => {
             return res.status(400).json({ message: 'Reservation is already cancelled.' });
         }
 
-        // Get cancellation policy from settings (if available)
-        const PropertyDetails = getModel(req, 'PropertyDetails');
-        const propertyDetails = await PropertyDetails.findOne({
-            property: getPropertyId(req),
-        });
-
-        // Calculate cancellation fee based on policy
-        let cancellationFee = 0;
-        const checkInDate = new Date(reservation.checkInDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        checkInDate.setHours(0, 0, 0, 0);
-        const daysUntilCheckIn = Math.ceil((checkInDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
-
-        // Default cancellation policy: Free cancellation if > 24 hours before check-in
-        // Otherwise, charge first night or percentage based on property settings
-        if (daysUntilCheckIn <= 0) {
-            // Same day or past check-in date - full charge
-            cancellationFee = reservation.totalAmount || 0;
-        } else if (daysUntilCheckIn === 1) {
-            // Less than 24 hours - charge first night
-            const RoomType = getModel(req, 'RoomType');
-            const roomType = await RoomType.findOne({ _id: reservation.roomType, property: getPropertyId(req) });
-            if (roomType) {
-                cancellationFee = roomType.baseRate * (reservation.numberOfRooms || 1);
-            }
-        }
-        // More than 24 hours - no fee (can be customized based on property policy)
+        // Evaluate the reservation's cancellation policy (falls back to the standard policy)
+        // as of the hotel's business date, not the server clock
+        const { resolvePolicy, evaluatePolicy } = require('../../services/cancellationPolicyService');
+        const propertyId = getPropertyId(req);
+        const policy = await resolvePolicy(req.tenant.models, propertyId, reservation);
+        const businessDate = await getBusinessDate(req.tenant.models, propertyId);
+        const evaluation = evaluatePolicy(policy, reservation, businessDate);
+        const cancellationFee = evaluation.fee;
 
         // Update reservation status
         reservation.status = 'cancelled';
         reservation.cancelledAt = new Date();
         reservation.cancellationFee = cancellationFee;
         await reservation.save();
+        queueReservationAriUpdate(req.tenant.models, propertyId, reservation, 'cancellation');
+
+        // Post the cancellation charge to the folio (stay charges are replaced by the fee)
+        let folio = null;
+        if (cancellationFee > 0) {
+            try {
+                folio = await postCancellationCharge(req.tenant.models, propertyId, reservation, cancellationFee, evaluation.policyName);
+            } catch (folioError) {
+                console.error('Error posting cancellation charge to folio:', folioError);
+            }
+        }
 
         // If rooms were assigned, mark them as available (clean)
         if (reservation.roomNumbers && reservation.roomNumbers.length > 0) {
@@ -1234,12 +1265,14 @@ router.post('/:id/cancel', async (req, res) => {
                 });
 
                 if (template?.content) {
+                    const { describePolicy } = require('../../services/cancellationPolicyService');
                     const variables = {
                         guestName: reservation.guestName || '',
                         reservationId: reservation._id,
                         checkInDate: reservation.checkInDate ? new Date(reservation.checkInDate).toLocaleDateString('en-GB') : '',
                         cancellationFee: cancellationFee > 0 ? cancellationFee.toFixed(2) : '0',
-                        refundAmount: cancellationFee > 0 ? ((reservation.payedAmount || 0) - cancellationFee).toFixed(2) : (reservation.payedAmount || 0).toFixed(2),
+                        refundAmount: Math.max(0, (reservation.payedAmount || 0) - cancellationFee).toFixed(2),
+                        cancellationPolicy: policy ? describePolicy(policy) : '',
                     };
 
                     const htmlBody = compileTemplate(template.content, variables);
@@ -1255,7 +1288,13 @@ router.post('/:id/cancel', async (req, res) => {
             message: 'Reservation cancelled successfully.',
             reservation: reservation,
             cancellationFee: cancellationFee,
-            refundAmount: Math.max(0, (reservation.payedAmount || 0) - cancellationFee)
+            refundAmount: Math.max(0, (reservation.payedAmount || 0) - cancellationFee),
+            cancellationPolicy: {
+                name: evaluation.policyName,
+                daysUntilCheckIn: evaluation.daysUntilCheckIn,
+                tier: evaluation.tier
+            },
+            folio: folio
         });
     } catch (error) {
         console.error('Error cancelling reservation:', error);
@@ -1293,6 +1332,7 @@ router.delete('/:id', async (req, res) => {
             _id: id,
             property: getPropertyId(req),
         });
+        queueReservationAriUpdate(req.tenant.models, getPropertyId(req), result, 'cancellation');
 
         res.status(200).json({ message: 'Reservation deleted successfully.' });
     } catch (error) {
@@ -1561,6 +1601,14 @@ router.post('/:id/shift', async (req, res) => {
             reservation.roomType = newRoomTypeId;
         }
         await reservation.save();
+        if (isRoomTypeChanged) {
+            queueAriUpdate(req.tenant.models, getPropertyId(req), {
+                roomTypeIds: [currentRoomTypeId, newRoomTypeId],
+                dateFrom: reservation.checkInDate,
+                dateTo: reservation.checkOutDate,
+                reason: 'reservation'
+            });
+        }
         
         // Get new room numbers
         const newRoomNumbers = newRooms.map(r => r.roomNumber);
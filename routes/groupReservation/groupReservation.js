@@ -2,6 +2,9 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
 const { validateAndSetDefaults, validatePagination, validateDateRange, isValidObjectId } = require('../../utils/validation');
+const { checkStayRestrictions } = require('../../services/restrictionService');
+const { queueAriUpdate } = require('../../services/channelManagerService');
+const { getBusinessDate, getBusinessDayRange } = require('../../services/businessDateService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -106,12 +109,12 @@ router.post('/', async (req, res) => {
             
             // Check existing reservations
             const existingReservations = await Reservations.find({
-                roomType: block.roomType,
+                ...Reservations.roomTypeFilter(block.roomType),
                 property: propertyId,
-                status: { $in: ['confirmed', 'checked-in'] },
+                status: { $in: ['tentative', 'confirmed', 'checked-in'] },
                 checkInDate: { $lt: dateValidation.checkOut },
                 checkOutDate: { $gt: dateValidation.checkIn }
-            }).select('numberOfRooms').lean();
+            }).select('roomType numberOfRooms roomLines checkInDate checkOutDate').lean();
             
             // Check inventory blocks
             const inventoryBlocks = await InventoryBlock.find({
@@ -129,7 +132,7 @@ router.post('/', async (req, res) => {
                     const resCheckIn = new Date(res.checkInDate);
                     const resCheckOut = new Date(res.checkOutDate);
                     if (resCheckIn <= currentDate && resCheckOut > currentDate) {
-                        bookedForDay += res.numberOfRooms || 0;
+                        bookedForDay += Reservations.countRoomsOfType(res, block.roomType);
                     }
                 });
                 
@@ -152,6 +155,9 @@ router.post('/', async (req, res) => {
                 
                 currentDate.setDate(currentDate.getDate() + 1);
             }
+
+            const restrictionCheck = await checkStayRestrictions(req.tenant.models, propertyId, roomType, dateValidation.checkIn, dateValidation.checkOut);
+            availabilityErrors.push(...restrictionCheck.violations.map(violation => violation.message));
         }
         
         if (availabilityErrors.length > 0) {
@@ -230,6 +236,12 @@ router.post('/', async (req, res) => {
         
         if (inventoryBlockOps.length > 0) {
             await InventoryBlock.bulkWrite(inventoryBlockOps);
+            queueAriUpdate(req.tenant.models, propertyId, {
+                roomTypeIds: validation.validated.roomBlocks.map(roomBlock => roomBlock.roomType),
+                dateFrom: checkIn,
+                dateTo: checkOut,
+                reason: 'inventory-block'
+            });
         }
         
         res.status(201).json(group);
@@ -744,12 +756,12 @@ router.post('/check-availability', async (req, res) => {
 
             // Check existing reservations
             const existingReservations = await Reservations.find({
-                roomType: block.roomType,
+                ...Reservations.roomTypeFilter(block.roomType),
                 property: propertyId,
-                status: { $in: ['confirmed', 'checked-in'] },
+                status: { $in: ['tentative', 'confirmed', 'checked-in'] },
                 checkInDate: { $lt: dateValidation.checkOut },
                 checkOutDate: { $gt: dateValidation.checkIn }
-            }).select('numberOfRooms checkInDate checkOutDate').lean();
+            }).select('roomType numberOfRooms roomLines checkInDate checkOutDate').lean();
 
             // Check inventory blocks
             const inventoryBlocks = await InventoryBlock.find({
@@ -767,7 +779,7 @@ router.post('/check-availability', async (req, res) => {
                     const resCheckIn = new Date(res.checkInDate);
                     const resCheckOut = new Date(res.checkOutDate);
                     if (resCheckIn <= currentDate && resCheckOut > currentDate) {
-                        bookedForDay += res.numberOfRooms || 0;
+                        bookedForDay += Reservations.countRoomsOfType(res, block.roomType);
                     }
                 });
 
@@ -791,12 +803,16 @@ router.post('/check-availability', async (req, res) => {
                 currentDate.setDate(currentDate.getDate() + 1);
             }
 
+            const restrictionCheck = await checkStayRestrictions(req.tenant.models, propertyId, roomType, dateValidation.checkIn, dateValidation.checkOut);
+            availabilityErrors.push(...restrictionCheck.violations.map(violation => violation.message));
+
             availabilityDetails.push({
                 roomTypeId: block.roomType,
                 roomTypeName: roomType.name,
                 requested: block.numberOfRooms,
                 available: minAvailable,
-                totalInventory
+                totalInventory,
+                restrictions: restrictionCheck.violations
             });
         }
 
@@ -820,20 +836,17 @@ router.post('/check-availability', async (req, res) => {
     }
 });
 
-// Get group arrivals for today
+// Get group arrivals for the business date
 router.get('/arrivals/today', async (req, res) => {
     try {
         const propertyId = getPropertyId(req);
         const GroupReservation = getModel(req, 'GroupReservation');
         
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const { start, end } = getBusinessDayRange(await getBusinessDate(req.tenant.models, propertyId));
         
         const groups = await GroupReservation.find({
             property: propertyId,
-            checkInDate: { $gte: today, $lt: tomorrow },
+            checkInDate: { $gte: start, $lt: end },
             status: { $ne: 'checked-out' }
         })
         .populate('roomBlocks.roomType')
@@ -1,7 +1,16 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { authenticate, requireModuleAccess } = require('../../middleware/auth');
-const { validatePagination } = require('../../utils/validation');
+const { authenticate, requireModuleAccess, requireRole } = require('../../middleware/auth');
+const { validatePagination, isValidObjectId, isValidEmail } = require('../../utils/validation');
+const {
+    getAuditPrecheck,
+    runNightAudit,
+    rollbackNightAudit,
+    rerunNightAudit,
+    getBusinessDateStatus
+} = require('../../services/nightAuditService');
+const { generateNightAuditReportPack } = require('../../services/nightAuditReportService');
+const { getBusinessDate, toDateKey } = require('../../services/businessDateService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -10,228 +19,44 @@ router.use(requireModuleAccess('reports'));
 
 const getModel = (req, name) => req.tenant.models[name];
 const getPropertyId = (req) => req.tenant.property._id;
+const getUserName = (req) => req.user?.name || req.user?.email || 'System';
 
-// Get audit summary (pending tasks before running audit)
+// Business date and automatic audit schedule
+router.get('/business-date', async (req, res) => {
+    try {
+        const status = await getBusinessDateStatus(req.tenant.models, getPropertyId(req));
+        res.status(200).json(status);
+    } catch (error) {
+        console.error('Error fetching business date:', error);
+        res.status(500).json({ message: 'Failed to fetch business date.' });
+    }
+});
+
+// Get audit summary (pending tasks and warnings before running the audit of the business date)
 router.get('/summary', async (req, res) => {
     try {
         const propertyId = getPropertyId(req);
-        const Reservations = getModel(req, 'Reservations');
-        const GuestFolio = getModel(req, 'GuestFolio');
-        const Rooms = getModel(req, 'Rooms');
-        
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        // Pending check-ins
-        const pendingCheckIns = await Reservations.countDocuments({
-            property: propertyId,
-            checkInDate: { $gte: today, $lt: tomorrow },
-            status: { $ne: 'checked-in' }
-        });
-        
-        // Pending check-outs
-        const pendingCheckOuts = await Reservations.countDocuments({
-            property: propertyId,
-            checkOutDate: { $gte: today, $lt: tomorrow },
-            status: 'checked-in'
-        });
-        
-        // Pending folio postings
-        const pendingFolios = await GuestFolio.countDocuments({
-            property: propertyId,
-            status: 'active',
-            createdAt: { $lt: today }
-        });
-        
-        // Unposted charges (folios with items added today but not posted)
-        const unpostedCharges = await GuestFolio.countDocuments({
-            property: propertyId,
-            status: 'active',
-            'items.date': { $gte: today, $lt: tomorrow }
-        });
-        
-        // Room status summary
-        const totalRooms = await Rooms.countDocuments({ property: propertyId });
-        const occupiedRooms = await Reservations.countDocuments({
-            property: propertyId,
-            status: 'checked-in',
-            checkOutDate: { $gt: today }
-        });
-        
-        res.status(200).json({
-            pendingCheckIns,
-            pendingCheckOuts,
-            pendingFolios,
-            unpostedCharges,
-            roomStatus: {
-                total: totalRooms,
-                occupied: occupiedRooms,
-                available: totalRooms - occupiedRooms
-            }
-        });
+        const businessDate = await getBusinessDate(req.tenant.models, propertyId);
+        const precheck = await getAuditPrecheck(req.tenant.models, propertyId, businessDate);
+        res.status(200).json(precheck);
     } catch (error) {
         console.error('Error fetching audit summary:', error);
         res.status(500).json({ message: 'Failed to fetch audit summary.' });
     }
 });
 
-// Run night audit
+// Run night audit for the business date (moves the business date on when it completes)
 router.post('/run', async (req, res) => {
     try {
-        const propertyId = getPropertyId(req);
-        const NightAudit = getModel(req, 'NightAudit');
-        const Reservations = getModel(req, 'Reservations');
-        const GuestFolio = getModel(req, 'GuestFolio');
-        const Rooms = getModel(req, 'Rooms');
-        const ReportSnapshot = getModel(req, 'ReportSnapshot');
-        
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        
-        // Check if audit already run for today
-        const existingAudit = await NightAudit.findOne({
-            property: propertyId,
-            auditDate: { $gte: today, $lt: tomorrow }
-        });
-        
-        if (existingAudit && existingAudit.status === 'completed') {
-            return res.status(400).json({ 
-                message: 'Night audit already completed for today.',
-                audit: existingAudit
-            });
-        }
-        
-        // Create audit log
-        const auditLog = new NightAudit({
-            auditDate: new Date(),
-            businessDate: today,
-            runBy: req.user?.name || req.user?.email || 'System',
-            status: 'in-progress',
-            property: propertyId
-        });
-        
-        const errors = [];
-        const pendingTasks = [];
-        
-        try {
-            // Lock all folios for the day
-            const activeFolios = await GuestFolio.find({
-                property: propertyId,
-                status: 'active',
-                checkOut: { $lt: tomorrow }
-            });
-            
-            // Roll over business date (mark reservations as no-show if applicable)
-            const noShowReservations = await Reservations.find({
-                property: propertyId,
-                checkInDate: { $lt: today },
-                status: 'confirmed'
-            });
-            
-            let noShows = 0;
-            for (const reservation of noShowReservations) {
-                reservation.status = 'no-show';
-                await reservation.save();
-                noShows++;
-            }
-            
-            // Generate revenue summary
-            const foliosForRevenue = await GuestFolio.find({
-                property: propertyId,
-                checkOut: { $gte: today, $lt: tomorrow },
-                status: { $in: ['active', 'settled'] }
-            });
-            
-            let totalRevenue = 0;
-            let roomRevenue = 0;
-            let fBRevenue = 0;
-            let otherRevenue = 0;
-            
-            foliosForRevenue.forEach(folio => {
-                folio.items.forEach(item => {
-                    totalRevenue += item.amount * (item.quantity || 1);
-                    if (item.department === 'Room') {
-                        roomRevenue += item.amount * (item.quantity || 1);
-                    } else if (item.department === 'F&B') {
-                        fBRevenue += item.amount * (item.quantity || 1);
-                    } else {
-                        otherRevenue += item.amount * (item.quantity || 1);
-                    }
-                });
-            });
-            
-            // Get room statuses
-            const totalRooms = await Rooms.countDocuments({ property: propertyId });
-            const occupiedRooms = await Reservations.countDocuments({
-                property: propertyId,
-                status: 'checked-in',
-                checkOutDate: { $gt: today }
-            });
-            
-            // Get check-ins and check-outs
-            const totalCheckIns = await Reservations.countDocuments({
-                property: propertyId,
-                checkInDate: { $gte: today, $lt: tomorrow },
-                status: 'checked-in'
-            });
-            
-            const totalCheckOuts = await Reservations.countDocuments({
-                property: propertyId,
-                checkOutDate: { $gte: today, $lt: tomorrow },
-                status: 'checked-out'
-            });
-            
-            const totalReservations = await Reservations.countDocuments({
-                property: propertyId,
-                checkInDate: { $gte: today, $lt: tomorrow }
-            });
-            
-            // Update audit log
-            auditLog.summary = {
-                totalRevenue,
-                roomRevenue,
-                fBRevenue,
-                otherRevenue,
-                totalCheckIns,
-                totalCheckOuts,
-                totalReservations,
-                occupiedRooms,
-                availableRooms: totalRooms - occupiedRooms,
-                noShows
-            };
-            
-            auditLog.status = 'completed';
-            auditLog.completedAt = new Date();
-            
-            // Save revenue snapshot
-            const snapshot = new ReportSnapshot({
-                property: propertyId,
-                reportType: 'night-audit',
-                date: today,
-                data: auditLog.summary
-            });
-            await snapshot.save();
-            
-        } catch (error) {
-            errors.push({
-                type: 'audit-error',
-                message: error.message,
-                timestamp: new Date()
-            });
-            auditLog.status = 'failed';
+        const result = await runNightAudit(req.tenant, { runBy: getUserName(req) });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, audit: result.audit });
         }
-        
-        auditLog.errors = errors;
-        auditLog.pendingTasks = pendingTasks;
-        await auditLog.save();
-        
+
         res.status(200).json({
-            message: 'Night audit completed successfully',
-            audit: auditLog
+            message: result.audit.status === 'completed' ? 'Night audit completed successfully' : 'Night audit failed',
+            audit: result.audit,
+            businessDate: toDateKey(result.businessDate)
         });
     } catch (error) {
         console.error('Error running night audit:', error);
@@ -249,7 +74,9 @@ router.get('/history', async (req, res) => {
         const skip = (parseInt(page) - 1) * parseInt(limit);
         const total = await NightAudit.countDocuments({ property: propertyId });
         
+        // Stage journals are only returned with a single audit
         const audits = await NightAudit.find({ property: propertyId })
+            .select('-stages.journal')
             .sort({ auditDate: -1 })
             .skip(skip)
             .limit(parseInt(limit));
@@ -269,7 +96,133 @@ router.get('/history', async (req, res) => {
     }
 });
 
-// Get specific audit by ID
+// Roll back the last night audit (within the property's rollback window) and reopen its business date
+router.post('/:id/rollback', requireRole('Admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid audit ID.' });
+        }
+
+        const result = await rollbackNightAudit(req.tenant, id, {
+            rolledBackBy: getUserName(req),
+            reason: req.body?.reason
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, conflicts: result.conflicts });
+        }
+
+        res.status(200).json({
+            message: 'Night audit rolled back',
+            audit: result.audit,
+            businessDate: toDateKey(result.businessDate)
+        });
+    } catch (error) {
+        console.error('Error rolling back night audit:', error);
+        res.status(500).json({ message: 'Failed to roll back night audit.' });
+    }
+});
+
+// Roll back the last night audit and run it again
+router.post('/:id/rerun', requireRole('Admin'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid audit ID.' });
+        }
+
+        const result = await rerunNightAudit(req.tenant, id, {
+            runBy: getUserName(req),
+            reason: req.body?.reason
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, audit: result.audit, conflicts: result.conflicts });
+        }
+
+        res.status(200).json({
+            message: result.audit.status === 'completed' ? 'Night audit re-run successfully' : 'Night audit re-run failed',
+            audit: result.audit,
+            businessDate: toDateKey(result.businessDate)
+        });
+    } catch (error) {
+        console.error('Error re-running night audit:', error);
+        res.status(500).json({ message: 'Failed to re-run night audit.' });
+    }
+});
+
+// Download the end-of-day report pack of an audit (made now if the audit has none yet)
+router.get('/:id/pdf', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid audit ID.' });
+        }
+
+        const audit = await getModel(req, 'NightAudit')
+            .findOne({ _id: id, property: getPropertyId(req) })
+            .select('+reportPack');
+        if (!audit) {
+            return res.status(404).json({ message: 'Audit not found.' });
+        }
+
+        let pdf = audit.reportPack;
+        if (!pdf) {
+            if (audit.status !== 'completed') {
+                return res.status(400).json({ message: 'The report pack is only made for completed audits.' });
+            }
+            ({ pdf } = await generateNightAuditReportPack(req.tenant, audit, { email: false }));
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Night_Audit_${toDateKey(audit.businessDate)}.pdf"`);
+        res.status(200).send(pdf);
+    } catch (error) {
+        console.error('Error downloading night audit report pack:', error);
+        res.status(500).json({ message: 'Failed to download night audit report pack.' });
+    }
+});
+
+// Make the report pack again and optionally email it (to the given addresses or the property's recipients)
+router.post('/:id/report-pack', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!isValidObjectId(id)) {
+            return res.status(400).json({ message: 'Invalid audit ID.' });
+        }
+
+        const { sendViaEmail, recipients } = req.body || {};
+        if (recipients !== undefined && (!Array.isArray(recipients) || recipients.length === 0 || !recipients.every(email => isValidEmail(email)))) {
+            return res.status(400).json({ message: 'Recipients must be a list of valid email addresses.' });
+        }
+
+        const audit = await getModel(req, 'NightAudit').findOne({ _id: id, property: getPropertyId(req) });
+        if (!audit) {
+            return res.status(404).json({ message: 'Audit not found.' });
+        }
+        if (audit.status !== 'completed') {
+            return res.status(400).json({ message: 'The report pack is only made for completed audits.' });
+        }
+
+        const pack = await generateNightAuditReportPack(req.tenant, audit, { email: Boolean(sendViaEmail), recipients });
+        if (sendViaEmail && pack.emailed.length === 0 && !pack.emailError) {
+            return res.status(400).json({ message: 'No recipients given and none set for night audit reports.' });
+        }
+
+        res.status(200).json({
+            message: pack.emailError ? 'Report pack generated, but the email could not be sent' : 'Report pack generated successfully',
+            generatedAt: audit.reportPackGeneratedAt,
+            emailSent: pack.emailed.length > 0,
+            emailedTo: pack.emailed,
+            emailError: pack.emailError,
+            report: pack.report
+        });
+    } catch (error) {
+        console.error('Error generating night audit report pack:', error);
+        res.status(500).json({ message: 'Failed to generate night audit report pack.' });
+    }
+});
+
+// Get specific audit by ID (with its stages and journal)
 router.get('/:id', async (req, res) => {
     try {
         const { id } = req.params;
@@ -2,6 +2,7 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
 const { validateAndSetDefaults, validatePagination, isValidObjectId } = require('../../utils/validation');
+const { resolvePaymentShift } = require('../../services/cashierShiftService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -300,12 +301,19 @@ router.post('/:id/payments', async (req, res) => {
         if (!paymaster) {
             return res.status(404).json({ message: 'Paymaster room not found.' });
         }
+
+        // Taken in the cashier's open shift
+        const shiftResult = await resolvePaymentShift(req.tenant.models, propertyId, req.user);
+        if (shiftResult.error) {
+            return res.status(shiftResult.status).json({ message: shiftResult.error });
+        }
         
         const payment = {
             date: validation.validated.date ? new Date(validation.validated.date) : new Date(),
             method: validation.validated.method,
             amount: validation.validated.amount,
             transactionId: validation.validated.transactionId,
+            shift: shiftResult.shift,
             notes: validation.validated.notes
         };
         
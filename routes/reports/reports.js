@@ -5,9 +5,11 @@ const {
     getDashboardReport,
     getOccupancyReport,
     getRevenueReport,
-    getChannelPerformanceReport
+    getChannelPerformanceReport,
+    getDepositReport
 } = require('../../services/reportService');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
+const { validateAndSetDefaults } = require('../../utils/validation');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -57,6 +59,25 @@ router.get('/channel-performance', async (req, res) => {
     }
 });
 
+router.get('/deposits', async (req, res) => {
+    try {
+        // Optional due date range of the installments included
+        const validation = validateAndSetDefaults(req.query, {
+            from: { type: 'string', isDate: true },
+            to: { type: 'string', isDate: true }
+        });
+        if (!validation.isValid) {
+            return res.status(400).json({ message: validation.errors.join(', ') });
+        }
+
+        const report = await getDepositReport(req.tenant.models, validation.validated, req.tenant.property._id);
+        res.status(200).json(report);
+    } catch (error) {
+        console.error('Error generating deposit report:', error);
+        res.status(500).json({ message: 'Failed to generate deposit report.' });
+    }
+});
+
 // Get dashboard summary using AI
 router.post('/dashboard/summarize', async (req, res) => {
     try {
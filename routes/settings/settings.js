@@ -8,6 +8,9 @@ const {
   decryptPassword,
 } = require('../../utils/emailPasswordVault');
 const emailService = require('../../services/emailService');
+const { invalidateTaxRules } = require('../../services/cacheService');
+const { DOCUMENT_TYPES, validateSequence, resolveNumbering, getNumberingOverview } = require('../../services/documentNumberService');
+const { isValidTimezone } = require('../../services/businessDateService');
 
 const router = express.Router();
 
@@ -95,6 +98,89 @@ router.get('/property', async (req, res) => {
   }
 });
 
+// Validate the deposit installments; percentages must not exceed the full deposit
+const validateDepositSchedule = (schedule) => {
+  const errors = [];
+  const installmentSchema = {
+    label: { type: 'string', default: 'Deposit' },
+    percentage: { type: 'number', required: true, min: 0, max: 100 },
+    dueType: { type: 'string', default: 'after_booking', enum: ['after_booking', 'before_arrival'] },
+    days: { type: 'number', default: 0, min: 0 }
+  };
+
+  const installments = [];
+  schedule.forEach((installment, index) => {
+    const installmentValidation = validateAndSetDefaults(installment || {}, installmentSchema);
+    if (!installmentValidation.isValid) {
+      errors.push(...installmentValidation.errors.map(error => `depositSchedule[${index}].${error}`));
+      return;
+    }
+    installments.push(installmentValidation.validated);
+  });
+
+  const totalPercentage = installments.reduce((sum, installment) => sum + installment.percentage, 0);
+  if (totalPercentage > 100) {
+    errors.push('depositSchedule percentages must not add up to more than 100');
+  }
+
+  return { errors, installments };
+};
+
+// Validate the city ledger dunning steps ({ label, offsetDays }); one reminder per day
+const validateDunningSteps = (steps) => {
+  const errors = [];
+  const stepSchema = {
+    label: { type: 'string', default: '' },
+    offsetDays: { type: 'number', required: true, min: -60, max: 365, custom: (val) => Number.isInteger(val) || 'offsetDays must be a whole number of days' }
+  };
+
+  const validSteps = [];
+  steps.forEach((step, index) => {
+    const stepValidation = validateAndSetDefaults(step || {}, stepSchema);
+    if (!stepValidation.isValid) {
+      errors.push(...stepValidation.errors.map(error => `cityLedgerDunningSteps[${index}].${error}`));
+      return;
+    }
+    validSteps.push(stepValidation.validated);
+  });
+
+  if (new Set(validSteps.map(step => step.offsetDays)).size !== validSteps.length) {
+    errors.push('cityLedgerDunningSteps must not repeat the same offsetDays');
+  }
+
+  validSteps.sort((a, b) => a.offsetDays - b.offsetDays);
+  return { errors, steps: validSteps };
+};
+
+const SAC_DEPARTMENTS = ['Room', 'F&B', 'Spa', 'Laundry', 'Other'];
+
+// Validate GST slabs ({ upTo, rate }); at most one open-ended slab and no duplicate limits
+const validateTaxSlabs = (slabs) => {
+  const errors = [];
+  const slabSchema = {
+    upTo: { type: 'number', min: 0 },
+    rate: { type: 'number', required: true, min: 0, max: 100 }
+  };
+
+  const validSlabs = [];
+  slabs.forEach((slab, index) => {
+    const slabValidation = validateAndSetDefaults(slab || {}, slabSchema);
+    if (!slabValidation.isValid) {
+      errors.push(...slabValidation.errors.map(error => `slabs[${index}].${error}`));
+      return;
+    }
+    validSlabs.push({ upTo: slabValidation.validated.upTo ?? null, rate: slabValidation.validated.rate });
+  });
+
+  const limits = validSlabs.map(slab => slab.upTo);
+  if (new Set(limits).size !== limits.length) {
+    errors.push('slabs must not repeat the same upTo (only one slab may be open-ended)');
+  }
+
+  validSlabs.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+  return { errors, slabs: validSlabs };
+};
+
 // Update property details
 router.put('/property', async (req, res) => {
   try {
@@ -106,14 +192,36 @@ router.put('/property', async (req, res) => {
       email: { type: 'string', custom: (val) => !val || isValidEmail(val) || 'Invalid email format' },
       website: { type: 'string' },
       currency: { type: 'string' },
-      timezone: { type: 'string' },
+      timezone: { type: 'string', custom: (val) => !val || isValidTimezone(val) || 'Unknown timezone' },
       gstin: { type: 'string' },
       checkInTime: { type: 'string' },
       checkOutTime: { type: 'string' },
       cancellationPolicy: { type: 'string' },
       generalPolicies: { type: 'string' },
       gstRate: { type: 'number', min: 0, max: 100 },
-      serviceChargeRate: { type: 'number', min: 0, max: 100 }
+      serviceChargeRate: { type: 'number', min: 0, max: 100 },
+      depositPolicy: { type: 'string', enum: ['none', 'percentage', 'fixed', 'first_night'] },
+      depositPercentage: { type: 'number', min: 0, max: 100 },
+      depositAmount: { type: 'number', min: 0 },
+      depositSchedule: { isArray: true },
+      autoReleaseTentative: { type: 'boolean' },
+      tentativeReleaseGraceHours: { type: 'number', min: 0 },
+      autoNightAudit: { type: 'boolean' },
+      nightAuditTime: { type: 'string', pattern: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ },
+      nightAuditWarningMinutes: { type: 'number', min: 0, max: 720 },
+      nightAuditRollbackHours: { type: 'number', min: 0, max: 72 },
+      nightAuditReportRecipients: {
+        isArray: true,
+        custom: (val) => !Array.isArray(val) || val.every(email => isValidEmail(email)) || 'Invalid night audit report email address'
+      },
+      requireCashierShift: { type: 'boolean' },
+      cityLedgerDunning: { type: 'boolean' },
+      cityLedgerDunningSteps: { isArray: true },
+      legalName: { type: 'string' },
+      city: { type: 'string' },
+      pincode: { type: 'string', pattern: /^[1-9][0-9]{5}$/ },
+      stateCode: { type: 'string', pattern: /^[0-9]{2}$/ },
+      sacCodes: { isArray: true }
     };
 
     const validation = validateAndSetDefaults(req.body, propertySchema);
@@ -121,6 +229,33 @@ router.put('/property', async (req, res) => {
       return res.status(400).json({ message: validation.errors.join(', ') });
     }
 
+    if (validation.validated.depositSchedule) {
+      const scheduleValidation = validateDepositSchedule(validation.validated.depositSchedule);
+      if (scheduleValidation.errors.length > 0) {
+        return res.status(400).json({ message: scheduleValidation.errors.join(', ') });
+      }
+      validation.validated.depositSchedule = scheduleValidation.installments;
+    }
+
+    if (validation.validated.cityLedgerDunningSteps) {
+      const stepsValidation = validateDunningSteps(validation.validated.cityLedgerDunningSteps);
+      if (stepsValidation.errors.length > 0) {
+        return res.status(400).json({ message: stepsValidation.errors.join(', ') });
+      }
+      validation.validated.cityLedgerDunningSteps = stepsValidation.steps;
+    }
+
+    if (validation.validated.sacCodes) {
+      const invalidIndex = validation.validated.sacCodes.findIndex(entry =>
+        !entry || !SAC_DEPARTMENTS.includes(entry.department) || !/^[0-9]{4,8}$/.test(String(entry.sacCode || ''))
+      );
+      if (invalidIndex !== -1) {
+        return res.status(400).json({
+          message: `sacCodes[${invalidIndex}] needs a department (${SAC_DEPARTMENTS.join(', ')}) and a 4-8 digit sacCode`
+        });
+      }
+    }
+
     const updateData = { ...validation.validated };
     delete updateData.property;
 
@@ -136,6 +271,9 @@ router.put('/property', async (req, res) => {
         { new: true, runValidators: true },
       );
 
+      const { invalidatePropertySettings } = require('../../services/cacheService');
+      await invalidatePropertySettings(propertyId);
+
       return res.status(200).json({
         message: 'Property details updated successfully',
         property: updatedProperty,
@@ -354,9 +492,13 @@ router.post('/taxes', async (req, res) => {
     // Validate and set defaults
     const taxSchema = {
       name: { type: 'string', required: true },
+      type: { type: 'string', default: 'other', enum: ['gst', 'service_charge', 'city_tax', 'tourism_tax', 'other'] },
       rate: { type: 'number', required: true, min: 0 },
       isPercentage: { type: 'boolean', default: true },
-      applicableOn: { type: 'string', default: 'total_amount', enum: ['room_rate', 'total_amount', 'all'] },
+      applicableOn: { type: 'string', default: 'total_amount', enum: ['room_rate', 'total_amount', 'food_beverage', 'all'] },
+      // GST slabs by tariff, e.g. [{ upTo: 7500, rate: 5 }, { rate: 18 }]
+      slabs: { isArray: true },
+      sacCode: { type: 'string' },
       isActive: { type: 'boolean', default: true }
     };
 
@@ -365,12 +507,21 @@ router.post('/taxes', async (req, res) => {
       return res.status(400).json({ message: validation.errors.join(', ') });
     }
 
+    if (validation.validated.slabs) {
+      const slabValidation = validateTaxSlabs(validation.validated.slabs);
+      if (slabValidation.errors.length > 0) {
+        return res.status(400).json({ message: slabValidation.errors.join(', ') });
+      }
+      validation.validated.slabs = slabValidation.slabs;
+    }
+
     const TaxRule = getModel(req, 'TaxRule');
     const newTaxRule = new TaxRule({
       ...validation.validated,
       property: getPropertyId(req),
     });
     await newTaxRule.save();
+    await invalidateTaxRules(getPropertyId(req));
     res.status(201).json({ 
       message: 'Tax rule created successfully', 
       taxRule: newTaxRule 
@@ -394,9 +545,12 @@ router.put('/taxes/:id', async (req, res) => {
     // Validate update fields
     const updateSchema = {
       name: { type: 'string' },
+      type: { type: 'string', enum: ['gst', 'service_charge', 'city_tax', 'tourism_tax', 'other'] },
       rate: { type: 'number', min: 0 },
       isPercentage: { type: 'boolean' },
-      applicableOn: { type: 'string', enum: ['room_rate', 'total_amount', 'all'] },
+      applicableOn: { type: 'string', enum: ['room_rate', 'total_amount', 'food_beverage', 'all'] },
+      slabs: { isArray: true },
+      sacCode: { type: 'string' },
       isActive: { type: 'boolean' }
     };
 
@@ -405,6 +559,14 @@ router.put('/taxes/:id', async (req, res) => {
       return res.status(400).json({ message: validation.errors.join(', ') });
     }
 
+    if (validation.validated.slabs) {
+      const slabValidation = validateTaxSlabs(validation.validated.slabs);
+      if (slabValidation.errors.length > 0) {
+        return res.status(400).json({ message: slabValidation.errors.join(', ') });
+      }
+      validation.validated.slabs = slabValidation.slabs;
+    }
+
     const updateData = { ...validation.validated };
     delete updateData.property;
     const TaxRule = getModel(req, 'TaxRule');
@@ -418,6 +580,7 @@ router.put('/taxes/:id', async (req, res) => {
     if (!updatedTaxRule) {
       return res.status(404).json({ message: 'Tax rule not found.' });
     }
+    await invalidateTaxRules(getPropertyId(req));
     
     res.status(200).json({ 
       message: 'Tax rule updated successfully', 
@@ -449,6 +612,7 @@ router.delete('/taxes/:id', async (req, res) => {
     if (!updatedTaxRule) {
       return res.status(404).json({ message: 'Tax rule not found.' });
     }
+    await invalidateTaxRules(getPropertyId(req));
     
     res.status(200).json({ 
       message: 'Tax rule deleted successfully', 
@@ -589,6 +753,305 @@ router.delete('/fees/:id', async (req, res) => {
   }
 });
 
+// ===== CANCELLATION POLICY ROUTES =====
+
+// Validate tiers and room type ids of a cancellation policy payload
+const validateCancellationPolicyPayload = (payload) => {
+  const errors = [];
+  const tierSchema = {
+    withinDays: { type: 'number', required: true, min: 0 },
+    chargeType: { type: 'string', required: true, enum: ['percentage', 'nights', 'fixed'] },
+    chargeValue: { type: 'number', required: true, min: 0 },
+    description: { type: 'string', default: '' }
+  };
+
+  const tiers = [];
+  if (payload.tiers !== undefined) {
+    (payload.tiers || []).forEach((tier, index) => {
+      const tierValidation = validateAndSetDefaults(tier || {}, tierSchema);
+      if (!tierValidation.isValid) {
+        errors.push(...tierValidation.errors.map(error => `tiers[${index}].${error}`));
+        return;
+      }
+      if (tierValidation.validated.chargeType === 'percentage' && tierValidation.validated.chargeValue > 100) {
+        errors.push(`tiers[${index}].chargeValue must be at most 100`);
+      }
+      tiers.push(tierValidation.validated);
+    });
+
+    const windows = tiers.map(tier => tier.withinDays);
+    if (new Set(windows).size !== windows.length) {
+      errors.push('Each tier must use a different withinDays window');
+    }
+  }
+
+  if (payload.roomTypes !== undefined && !(payload.roomTypes || []).every(id => isValidObjectId(id))) {
+    errors.push('roomTypes must contain valid room type IDs');
+  }
+
+  return { errors, tiers };
+};
+
+// Only one default policy per property
+const clearDefaultCancellationPolicy = async (req, exceptId) => {
+  const CancellationPolicy = getModel(req, 'CancellationPolicy');
+  const filter = { property: getPropertyId(req), isDefault: true };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  await CancellationPolicy.updateMany(filter, { isDefault: false });
+};
+
+// Get all cancellation policies
+router.get('/cancellation-policies', async (req, res) => {
+  try {
+    const CancellationPolicy = getModel(req, 'CancellationPolicy');
+    const policies = await CancellationPolicy.find({
+      property: getPropertyId(req),
+      isActive: true
+    })
+      .populate('roomTypes', 'name')
+      .sort({ createdAt: -1 });
+    res.status(200).json(policies);
+  } catch (error) {
+    console.error('Error fetching cancellation policies:', error);
+    res.status(500).json({ message: 'Server error fetching cancellation policies.' });
+  }
+});
+
+// Create cancellation policy
+router.post('/cancellation-policies', async (req, res) => {
+  try {
+    const policySchema = {
+      name: { type: 'string', required: true },
+      description: { type: 'string', default: '' },
+      isNonRefundable: { type: 'boolean', default: false },
+      tiers: { isArray: true, default: [] },
+      roomTypes: { isArray: true, default: [] },
+      isDefault: { type: 'boolean', default: false }
+    };
+
+    const validation = validateAndSetDefaults(req.body, policySchema);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join(', ') });
+    }
+
+    const payloadValidation = validateCancellationPolicyPayload(validation.validated);
+    if (payloadValidation.errors.length > 0) {
+      return res.status(400).json({ message: payloadValidation.errors.join(', ') });
+    }
+
+    if (validation.validated.isDefault) {
+      await clearDefaultCancellationPolicy(req);
+    }
+
+    const CancellationPolicy = getModel(req, 'CancellationPolicy');
+    const policy = new CancellationPolicy({
+      ...validation.validated,
+      tiers: payloadValidation.tiers,
+      property: getPropertyId(req),
+    });
+    await policy.save();
+    res.status(201).json({
+      message: 'Cancellation policy created successfully',
+      cancellationPolicy: policy
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A cancellation policy with this name already exists.' });
+    }
+    console.error('Error creating cancellation policy:', error);
+    res.status(500).json({ message: 'Server error creating cancellation policy.' });
+  }
+});
+
+// Update cancellation policy
+router.put('/cancellation-policies/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid cancellation policy ID format' });
+    }
+
+    const updateSchema = {
+      name: { type: 'string' },
+      description: { type: 'string' },
+      isNonRefundable: { type: 'boolean' },
+      tiers: { isArray: true },
+      roomTypes: { isArray: true },
+      isDefault: { type: 'boolean' },
+      isActive: { type: 'boolean' }
+    };
+
+    const validation = validateAndSetDefaults(req.body, updateSchema);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join(', ') });
+    }
+
+    const payloadValidation = validateCancellationPolicyPayload(validation.validated);
+    if (payloadValidation.errors.length > 0) {
+      return res.status(400).json({ message: payloadValidation.errors.join(', ') });
+    }
+
+    const updateData = { ...validation.validated };
+    delete updateData.property;
+    if (updateData.tiers !== undefined) {
+      updateData.tiers = payloadValidation.tiers;
+    }
+
+    const CancellationPolicy = getModel(req, 'CancellationPolicy');
+    const existingPolicy = await CancellationPolicy.exists({ _id: id, property: getPropertyId(req) });
+    if (!existingPolicy) {
+      return res.status(404).json({ message: 'Cancellation policy not found.' });
+    }
+
+    const updatedPolicy = await CancellationPolicy.findOneAndUpdate(
+      { _id: id, property: getPropertyId(req) },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedPolicy) {
+      return res.status(404).json({ message: 'Cancellation policy not found.' });
+    }
+
+    // The previous default is only cleared once this policy has taken over
+    if (updateData.isDefault) {
+      await clearDefaultCancellationPolicy(req, id);
+    }
+
+    res.status(200).json({
+      message: 'Cancellation policy updated successfully',
+      cancellationPolicy: updatedPolicy
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A cancellation policy with this name already exists.' });
+    }
+    console.error('Error updating cancellation policy:', error);
+    res.status(500).json({ message: 'Server error updating cancellation policy.' });
+  }
+});
+
+// Delete cancellation policy (soft delete)
+// Reservations already booked under the policy keep referencing it
+router.delete('/cancellation-policies/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ObjectId
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ message: 'Invalid cancellation policy ID format' });
+    }
+
+    const CancellationPolicy = getModel(req, 'CancellationPolicy');
+    const updatedPolicy = await CancellationPolicy.findOneAndUpdate(
+      { _id: id, property: getPropertyId(req) },
+      { isActive: false, isDefault: false },
+      { new: true }
+    );
+
+    if (!updatedPolicy) {
+      return res.status(404).json({ message: 'Cancellation policy not found.' });
+    }
+
+    res.status(200).json({
+      message: 'Cancellation policy deleted successfully',
+      cancellationPolicy: updatedPolicy
+    });
+  } catch (error) {
+    console.error('Error deleting cancellation policy:', error);
+    res.status(500).json({ message: 'Server error deleting cancellation policy.' });
+  }
+});
+
+// ===== DOCUMENT NUMBERING ROUTES =====
+
+// Get document numbering (prefix, format and next number of every series)
+router.get('/document-numbering', async (req, res) => {
+  try {
+    const overview = await getNumberingOverview(req.tenant.models, getPropertyId(req));
+    res.status(200).json({ ...overview, tokens: ['{PREFIX}', '{FY}', '{FYFULL}', '{SEQ}', '{TYPE}'] });
+  } catch (error) {
+    console.error('Error fetching document numbering:', error);
+    res.status(500).json({ message: 'Server error fetching document numbering.' });
+  }
+});
+
+// Update document numbering. Counters are kept, so a new prefix carries on the same series.
+router.put('/document-numbering', async (req, res) => {
+  try {
+    const numberingSchema = {
+      fiscalYearStartMonth: { type: 'number', min: 1, max: 12 },
+      sequences: { isArray: true }
+    };
+
+    const validation = validateAndSetDefaults(req.body, numberingSchema);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: validation.errors.join(', ') });
+    }
+
+    const { fiscalYearStartMonth, sequences } = validation.validated;
+    if (fiscalYearStartMonth !== undefined && !Number.isInteger(fiscalYearStartMonth)) {
+      return res.status(400).json({ message: 'fiscalYearStartMonth must be a whole number from 1 to 12' });
+    }
+
+    const propertyId = getPropertyId(req);
+    const DocumentNumbering = getModel(req, 'DocumentNumbering');
+    const numbering = await DocumentNumbering.findOne({ property: propertyId })
+      || new DocumentNumbering({ property: propertyId });
+    const current = resolveNumbering(numbering);
+
+    const errors = [];
+    const updated = { ...current.sequences };
+    (sequences || []).forEach((entry) => {
+      if (!entry || !DOCUMENT_TYPES[entry.documentType]) {
+        errors.push(`documentType must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+        return;
+      }
+      const existing = updated[entry.documentType];
+      const sequence = {
+        documentType: entry.documentType,
+        prefix: entry.prefix !== undefined ? String(entry.prefix).trim() : existing.prefix,
+        format: entry.format !== undefined ? String(entry.format).trim() : existing.format,
+        padding: entry.padding !== undefined ? Number(entry.padding) : existing.padding
+      };
+      const error = validateSequence(entry.documentType, sequence);
+      if (error) {
+        errors.push(error);
+        return;
+      }
+      updated[entry.documentType] = sequence;
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join(', ') });
+    }
+
+    if (fiscalYearStartMonth !== undefined) {
+      numbering.fiscalYearStartMonth = fiscalYearStartMonth;
+    }
+    if (sequences) {
+      numbering.sequences = Object.values(updated).map(({ documentType, prefix, format, padding }) => ({
+        documentType,
+        prefix,
+        format,
+        padding
+      }));
+    }
+    await numbering.save();
+
+    res.status(200).json({
+      message: 'Document numbering updated successfully',
+      ...(await getNumberingOverview(req.tenant.models, propertyId))
+    });
+  } catch (error) {
+    console.error('Error updating document numbering:', error);
+    res.status(500).json({ message: 'Server error updating document numbering.' });
+  }
+});
+
 // ===== AI SETTINGS ROUTES =====
 
 // Get AI settings
@@ -2,6 +2,7 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const { authenticate, requireModuleAccess } = require('../../middleware/auth');
 const { validateAndSetDefaults, validatePagination, isValidObjectId } = require('../../utils/validation');
+const { resolvePaymentShift } = require('../../services/cashierShiftService');
 
 const router = express.Router();
 router.use(bodyParser.json());
@@ -267,6 +268,12 @@ router.post('/:id/payments', async (req, res) => {
         if (!agent) {
             return res.status(404).json({ message: 'Travel agent not found.' });
         }
+
+        // Paid out of the cashier's open shift
+        const shiftResult = await resolvePaymentShift(req.tenant.models, propertyId, req.user);
+        if (shiftResult.error) {
+            return res.status(shiftResult.status).json({ message: shiftResult.error });
+        }
         
         const payment = {
             date: new Date(),
@@ -274,6 +281,7 @@ router.post('/:id/payments', async (req, res) => {
             method: validation.validated.method,
             transactionId: validation.validated.transactionId,
             referenceNumber: validation.validated.referenceNumber,
+            shift: shiftResult.shift,
             notes: validation.validated.notes,
             appliedToBookings: validation.validated.appliedToBookings || []
         };
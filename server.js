@@ -11,11 +11,18 @@ const foundation = require('./routes/foundation');
 const rateManager = require('./routes/distribution/rateManager');
 const promotion = require('./routes/distribution/promotion');
 const inventoryManager = require('./routes/distribution/inventoryManager');
+const channelManager = require('./routes/distribution/channelManager');
+const channelWebhook = require('./routes/distribution/channelWebhook');
 const guestManagement = require('./routes/guestManagement/guests');
 const reputation = require('./routes/guestManagement/reputation');
 const communication = require('./routes/guestManagement/communication');
 const settings = require('./routes/settings/settings');
 const folios = require('./routes/billingFinance/folios');
+const accountingExport = require('./routes/billingFinance/accountingExport');
+const creditNotes = require('./routes/billingFinance/creditNotes');
+const cashierShifts = require('./routes/billingFinance/cashierShifts');
+const payments = require('./routes/billingFinance/payments');
+const paymentWebhook = require('./routes/billingFinance/paymentWebhook');
 const auth = require('./routes/auth/auth');
 const reports = require('./routes/reports/reports');
 const mailer = require('./routes/mailer');
@@ -23,11 +30,16 @@ const independentMailer = require('./independent/mailer');
 const housekeeping = require('./routes/housekeeping');
 const nightAudit = require('./routes/nightAudit/nightAudit');
 const cityLedger = require('./routes/cityLedger/cityLedger');
+const corporateContracts = require('./routes/cityLedger/corporateContracts');
 const travelAgent = require('./routes/travelAgent/travelAgent');
 const paymaster = require('./routes/paymaster/paymaster');
 const groupReservation = require('./routes/groupReservation/groupReservation');
 const { initWebsockets } = require('./services/websocketManager');
 const { initializeFirebase } = require('./services/pushNotificationService');
+const { startDepositReleaseScheduler } = require('./services/depositService');
+const { startChannelSyncScheduler } = require('./services/channelManagerService');
+const { startNightAuditScheduler } = require('./services/nightAuditService');
+const { startScheduledEmailDispatcher } = require('./services/scheduledEmailService');
 
 // Security and Performance Middleware
 const {
@@ -78,7 +90,15 @@ app.use(performanceMonitor);
 app.use(ipSecurity);
 
 // Body parsing with size limits
-app.use(express.json({ limit: '10mb' }));
+// Payment gateway webhooks are signed over the exact bytes received, so keep them
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/billingfinance/payment-webhook/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Input sanitization
@@ -152,17 +172,25 @@ app.use('/api/frontoffice/reservations', reservations);
 app.use('/api/distribution/ratemanager', rateManager );
 app.use('/api/distribution/promotion', promotion);
 app.use('/api/distribution/inventorymanager', inventoryManager);
+app.use('/api/distribution/channelmanager', channelManager);
+app.use('/api/distribution/channel-webhook', channelWebhook); // Signed OTA booking webhooks (no user session)
 app.use('/api/guestmanagement', guestManagement);
 app.use('/api/guestmanagement/reputation', reputation);
 app.use('/api/guestmanagement/communication', communication);
 app.use('/api/settings', settings);
 app.use('/api/billingfinance/folios', folios);
+app.use('/api/billingfinance/accounting', accountingExport); // Tally accounting export
+app.use('/api/billingfinance/credit-notes', creditNotes); // Credit notes and refunds against bills
+app.use('/api/billingfinance/cashier-shifts', cashierShifts); // Cashier shifts and drawer reconciliation
+app.use('/api/billingfinance/payments', payments); // Payment gateways, payment links and gateway refunds
+app.use('/api/billingfinance/payment-webhook', paymentWebhook); // Signed payment gateway webhooks (no user session)
 app.use('/api/auth', auth);
 app.use('/api/reports', reports);
 app.use('/api/mailer', mailer); // Original mailer (tenant-managed)
 app.use('/api/mailer-independent', independentMailer); // Independent mailer (no tenant management)
 app.use('/api/housekeeping', housekeeping);
 app.use('/api/reports/night-audit', nightAudit);
+app.use('/api/city-ledger/contracts', corporateContracts); // Corporate rate contracts
 app.use('/api/city-ledger', cityLedger);
 app.use('/api/travel-agent', travelAgent);
 app.use('/api/paymaster', paymaster);
@@ -191,6 +219,22 @@ async function startServer() {
         console.log('🔄 Initializing Firebase Admin SDK...');
         initializeFirebase();
         
+        // Release tentative bookings whose deposit is overdue
+        console.log('🔄 Starting deposit release scheduler...');
+        startDepositReleaseScheduler();
+
+        // Push queued availability and rate updates to connected channels
+        console.log('🔄 Starting channel sync scheduler...');
+        startChannelSyncScheduler();
+
+        // Run each property's night audit at its scheduled time
+        console.log('🔄 Starting night audit scheduler...');
+        startNightAuditScheduler();
+
+        // Send due city ledger invoice emails and payment reminders
+        console.log('🔄 Starting scheduled email dispatcher...');
+        startScheduledEmailDispatcher();
+        
         const port = process.env.Port || 3000;
         const os = require('os');
         
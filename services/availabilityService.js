@@ -0,0 +1,132 @@
+// Room type availability
+// Counts rooms committed to reservations and inventory blocks for each night of a stay,
+// and picks free rooms for a new booking.
+
+/**
+ * Day-by-day availability for one room type over a stay.
+ * Returns null when the room type does not exist.
+ * @returns {Promise<{overallAvailable: Boolean, minAvailableCount: Number, dailyAvailability: Object}|null>}
+ */
+const calculateRoomTypeAvailability = async (models, propertyId, roomTypeId, requestedCheckIn, requestedCheckOut) => {
+    const { RoomType, Reservations: Reservation, InventoryBlock } = models;
+
+    // --- Get Total Inventory (use lean for performance) ---
+    const roomType = await RoomType.findOne({ _id: roomTypeId, property: propertyId }).lean();
+    if (!roomType) {
+        return null; // Room type not found
+    }
+    const totalInventory = roomType.totalInventory;
+
+    // --- Find Potentially Conflicting Reservations (optimized query) ---
+    const potentialConflicts = await Reservation.find({
+        ...Reservation.roomTypeFilter(roomTypeId),
+        property: propertyId,
+        status: { $in: ['tentative', 'confirmed', 'checked-in'] },
+        checkInDate: { $lt: requestedCheckOut },
+        checkOutDate: { $gt: requestedCheckIn }
+    }).select('checkInDate checkOutDate roomType numberOfRooms roomLines').lean();
+
+    // --- Get Blocked Inventory for the Date Range (optimized query) ---
+    const inventoryBlocks = await InventoryBlock.find({
+        roomType: roomTypeId,
+        property: propertyId,
+        date: { $gte: requestedCheckIn, $lt: requestedCheckOut }
+    }).select('date blockedInventory').lean();
+
+    // Create a map of blocked inventory by date
+    const blockedInventoryMap = {};
+    inventoryBlocks.forEach(block => {
+        const dateStr = block.date.toISOString().split('T')[0];
+        blockedInventoryMap[dateStr] = (blockedInventoryMap[dateStr] || 0) + (block.blockedInventory || 0);
+    });
+
+    // --- Calculate Availability for Each Day ---
+    let dailyAvailability = {};
+    let isOverallAvailable = true; // Still useful to know if *at least one* room is free the whole time
+    let minAvailableOnAnyDay = totalInventory;
+
+    let currentDate = new Date(requestedCheckIn);
+    while (currentDate < requestedCheckOut) {
+        const dateStr = currentDate.toISOString().split('T')[0];
+        let committedRoomsForDay = 0;
+
+        potentialConflicts.forEach(res => {
+            const resCheckIn = new Date(res.checkInDate); resCheckIn.setUTCHours(0,0,0,0);
+            const resCheckOut = new Date(res.checkOutDate); resCheckOut.setUTCHours(0,0,0,0);
+            if (resCheckIn <= currentDate && resCheckOut > currentDate) {
+                committedRoomsForDay += Reservation.countRoomsOfType(res, roomTypeId);
+            }
+        });
+
+        // Get blocked inventory for this date
+        const blockedForDay = blockedInventoryMap[dateStr] || 0;
+
+        // Calculate available: total - booked - blocked
+        const availableCount = totalInventory - committedRoomsForDay - blockedForDay;
+        const finalAvailableCount = Math.max(0, availableCount);
+        dailyAvailability[dateStr] = finalAvailableCount;
+
+        // Update overall flag based on whether *at least one* room is available
+        if (finalAvailableCount <= 0) {
+            isOverallAvailable = false;
+        }
+
+        minAvailableOnAnyDay = Math.min(minAvailableOnAnyDay, finalAvailableCount);
+
+        currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+    }
+
+    return {
+        overallAvailable: isOverallAvailable,
+        minAvailableCount: minAvailableOnAnyDay,
+        dailyAvailability: dailyAvailability
+    };
+};
+
+// Pick free rooms of a type for the stay, skipping rooms already taken by this request
+const findAvailableRooms = async (models, propertyId, roomTypeId, checkIn, checkOut, count, excludeRoomIds = new Set()) => {
+    const { Reservations, Rooms } = models;
+
+    // Get all rooms of this type, sorted by room number
+    const allRooms = await Rooms.find({
+        roomType: roomTypeId,
+        property: propertyId,
+        status: { $nin: ['maintenance'] } // Exclude maintenance rooms
+    }).sort({ roomNumber: 1 }); // Sort by room number ascending
+
+    // Get conflicting reservations holding rooms of this type on any line
+    const conflictingReservations = await Reservations.find({
+        property: propertyId,
+        ...Reservations.roomTypeFilter(roomTypeId),
+        checkInDate: { $lt: checkOut },
+        checkOutDate: { $gt: checkIn },
+        status: { $nin: ['cancelled', 'no-show'] }
+    })
+    .select('roomNumbers') // Only select roomNumbers field
+    .lean(); // Use lean() for better performance
+
+    // Extract occupied room IDs
+    const occupiedRoomIds = new Set(excludeRoomIds);
+    conflictingReservations.forEach(res => {
+        if (res.roomNumbers && Array.isArray(res.roomNumbers)) {
+            res.roomNumbers.forEach(roomId => {
+                occupiedRoomIds.add(roomId.toString());
+            });
+        }
+    });
+
+    // Find available rooms (not occupied and not in maintenance)
+    const availableRooms = allRooms.filter(room => !occupiedRoomIds.has(room._id.toString()));
+
+    if (availableRooms.length < count) {
+        console.warn(`Not enough available rooms. Required: ${count}, Available: ${availableRooms.length}`);
+    }
+
+    // Assign rooms sequentially from available rooms (or what we can)
+    return availableRooms.slice(0, count).map(room => room._id);
+};
+
+module.exports = {
+    calculateRoomTypeAvailability,
+    findAvailableRooms,
+};
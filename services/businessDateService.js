@@ -0,0 +1,148 @@
+// Business date
+// Each property trades on a business date that stays open until its night
+// audit completes, so charges posted after midnight but before the audit
+// still belong to the day being audited. Business dates are kept as the UTC
+// midnight of the calendar day, the way reservation dates and daily rates are.
+
+const { getPropertySettings } = require('./cacheService');
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const toBusinessDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+const addBusinessDays = (date, days) => {
+    const day = toBusinessDay(date);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day;
+};
+
+const toDateKey = (date) => toBusinessDay(date).toISOString().split('T')[0];
+
+const isSameBusinessDay = (date, businessDate) => toDateKey(date) === toDateKey(businessDate);
+
+// Start and end (exclusive) of a business day
+const getBusinessDayRange = (businessDate) => ({
+    start: toBusinessDay(businessDate),
+    end: addBusinessDays(businessDate, 1)
+});
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Calendar date and time of day at the property.
+ *
+ * @param {String} [timezone] - IANA timezone; unknown zones fall back to Asia/Kolkata
+ * @param {Date} [now]
+ * @returns {{ date: Date, minutes: Number }} date as a business day, minutes since local midnight
+ */
+const getPropertyClock = (timezone, now = new Date()) => {
+    const format = (timeZone) => new Intl.DateTimeFormat('en-CA', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+
+    let parts;
+    try {
+        parts = format(timezone || DEFAULT_TIMEZONE);
+    } catch (error) {
+        parts = format(DEFAULT_TIMEZONE);
+    }
+    const value = (type) => parts.find(part => part.type === type).value;
+    return {
+        date: new Date(`${value('year')}-${value('month')}-${value('day')}T00:00:00.000Z`),
+        minutes: Number(value('hour')) * 60 + Number(value('minute'))
+    };
+};
+
+const getPropertyDetails = (models, propertyId) => getPropertySettings(propertyId, async () => {
+    return await models.PropertyDetails.findOne({ property: propertyId }).lean();
+});
+
+/**
+ * Open business date of a property. The first call opens the property's
+ * current calendar day.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @returns {Promise<Date>}
+ */
+const getBusinessDate = async (models, propertyId) => {
+    const { BusinessDate } = models;
+    const existing = await BusinessDate.findOne({ property: propertyId }).lean();
+    if (existing) {
+        return existing.date;
+    }
+
+    const details = await getPropertyDetails(models, propertyId);
+    try {
+        const created = await BusinessDate.findOneAndUpdate(
+            { property: propertyId },
+            { $setOnInsert: { date: getPropertyClock(details?.timezone).date } },
+            { upsert: true, new: true }
+        ).lean();
+        return created.date;
+    } catch (error) {
+        // Opened by a concurrent request
+        if (error.code !== 11000) {
+            throw error;
+        }
+        return (await BusinessDate.findOne({ property: propertyId }).lean()).date;
+    }
+};
+
+/**
+ * Close a business day and open the next one. Only moves on from `fromDate`,
+ * so two audits of the same day cannot advance it twice.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Date} fromDate - Business date the audit closed
+ * @param {Object} [options] - { auditId, advancedBy }
+ * @returns {Promise<Date|null>} The new business date, or null when it had already moved on
+ */
+const advanceBusinessDate = async (models, propertyId, fromDate, options = {}) => {
+    const updated = await models.BusinessDate.findOneAndUpdate(
+        { property: propertyId, date: toBusinessDay(fromDate) },
+        {
+            $set: {
+                date: addBusinessDays(fromDate, 1),
+                lastAudit: options.auditId,
+                advancedAt: new Date(),
+                advancedBy: options.advancedBy
+            },
+            $unset: { scheduledAuditHeldAt: '' }
+        },
+        { new: true }
+    ).lean();
+    return updated ? updated.date : null;
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    toBusinessDay,
+    addBusinessDays,
+    toDateKey,
+    isSameBusinessDay,
+    getBusinessDayRange,
+    isValidTimezone,
+    getPropertyClock,
+    getPropertyDetails,
+    getBusinessDate,
+    advanceBusinessDate,
+};
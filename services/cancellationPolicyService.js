@@ -0,0 +1,150 @@
+// Cancellation policy evaluation
+// Policies are configured in settings; this resolves which policy applies to a
+// reservation and works out the cancellation charge for a given cancel date.
+
+// Used when a property has not configured any policy (previous hardcoded behaviour):
+// same day or later = full stay, 1 day before = first night, otherwise free
+const DEFAULT_POLICY = {
+    name: 'Standard',
+    isNonRefundable: false,
+    tiers: [
+        { withinDays: 0, chargeType: 'percentage', chargeValue: 100 },
+        { withinDays: 1, chargeType: 'nights', chargeValue: 1 }
+    ]
+};
+
+const getDaysUntilCheckIn = (checkInDate, now = new Date()) => {
+    const checkIn = new Date(checkInDate);
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    checkIn.setHours(0, 0, 0, 0);
+    return Math.ceil((checkIn.getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
+};
+
+const getStayNights = (reservation) => {
+    const nights = Math.ceil((new Date(reservation.checkOutDate) - new Date(reservation.checkInDate)) / (1000 * 60 * 60 * 24));
+    return Math.max(1, nights);
+};
+
+/**
+ * Resolve the policy for a reservation: the one stored on the reservation,
+ * then one attached to any of its room types, then the property default.
+ * Returns null when the property has no active policies.
+ */
+const resolvePolicy = async (models, propertyId, reservation) => {
+    const { CancellationPolicy, Reservations } = models;
+
+    if (reservation?.cancellationPolicy) {
+        const policyId = reservation.cancellationPolicy._id || reservation.cancellationPolicy;
+        const policy = await CancellationPolicy.findOne({ _id: policyId, property: propertyId }).lean();
+        if (policy) {
+            return policy;
+        }
+    }
+
+    const roomTypeIds = Reservations
+        ? Reservations.getRoomLines(reservation).map(line => line.roomType?._id || line.roomType)
+        : [reservation?.roomType].filter(Boolean);
+
+    if (roomTypeIds.length > 0) {
+        const policies = await CancellationPolicy.find({
+            property: propertyId,
+            isActive: true,
+            roomTypes: { $in: roomTypeIds }
+        }).lean();
+
+        // Follow line order so the first room type's policy wins
+        for (const roomTypeId of roomTypeIds) {
+            const match = policies.find(policy =>
+                policy.roomTypes.some(id => id.toString() === roomTypeId.toString())
+            );
+            if (match) {
+                return match;
+            }
+        }
+    }
+
+    return CancellationPolicy.findOne({
+        property: propertyId,
+        isActive: true,
+        isDefault: true
+    }).lean();
+};
+
+/**
+ * Work out the cancellation charge for a reservation under a policy.
+ * @returns {{ fee: Number, daysUntilCheckIn: Number, tier: Object|null, policyName: String }}
+ */
+const evaluatePolicy = (policy, reservation, now = new Date()) => {
+    const activePolicy = policy || DEFAULT_POLICY;
+    const totalAmount = reservation.totalAmount || 0;
+    const daysUntilCheckIn = getDaysUntilCheckIn(reservation.checkInDate, now);
+
+    if (activePolicy.isNonRefundable) {
+        return { fee: totalAmount, daysUntilCheckIn, tier: null, policyName: activePolicy.name };
+    }
+
+    // Tightest window first: the first tier the cancellation falls into applies
+    const tiers = [...(activePolicy.tiers || [])].sort((a, b) => a.withinDays - b.withinDays);
+    const tier = tiers.find(t => daysUntilCheckIn <= t.withinDays) || null;
+
+    let fee = 0;
+    if (tier) {
+        if (tier.chargeType === 'percentage') {
+            fee = (totalAmount * tier.chargeValue) / 100;
+        } else if (tier.chargeType === 'nights') {
+            const perNight = totalAmount / getStayNights(reservation);
+            fee = perNight * tier.chargeValue;
+        } else if (tier.chargeType === 'fixed') {
+            fee = tier.chargeValue;
+        }
+    }
+
+    fee = Math.round(Math.min(fee, totalAmount) * 100) / 100;
+    return { fee, daysUntilCheckIn, tier, policyName: activePolicy.name };
+};
+
+// Human readable policy text for guest emails
+const describePolicy = (policy) => {
+    if (!policy) {
+        return '';
+    }
+    if (policy.isNonRefundable) {
+        return `${policy.name}: Non-refundable. The full stay amount is charged on cancellation.`;
+    }
+
+    const tiers = [...(policy.tiers || [])].sort((a, b) => b.withinDays - a.withinDays);
+    if (tiers.length === 0) {
+        return `${policy.name}: Free cancellation.`;
+    }
+
+    const lines = tiers.map(tier => {
+        if (tier.description) {
+            return tier.description;
+        }
+        const when = tier.withinDays === 0
+            ? 'On the day of arrival or later'
+            : `Within ${tier.withinDays} day${tier.withinDays > 1 ? 's' : ''} of arrival`;
+        let charge = '';
+        if (tier.chargeType === 'percentage') {
+            charge = `${tier.chargeValue}% of the stay amount`;
+        } else if (tier.chargeType === 'nights') {
+            charge = `${tier.chargeValue} night${tier.chargeValue > 1 ? 's' : ''}`;
+        } else {
+            charge = `₹${Number(tier.chargeValue).toLocaleString('en-IN')}`;
+        }
+        return `${when}: ${charge} charged`;
+    });
+
+    const widest = tiers[0].withinDays;
+    lines.push(`Free cancellation more than ${widest} day${widest === 1 ? '' : 's'} before arrival`);
+    return `${policy.name}: ${lines.join('; ')}.`;
+};
+
+module.exports = {
+    DEFAULT_POLICY,
+    getDaysUntilCheckIn,
+    resolvePolicy,
+    evaluatePolicy,
+    describePolicy,
+};
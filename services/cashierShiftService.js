@@ -0,0 +1,495 @@
+// Cashier shifts
+// A cashier opens a shift with a cash float and closes it with what they
+// count per payment method. Payments taken and refunds paid while the shift
+// is open carry it (reservation deposits, folio, city ledger and paymaster
+// payments, bill refunds, travel agent commission paid out), so closing the
+// shift compares what the drawer should hold with what was counted.
+
+const PDFDocument = require('pdfkit');
+const { round2 } = require('./gstService');
+const { getBusinessDate, getPropertyDetails } = require('./businessDateService');
+const { PAYMENT_METHODS } = require('../db/billingFinance/cashierShift');
+
+const SUPERVISOR_ROLES = ['Admin', 'Manager'];
+
+const getOpenShift = (models, propertyId, userId) => models.CashierShift.findOne({
+    property: propertyId,
+    user: userId,
+    status: 'open'
+});
+
+/**
+ * Shift a payment or refund posted by a user belongs to. With the property's
+ * requireCashierShift on, posting without an open shift is refused.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} user - req.user
+ * @returns {Promise<{ shift: ObjectId|undefined } | { status: Number, error: String }>}
+ */
+const resolvePaymentShift = async (models, propertyId, user) => {
+    const shift = user?.id ? await getOpenShift(models, propertyId, user.id).select('_id').lean() : null;
+    if (shift) {
+        return { shift: shift._id };
+    }
+
+    const details = await getPropertyDetails(models, propertyId);
+    if (details?.requireCashierShift) {
+        return { status: 409, error: 'Open a cashier shift before taking payments or paying refunds.' };
+    }
+    return { shift: undefined };
+};
+
+/**
+ * Open a shift for a cashier.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} user - req.user
+ * @param {Object} [options] - { openingFloat, notes }
+ * @returns {Promise<{ shift } | { status: Number, error: String }>}
+ */
+const openShift = async (tenant, user, { openingFloat = 0, notes } = {}) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const existing = await getOpenShift(models, propertyId, user.id).lean();
+    if (existing) {
+        return { status: 409, error: `You already have an open shift (${existing.shiftNumber}). Close it first.` };
+    }
+
+    try {
+        const shift = await models.CashierShift.create({
+            shiftNumber: await models.CashierShift.generateShiftNumber(propertyId),
+            user: user.id,
+            userName: user.name || user.email,
+            businessDate: await getBusinessDate(models, propertyId),
+            openingFloat: round2(openingFloat),
+            openingNotes: notes,
+            property: propertyId
+        });
+        return { shift };
+    } catch (error) {
+        // Opened by a concurrent request
+        if (error.code === 11000) {
+            return { status: 409, error: 'You already have an open shift. Close it first.' };
+        }
+        throw error;
+    }
+};
+
+// Payments of a closed shift are part of its reconciliation and can no longer be changed
+const isClosedShift = async (models, propertyId, shiftId) => {
+    if (!shiftId) {
+        return false;
+    }
+    return Boolean(await models.CashierShift.exists({ _id: shiftId, property: propertyId, status: 'closed' }));
+};
+
+const isShiftEntry = (entry, shiftId) => entry.shift && entry.shift.toString() === shiftId.toString();
+
+/**
+ * Payments, refunds and paid-outs posted in a shift, oldest first.
+ *
+ * @returns {Promise<Array<{ type, source, reference, name, method, amount, date, transactionId }>>}
+ */
+const getShiftTransactions = async (models, propertyId, shiftId) => {
+    const { Reservations, GuestFolio, CityLedgerAccount, PaymasterRoom, TravelAgent, BillRefund } = models;
+    const [reservations, folios, accounts, paymasters, agents, refunds] = await Promise.all([
+        Reservations.find({ property: propertyId, 'depositPayments.shift': shiftId }).select('guestName depositPayments').lean(),
+        GuestFolio.find({ property: propertyId, 'payments.shift': shiftId }).select('folioId guestName payments').lean(),
+        CityLedgerAccount.find({ property: propertyId, 'payments.shift': shiftId }).select('accountCode accountName payments').lean(),
+        PaymasterRoom.find({ property: propertyId, 'payments.shift': shiftId }).select('paymasterCode name payments').lean(),
+        TravelAgent.find({ property: propertyId, 'commissionPayments.shift': shiftId }).select('agentCode companyName commissionPayments').lean(),
+        BillRefund.find({ property: propertyId, shift: shiftId }).lean()
+    ]);
+
+    const transactions = [];
+    const addPayments = (documents, field, type, source, getReference, getName) => {
+        documents.forEach(document => {
+            document[field].filter(entry => isShiftEntry(entry, shiftId)).forEach(entry => {
+                transactions.push({
+                    type,
+                    source,
+                    reference: getReference(document),
+                    name: getName(document),
+                    method: entry.method || 'Cash',
+                    amount: round2(entry.amount || 0),
+                    date: entry.date,
+                    transactionId: entry.transactionId
+                });
+            });
+        });
+    };
+
+    // Deposits carried onto a folio keep their _id; they are counted once, on the folio
+    const folioPaymentIds = new Set(folios.flatMap(folio => folio.payments.map(payment => payment._id.toString())));
+    const deposits = reservations.map(reservation => ({
+        ...reservation,
+        depositPayments: reservation.depositPayments.filter(payment => !folioPaymentIds.has(payment._id.toString()))
+    }));
+    addPayments(deposits, 'depositPayments', 'payment', 'Reservation Deposit', reservation => reservation._id.toString(), reservation => reservation.guestName);
+    addPayments(folios, 'payments', 'payment', 'Folio', folio => folio.folioId, folio => folio.guestName);
+    addPayments(accounts, 'payments', 'payment', 'City Ledger', account => account.accountCode, account => account.accountName);
+    addPayments(paymasters, 'payments', 'payment', 'Paymaster', paymaster => paymaster.paymasterCode, paymaster => paymaster.name);
+    addPayments(agents, 'commissionPayments', 'paid-out', 'Travel Agent Commission', agent => agent.agentCode, agent => agent.companyName);
+    refunds.forEach(refund => {
+        transactions.push({
+            type: 'refund',
+            source: 'Bill Refund',
+            reference: refund.refundNumber,
+            name: refund.guestName,
+            method: refund.method,
+            amount: round2(refund.amount),
+            date: refund.refundedAt,
+            transactionId: refund.transactionId
+        });
+    });
+
+    return transactions.sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+};
+
+/**
+ * Expected amount per payment method: the opening float (cash only) plus
+ * payments, less refunds and paid-outs.
+ */
+const getExpectedTotals = (shift, transactions) => {
+    const totals = new Map();
+    const getTotal = (method) => {
+        if (!totals.has(method)) {
+            totals.set(method, { method, received: 0, refunded: 0, paidOut: 0, expected: 0 });
+        }
+        return totals.get(method);
+    };
+
+    getTotal('Cash').expected = round2(shift.openingFloat || 0);
+    transactions.forEach(transaction => {
+        const total = getTotal(transaction.method);
+        if (transaction.type === 'payment') {
+            total.received = round2(total.received + transaction.amount);
+            total.expected = round2(total.expected + transaction.amount);
+        } else if (transaction.type === 'refund') {
+            total.refunded = round2(total.refunded + transaction.amount);
+            total.expected = round2(total.expected - transaction.amount);
+        } else {
+            total.paidOut = round2(total.paidOut + transaction.amount);
+            total.expected = round2(total.expected - transaction.amount);
+        }
+    });
+
+    return Array.from(totals.values())
+        .sort((a, b) => PAYMENT_METHODS.indexOf(a.method) - PAYMENT_METHODS.indexOf(b.method));
+};
+
+/**
+ * Shift report: the transactions of the shift and, per payment method, what
+ * the drawer should hold against what was counted (closed shifts).
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} shift - CashierShift document
+ */
+const getShiftReport = async (models, propertyId, shift) => {
+    const transactions = await getShiftTransactions(models, propertyId, shift._id);
+    const expectedTotals = getExpectedTotals(shift, transactions);
+    const isClosed = shift.status === 'closed';
+
+    const methods = isClosed && shift.totals.length > 0
+        ? shift.totals.map(total => (total.toObject ? total.toObject() : total))
+        : expectedTotals.map(total => ({ ...total, counted: null, variance: null }));
+
+    return {
+        shift: {
+            _id: shift._id,
+            shiftNumber: shift.shiftNumber,
+            userName: shift.userName,
+            status: shift.status,
+            businessDate: shift.businessDate,
+            openedAt: shift.openedAt,
+            closedAt: shift.closedAt,
+            closedByName: shift.closedByName,
+            openingFloat: shift.openingFloat,
+            openingNotes: shift.openingNotes,
+            closingNotes: shift.closingNotes,
+            handedOverTo: shift.handedOverTo
+        },
+        methods,
+        totals: {
+            received: round2(expectedTotals.reduce((sum, total) => sum + total.received, 0)),
+            refunded: round2(expectedTotals.reduce((sum, total) => sum + total.refunded, 0)),
+            paidOut: round2(expectedTotals.reduce((sum, total) => sum + total.paidOut, 0)),
+            expected: isClosed ? shift.expectedTotal : round2(expectedTotals.reduce((sum, total) => sum + total.expected, 0)),
+            counted: isClosed ? shift.countedTotal : null,
+            variance: isClosed ? shift.variance : null
+        },
+        transactions
+    };
+};
+
+/**
+ * Close a shift with the amounts counted per payment method. Methods not
+ * counted are taken as zero. Only the cashier or a supervisor may close it.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {String} shiftId
+ * @param {Object} user - req.user
+ * @param {Object} params - { counted: Array<{ method, amount }>, notes, handedOverTo }
+ * @returns {Promise<{ shift, report } | { status: Number, error: String }>}
+ */
+const closeShift = async (tenant, shiftId, user, { counted = [], notes, handedOverTo } = {}) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const shift = await models.CashierShift.findOne({ _id: shiftId, property: propertyId });
+    if (!shift) {
+        return { status: 404, error: 'Shift not found.' };
+    }
+    if (shift.status !== 'open') {
+        return { status: 400, error: 'Shift is already closed.' };
+    }
+    if (shift.user.toString() !== String(user.id) && !SUPERVISOR_ROLES.includes(user.role)) {
+        return { status: 403, error: 'Only the cashier or a manager can close this shift.' };
+    }
+
+    const countedByMethod = new Map();
+    for (const entry of counted) {
+        if (!PAYMENT_METHODS.includes(entry.method)) {
+            return { status: 400, error: `Unknown payment method: ${entry.method}` };
+        }
+        if (!Number.isFinite(entry.amount) || entry.amount < 0) {
+            return { status: 400, error: `Counted amount for ${entry.method} must be 0 or more` };
+        }
+        countedByMethod.set(entry.method, round2((countedByMethod.get(entry.method) || 0) + entry.amount));
+    }
+
+    const transactions = await getShiftTransactions(models, propertyId, shift._id);
+    const totals = getExpectedTotals(shift, transactions);
+    countedByMethod.forEach((amount, method) => {
+        if (!totals.some(total => total.method === method)) {
+            totals.push({ method, received: 0, refunded: 0, paidOut: 0, expected: 0 });
+        }
+    });
+    totals.forEach(total => {
+        total.counted = countedByMethod.get(total.method) || 0;
+        total.variance = round2(total.counted - total.expected);
+    });
+    totals.sort((a, b) => PAYMENT_METHODS.indexOf(a.method) - PAYMENT_METHODS.indexOf(b.method));
+
+    shift.status = 'closed';
+    shift.closedAt = new Date();
+    shift.closedBy = user.id;
+    shift.closedByName = user.name || user.email;
+    shift.counted = Array.from(countedByMethod, ([method, amount]) => ({ method, amount }));
+    shift.totals = totals;
+    shift.expectedTotal = round2(totals.reduce((sum, total) => sum + total.expected, 0));
+    shift.countedTotal = round2(totals.reduce((sum, total) => sum + total.counted, 0));
+    shift.variance = round2(shift.countedTotal - shift.expectedTotal);
+    shift.closingNotes = notes;
+    shift.handedOverTo = handedOverTo;
+    // Saved only if no one closed it in the meantime
+    shift.$where = { status: 'open' };
+    try {
+        await shift.save();
+    } catch (error) {
+        if (error.name === 'DocumentNotFoundError') {
+            return { status: 409, error: 'Shift was closed by someone else.' };
+        }
+        throw error;
+    }
+
+    return { shift, report: await getShiftReport(models, propertyId, shift) };
+};
+
+/**
+ * Render the handover slip of a shift as an A4 PDF.
+ *
+ * @param {Object} report - From getShiftReport
+ * @param {Object} [propertyDetails]
+ * @returns {Promise<Buffer>}
+ */
+const renderShiftHandoverPdf = (report, propertyDetails) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Colors
+    const primaryColor = '#0f5f9c';
+    const textColor = '#1f2a37';
+    const grayColor = '#6b7280';
+
+    const formatAmount = (amount) => (amount == null ? '-' : `₹${amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+    const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-GB') : '-');
+    const { shift } = report;
+
+    // Header
+    doc.rect(0, 0, doc.page.width, 80).fill(primaryColor);
+    doc.fillColor('white')
+       .fontSize(24)
+       .font('Helvetica-Bold')
+       .text(propertyDetails?.propertyName || 'Hotel', 50, 30);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(`Cashier Shift Handover - ${shift.shiftNumber}`, 50, 60);
+
+    let yPos = 100;
+
+    const ensureSpace = (height) => {
+        if (yPos + height > doc.page.height - 80) {
+            doc.addPage();
+            yPos = 50;
+        }
+    };
+
+    // Shift information
+    doc.font('Helvetica')
+       .fontSize(9)
+       .fillColor(grayColor)
+       .text('Cashier:', 50, yPos)
+       .text('Opened:', 50, yPos + 15)
+       .text('Closed:', 50, yPos + 30)
+       .text('Opening Float:', 50, yPos + 45);
+    doc.fillColor(textColor)
+       .text(shift.userName || '-', 140, yPos)
+       .text(formatDateTime(shift.openedAt), 140, yPos + 15)
+       .text(shift.status === 'closed' ? formatDateTime(shift.closedAt) : 'Open', 140, yPos + 30)
+       .text(formatAmount(shift.openingFloat || 0), 140, yPos + 45);
+
+    doc.fillColor(grayColor)
+       .text('Business Date:', 300, yPos)
+       .text('Closed By:', 300, yPos + 15)
+       .text('Handed Over To:', 300, yPos + 30)
+       .text('Status:', 300, yPos + 45);
+    doc.fillColor(textColor)
+       .text(shift.businessDate ? new Date(shift.businessDate).toLocaleDateString('en-GB', { timeZone: 'UTC' }) : '-', 400, yPos)
+       .text(shift.closedByName || '-', 400, yPos + 15)
+       .text(shift.handedOverTo || '-', 400, yPos + 30)
+       .text(shift.status === 'closed' ? 'Closed' : 'Open', 400, yPos + 45);
+
+    yPos += 75;
+
+    // Expected vs counted
+    doc.font('Helvetica-Bold')
+       .fontSize(10)
+       .fillColor(textColor)
+       .text('Reconciliation', 50, yPos);
+
+    yPos += 20;
+    doc.font('Helvetica-Bold')
+       .fontSize(8)
+       .rect(50, yPos, 500, 20)
+       .fill(primaryColor)
+       .fillColor('white')
+       .text('Method', 55, yPos + 6)
+       .text('Received', 150, yPos + 6, { width: 65, align: 'right' })
+       .text('Refunded', 220, yPos + 6, { width: 60, align: 'right' })
+       .text('Paid Out', 285, yPos + 6, { width: 60, align: 'right' })
+       .text('Expected', 350, yPos + 6, { width: 65, align: 'right' })
+       .text('Counted', 420, yPos + 6, { width: 60, align: 'right' })
+       .text('Variance', 485, yPos + 6, { width: 60, align: 'right' });
+
+    yPos += 25;
+    const reconciliationRows = [
+        ...report.methods,
+        { method: 'Total', ...report.totals }
+    ];
+    reconciliationRows.forEach(row => {
+        ensureSpace(15);
+        doc.font(row.method === 'Total' ? 'Helvetica-Bold' : 'Helvetica')
+           .fontSize(8)
+           .fillColor(textColor)
+           .text(row.method, 55, yPos)
+           .text(formatAmount(row.received), 150, yPos, { width: 65, align: 'right' })
+           .text(formatAmount(row.refunded), 220, yPos, { width: 60, align: 'right' })
+           .text(formatAmount(row.paidOut), 285, yPos, { width: 60, align: 'right' })
+           .text(formatAmount(row.expected), 350, yPos, { width: 65, align: 'right' })
+           .text(formatAmount(row.counted), 420, yPos, { width: 60, align: 'right' });
+        doc.fillColor(row.variance < 0 ? '#b91c1c' : textColor)
+           .text(formatAmount(row.variance), 485, yPos, { width: 60, align: 'right' });
+        yPos += 15;
+    });
+
+    yPos += 15;
+
+    // Transactions
+    ensureSpace(60);
+    doc.font('Helvetica-Bold')
+       .fontSize(10)
+       .fillColor(textColor)
+       .text(`Transactions (${report.transactions.length})`, 50, yPos);
+
+    yPos += 20;
+    doc.font('Helvetica-Bold')
+       .fontSize(8)
+       .rect(50, yPos, 500, 20)
+       .fill(primaryColor)
+       .fillColor('white')
+       .text('Time', 55, yPos + 6)
+       .text('Type', 150, yPos + 6)
+       .text('Reference', 215, yPos + 6)
+       .text('Name', 300, yPos + 6)
+       .text('Method', 410, yPos + 6)
+       .text('Amount', 470, yPos + 6, { width: 75, align: 'right' });
+
+    yPos += 25;
+    doc.font('Helvetica')
+       .fontSize(8)
+       .fillColor(textColor);
+    report.transactions.forEach(transaction => {
+        ensureSpace(15);
+        const sign = transaction.type === 'payment' ? 1 : -1;
+        doc.text(formatDateTime(transaction.date), 55, yPos, { width: 90, height: 10, ellipsis: true })
+           .text(transaction.type === 'paid-out' ? 'Paid out' : transaction.type === 'refund' ? 'Refund' : 'Payment', 150, yPos)
+           .text(transaction.reference || '-', 215, yPos, { width: 80, height: 10, ellipsis: true })
+           .text(transaction.name || '-', 300, yPos, { width: 105, height: 10, ellipsis: true })
+           .text(transaction.method, 410, yPos)
+           .text(formatAmount(sign * transaction.amount), 470, yPos, { width: 75, align: 'right' });
+        yPos += 15;
+    });
+
+    if (shift.closingNotes) {
+        yPos += 10;
+        ensureSpace(40);
+        doc.fillColor(grayColor).text('Notes:', 50, yPos);
+        doc.fillColor(textColor).text(shift.closingNotes, 140, yPos, { width: 410 });
+        yPos += doc.heightOfString(shift.closingNotes, { width: 410 }) + 10;
+    }
+
+    // Signatures
+    yPos += 40;
+    ensureSpace(40);
+    doc.strokeColor(grayColor)
+       .moveTo(50, yPos).lineTo(230, yPos).stroke()
+       .moveTo(320, yPos).lineTo(500, yPos).stroke();
+    doc.fontSize(8)
+       .fillColor(grayColor)
+       .text('Handed over by', 50, yPos + 5)
+       .text('Received by', 320, yPos + 5);
+
+    doc.end();
+});
+
+/**
+ * Handover slip of a shift as a PDF.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} shift - CashierShift document
+ * @returns {Promise<Buffer>}
+ */
+const generateShiftHandoverPdf = async (tenant, shift) => {
+    const propertyId = tenant.property._id;
+    const report = await getShiftReport(tenant.models, propertyId, shift);
+    const details = await getPropertyDetails(tenant.models, propertyId);
+    return renderShiftHandoverPdf(report, details);
+};
+
+module.exports = {
+    getOpenShift,
+    resolvePaymentShift,
+    isClosedShift,
+    openShift,
+    getShiftReport,
+    closeShift,
+    generateShiftHandoverPdf,
+};
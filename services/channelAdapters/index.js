@@ -0,0 +1,41 @@
+// Channel adapter registry
+//
+// An adapter connects the channel manager to one OTA / channel manager API.
+// Adapters are plain objects:
+//
+//   {
+//       name: 'mock',
+//       // Push ARI for one room type. Resolve { reference } on success, throw on failure.
+//       pushAri: async (connection, payload) => ({ reference }),
+//       // Optional: check credentials / connectivity
+//       testConnection: async (connection) => ({ ok: true, message })
+//   }
+//
+// payload = {
+//     hotelCode, roomCode,
+//     days: [{ date: 'YYYY-MM-DD', available, rates: { [rateCode]: { baseRate, extraGuestRate } | { adultRate, childRate } },
+//              restrictions: { minLOS, maxLOS, closedToArrival, closedToDeparture, stopSell } }]
+// }
+
+const mockOtaAdapter = require('./mockOtaAdapter');
+
+const adapters = new Map();
+
+const registerAdapter = (adapter) => {
+    if (!adapter || !adapter.name || typeof adapter.pushAri !== 'function') {
+        throw new Error('Channel adapter needs a name and a pushAri function');
+    }
+    adapters.set(adapter.name, adapter);
+};
+
+const getAdapter = (name) => adapters.get(name) || null;
+
+const listAdapters = () => Array.from(adapters.keys());
+
+registerAdapter(mockOtaAdapter);
+
+module.exports = {
+    registerAdapter,
+    getAdapter,
+    listAdapters,
+};
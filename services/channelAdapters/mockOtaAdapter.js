@@ -0,0 +1,72 @@
+// Local mock OTA used to exercise the channel manager offline.
+// Keeps the last pushed ARI per connection in memory. Failures can be simulated
+// through connection.settings:
+//   simulateFailure: true  - every push fails
+//   failureRate: 0..1      - random share of pushes fail
+
+const MAX_HISTORY = 50;
+
+const store = new Map();
+
+const getConnectionState = (connectionId) => {
+    const key = connectionId.toString();
+    if (!store.has(key)) {
+        store.set(key, { rooms: {}, history: [] });
+    }
+    return store.get(key);
+};
+
+const pushAri = async (connection, payload) => {
+    const settings = connection.settings || {};
+    if (settings.simulateFailure || (settings.failureRate && Math.random() < settings.failureRate)) {
+        throw new Error('Mock OTA rejected the update (simulated failure)');
+    }
+    if (!payload.roomCode) {
+        throw new Error('Mock OTA: roomCode is required');
+    }
+
+    const state = getConnectionState(connection._id);
+    const room = state.rooms[payload.roomCode] || (state.rooms[payload.roomCode] = {});
+    payload.days.forEach(day => {
+        room[day.date] = {
+            available: day.available,
+            rates: day.rates,
+            restrictions: day.restrictions
+        };
+    });
+
+    const reference = `MOCK-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    state.history.unshift({
+        reference,
+        receivedAt: new Date(),
+        roomCode: payload.roomCode,
+        dateFrom: payload.days[0]?.date || null,
+        dateTo: payload.days[payload.days.length - 1]?.date || null,
+        days: payload.days.length
+    });
+    state.history.length = Math.min(state.history.length, MAX_HISTORY);
+
+    return { reference };
+};
+
+const testConnection = async (connection) => {
+    if (connection.settings?.simulateFailure) {
+        return { ok: false, message: 'Mock OTA is set to simulate failures' };
+    }
+    return { ok: true, message: 'Mock OTA reachable' };
+};
+
+// What the mock OTA currently holds for a connection (for inspecting a sync)
+const getState = (connectionId) => getConnectionState(connectionId);
+
+const resetState = (connectionId) => {
+    store.delete(connectionId.toString());
+};
+
+module.exports = {
+    name: 'mock',
+    pushAri,
+    testConnection,
+    getState,
+    resetState,
+};
@@ -0,0 +1,342 @@
+// Inbound channel (OTA) bookings
+// Maps a booking delivered by a connected channel onto our room types and rate
+// plans, then creates, modifies or cancels the matching reservation. Deliveries
+// are idempotent on the channel's booking ID, so a channel can safely resend.
+
+const { createReservationFolio, buildReservationCharges, removeUnpostedStayCharges, postCancellationCharge } = require('./folioService');
+const { recordGuestStay } = require('./guestProfileService');
+const { findAvailableRooms } = require('./availabilityService');
+const { queueReservationAriUpdate } = require('./channelManagerService');
+const { resolvePolicy } = require('./cancellationPolicyService');
+const { normalizePaymentMethod } = require('../utils/validation');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Commission owed to the channel: the amount the channel reports, else the connection's terms
+const calculateCommission = (connection, amount, reportedCommission) => {
+    if (reportedCommission !== undefined && reportedCommission !== null) {
+        return roundAmount(reportedCommission);
+    }
+    if (!amount || !connection.commissionRate) {
+        return 0;
+    }
+    return connection.commissionType === 'fixed'
+        ? roundAmount(connection.commissionRate)
+        : roundAmount((amount * connection.commissionRate) / 100);
+};
+
+/**
+ * Translate the channel's room/rate codes into room lines.
+ * @returns {{ lines: Array, ratePlanId: ObjectId|null, unmapped: Array<String> }}
+ */
+const mapBookingRooms = (connection, booking, nights) => {
+    const unmapped = [];
+    const lines = [];
+    let ratePlanId = null;
+
+    booking.rooms.forEach((room, index) => {
+        const roomMapping = connection.roomTypeMappings.find(mapping => mapping.externalRoomCode === room.roomCode);
+        if (!roomMapping) {
+            unmapped.push(`rooms[${index}]: room code "${room.roomCode}" is not mapped`);
+            return;
+        }
+
+        if (room.rateCode) {
+            const rateMapping = (connection.ratePlanMappings || []).find(mapping =>
+                mapping.externalRateCode === room.rateCode &&
+                mapping.roomType.toString() === roomMapping.roomType.toString()
+            );
+            if (!rateMapping) {
+                unmapped.push(`rooms[${index}]: rate code "${room.rateCode}" is not mapped for room code "${room.roomCode}"`);
+                return;
+            }
+            // A reservation carries one rate plan: the first mapped plan wins
+            if (rateMapping.ratePlan && !ratePlanId) {
+                ratePlanId = rateMapping.ratePlan;
+            }
+        }
+
+        const numberOfRooms = Number(room.numberOfRooms) || 1;
+        const adults = Number(room.adults) || 0;
+        const children = Number(room.children) || 0;
+        const amount = roundAmount(room.amount);
+        lines.push({
+            roomType: roomMapping.roomType,
+            numberOfRooms,
+            roomNumbers: [],
+            adults,
+            children,
+            totalGuest: adults + children || numberOfRooms,
+            ratePerNight: roundAmount(amount / (numberOfRooms * nights)),
+            amount
+        });
+    });
+
+    return { lines, ratePlanId, unmapped };
+};
+
+// Assign rooms to each line, keeping rooms the reservation already holds when they are still free
+const assignRooms = async (models, propertyId, lines, checkIn, checkOut, { previousLines = [], reservationId = null } = {}) => {
+    const { Reservations } = models;
+    const taken = new Set();
+    const warnings = [];
+
+    let stillFree = new Set();
+    const previousRoomIds = previousLines.reduce((all, line) => all.concat((line.roomNumbers || []).map(String)), []);
+    if (previousRoomIds.length > 0) {
+        const clashes = await Reservations.find({
+            _id: { $ne: reservationId },
+            property: propertyId,
+            roomNumbers: { $in: previousRoomIds },
+            checkInDate: { $lt: checkOut },
+            checkOutDate: { $gt: checkIn },
+            status: { $nin: ['cancelled', 'no-show'] }
+        }).select('roomNumbers').lean();
+        const clashing = new Set(clashes.reduce((all, res) => all.concat(res.roomNumbers.map(String)), []));
+        stillFree = new Set(previousRoomIds.filter(id => !clashing.has(id)));
+    }
+
+    for (const line of lines) {
+        const typeId = line.roomType.toString();
+        const kept = previousLines
+            .filter(previous => String(previous.roomType?._id || previous.roomType) === typeId)
+            .reduce((all, previous) => all.concat((previous.roomNumbers || []).map(String)), [])
+            .filter(id => stillFree.has(id) && !taken.has(id))
+            .slice(0, line.numberOfRooms);
+        kept.forEach(id => taken.add(id));
+
+        // The reservation's own rooms count as occupied in the lookup; keep them out of the pool
+        const exclude = new Set([...taken, ...previousRoomIds]);
+        const extra = kept.length < line.numberOfRooms
+            ? await findAvailableRooms(models, propertyId, line.roomType, checkIn, checkOut, line.numberOfRooms - kept.length, exclude)
+            : [];
+        extra.forEach(id => taken.add(id.toString()));
+
+        line.roomNumbers = [...kept, ...extra.map(String)];
+        if (line.roomNumbers.length < line.numberOfRooms) {
+            warnings.push(`Only ${line.roomNumbers.length} of ${line.numberOfRooms} room(s) free for room type ${typeId}: booking accepted as overbooked`);
+        }
+    }
+
+    return warnings;
+};
+
+// Lock in the cancellation terms of the plan sold, falling back to the usual resolution
+const applyCancellationPolicy = async (models, propertyId, reservation) => {
+    const { RatePlan } = models;
+    if (reservation.ratePlan) {
+        const plan = await RatePlan.findOne({ _id: reservation.ratePlan, property: propertyId }).select('cancellationPolicy').lean();
+        reservation.cancellationPolicy = plan?.cancellationPolicy || undefined;
+    }
+    const policy = await resolvePolicy(models, propertyId, reservation);
+    reservation.cancellationPolicy = policy?._id;
+};
+
+const cancelChannelBooking = async (models, propertyId, connection, reservation, booking) => {
+    if (reservation.status === 'cancelled') {
+        return { action: 'unchanged', reservation };
+    }
+    if (['checked-in', 'checked-out'].includes(reservation.status)) {
+        return { status: 409, error: `Reservation is already ${reservation.status} and cannot be cancelled by the channel.` };
+    }
+
+    const cancellationFee = roundAmount(booking.cancellationFee);
+    reservation.status = 'cancelled';
+    reservation.cancelledAt = new Date();
+    reservation.cancellationFee = cancellationFee;
+    reservation.cancellationReason = `Cancelled on ${connection.name}`;
+    reservation.channelCommission = calculateCommission(connection, cancellationFee, booking.commissionAmount);
+    reservation.externalModifiedAt = booking.modifiedAt || new Date();
+    await reservation.save();
+
+    // The folio keeps only the cancellation charge, if the channel reported one
+    if (cancellationFee > 0) {
+        await postCancellationCharge(models, propertyId, reservation, cancellationFee, connection.name);
+    } else {
+        const { GuestFolio } = models;
+        const folio = await GuestFolio.findOne({ reservationId: reservation._id, property: propertyId, status: 'active' });
+        if (folio) {
+            removeUnpostedStayCharges(folio);
+            folio.calculateBalance();
+            await folio.save();
+        }
+    }
+
+    queueReservationAriUpdate(models, propertyId, reservation, 'cancellation');
+    return { action: 'cancelled', reservation };
+};
+
+/**
+ * Create, modify or cancel the reservation for a channel booking.
+ *
+ * @param {Object} tenant - Tenant context ({ models, property })
+ * @param {Object} connection - ChannelConnection the booking came from
+ * @param {Object} booking - Validated webhook payload
+ * @param {String} booking.bookingId - Booking reference on the channel
+ * @param {String} booking.status - 'new', 'modified' or 'cancelled'
+ * @param {Date} [booking.modifiedAt] - Channel modification time; older deliveries are ignored
+ * @param {Date} booking.checkIn
+ * @param {Date} booking.checkOut
+ * @param {Object} booking.guest - { name, email, phone }
+ * @param {Array} booking.rooms - [{ roomCode, rateCode, numberOfRooms, adults, children, amount }]
+ * @param {Number} [booking.totalAmount] - Defaults to the sum of the room amounts
+ * @param {Number} [booking.paidAmount] - Amount prepaid through the channel
+ * @param {Number} [booking.commissionAmount] - Overrides the connection's commission terms
+ * @param {Number} [booking.cancellationFee]
+ * @returns {Promise<{ action: String, reservation: Object, warnings?: Array<String> } | { status: Number, error: String, details?: Array<String> }>}
+ */
+const ingestChannelBooking = async (tenant, connection, booking) => {
+    const { models } = tenant;
+    const { Reservations } = models;
+    const propertyId = tenant.property._id;
+
+    const existing = await Reservations.findOne({
+        property: propertyId,
+        Source: connection.channel,
+        externalBookingId: booking.bookingId
+    });
+
+    // Repeated or out-of-order delivery
+    if (existing && booking.modifiedAt && existing.externalModifiedAt && booking.modifiedAt <= existing.externalModifiedAt) {
+        return { action: 'unchanged', reservation: existing };
+    }
+
+    if (booking.status === 'cancelled') {
+        if (!existing) {
+            return { action: 'ignored', reservation: null };
+        }
+        return cancelChannelBooking(models, propertyId, connection, existing, booking);
+    }
+
+    if (existing && ['cancelled', 'checked-in', 'checked-out', 'no-show'].includes(existing.status)) {
+        return { status: 409, error: `Reservation is ${existing.status}; changes must be made at the front desk.` };
+    }
+
+    const nights = Math.max(1, Math.round((booking.checkOut - booking.checkIn) / DAY_MS));
+    const { lines, ratePlanId, unmapped } = mapBookingRooms(connection, booking, nights);
+    if (unmapped.length > 0) {
+        return { status: 422, error: 'Booking contains unmapped room or rate codes.', details: unmapped };
+    }
+
+    const totalAmount = booking.totalAmount !== undefined
+        ? roundAmount(booking.totalAmount)
+        : roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    let mealPlan = 'EP';
+    if (ratePlanId) {
+        const plan = await models.RatePlan.findOne({ _id: ratePlanId, property: propertyId }).select('mealPlan').lean();
+        mealPlan = plan?.mealPlan || 'EP';
+    }
+
+    const fields = {
+        guestName: booking.guest.name,
+        guestEmail: booking.guest.email || '',
+        guestNumber: booking.guest.phone || '',
+        checkInDate: booking.checkIn,
+        checkOutDate: booking.checkOut,
+        totalGuest: lines.reduce((sum, line) => sum + line.totalGuest, 0),
+        totalAmount,
+        payedAmount: roundAmount(booking.paidAmount),
+        paymentMethod: normalizePaymentMethod(booking.paymentMethod || 'Bank Transfer'),
+        mealPlan,
+        ratePlan: ratePlanId || undefined,
+        channelCommission: calculateCommission(connection, totalAmount, booking.commissionAmount),
+        externalModifiedAt: booking.modifiedAt || new Date(),
+        specialRequests: booking.specialRequests || ''
+    };
+
+    if (!existing) {
+        const warnings = await assignRooms(models, propertyId, lines, booking.checkIn, booking.checkOut);
+
+        const reservation = new Reservations({
+            ...fields,
+            roomLines: lines,
+            Source: connection.channel,
+            channelConnection: connection._id,
+            externalBookingId: booking.bookingId,
+            status: 'confirmed',
+            property: propertyId
+        });
+        reservation.syncRoomLines();
+        await applyCancellationPolicy(models, propertyId, reservation);
+
+        try {
+            await reservation.save();
+        } catch (error) {
+            // The same booking delivered twice at once: the other delivery created it
+            if (error.code === 11000) {
+                const created = await Reservations.findOne({ property: propertyId, Source: connection.channel, externalBookingId: booking.bookingId });
+                return { action: 'unchanged', reservation: created };
+            }
+            throw error;
+        }
+
+        await createReservationFolio(models, propertyId, reservation);
+        try {
+            await recordGuestStay(models, propertyId, reservation);
+        } catch (guestError) {
+            console.error('Error creating/updating guest profile for channel booking:', guestError);
+        }
+
+        queueReservationAriUpdate(models, propertyId, reservation);
+        return { action: 'created', reservation, warnings };
+    }
+
+    // Modification: keep the rooms already assigned where possible
+    const previous = existing.toObject();
+    const warnings = await assignRooms(models, propertyId, lines, booking.checkIn, booking.checkOut, {
+        previousLines: Reservations.getRoomLines(previous),
+        reservationId: existing._id
+    });
+
+    const paidIncrease = roundAmount(fields.payedAmount - (existing.payedAmount || 0));
+    Object.assign(existing, fields);
+    existing.roomLines = lines;
+    existing.syncRoomLines();
+    if (String(previous.ratePlan || '') !== String(ratePlanId || '')) {
+        await applyCancellationPolicy(models, propertyId, existing);
+    }
+    await existing.save();
+
+    // Restate the stay charges on the folio for the new dates, rooms and amount
+    const { GuestFolio } = models;
+    const folio = await GuestFolio.findOne({ reservationId: existing._id, property: propertyId, status: 'active' });
+    if (folio) {
+        // Nights already posted by the night audit stay as charged
+        const nightlyPosting = folio.roomPosting === 'nightly';
+        const { items, roomNumbers } = await buildReservationCharges(models, propertyId, existing, { nightlyPosting });
+        folio.items = folio.items.filter(item => item.department !== 'Room' || (nightlyPosting && item.postedNight)).concat(items);
+        folio.guestName = existing.guestName;
+        folio.guestEmail = existing.guestEmail;
+        folio.guestPhone = existing.guestNumber;
+        folio.checkIn = existing.checkInDate;
+        folio.checkOut = existing.checkOutDate;
+        folio.roomNumbers = roomNumbers;
+        folio.roomNumber = roomNumbers[0] || '';
+        if (paidIncrease > 0) {
+            folio.payments.push({
+                date: new Date(),
+                method: existing.paymentMethod,
+                amount: paidIncrease,
+                transactionId: `${connection.channel.toUpperCase()}-${booking.bookingId}`,
+                notes: `Prepayment via ${connection.name}`
+            });
+        }
+        folio.calculateBalance();
+        await folio.save();
+    } else {
+        await createReservationFolio(models, propertyId, existing);
+    }
+
+    queueReservationAriUpdate(models, propertyId, previous);
+    queueReservationAriUpdate(models, propertyId, existing);
+    return { action: 'modified', reservation: existing, warnings };
+};
+
+module.exports = {
+    calculateCommission,
+    mapBookingRooms,
+    ingestChannelBooking,
+};
@@ -0,0 +1,327 @@
+// Channel manager
+// Queues ARI (availability, rates, inventory restrictions) pushes when rates,
+// inventory blocks or reservations change, and sends them to each channel
+// through its adapter with retries.
+
+const { listTenantContexts } = require('./tenantManager');
+const { getAdapter } = require('./channelAdapters');
+const { calculateRoomTypeAvailability } = require('./availabilityService');
+const { getRatePlanPriceForDate } = require('./pricingService');
+const { getRestrictionsForStay, toDateKey } = require('./restrictionService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const SYNC_INTERVAL_MS = 60 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// Jobs left in processing this long (e.g. after a restart) are picked up again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+const JOBS_PER_RUN = 50;
+
+const toUTCMidnight = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Queue an ARI push for the given room types and nights on every active channel
+ * that maps them. Never throws: a failed enqueue must not fail the change itself.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} change
+ * @param {Array<ObjectId>} change.roomTypeIds
+ * @param {Date} change.dateFrom - First night affected
+ * @param {Date} change.dateTo - Night after the last one affected
+ * @param {String} change.reason - e.g. 'rates', 'inventory-block', 'reservation'
+ */
+const queueAriUpdate = async (models, propertyId, { roomTypeIds = [], dateFrom, dateTo, reason }) => {
+    try {
+        const { ChannelConnection, ChannelSyncJob } = models;
+        const ids = [...new Set(roomTypeIds.filter(Boolean).map(id => (id._id || id).toString()))];
+        if (ids.length === 0 || !dateFrom || !dateTo) {
+            return 0;
+        }
+
+        const connections = await ChannelConnection.find({
+            property: propertyId,
+            isActive: true,
+            'roomTypeMappings.roomType': { $in: ids }
+        }).select('roomTypeMappings syncWindowDays').lean();
+
+        const today = toUTCMidnight(new Date());
+        let queued = 0;
+
+        for (const connection of connections) {
+            // Channels only care about today onwards, within the sync window
+            const windowEnd = new Date(today.getTime() + (connection.syncWindowDays || 365) * DAY_MS);
+            const from = new Date(Math.max(toUTCMidnight(dateFrom).getTime(), today.getTime()));
+            let to = new Date(Math.min(toUTCMidnight(dateTo).getTime(), windowEnd.getTime()));
+            if (to <= from) {
+                if (toUTCMidnight(dateTo) <= today) {
+                    continue;
+                }
+                to = new Date(from.getTime() + DAY_MS);
+            }
+
+            const mappedIds = connection.roomTypeMappings
+                .map(mapping => mapping.roomType.toString())
+                .filter(id => ids.includes(id));
+
+            for (const roomTypeId of mappedIds) {
+                // Merge into the pending job for this channel and room type, if any
+                await ChannelSyncJob.findOneAndUpdate(
+                    { connection: connection._id, roomType: roomTypeId, status: 'pending', property: propertyId },
+                    {
+                        $min: { dateFrom: from },
+                        $max: { dateTo: to },
+                        $addToSet: { reasons: reason || 'update' },
+                        $setOnInsert: { attempts: 0, nextAttemptAt: new Date() }
+                    },
+                    { upsert: true, new: true }
+                );
+                queued += 1;
+            }
+        }
+
+        return queued;
+    } catch (error) {
+        console.error('Error queueing channel ARI update:', error);
+        return 0;
+    }
+};
+
+// Queue a push covering a list of individual nights (e.g. dates edited in the rate grid)
+const queueDatesAriUpdate = (models, propertyId, roomTypeIds, dates, reason) => {
+    const times = dates.map(date => new Date(date).getTime()).filter(time => !isNaN(time));
+    if (times.length === 0) {
+        return Promise.resolve(0);
+    }
+    return queueAriUpdate(models, propertyId, {
+        roomTypeIds,
+        dateFrom: new Date(Math.min(...times)),
+        dateTo: new Date(Math.max(...times) + DAY_MS),
+        reason
+    });
+};
+
+// Queue a push for the nights held by a reservation (all of its room types)
+const queueReservationAriUpdate = (models, propertyId, reservation, reason = 'reservation') => {
+    if (!reservation) {
+        return Promise.resolve(0);
+    }
+    const roomTypeIds = models.Reservations.getRoomLines(reservation).map(line => line.roomType);
+    return queueAriUpdate(models, propertyId, {
+        roomTypeIds,
+        dateFrom: reservation.checkInDate,
+        dateTo: reservation.checkOutDate,
+        reason
+    });
+};
+
+// Queue every mapped room type over the channel's sync window
+const queueFullSync = async (models, propertyId, connection) => {
+    const today = toUTCMidnight(new Date());
+    return queueAriUpdate(models, propertyId, {
+        roomTypeIds: connection.roomTypeMappings.map(mapping => mapping.roomType),
+        dateFrom: today,
+        dateTo: new Date(today.getTime() + (connection.syncWindowDays || 365) * DAY_MS),
+        reason: 'full-sync'
+    });
+};
+
+/**
+ * Build the ARI payload for one room type on one channel.
+ * Rates are sent for each rate plan mapped on the room type (null plan = base rates).
+ */
+const buildAriPayload = async (models, propertyId, connection, roomTypeId, dateFrom, dateTo) => {
+    const { RatePlan } = models;
+    const roomMapping = connection.roomTypeMappings.find(mapping => mapping.roomType.toString() === roomTypeId.toString());
+    if (!roomMapping) {
+        throw new Error('Room type is no longer mapped on this channel');
+    }
+
+    const availability = await calculateRoomTypeAvailability(models, propertyId, roomTypeId, dateFrom, dateTo);
+    if (!availability) {
+        throw new Error('Room type not found');
+    }
+
+    const restrictionMap = await getRestrictionsForStay(models, propertyId, roomTypeId, dateFrom, dateTo);
+
+    const rateMappings = (connection.ratePlanMappings || [])
+        .filter(mapping => mapping.roomType.toString() === roomTypeId.toString());
+    const planIds = rateMappings.map(mapping => mapping.ratePlan).filter(Boolean);
+    const plans = planIds.length > 0
+        ? await RatePlan.find({ _id: { $in: planIds }, property: propertyId }).lean()
+        : [];
+    const planMap = new Map(plans.map(plan => [plan._id.toString(), plan]));
+
+    const days = [];
+    for (let night = new Date(dateFrom); night < dateTo; night.setUTCDate(night.getUTCDate() + 1)) {
+        const dateStr = toDateKey(night);
+
+        const rates = {};
+        for (const mapping of rateMappings) {
+            const plan = mapping.ratePlan ? planMap.get(mapping.ratePlan.toString()) : null;
+            if (mapping.ratePlan && (!plan || !plan.isActive)) {
+                continue;
+            }
+            const { source, ratePlan, occupancyPercent, ...price } = await getRatePlanPriceForDate(models, propertyId, plan, roomTypeId, night);
+            rates[mapping.externalRateCode] = price;
+        }
+
+        const restriction = restrictionMap[dateStr];
+        days.push({
+            date: dateStr,
+            available: availability.dailyAvailability[dateStr] ?? 0,
+            rates,
+            restrictions: {
+                minLOS: restriction?.minLOS || null,
+                maxLOS: restriction?.maxLOS || null,
+                closedToArrival: !!restriction?.closedToArrival,
+                closedToDeparture: !!restriction?.closedToDeparture,
+                stopSell: !!restriction?.stopSell
+            }
+        });
+    }
+
+    return {
+        hotelCode: connection.hotelCode || null,
+        roomCode: roomMapping.externalRoomCode,
+        days
+    };
+};
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), RETRY_MAX_MS);
+
+// Push one claimed job and record the outcome
+const runJob = async (models, propertyId, job) => {
+    const { ChannelConnection } = models;
+    const now = new Date();
+    const connection = await ChannelConnection.findOne({ _id: job.connection, property: propertyId });
+
+    try {
+        if (!connection || !connection.isActive) {
+            throw new Error('Channel connection is missing or inactive');
+        }
+
+        const adapter = getAdapter(connection.adapter);
+        if (!adapter) {
+            throw new Error(`No channel adapter registered for "${connection.adapter}"`);
+        }
+
+        const payload = await buildAriPayload(models, propertyId, connection, job.roomType, job.dateFrom, job.dateTo);
+        const result = await adapter.pushAri(connection, payload);
+
+        job.status = 'success';
+        job.attempts += 1;
+        job.completedAt = now;
+        job.lastError = null;
+        job.externalReference = result?.reference || null;
+        job.attemptLog.push({ attemptedAt: now, success: true, message: `Pushed ${payload.days.length} day(s)` });
+        await job.save();
+
+        connection.lastSyncAt = now;
+        connection.lastError = null;
+        await connection.save();
+        return true;
+    } catch (error) {
+        job.attempts += 1;
+        job.lastError = error.message;
+        job.attemptLog.push({ attemptedAt: now, success: false, message: error.message });
+        if (job.attempts >= job.maxAttempts) {
+            job.status = 'failed';
+            job.completedAt = now;
+        } else {
+            job.status = 'pending';
+            job.nextAttemptAt = new Date(now.getTime() + getRetryDelay(job.attempts));
+        }
+        await job.save();
+
+        console.error(`Channel sync job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+        if (connection) {
+            connection.lastError = error.message;
+            await connection.save();
+        }
+        return false;
+    }
+};
+
+/**
+ * Process due sync jobs for one property.
+ * @param {Object} tenant - Tenant context ({ models, property }) or a request's req.tenant
+ * @returns {Promise<{ processed: Number, succeeded: Number, failed: Number }>}
+ */
+const processPendingJobs = async (tenant, { limit = JOBS_PER_RUN } = {}) => {
+    const { ChannelSyncJob } = tenant.models;
+    const propertyId = tenant.property._id;
+    const summary = { processed: 0, succeeded: 0, failed: 0 };
+
+    await ChannelSyncJob.updateMany(
+        { property: propertyId, status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+        { status: 'pending', nextAttemptAt: new Date() }
+    );
+
+    while (summary.processed < limit) {
+        // Claim one due job at a time so parallel runs never push the same job twice
+        const job = await ChannelSyncJob.findOneAndUpdate(
+            { property: propertyId, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+            { status: 'processing' },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!job) {
+            break;
+        }
+
+        const ok = await runJob(tenant.models, propertyId, job);
+        summary.processed += 1;
+        summary[ok ? 'succeeded' : 'failed'] += 1;
+    }
+
+    return summary;
+};
+
+let syncTimer = null;
+let syncRunning = false;
+
+// Periodically push queued ARI updates for all properties
+const startChannelSyncScheduler = (intervalMs = SYNC_INTERVAL_MS) => {
+    if (syncTimer) {
+        return syncTimer;
+    }
+
+    const run = async () => {
+        if (syncRunning) {
+            return;
+        }
+        syncRunning = true;
+        try {
+            const tenants = await listTenantContexts();
+            for (const tenant of tenants) {
+                try {
+                    await processPendingJobs(tenant);
+                } catch (error) {
+                    console.error(`Error processing channel sync jobs for ${tenant.code}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error running channel sync job:', error);
+        } finally {
+            syncRunning = false;
+        }
+    };
+
+    syncTimer = setInterval(run, intervalMs);
+    syncTimer.unref();
+    return syncTimer;
+};
+
+module.exports = {
+    queueAriUpdate,
+    queueDatesAriUpdate,
+    queueReservationAriUpdate,
+    queueFullSync,
+    buildAriPayload,
+    processPendingJobs,
+    startChannelSyncScheduler,
+};
@@ -0,0 +1,337 @@
+// City ledger credit control and receivables aging
+// An account's credit in use is its outstanding balance plus the stays billed
+// to it that are not invoiced yet. Charges, checkouts and bookings that would
+// take it over the credit limit are refused, unless the account allows an
+// Admin or Manager to override the limit; each override is logged on the account.
+// Aging buckets each unpaid invoice by how far past its due date it is.
+// Payments are allocated to invoices explicitly or oldest due date first, and
+// invoice status (pending, overdue, paid) follows what is still owed on it.
+
+const { round2 } = require('./gstService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const OPEN_RESERVATION_STATUSES = ['tentative', 'confirmed', 'checked-in'];
+const OVERRIDE_ROLES = ['Admin', 'Manager'];
+// Amounts are compared to the paisa
+const TOLERANCE = 0.005;
+
+const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', from: -Infinity, to: 0 },
+    { key: 'days1to30', label: '1-30 days', from: 1, to: 30 },
+    { key: 'days31to60', label: '31-60 days', from: 31, to: 60 },
+    { key: 'days61to90', label: '61-90 days', from: 61, to: 90 },
+    { key: 'over90', label: '90+ days', from: 91, to: Infinity }
+];
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), { total: 0 });
+
+// Amount still owed on a city ledger invoice, after the payments applied to it
+const getInvoiceOutstanding = (account, invoice) => round2(invoice.amount - (account.payments || []).reduce((sum, payment) =>
+    sum + (payment.appliedToInvoices || [])
+        .filter(applied => String(applied.invoiceId) === String(invoice._id))
+        .reduce((applied, entry) => applied + (entry.amount || 0), 0), 0));
+
+// Due date of an invoice (invoices without one fall due after the account's payment terms)
+const getInvoiceDueDate = (account, invoice) => invoice.dueDate
+    || new Date(new Date(invoice.issueDate || invoice.createdAt || Date.now()).getTime() + (account.paymentTerms || 30) * DAY_MS);
+
+const isOpenInvoice = (invoice) => invoice.status !== 'cancelled';
+
+// Part of a payment not yet allocated to an invoice
+const getPaymentUnallocated = (payment) => round2(payment.amount - (payment.appliedToInvoices || [])
+    .reduce((sum, entry) => sum + (entry.amount || 0), 0));
+
+/**
+ * Set the status of each invoice from what is still owed on it: paid when
+ * settled, overdue past its due date, pending otherwise. Cancelled invoices
+ * are left alone.
+ *
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Date} [asOf]
+ * @returns {Array} Invoices whose status changed
+ */
+const refreshInvoiceStatuses = (account, asOf = new Date()) => {
+    const changed = [];
+    (account.invoices || []).filter(isOpenInvoice).forEach(invoice => {
+        const outstanding = getInvoiceOutstanding(account, invoice);
+        let status = 'pending';
+        if (outstanding <= TOLERANCE) {
+            status = 'paid';
+        } else if (getInvoiceDueDate(account, invoice) < asOf) {
+            status = 'overdue';
+        }
+        if (invoice.status !== status) {
+            invoice.status = status;
+            changed.push(invoice);
+        }
+    });
+    return changed;
+};
+
+/**
+ * Allocate the unallocated part of a payment to invoices: to the invoices
+ * given, or oldest due date first when none are. Refunds (negative payments)
+ * are not allocated. Mutates payment.appliedToInvoices; the caller refreshes
+ * invoice statuses and saves the account.
+ *
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Object} payment - Payment subdocument of the account
+ * @param {Array} [allocations] - [{ invoiceId, amount }]; omitted for FIFO
+ * @returns {{ allocated: Array, unallocated: Number } | { status: Number, error: String }}
+ */
+const allocatePayment = (account, payment, allocations) => {
+    let available = getPaymentUnallocated(payment);
+    if (payment.amount <= 0 || available <= TOLERANCE) {
+        return { allocated: [], unallocated: Math.max(0, available) };
+    }
+
+    const allocated = [];
+    if (allocations && allocations.length > 0) {
+        const requested = {};
+        for (const [index, entry] of allocations.entries()) {
+            const invoice = entry && account.invoices.id(entry.invoiceId);
+            if (!invoice) {
+                return { status: 400, error: `appliedToInvoices[${index}]: invoice not found on this account` };
+            }
+            if (!isOpenInvoice(invoice)) {
+                return { status: 400, error: `Invoice ${invoice.invoiceNumber} is cancelled` };
+            }
+            const amount = round2(Number(entry.amount));
+            if (!(amount > 0)) {
+                return { status: 400, error: `appliedToInvoices[${index}].amount must be greater than 0` };
+            }
+            const key = String(invoice._id);
+            requested[key] = round2((requested[key] || 0) + amount);
+            if (requested[key] - getInvoiceOutstanding(account, invoice) > TOLERANCE) {
+                return { status: 400, error: `Invoice ${invoice.invoiceNumber} has only ${getInvoiceOutstanding(account, invoice).toFixed(2)} outstanding` };
+            }
+            allocated.push({ invoiceId: invoice._id, amount });
+        }
+        const total = round2(allocated.reduce((sum, entry) => sum + entry.amount, 0));
+        if (total - available > TOLERANCE) {
+            return { status: 400, error: `Allocations total ${total.toFixed(2)} but only ${available.toFixed(2)} of the payment is unallocated` };
+        }
+    } else {
+        const invoices = account.invoices
+            .filter(isOpenInvoice)
+            .map(invoice => ({ invoice, outstanding: getInvoiceOutstanding(account, invoice), dueDate: getInvoiceDueDate(account, invoice) }))
+            .filter(entry => entry.outstanding > TOLERANCE)
+            .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+        for (const { invoice, outstanding } of invoices) {
+            if (available <= TOLERANCE) {
+                break;
+            }
+            const amount = round2(Math.min(outstanding, available));
+            allocated.push({ invoiceId: invoice._id, amount });
+            available = round2(available - amount);
+        }
+    }
+
+    allocated.forEach(entry => payment.appliedToInvoices.push(entry));
+    return { allocated, unallocated: getPaymentUnallocated(payment) };
+};
+
+/**
+ * Credit an account has in use: its outstanding balance plus open stays billed
+ * to it and checked-out stays not invoiced yet.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Object} [options] - { excludeReservationId }
+ * @returns {Promise<{ creditLimit, outstanding, openReservations, uninvoicedStays, exposure, available }>}
+ */
+const getCreditExposure = async (models, propertyId, account, { excludeReservationId } = {}) => {
+    account.calculateBalance();
+
+    const query = {
+        property: propertyId,
+        billToCityLedger: true,
+        cityLedgerAccountId: account._id,
+        status: { $in: OPEN_RESERVATION_STATUSES }
+    };
+    if (excludeReservationId) {
+        query._id = { $ne: excludeReservationId };
+    }
+    const reservations = await models.Reservations.find(query).select('totalAmount payedAmount').lean();
+    const openReservations = round2(reservations.reduce((sum, reservation) =>
+        sum + Math.max(0, (reservation.totalAmount || 0) - (reservation.payedAmount || 0)), 0));
+
+    // Checked-out stays waiting for the account's consolidated invoice
+    const bills = await models.Bill.find({
+        property: propertyId,
+        'billingWindow.cityLedgerAccountId': account._id,
+        'billingWindow.cityLedgerInvoiceNumber': { $in: [null, ''] },
+        finalBalance: { $gt: TOLERANCE }
+    }).select('finalBalance').lean();
+    const uninvoicedStays = round2(bills.reduce((sum, bill) => sum + bill.finalBalance, 0));
+
+    const outstanding = round2(account.outstandingBalance);
+    const exposure = round2(outstanding + openReservations + uninvoicedStays);
+    return {
+        creditLimit: account.creditLimit || 0,
+        outstanding,
+        openReservations,
+        uninvoicedStays,
+        exposure,
+        available: account.creditLimit > 0 ? round2(account.creditLimit - exposure) : null
+    };
+};
+
+/**
+ * Check that adding an amount keeps an account within its credit limit.
+ * Over the limit, an Admin or Manager can override it (with a reason) unless
+ * the account blocks overrides.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Number} amount - Amount being added to the account (0 checks the credit already in use)
+ * @param {Object} [options]
+ * @param {Boolean} [options.override] - Manager approved going over the limit
+ * @param {String} [options.reason] - Why the limit is overridden
+ * @param {Object} [options.user] - req.user
+ * @param {ObjectId} [options.excludeReservationId] - Reservation already counted in amount
+ * @returns {Promise<{ credit, override?: Boolean } | { status: Number, error: String, code: String, credit }>}
+ */
+const checkCreditLimit = async (models, propertyId, account, amount, { override = false, reason, user, excludeReservationId } = {}) => {
+    const exposure = await getCreditExposure(models, propertyId, account, { excludeReservationId });
+    const credit = {
+        ...exposure,
+        requested: round2(amount),
+        projected: round2(exposure.exposure + amount),
+        creditLimitAction: account.creditLimitAction || 'override'
+    };
+
+    if (!credit.creditLimit || credit.projected - credit.creditLimit <= TOLERANCE) {
+        return { credit };
+    }
+
+    const limitMessage = `${account.accountName} would be at ${credit.projected.toFixed(2)} against a credit limit of ${credit.creditLimit.toFixed(2)}`;
+    if (credit.creditLimitAction === 'block') {
+        return { status: 409, code: 'CREDIT_LIMIT_EXCEEDED', error: `Credit limit exceeded: ${limitMessage}.`, credit };
+    }
+    if (!override) {
+        return {
+            status: 409,
+            code: 'CREDIT_LIMIT_EXCEEDED',
+            error: `Credit limit exceeded: ${limitMessage}. A manager can override it with overrideCreditLimit and a reason.`,
+            credit
+        };
+    }
+    if (!OVERRIDE_ROLES.includes(user?.role)) {
+        return { status: 403, code: 'CREDIT_LIMIT_OVERRIDE_FORBIDDEN', error: 'Only an Admin or Manager can override the credit limit.', credit };
+    }
+    if (!reason || !reason.trim()) {
+        return { status: 400, code: 'CREDIT_LIMIT_OVERRIDE_REASON', error: 'A reason is required to override the credit limit.', credit };
+    }
+    return { credit, override: true };
+};
+
+// Override log entry for an account (push it to account.creditOverrides)
+const buildCreditOverride = (context, credit, { reason, user, reservationId } = {}) => ({
+    date: new Date(),
+    context,
+    reservationId,
+    amount: credit.requested,
+    exposure: credit.projected,
+    creditLimit: credit.creditLimit,
+    reason: reason?.trim(),
+    approvedBy: user?.id,
+    approvedByName: user?.name
+});
+
+/**
+ * Aging of an account's unpaid invoices, bucketed by days past the due date.
+ *
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Date} [asOf]
+ * @returns {{ accountId, accountCode, accountName, creditLimit, paymentTerms, outstandingBalance,
+ *   unappliedPayments, aging, invoices: Array }}
+ */
+const getAccountAging = (account, asOf = new Date()) => {
+    const aging = emptyBuckets();
+    const invoices = [];
+
+    (account.invoices || [])
+        .filter(invoice => ['pending', 'overdue'].includes(invoice.status))
+        .forEach(invoice => {
+            const outstanding = getInvoiceOutstanding(account, invoice);
+            if (outstanding <= TOLERANCE) {
+                return;
+            }
+            const dueDate = getInvoiceDueDate(account, invoice);
+            const daysPastDue = Math.floor((asOf.getTime() - new Date(dueDate).getTime()) / DAY_MS);
+            const bucket = AGING_BUCKETS.find(entry => daysPastDue >= entry.from && daysPastDue <= entry.to);
+
+            aging[bucket.key] = round2(aging[bucket.key] + outstanding);
+            aging.total = round2(aging.total + outstanding);
+            invoices.push({
+                invoiceId: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                guestName: invoice.guestName,
+                issueDate: invoice.issueDate,
+                dueDate,
+                amount: invoice.amount,
+                outstanding,
+                daysPastDue: Math.max(0, daysPastDue),
+                bucket: bucket.key
+            });
+        });
+
+    // Payments not applied to an invoice are credit the account has not used yet
+    const unappliedPayments = round2((account.payments || []).reduce((sum, payment) => sum + getPaymentUnallocated(payment), 0));
+
+    account.calculateBalance();
+    return {
+        accountId: account._id,
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        creditLimit: account.creditLimit || 0,
+        paymentTerms: account.paymentTerms,
+        outstandingBalance: round2(account.outstandingBalance),
+        overLimit: account.creditLimit > 0 && account.outstandingBalance - account.creditLimit > TOLERANCE,
+        unappliedPayments,
+        aging,
+        invoices: invoices.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    };
+};
+
+/**
+ * Aging of every active account of a property, with property totals.
+ *
+ * @param {Array} accounts - CityLedgerAccount documents
+ * @param {Date} [asOf]
+ * @returns {{ asOf, buckets, aging, accounts: Array }}
+ */
+const buildAgingReport = (accounts, asOf = new Date()) => {
+    const aging = emptyBuckets();
+    const rows = accounts.map(account => {
+        const row = getAccountAging(account, asOf);
+        Object.keys(aging).forEach(key => {
+            aging[key] = round2(aging[key] + row.aging[key]);
+        });
+        return row;
+    });
+
+    return {
+        asOf,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        aging,
+        accounts: rows.sort((a, b) => b.aging.total - a.aging.total)
+    };
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    getInvoiceOutstanding,
+    getInvoiceDueDate,
+    getPaymentUnallocated,
+    refreshInvoiceStatuses,
+    allocatePayment,
+    getCreditExposure,
+    checkCreditLimit,
+    buildCreditOverride,
+    getAccountAging,
+    buildAgingReport,
+};
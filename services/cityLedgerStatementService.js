@@ -0,0 +1,346 @@
+// City ledger statements of account
+// A statement lists an account's invoices (debits) and payments (credits) for
+// a period with a running balance, from the opening balance carried into the
+// period to the closing balance, followed by the invoices still unpaid. It is
+// served as JSON, rendered as a PDF and emailed with the PDF attached.
+
+const PDFDocument = require('pdfkit');
+const emailService = require('./emailService');
+const { round2 } = require('./gstService');
+const { getPropertyDetails } = require('./businessDateService');
+const { getAccountAging } = require('./cityLedgerService');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+
+// Ledger entries of an account, oldest first; cancelled invoices are left out
+const getLedgerEntries = (account) => {
+    const invoices = (account.invoices || [])
+        .filter(invoice => invoice.status !== 'cancelled')
+        .map(invoice => ({
+            date: invoice.issueDate || invoice.createdAt,
+            type: 'invoice',
+            reference: invoice.invoiceNumber,
+            description: invoice.description || (invoice.guestName ? `Invoice - ${invoice.guestName}` : 'Invoice'),
+            dueDate: invoice.dueDate,
+            debit: round2(invoice.amount),
+            credit: 0
+        }));
+    // Negative payments are refunds paid back through the payment gateway
+    const payments = (account.payments || []).map(payment => ({
+        date: payment.date,
+        type: payment.amount < 0 ? 'refund' : 'payment',
+        reference: payment.referenceNumber || payment.transactionId || '',
+        description: `${payment.amount < 0 ? 'Refund' : 'Payment'} - ${payment.method}${payment.notes ? ` (${payment.notes})` : ''}`,
+        debit: payment.amount < 0 ? round2(-payment.amount) : 0,
+        credit: payment.amount > 0 ? round2(payment.amount) : 0
+    }));
+    return [...invoices, ...payments].sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Statement of account for a period.
+ *
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Object} period - { from: Date, to: Date } (both inclusive)
+ * @returns {{ account, period, openingBalance, totalDebits, totalCredits, closingBalance, lines: Array,
+ *   outstandingInvoices: Array, aging }}
+ */
+const buildStatement = (account, { from, to }) => {
+    const entries = getLedgerEntries(account);
+
+    const openingBalance = round2(entries
+        .filter(entry => new Date(entry.date) < from)
+        .reduce((sum, entry) => sum + entry.debit - entry.credit, 0));
+
+    let balance = openingBalance;
+    const lines = entries
+        .filter(entry => new Date(entry.date) >= from && new Date(entry.date) <= to)
+        .map(entry => {
+            balance = round2(balance + entry.debit - entry.credit);
+            return { ...entry, balance };
+        });
+
+    const totalDebits = round2(lines.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredits = round2(lines.reduce((sum, line) => sum + line.credit, 0));
+    const aging = getAccountAging(account, to);
+
+    return {
+        account: {
+            _id: account._id,
+            accountCode: account.accountCode,
+            accountName: account.accountName,
+            contactPerson: account.contactPerson,
+            email: account.email,
+            address: account.address,
+            gstin: account.gstin,
+            creditLimit: account.creditLimit || 0,
+            paymentTerms: account.paymentTerms
+        },
+        period: { from, to },
+        openingBalance,
+        totalDebits,
+        totalCredits,
+        closingBalance: round2(openingBalance + totalDebits - totalCredits),
+        lines,
+        outstandingInvoices: aging.invoices,
+        unappliedPayments: aging.unappliedPayments,
+        aging: aging.aging
+    };
+};
+
+/**
+ * Render a statement of account as an A4 PDF.
+ *
+ * @param {Object} statement - From buildStatement
+ * @param {Object} [propertyDetails]
+ * @returns {Promise<Buffer>}
+ */
+const renderStatementPdf = (statement, propertyDetails) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Colors
+    const primaryColor = '#0f5f9c';
+    const textColor = '#1f2a37';
+    const grayColor = '#6b7280';
+
+    const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const { account, period } = statement;
+
+    // Header
+    doc.rect(0, 0, doc.page.width, 80).fill(primaryColor);
+    doc.fillColor('white')
+       .fontSize(24)
+       .font('Helvetica-Bold')
+       .text(propertyDetails?.propertyName || 'Hotel', 50, 30);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(`Statement of Account - ${formatDate(period.from)} to ${formatDate(period.to)}`, 50, 60);
+
+    let yPos = 100;
+
+    const ensureSpace = (height) => {
+        if (yPos + height > doc.page.height - 80) {
+            doc.addPage();
+            yPos = 50;
+        }
+    };
+
+    // Account information
+    doc.font('Helvetica')
+       .fontSize(9)
+       .fillColor(grayColor)
+       .text('Account:', 50, yPos)
+       .text('Code:', 50, yPos + 15)
+       .text('Contact:', 50, yPos + 30)
+       .text('GSTIN:', 50, yPos + 45);
+    doc.fillColor(textColor)
+       .text(account.accountName, 140, yPos, { width: 150 })
+       .text(account.accountCode, 140, yPos + 15)
+       .text(account.contactPerson || '-', 140, yPos + 30)
+       .text(account.gstin || '-', 140, yPos + 45);
+
+    doc.fillColor(grayColor)
+       .text('Opening Balance:', 300, yPos)
+       .text('Invoiced:', 300, yPos + 15)
+       .text('Paid:', 300, yPos + 30)
+       .text('Closing Balance:', 300, yPos + 45);
+    doc.fillColor(textColor)
+       .text(formatAmount(statement.openingBalance), 400, yPos, { width: 145, align: 'right' })
+       .text(formatAmount(statement.totalDebits), 400, yPos + 15, { width: 145, align: 'right' })
+       .text(formatAmount(statement.totalCredits), 400, yPos + 30, { width: 145, align: 'right' })
+       .font('Helvetica-Bold')
+       .text(formatAmount(statement.closingBalance), 400, yPos + 45, { width: 145, align: 'right' });
+
+    yPos += 75;
+
+    // Transactions
+    doc.font('Helvetica-Bold')
+       .fontSize(10)
+       .fillColor(textColor)
+       .text('Transactions', 50, yPos);
+
+    yPos += 20;
+    const drawTransactionsHeader = () => {
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .fillColor('white')
+           .text('Date', 55, yPos + 6)
+           .text('Reference', 110, yPos + 6)
+           .text('Description', 190, yPos + 6)
+           .text('Debit', 330, yPos + 6, { width: 65, align: 'right' })
+           .text('Credit', 400, yPos + 6, { width: 65, align: 'right' })
+           .text('Balance', 470, yPos + 6, { width: 75, align: 'right' });
+        yPos += 25;
+    };
+    drawTransactionsHeader();
+
+    doc.font('Helvetica')
+       .fontSize(8)
+       .fillColor(textColor)
+       .text(formatDate(period.from), 55, yPos)
+       .text('Opening balance', 190, yPos)
+       .text(formatAmount(statement.openingBalance), 470, yPos, { width: 75, align: 'right' });
+    yPos += 15;
+
+    statement.lines.forEach(line => {
+        ensureSpace(15);
+        doc.font('Helvetica')
+           .fontSize(8)
+           .fillColor(textColor)
+           .text(formatDate(line.date), 55, yPos)
+           .text(line.reference || '-', 110, yPos, { width: 75, height: 10, ellipsis: true })
+           .text(line.description, 190, yPos, { width: 135, height: 10, ellipsis: true })
+           .text(line.debit ? formatAmount(line.debit) : '', 330, yPos, { width: 65, align: 'right' })
+           .text(line.credit ? formatAmount(line.credit) : '', 400, yPos, { width: 65, align: 'right' })
+           .text(formatAmount(line.balance), 470, yPos, { width: 75, align: 'right' });
+        yPos += 15;
+    });
+
+    ensureSpace(20);
+    doc.strokeColor(grayColor).moveTo(50, yPos).lineTo(550, yPos).stroke();
+    yPos += 5;
+    doc.font('Helvetica-Bold')
+       .fontSize(8)
+       .text('Closing balance', 190, yPos)
+       .text(formatAmount(statement.totalDebits), 330, yPos, { width: 65, align: 'right' })
+       .text(formatAmount(statement.totalCredits), 400, yPos, { width: 65, align: 'right' })
+       .text(formatAmount(statement.closingBalance), 470, yPos, { width: 75, align: 'right' });
+
+    yPos += 30;
+
+    // Unpaid invoices
+    ensureSpace(60);
+    doc.font('Helvetica-Bold')
+       .fontSize(10)
+       .fillColor(textColor)
+       .text(`Outstanding Invoices (${statement.outstandingInvoices.length})`, 50, yPos);
+
+    yPos += 20;
+    if (statement.outstandingInvoices.length === 0) {
+        doc.font('Helvetica')
+           .fontSize(8)
+           .fillColor(grayColor)
+           .text('No invoices outstanding.', 50, yPos);
+        yPos += 15;
+    } else {
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .fillColor('white')
+           .text('Invoice', 55, yPos + 6)
+           .text('Issued', 150, yPos + 6)
+           .text('Due', 220, yPos + 6)
+           .text('Days Overdue', 280, yPos + 6, { width: 60, align: 'right' })
+           .text('Amount', 350, yPos + 6, { width: 90, align: 'right' })
+           .text('Outstanding', 450, yPos + 6, { width: 95, align: 'right' });
+
+        yPos += 25;
+        statement.outstandingInvoices.forEach(invoice => {
+            ensureSpace(15);
+            doc.font('Helvetica')
+               .fontSize(8)
+               .fillColor(textColor)
+               .text(invoice.invoiceNumber, 55, yPos)
+               .text(invoice.issueDate ? formatDate(invoice.issueDate) : '-', 150, yPos)
+               .text(formatDate(invoice.dueDate), 220, yPos)
+               .text(String(invoice.daysPastDue), 280, yPos, { width: 60, align: 'right' })
+               .text(formatAmount(invoice.amount), 350, yPos, { width: 90, align: 'right' })
+               .text(formatAmount(invoice.outstanding), 450, yPos, { width: 95, align: 'right' });
+            yPos += 15;
+        });
+    }
+
+    if (statement.unappliedPayments > 0) {
+        yPos += 10;
+        ensureSpace(20);
+        doc.font('Helvetica')
+           .fontSize(8)
+           .fillColor(grayColor)
+           .text(`Payments of ${formatAmount(statement.unappliedPayments)} are not yet allocated to an invoice.`, 50, yPos);
+    }
+
+    doc.end();
+});
+
+/**
+ * Statement of account as a PDF.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} statement - From buildStatement
+ * @returns {Promise<Buffer>}
+ */
+const generateStatementPdf = async (tenant, statement) => {
+    const details = await getPropertyDetails(tenant.models, tenant.property._id);
+    return renderStatementPdf(statement, details);
+};
+
+/**
+ * Email a statement of account with the PDF attached. Uses the property's
+ * cityLedgerStatement email template when it has one.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} statement - From buildStatement
+ * @param {String} recipient - Email address
+ * @returns {Promise<{ success: Boolean, messageId?: String, error?: String }>}
+ */
+const emailStatement = async (tenant, statement, recipient) => {
+    const propertyId = tenant.property._id;
+    const [details, template] = await Promise.all([
+        getPropertyDetails(tenant.models, propertyId),
+        tenant.models.EmailTemplate.findOne({ template_name: 'cityLedgerStatement', property: propertyId }).lean()
+    ]);
+    const propertyName = details?.propertyName || tenant.property?.name || 'Hotel';
+    const from = formatDate(statement.period.from);
+    const to = formatDate(statement.period.to);
+    const closingBalance = statement.closingBalance.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    const replacements = {
+        accountName: statement.account.accountName,
+        accountCode: statement.account.accountCode,
+        contactPerson: statement.account.contactPerson || 'Valued Customer',
+        fromDate: from,
+        toDate: to,
+        closingBalance,
+        propertyName,
+        propertyEmail: details?.email || '',
+        propertyPhone: details?.phone || ''
+    };
+    const fill = (text) => Object.keys(replacements).reduce(
+        (result, key) => result.replace(new RegExp(`{{${key}}}`, 'g'), replacements[key]),
+        text
+    );
+
+    const emailHtml = template?.content ? fill(template.content) : `
+        <div style="font-family: Arial, sans-serif; padding: 20px;">
+            <h2 style="color: #0f5f9c;">Statement of Account</h2>
+            <p>Dear ${replacements.contactPerson},</p>
+            <p>Please find attached the statement of account ${statement.account.accountCode} for ${from} to ${to}.
+            The balance as of ${to} is <strong>₹${closingBalance}</strong>.</p>
+            <p>Best regards,<br>${propertyName}</p>
+        </div>
+    `;
+    const subject = template?.subject
+        ? fill(template.subject)
+        : `Statement of Account ${from} - ${to} - ${propertyName}`;
+
+    return emailService.sendEmail(tenant, recipient, subject, emailHtml, {
+        attachments: [{
+            filename: `Statement_${statement.account.accountCode}_${from.replace(/\//g, '-')}_${to.replace(/\//g, '-')}.pdf`,
+            content: await generateStatementPdf(tenant, statement)
+        }]
+    });
+};
+
+module.exports = {
+    buildStatement,
+    generateStatementPdf,
+    emailStatement,
+};
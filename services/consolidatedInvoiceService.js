@@ -0,0 +1,382 @@
+// Consolidated city ledger invoices
+// Corporate accounts can be billed once for a period instead of once per
+// checkout: a consolidated invoice bills the account's charges not invoiced
+// yet and the folio bills of every stay billed to the account in the period,
+// with a per-stay breakdown, PO number and cost centers.
+
+const PDFDocument = require('pdfkit');
+const { round2 } = require('./gstService');
+const { getPropertyDetails } = require('./businessDateService');
+const { scheduleInvoiceReminders } = require('./scheduledEmailService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const TOLERANCE = 0.005;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB') : '-');
+
+const chargeTotal = (charge) => round2(charge.amount + (charge.tax || 0) - (charge.discount || 0));
+
+const inPeriod = (date, { from, to }) => (!from || new Date(date) >= from) && new Date(date) <= to;
+
+// Stay line of a bill; the part of it billed to the account is its unpaid balance
+const buildStay = (bill, costCenter) => ({
+    billId: bill.billId,
+    folioId: bill.folioId,
+    reservationId: bill.reservationId,
+    guestName: bill.guestName,
+    roomNumber: bill.roomNumbers?.length > 1 ? bill.roomNumbers.join(', ') : bill.roomNumber,
+    checkIn: bill.checkIn,
+    checkOut: bill.checkOut,
+    costCenter,
+    taxableValue: round2(bill.taxableValue || 0),
+    cgst: round2(bill.cgstTotal || 0),
+    sgst: round2(bill.sgstTotal || 0),
+    igst: round2(bill.igstTotal || 0),
+    totalTax: round2(bill.totalTax || 0),
+    totalCharges: round2(bill.totalCharges || 0),
+    paidByGuest: round2(bill.totalPayments || 0),
+    amount: round2(bill.finalBalance)
+});
+
+/**
+ * What a consolidated invoice for a period would bill: the account's charges
+ * not invoiced yet and the bills of stays checked out to it and not invoiced.
+ * from is optional (everything not invoiced up to to).
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Object} period - { from?: Date, to: Date }
+ * @param {Object} [options] - { costCenter, costCenters: [{ billId, costCenter }] }
+ * @returns {Promise<{ period, bills: Array, charges: Array, stays: Array, totals }>}
+ */
+const buildConsolidatedInvoice = async (models, propertyId, account, period, { costCenter, costCenters = [] } = {}) => {
+    const checkoutDate = { $lte: period.to };
+    if (period.from) {
+        checkoutDate.$gte = period.from;
+    }
+    const bills = await models.Bill.find({
+        property: propertyId,
+        'billingWindow.cityLedgerAccountId': account._id,
+        'billingWindow.cityLedgerInvoiceNumber': { $in: [null, ''] },
+        finalBalance: { $gt: TOLERANCE },
+        checkoutDate
+    }).sort({ checkoutDate: 1 });
+
+    const charges = account.getUninvoicedCharges()
+        .filter(charge => inPeriod(charge.date, period))
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const stayCostCenters = new Map(costCenters.map(entry => [entry.billId, entry.costCenter]));
+    const stays = bills.map(bill => buildStay(bill, stayCostCenters.get(bill.billId) || costCenter));
+
+    const chargeLines = charges.map(charge => ({
+        chargeId: charge._id,
+        date: charge.date,
+        description: charge.description,
+        department: charge.department,
+        amount: round2(charge.amount - (charge.discount || 0)),
+        tax: round2(charge.tax || 0),
+        total: chargeTotal(charge)
+    }));
+
+    const totals = {
+        stays: round2(stays.reduce((sum, stay) => sum + stay.amount, 0)),
+        charges: round2(chargeLines.reduce((sum, line) => sum + line.total, 0)),
+        taxableValue: round2(stays.reduce((sum, stay) => sum + stay.taxableValue, 0) + chargeLines.reduce((sum, line) => sum + line.amount, 0)),
+        totalTax: round2(stays.reduce((sum, stay) => sum + stay.totalTax, 0) + chargeLines.reduce((sum, line) => sum + line.tax, 0))
+    };
+    totals.amount = round2(totals.stays + totals.charges);
+
+    return { period, bills, charges, stays, chargeLines, totals };
+};
+
+/**
+ * Raise a consolidated invoice on an account for a period. The bills and
+ * charges billed on it are marked as invoiced so no later invoice bills them
+ * again.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} account - CityLedgerAccount document
+ * @param {Object} params - { from?, to, poNumber, costCenter, costCenters, dueDate, description }
+ * @returns {Promise<{ invoice, stays, totals } | { status: Number, error: String }>}
+ */
+const createConsolidatedInvoice = async (tenant, account, { from, to, poNumber, costCenter, costCenters, dueDate, description } = {}) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const consolidated = await buildConsolidatedInvoice(models, propertyId, account, { from, to }, {
+        costCenter: costCenter || account.costCenter,
+        costCenters
+    });
+    if (consolidated.totals.amount <= TOLERANCE) {
+        return { status: 400, error: 'Nothing to invoice: the account has no stays or charges waiting for an invoice in this period.' };
+    }
+
+    const issueDate = new Date();
+    account.invoices.push({
+        amount: consolidated.totals.amount,
+        issueDate,
+        dueDate: dueDate || new Date(issueDate.getTime() + (account.paymentTerms || 30) * DAY_MS),
+        status: 'pending',
+        description: description || `Consolidated invoice for ${account.accountName}${from ? ` - ${formatDate(from)} to ${formatDate(to)}` : ` - up to ${formatDate(to)}`}`,
+        items: consolidated.charges.map(charge => charge.toObject()),
+        consolidated: true,
+        periodFrom: from,
+        periodTo: to,
+        stays: consolidated.stays,
+        poNumber: poNumber || account.poNumber,
+        costCenter: costCenter || account.costCenter
+    });
+    const invoice = account.invoices[account.invoices.length - 1];
+    consolidated.charges.forEach(charge => {
+        charge.invoiceId = invoice._id;
+    });
+    account.calculateBalance();
+
+    const billIds = consolidated.bills.map(bill => bill._id);
+    try {
+        // Number the invoice, save it and claim its bills together
+        await tenant.connection.transaction(async (session) => {
+            invoice.invoiceNumber = await models.CityLedgerAccount.generateInvoiceNumber(propertyId, { session });
+            await account.save({ session });
+            if (billIds.length > 0) {
+                const result = await models.Bill.updateMany(
+                    { _id: { $in: billIds }, property: propertyId, 'billingWindow.cityLedgerInvoiceNumber': { $in: [null, ''] } },
+                    { $set: { 'billingWindow.cityLedgerInvoiceNumber': invoice.invoiceNumber } },
+                    { session }
+                );
+                if (result.modifiedCount !== billIds.length) {
+                    throw new Error('BILLS_ALREADY_INVOICED');
+                }
+            }
+        });
+    } catch (error) {
+        if (error.message === 'BILLS_ALREADY_INVOICED') {
+            return { status: 409, error: 'Some of these stays were invoiced meanwhile; preview the invoice again.' };
+        }
+        throw error;
+    }
+
+    await scheduleInvoiceReminders(models, propertyId, account, invoice);
+    return { invoice, stays: consolidated.stays, totals: consolidated.totals };
+};
+
+/**
+ * Render a city ledger invoice as an A4 PDF, with the per-stay breakdown of a
+ * consolidated invoice and the charges billed on it.
+ *
+ * @param {Object} account - CityLedgerAccount
+ * @param {Object} invoice - Invoice of the account
+ * @param {Object} [propertyDetails]
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (account, invoice, propertyDetails) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Colors
+    const primaryColor = '#0f5f9c';
+    const textColor = '#1f2a37';
+    const grayColor = '#6b7280';
+
+    const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const stays = invoice.stays || [];
+    const items = invoice.items || [];
+
+    // Header
+    doc.rect(0, 0, doc.page.width, 80).fill(primaryColor);
+    doc.fillColor('white')
+       .fontSize(24)
+       .font('Helvetica-Bold')
+       .text(propertyDetails?.propertyName || 'Hotel', 50, 30);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(`${invoice.consolidated ? 'Consolidated Invoice' : 'Invoice'} - ${invoice.invoiceNumber}`, 50, 60);
+    if (propertyDetails?.gstin) {
+        doc.text(`GSTIN: ${propertyDetails.gstin}`, 350, 60, { width: 195, align: 'right' });
+    }
+
+    let yPos = 100;
+
+    const ensureSpace = (height) => {
+        if (yPos + height > doc.page.height - 80) {
+            doc.addPage();
+            yPos = 50;
+        }
+    };
+
+    // Bill to
+    doc.font('Helvetica-Bold')
+       .fontSize(9)
+       .fillColor(grayColor)
+       .text('Bill To', 50, yPos);
+    doc.font('Helvetica')
+       .fillColor(textColor)
+       .text(account.legalName || account.accountName, 50, yPos + 15, { width: 230 })
+       .text(account.address || '', 50, yPos + 30, { width: 230, height: 24, ellipsis: true })
+       .text(account.gstin ? `GSTIN: ${account.gstin}` : `Account: ${account.accountCode}`, 50, yPos + 60);
+
+    doc.fillColor(grayColor)
+       .text('Invoice Date:', 300, yPos)
+       .text('Due Date:', 300, yPos + 15)
+       .text('Period:', 300, yPos + 30)
+       .text('PO Number:', 300, yPos + 45)
+       .text('Cost Center:', 300, yPos + 60);
+    doc.fillColor(textColor)
+       .text(formatDate(invoice.issueDate), 400, yPos)
+       .text(formatDate(invoice.dueDate), 400, yPos + 15)
+       .text(invoice.periodTo ? `${invoice.periodFrom ? formatDate(invoice.periodFrom) : '...'} - ${formatDate(invoice.periodTo)}` : '-', 400, yPos + 30)
+       .text(invoice.poNumber || '-', 400, yPos + 45)
+       .text(invoice.costCenter || '-', 400, yPos + 60);
+
+    yPos += 90;
+
+    // Stays
+    if (stays.length > 0) {
+        doc.font('Helvetica-Bold')
+           .fontSize(10)
+           .fillColor(textColor)
+           .text(`Stays (${stays.length})`, 50, yPos);
+
+        yPos += 20;
+        doc.font('Helvetica-Bold')
+           .fontSize(7)
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .fillColor('white')
+           .text('Guest / Bill', 55, yPos + 6)
+           .text('Room', 150, yPos + 6)
+           .text('Stay', 185, yPos + 6)
+           .text('Cost Center', 270, yPos + 6)
+           .text('Taxable', 330, yPos + 6, { width: 50, align: 'right' })
+           .text('Tax', 385, yPos + 6, { width: 40, align: 'right' })
+           .text('Total', 430, yPos + 6, { width: 50, align: 'right' })
+           .text('Billed', 485, yPos + 6, { width: 60, align: 'right' });
+
+        yPos += 25;
+        stays.forEach(stay => {
+            ensureSpace(25);
+            doc.font('Helvetica')
+               .fontSize(7)
+               .fillColor(textColor)
+               .text(stay.guestName || '-', 55, yPos, { width: 90, height: 9, ellipsis: true })
+               .text(stay.roomNumber || '-', 150, yPos, { width: 32, height: 9, ellipsis: true })
+               .text(`${formatDate(stay.checkIn)} - ${formatDate(stay.checkOut)}`, 185, yPos, { width: 85 })
+               .text(stay.costCenter || '-', 270, yPos, { width: 58, height: 9, ellipsis: true })
+               .text(formatAmount(stay.taxableValue), 330, yPos, { width: 50, align: 'right' })
+               .text(formatAmount(stay.totalTax), 385, yPos, { width: 40, align: 'right' })
+               .text(formatAmount(stay.totalCharges), 430, yPos, { width: 50, align: 'right' })
+               .text(formatAmount(stay.amount), 485, yPos, { width: 60, align: 'right' });
+            doc.fillColor(grayColor)
+               .text(stay.billId || '', 55, yPos + 9, { width: 90 });
+            yPos += 22;
+        });
+        yPos += 10;
+    }
+
+    // Charges
+    if (items.length > 0) {
+        ensureSpace(60);
+        doc.font('Helvetica-Bold')
+           .fontSize(10)
+           .fillColor(textColor)
+           .text(`Charges (${items.length})`, 50, yPos);
+
+        yPos += 20;
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .fillColor('white')
+           .text('Date', 55, yPos + 6)
+           .text('Description', 120, yPos + 6)
+           .text('Amount', 330, yPos + 6, { width: 65, align: 'right' })
+           .text('Tax', 400, yPos + 6, { width: 60, align: 'right' })
+           .text('Total', 465, yPos + 6, { width: 80, align: 'right' });
+
+        yPos += 25;
+        items.forEach(item => {
+            ensureSpace(15);
+            doc.font('Helvetica')
+               .fontSize(8)
+               .fillColor(textColor)
+               .text(formatDate(item.date), 55, yPos)
+               .text(item.description, 120, yPos, { width: 205, height: 10, ellipsis: true })
+               .text(formatAmount(item.amount - (item.discount || 0)), 330, yPos, { width: 65, align: 'right' })
+               .text(formatAmount(item.tax || 0), 400, yPos, { width: 60, align: 'right' })
+               .text(formatAmount(chargeTotal(item)), 465, yPos, { width: 80, align: 'right' });
+            yPos += 15;
+        });
+        yPos += 10;
+    }
+
+    if (stays.length === 0 && items.length === 0) {
+        doc.font('Helvetica')
+           .fontSize(9)
+           .fillColor(textColor)
+           .text(invoice.description || invoice.guestName || 'Invoice', 55, yPos, { width: 400 })
+           .text(formatAmount(invoice.amount), 465, yPos, { width: 80, align: 'right' });
+        yPos += 25;
+    }
+
+    // Totals
+    ensureSpace(70);
+    doc.strokeColor(grayColor).moveTo(300, yPos).lineTo(550, yPos).stroke();
+    yPos += 8;
+    const totalRows = [];
+    if (stays.length > 0) {
+        totalRows.push(['Stays', stays.reduce((sum, stay) => sum + stay.amount, 0)]);
+    }
+    if (items.length > 0) {
+        totalRows.push(['Charges', items.reduce((sum, item) => sum + chargeTotal(item), 0)]);
+    }
+    totalRows.forEach(([label, amount]) => {
+        doc.font('Helvetica')
+           .fontSize(9)
+           .fillColor(grayColor)
+           .text(label, 300, yPos)
+           .fillColor(textColor)
+           .text(formatAmount(round2(amount)), 445, yPos, { width: 100, align: 'right' });
+        yPos += 15;
+    });
+    doc.font('Helvetica-Bold')
+       .fontSize(10)
+       .fillColor(textColor)
+       .text('Amount Due', 300, yPos)
+       .text(formatAmount(invoice.amount), 445, yPos, { width: 100, align: 'right' });
+
+    yPos += 30;
+    if (stays.length > 0) {
+        ensureSpace(30);
+        doc.font('Helvetica')
+           .fontSize(7)
+           .fillColor(grayColor)
+           .text('Taxes are charged on the tax invoice (bill) of each stay. Billed is the part of each stay billed to the account.', 50, yPos, { width: 500 });
+    }
+
+    doc.end();
+});
+
+/**
+ * City ledger invoice as a PDF.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} account - CityLedgerAccount
+ * @param {Object} invoice - Invoice of the account
+ * @returns {Promise<Buffer>}
+ */
+const generateInvoicePdf = async (tenant, account, invoice) => {
+    const details = await getPropertyDetails(tenant.models, tenant.property._id);
+    return renderInvoicePdf(account, invoice, details);
+};
+
+module.exports = {
+    buildConsolidatedInvoice,
+    createConsolidatedInvoice,
+    generateInvoicePdf,
+};
@@ -0,0 +1,370 @@
+// Corporate rate contracts
+// A corporate city ledger account can have rate contracts: a fixed rate or a
+// discount on the standard rate per room type, for a validity period. Stays
+// booked for the company are priced night by night from the contract; nights
+// outside its validity, on its blackout dates, for room types it has no rate
+// for, or beyond its allotment (contract-rate rooms per night) are priced at
+// the standard rate instead.
+
+const { getRatePlanPriceForDate, calculateLineStayAmount, applyDerivation } = require('./pricingService');
+const { round2 } = require('./gstService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Stays that never used their nights
+const EXCLUDED_STATUSES = ['cancelled', 'no-show'];
+
+const toNightKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Nights of a stay as UTC midnights, like the rate calendar
+const getStayNights = (checkIn, checkOut) => {
+    const nights = [];
+    const night = new Date(checkIn);
+    night.setUTCHours(0, 0, 0, 0);
+    const departure = new Date(checkOut);
+    departure.setUTCHours(0, 0, 0, 0);
+    while (night < departure) {
+        nights.push(new Date(night));
+        night.setUTCDate(night.getUTCDate() + 1);
+    }
+    return nights;
+};
+
+const isWithin = (night, from, to) => {
+    const key = toNightKey(night);
+    return key >= toNightKey(from) && key <= toNightKey(to);
+};
+
+const isBlackout = (contract, night) => (contract.blackoutDates || []).some(blackout => isWithin(night, blackout.from, blackout.to));
+
+/**
+ * Active contract of an account covering any night of a stay (the latest
+ * starting one when contracts overlap).
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {ObjectId} accountId - CityLedgerAccount
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @returns {Promise<Object|null>} CorporateContract (lean)
+ */
+const findContract = async (models, propertyId, accountId, checkIn, checkOut) => {
+    const nights = getStayNights(checkIn, checkOut);
+    if (nights.length === 0) {
+        return null;
+    }
+    return models.CorporateContract.findOne({
+        account: accountId,
+        property: propertyId,
+        isActive: true,
+        validFrom: { $lte: nights[nights.length - 1] },
+        validTo: { $gte: nights[0] }
+    }).sort({ validFrom: -1 }).lean();
+};
+
+// Contract price for a night from the standard price; null when the contract has no rate for the room type
+const getContractPrice = (contract, roomType, standardPrice) => {
+    const rate = (contract.rates || []).find(entry => entry.roomType.toString() === roomType._id.toString());
+    if (!rate) {
+        return null;
+    }
+    if (rate.pricing === 'discount') {
+        return applyDerivation(standardPrice, { type: 'percentage', value: -(rate.discountPercent || 0) });
+    }
+    if (roomType.priceModel === 'perPerson') {
+        return {
+            adultRate: rate.adultRate ?? standardPrice.adultRate ?? 0,
+            childRate: rate.childRate ?? standardPrice.childRate ?? 0
+        };
+    }
+    return {
+        baseRate: rate.baseRate ?? standardPrice.baseRate ?? 0,
+        extraGuestRate: rate.extraGuestRate ?? standardPrice.extraGuestRate ?? 0
+    };
+};
+
+/**
+ * Contract-rate rooms already booked per room type and night.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} contract - CorporateContract
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @param {Object} [options] - { excludeReservationId, session }
+ * @returns {Promise<Map>} `${roomType}|${YYYY-MM-DD}` => rooms
+ */
+const getAllotmentUsage = async (models, propertyId, contract, checkIn, checkOut, { excludeReservationId, session = null } = {}) => {
+    const query = {
+        property: propertyId,
+        corporateContract: contract._id,
+        status: { $nin: EXCLUDED_STATUSES },
+        checkInDate: { $lt: checkOut },
+        checkOutDate: { $gt: checkIn }
+    };
+    if (excludeReservationId) {
+        query._id = { $ne: excludeReservationId };
+    }
+    const reservations = await models.Reservations.find(query).select('roomLines').session(session).lean();
+
+    const usage = new Map();
+    reservations.forEach(reservation => (reservation.roomLines || []).forEach(line => {
+        (line.contractNights || []).forEach(night => {
+            const key = `${line.roomType}|${toNightKey(night)}`;
+            usage.set(key, (usage.get(key) || 0) + (line.numberOfRooms || 1));
+        });
+    }));
+    return usage;
+};
+
+/**
+ * Price room lines from a corporate contract, night by night. Nights the
+ * contract does not cover are priced from the rate plan (or base pricing).
+ * Lines are priced in order, each counting against the allotment left by
+ * the ones before it.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} contract - CorporateContract
+ * @param {Object|null} ratePlan - Standard rate plan (null = base pricing)
+ * @param {Map} roomTypeMap - Room type id => room type
+ * @param {Array} lines - Room lines to price
+ * @param {Date} checkIn
+ * @param {Date} checkOut
+ * @param {Object} [options] - { excludeReservationId }
+ * @returns {Promise<Array<{ amount, ratePerNight, nightRates: Array<{ night, amount }>,
+ *   contractNights: Array<Date>, standardNights: Array<{ date, reason }> }>>}
+ */
+const priceLinesWithContract = async (models, propertyId, contract, ratePlan, roomTypeMap, lines, checkIn, checkOut, options = {}) => {
+    const nights = getStayNights(checkIn, checkOut);
+    const usage = await getAllotmentUsage(models, propertyId, contract, checkIn, checkOut, options);
+    const allotments = new Map((contract.allotments || []).map(allotment => [allotment.roomType.toString(), allotment.roomsPerNight]));
+
+    const priced = [];
+    for (const line of lines) {
+        const roomType = roomTypeMap.get(line.roomType.toString());
+        const rooms = line.numberOfRooms || 1;
+        const result = { amount: 0, nightRates: [], contractNights: [], standardNights: [] };
+
+        for (const night of nights) {
+            const standardPrice = await getRatePlanPriceForDate(models, propertyId, ratePlan, roomType._id, night);
+            const usageKey = `${roomType._id}|${toNightKey(night)}`;
+            const allotment = allotments.get(roomType._id.toString());
+
+            let reason = null;
+            const contractPrice = getContractPrice(contract, roomType, standardPrice);
+            if (!contractPrice) {
+                reason = 'no-contract-rate';
+            } else if (!isWithin(night, contract.validFrom, contract.validTo)) {
+                reason = 'outside-validity';
+            } else if (isBlackout(contract, night)) {
+                reason = 'blackout';
+            } else if (allotment !== undefined && (usage.get(usageKey) || 0) + rooms > allotment) {
+                reason = 'allotment-full';
+            }
+
+            const amount = round2(calculateLineStayAmount(roomType, line, [reason ? standardPrice : contractPrice], 1));
+            result.amount += amount;
+            result.nightRates.push({ night, amount });
+            if (reason) {
+                result.standardNights.push({ date: night, reason });
+            } else {
+                result.contractNights.push(night);
+                usage.set(usageKey, (usage.get(usageKey) || 0) + rooms);
+            }
+        }
+
+        result.amount = round2(result.amount);
+        result.ratePerNight = round2(result.amount / rooms / Math.max(1, nights.length));
+        priced.push(result);
+    }
+    return priced;
+};
+
+/**
+ * Recheck a reservation's contract nights against the allotment inside the
+ * transaction that saves it. Pricing reads the allotment without a lock, so
+ * two bookings made at once could both take the last rooms; bumping the
+ * contract's allotmentVersion here makes their transactions conflict, and
+ * the one retried sees the other's nights.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} contract - CorporateContract
+ * @param {Object} reservation - Reservation being saved
+ * @param {Object} session - Transaction the reservation is saved in
+ * @returns {Promise<Array<{ roomType, date }>>} Contract nights over the allotment
+ */
+const findAllotmentOverbooking = async (models, propertyId, contract, reservation, session) => {
+    await models.CorporateContract.updateOne(
+        { _id: contract._id, property: propertyId },
+        { $inc: { allotmentVersion: 1 } },
+        { session }
+    );
+    const usage = await getAllotmentUsage(models, propertyId, contract, reservation.checkInDate, reservation.checkOutDate, {
+        excludeReservationId: reservation._id,
+        session
+    });
+    const allotments = new Map((contract.allotments || []).map(allotment => [allotment.roomType.toString(), allotment.roomsPerNight]));
+
+    const overbooked = [];
+    (reservation.roomLines || []).forEach(line => {
+        const allotment = allotments.get(line.roomType.toString());
+        if (allotment === undefined) {
+            return;
+        }
+        (line.contractNights || []).forEach(night => {
+            const key = `${line.roomType}|${toNightKey(night)}`;
+            const rooms = (usage.get(key) || 0) + (line.numberOfRooms || 1);
+            usage.set(key, rooms);
+            if (rooms > allotment) {
+                overbooked.push({ roomType: line.roomType, date: night });
+            }
+        });
+    });
+    return overbooked;
+};
+
+/**
+ * Contract utilisation per company for a period: bookings, room nights,
+ * room revenue and how much of the contracted allotment was used.
+ * Room nights and revenue count only the nights of each stay in the period.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} params - { from: Date, to: Date, accountId? }
+ * @returns {Promise<{ from, to, companies: Array, totals }>}
+ */
+const buildUtilisationReport = async (models, propertyId, { from, to, accountId }) => {
+    const periodStart = new Date(from);
+    periodStart.setUTCHours(0, 0, 0, 0);
+    const periodEnd = new Date(to);
+    periodEnd.setUTCHours(0, 0, 0, 0);
+    periodEnd.setUTCDate(periodEnd.getUTCDate() + 1);
+    const periodNights = getStayNights(periodStart, periodEnd);
+
+    const contractQuery = { property: propertyId, validFrom: { $lt: periodEnd }, validTo: { $gte: periodStart } };
+    const reservationQuery = {
+        property: propertyId,
+        corporateAccountId: { $ne: null },
+        status: { $nin: EXCLUDED_STATUSES },
+        checkInDate: { $lt: periodEnd },
+        checkOutDate: { $gt: periodStart }
+    };
+    if (accountId) {
+        contractQuery.account = accountId;
+        reservationQuery.corporateAccountId = accountId;
+    }
+
+    const [contracts, reservations] = await Promise.all([
+        models.CorporateContract.find(contractQuery).lean(),
+        models.Reservations.find(reservationQuery).select('corporateAccountId corporateContract checkInDate checkOutDate roomLines totalAmount').lean()
+    ]);
+    const accountIds = [...new Set([
+        ...contracts.map(contract => contract.account.toString()),
+        ...reservations.map(reservation => reservation.corporateAccountId.toString())
+    ])];
+    const [accounts, roomTypes] = await Promise.all([
+        models.CityLedgerAccount.find({ _id: { $in: accountIds }, property: propertyId }).select('accountCode accountName').lean(),
+        models.RoomType.find({ property: propertyId }).select('name').lean()
+    ]);
+    const roomTypeNames = new Map(roomTypes.map(roomType => [roomType._id.toString(), roomType.name]));
+
+    const companies = new Map(accounts.map(account => [account._id.toString(), {
+        accountId: account._id,
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        contracts: [],
+        bookings: 0,
+        roomNights: 0,
+        contractRoomNights: 0,
+        revenue: 0,
+        allotmentRoomNights: 0,
+        allotmentUsed: 0,
+        roomTypes: new Map()
+    }]));
+
+    // Allotment on offer in the period: rooms per night over the contract's valid, non-blackout nights
+    const allottedRoomTypes = new Map();
+    contracts.forEach(contract => {
+        const company = companies.get(contract.account.toString());
+        if (!company) {
+            return;
+        }
+        company.contracts.push({ _id: contract._id, contractNumber: contract.contractNumber, name: contract.name, validFrom: contract.validFrom, validTo: contract.validTo });
+        const nights = periodNights.filter(night => isWithin(night, contract.validFrom, contract.validTo) && !isBlackout(contract, night));
+        (contract.allotments || []).forEach(allotment => {
+            company.allotmentRoomNights += allotment.roomsPerNight * nights.length;
+            allottedRoomTypes.set(`${contract._id}|${allotment.roomType}`, true);
+        });
+    });
+
+    reservations.forEach(reservation => {
+        const company = companies.get(reservation.corporateAccountId.toString());
+        if (!company) {
+            return;
+        }
+        const stayNights = getStayNights(reservation.checkInDate, reservation.checkOutDate);
+        const inPeriod = stayNights.filter(night => night >= periodStart && night < periodEnd).length;
+        if (inPeriod === 0) {
+            return;
+        }
+        company.bookings += 1;
+
+        const lines = reservation.roomLines || [];
+        const linesTotal = lines.reduce((sum, line) => sum + (line.amount || 0), 0);
+        lines.forEach(line => {
+            const rooms = line.numberOfRooms || 1;
+            const roomNights = rooms * inPeriod;
+            // Lines without their own amount share the booking total
+            const lineAmount = linesTotal > 0 ? (line.amount || 0) : (reservation.totalAmount || 0) / lines.length;
+            const revenue = lineAmount * inPeriod / Math.max(1, stayNights.length);
+            const contractRoomNights = rooms * (line.contractNights || [])
+                .filter(night => new Date(night) >= periodStart && new Date(night) < periodEnd).length;
+
+            company.roomNights += roomNights;
+            company.contractRoomNights += contractRoomNights;
+            company.revenue += revenue;
+            if (reservation.corporateContract && allottedRoomTypes.has(`${reservation.corporateContract}|${line.roomType}`)) {
+                company.allotmentUsed += contractRoomNights;
+            }
+
+            const key = line.roomType.toString();
+            const byRoomType = company.roomTypes.get(key) || { roomType: line.roomType, name: roomTypeNames.get(key), roomNights: 0, revenue: 0 };
+            byRoomType.roomNights += roomNights;
+            byRoomType.revenue += revenue;
+            company.roomTypes.set(key, byRoomType);
+        });
+    });
+
+    const rows = [...companies.values()].map(company => ({
+        ...company,
+        revenue: round2(company.revenue),
+        averageRate: company.roomNights > 0 ? round2(company.revenue / company.roomNights) : 0,
+        allotmentUtilisation: company.allotmentRoomNights > 0
+            ? round2(company.allotmentUsed / company.allotmentRoomNights * 100)
+            : null,
+        roomTypes: [...company.roomTypes.values()].map(row => ({ ...row, revenue: round2(row.revenue) }))
+    })).sort((a, b) => b.revenue - a.revenue);
+
+    const totals = rows.reduce((sum, row) => ({
+        bookings: sum.bookings + row.bookings,
+        roomNights: sum.roomNights + row.roomNights,
+        contractRoomNights: sum.contractRoomNights + row.contractRoomNights,
+        revenue: round2(sum.revenue + row.revenue)
+    }), { bookings: 0, roomNights: 0, contractRoomNights: 0, revenue: 0 });
+    totals.averageRate = totals.roomNights > 0 ? round2(totals.revenue / totals.roomNights) : 0;
+
+    return {
+        from: periodStart,
+        to: new Date(periodEnd.getTime() - DAY_MS),
+        companies: rows,
+        totals
+    };
+};
+
+module.exports = {
+    findContract,
+    priceLinesWithContract,
+    findAllotmentOverbooking,
+    buildUtilisationReport,
+};
@@ -0,0 +1,342 @@
+// Credit notes and refunds against archived bills
+// A checked out folio's Bill is never edited; corrections are made with
+// credit notes (the whole bill or part of some items, with the GST on them
+// reversed) and money paid back is recorded as a refund. The bill keeps
+// running totals of both.
+
+const { getGstSettings, applyTaxInvoiceToBill, round2 } = require('./gstService');
+const { resolvePaymentShift } = require('./cashierShiftService');
+
+// Amounts are compared to the paisa
+const TOLERANCE = 0.005;
+
+const getLineTax = (line) => round2((line.cgst || 0) + (line.sgst || 0) + (line.igst || 0));
+
+// Bills archived before GST invoicing get their tax split worked out (not saved)
+const ensureTaxInvoice = async (models, propertyId, bill) => {
+    if (!bill.supplier?.gstin || bill.items.some(item => item.taxableValue == null)) {
+        applyTaxInvoiceToBill(bill, await getGstSettings(models, propertyId));
+    }
+    return bill;
+};
+
+// What has already been credited on each bill item: itemId -> { taxableValue, cgst, sgst, igst }
+const getCreditedByItem = (creditNotes) => {
+    const credited = new Map();
+    creditNotes.forEach(note => {
+        (note.items || []).forEach(line => {
+            const key = String(line.billItemId);
+            const entry = credited.get(key) || { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+            ['taxableValue', 'cgst', 'sgst', 'igst'].forEach(field => {
+                entry[field] = round2(entry[field] + (line[field] || 0));
+            });
+            credited.set(key, entry);
+        });
+    });
+    return credited;
+};
+
+// Taxable value and GST of a bill item not yet credited
+const getRemaining = (item, credited) => {
+    const done = credited.get(String(item._id)) || { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    return {
+        taxableValue: round2((item.taxableValue || 0) - done.taxableValue),
+        cgst: round2((item.cgst || 0) - done.cgst),
+        sgst: round2((item.sgst || 0) - done.sgst),
+        igst: round2((item.igst || 0) - done.igst)
+    };
+};
+
+/**
+ * Amount that can still be refunded on a bill: what the guest paid, less
+ * refunds so far and what they still owe after credit notes. When part of the
+ * bill went to a city ledger account or paymaster, that share is settled
+ * first, so only credits beyond it come back to the guest.
+ */
+const getRefundable = (bill) => Math.max(0, round2(
+    (bill.totalPayments || 0) - (bill.refundedAmount || 0) - Math.max(0, (bill.totalCharges || 0) - (bill.creditedAmount || 0))
+));
+
+/**
+ * Credit and refund position of a bill, per item.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} bill - Bill document
+ * @returns {Promise<Object>}
+ */
+const getBillCreditSummary = async (models, propertyId, bill) => {
+    await ensureTaxInvoice(models, propertyId, bill);
+    const [creditNotes, refunds] = await Promise.all([
+        models.CreditNote.find({ bill: bill._id, property: propertyId }).sort({ issuedAt: 1 }).lean(),
+        models.BillRefund.find({ bill: bill._id, property: propertyId }).sort({ refundedAt: 1 }).lean()
+    ]);
+    const credited = getCreditedByItem(creditNotes);
+
+    return {
+        billId: bill.billId,
+        totalCharges: bill.totalCharges,
+        totalPayments: bill.totalPayments,
+        creditedAmount: bill.creditedAmount || 0,
+        refundedAmount: bill.refundedAmount || 0,
+        refundable: getRefundable(bill),
+        items: bill.items.map(item => {
+            const remaining = getRemaining(item, credited);
+            return {
+                itemId: item._id,
+                description: item.description,
+                department: item.department,
+                taxableValue: item.taxableValue,
+                amount: round2((item.taxableValue || 0) + getLineTax(item)),
+                creditableTaxableValue: Math.max(0, remaining.taxableValue),
+                creditableAmount: Math.max(0, round2(remaining.taxableValue + getLineTax(remaining)))
+            };
+        }),
+        creditNotes,
+        refunds
+    };
+};
+
+/**
+ * Work out the credit note lines. A line for the whole remaining value
+ * reverses exactly the GST left on the item; a part credits the GST in
+ * proportion.
+ *
+ * @param {Object} bill - Bill with its tax invoice split
+ * @param {Map} credited - From getCreditedByItem
+ * @param {'full'|'partial'} type
+ * @param {Array<{ itemId, amount }>} [requested] - amount is the taxable value to credit (defaults to all that is left)
+ * @returns {{ lines: Array } | { error: String }}
+ */
+const buildCreditLines = (bill, credited, type, requested = []) => {
+    const targets = type === 'full'
+        ? bill.items.map(item => ({ item }))
+        : requested.map(entry => ({ item: bill.items.id(entry.itemId), itemId: entry.itemId, amount: entry.amount }));
+
+    const lines = [];
+    for (const { item, itemId, amount } of targets) {
+        if (!item) {
+            return { error: `Bill item not found: ${itemId}` };
+        }
+        const remaining = getRemaining(item, credited);
+        if (remaining.taxableValue <= TOLERANCE) {
+            if (type === 'full') {
+                continue;
+            }
+            return { error: `${item.description || 'Item'} has nothing left to credit` };
+        }
+
+        const creditValue = amount === undefined ? remaining.taxableValue : round2(amount);
+        if (creditValue <= 0) {
+            return { error: `Credit amount for ${item.description || 'item'} must be greater than 0` };
+        }
+        if (creditValue - remaining.taxableValue > TOLERANCE) {
+            return { error: `Only ${remaining.taxableValue.toFixed(2)} of ${item.description || 'item'} is left to credit` };
+        }
+
+        const isWhole = Math.abs(creditValue - remaining.taxableValue) <= TOLERANCE;
+        const ratio = item.taxableValue ? creditValue / item.taxableValue : 0;
+        const taxPart = (field) => (isWhole ? remaining[field] : Math.min(remaining[field], round2((item[field] || 0) * ratio)));
+        const line = {
+            billItemId: item._id,
+            description: item.description,
+            date: item.date,
+            department: item.department,
+            sacCode: item.sacCode,
+            taxRate: item.taxRate,
+            taxRule: item.taxRule,
+            taxableValue: isWhole ? remaining.taxableValue : creditValue,
+            cgst: taxPart('cgst'),
+            sgst: taxPart('sgst'),
+            igst: taxPart('igst')
+        };
+        line.tax = getLineTax(line);
+        line.amount = round2(line.taxableValue + line.tax);
+        lines.push(line);
+    }
+
+    if (lines.length === 0) {
+        return { error: 'Nothing left to credit on this bill' };
+    }
+    return { lines };
+};
+
+// SAC / rate summary and totals of the credit lines (same shape as a bill's)
+const summarizeLines = (lines) => {
+    const summary = new Map();
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    lines.forEach(line => {
+        const key = `${line.sacCode}|${line.taxRate || 0}`;
+        const row = summary.get(key) || { sacCode: line.sacCode, gstRate: line.taxRate || 0, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+        Object.keys(totals).forEach(field => {
+            row[field] = round2(row[field] + (line[field] || 0));
+            totals[field] = round2(totals[field] + (line[field] || 0));
+        });
+        summary.set(key, row);
+    });
+    return {
+        gstSummary: Array.from(summary.values()).sort((a, b) => String(a.sacCode).localeCompare(String(b.sacCode)) || a.gstRate - b.gstRate),
+        totals
+    };
+};
+
+/**
+ * Issue a credit note against a bill.
+ *
+ * Runs in a transaction with the bill read inside it, so two notes for the
+ * same item cannot both pass the remaining-value check.
+ *
+ * @param {Object} tenant - req.tenant (models, connection, property)
+ * @param {Object} params
+ * @param {String} params.billId - Bill _id
+ * @param {'full'|'partial'} params.type
+ * @param {Array<{ itemId, amount }>} [params.items] - For partial credit notes
+ * @param {String} params.reason
+ * @param {Object} [params.user] - { id, name }
+ * @returns {Promise<{ creditNote } | { status: Number, error: String }>}
+ */
+const issueCreditNote = async (tenant, { billId, type, items, reason, user }) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    let result;
+
+    await tenant.connection.transaction(async (session) => {
+        const bill = await models.Bill.findOne({ _id: billId, property: propertyId }).session(session);
+        if (!bill) {
+            result = { status: 404, error: 'Bill not found.' };
+            return;
+        }
+        await ensureTaxInvoice(models, propertyId, bill);
+
+        const existing = await models.CreditNote.find({ bill: bill._id, property: propertyId }).session(session).lean();
+        const built = buildCreditLines(bill, getCreditedByItem(existing), type, items);
+        if (built.error) {
+            result = { status: 400, error: built.error };
+            return;
+        }
+
+        const { gstSummary, totals } = summarizeLines(built.lines);
+        const totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+        const totalAmount = round2(totals.taxableValue + totalTax);
+
+        const [creditNote] = await models.CreditNote.create([{
+            creditNoteNumber: await models.CreditNote.generateCreditNoteNumber(propertyId, { session }),
+            bill: bill._id,
+            billId: bill.billId,
+            billDate: bill.checkoutDate,
+            folioId: bill.folioId,
+            reservationId: bill.reservationId,
+            guestName: bill.guestName,
+            guestEmail: bill.guestEmail,
+            roomNumber: bill.roomNumber,
+            type,
+            reason,
+            items: built.lines,
+            supplier: bill.supplier,
+            buyer: bill.buyer,
+            invoiceType: bill.invoiceType,
+            placeOfSupply: bill.placeOfSupply,
+            supplyType: bill.supplyType,
+            gstSummary,
+            taxableValue: totals.taxableValue,
+            cgstTotal: totals.cgst,
+            sgstTotal: totals.sgst,
+            igstTotal: totals.igst,
+            totalTax,
+            totalAmount,
+            issuedBy: user?.id,
+            issuedByName: user?.name,
+            property: propertyId
+        }], { session });
+
+        // Only the running total changes; the archived bill stays as issued
+        await models.Bill.updateOne({ _id: bill._id }, { $inc: { creditedAmount: totalAmount } }, { session });
+        result = { creditNote };
+    });
+
+    return result;
+};
+
+/**
+ * Record a refund paid back to the guest against a bill.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} params
+ * @param {String} params.billId - Bill _id
+ * @param {String} [params.creditNoteId] - Credit note the refund settles
+ * @param {Number} params.amount
+ * @param {String} params.method
+ * @param {String} [params.transactionId]
+ * @param {String} [params.reason]
+ * @param {Object} [params.user] - req.user; the refund is paid out of their open cashier shift
+ * @param {Boolean} [params.paidByGateway] - Paid back through a payment gateway, not out of a cashier drawer
+ * @returns {Promise<{ refund } | { status: Number, error: String }>}
+ */
+const recordRefund = async (tenant, { billId, creditNoteId, amount, method, transactionId, reason, user, paidByGateway = false }) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    let result;
+
+    const shiftResult = paidByGateway ? { shift: undefined } : await resolvePaymentShift(models, propertyId, user);
+    if (shiftResult.error) {
+        return shiftResult;
+    }
+
+    await tenant.connection.transaction(async (session) => {
+        const bill = await models.Bill.findOne({ _id: billId, property: propertyId }).session(session);
+        if (!bill) {
+            result = { status: 404, error: 'Bill not found.' };
+            return;
+        }
+
+        let creditNote = null;
+        if (creditNoteId) {
+            creditNote = await models.CreditNote.findOne({ _id: creditNoteId, bill: bill._id, property: propertyId }).session(session);
+            if (!creditNote) {
+                result = { status: 404, error: 'Credit note not found on this bill.' };
+                return;
+            }
+        }
+
+        const refundable = getRefundable(bill);
+        if (round2(amount) - refundable > TOLERANCE) {
+            result = {
+                status: 400,
+                error: refundable > 0
+                    ? `Only ${refundable.toFixed(2)} can be refunded on this bill`
+                    : 'Nothing is refundable on this bill; issue a credit note first'
+            };
+            return;
+        }
+
+        const [refund] = await models.BillRefund.create([{
+            refundNumber: await models.BillRefund.generateRefundNumber(propertyId, { session }),
+            bill: bill._id,
+            billId: bill.billId,
+            creditNote: creditNote?._id,
+            creditNoteNumber: creditNote?.creditNoteNumber,
+            folioId: bill.folioId,
+            guestName: bill.guestName,
+            amount: round2(amount),
+            method,
+            transactionId,
+            reason,
+            shift: shiftResult.shift,
+            refundedBy: user?.id,
+            refundedByName: user?.name,
+            property: propertyId
+        }], { session });
+
+        await models.Bill.updateOne({ _id: bill._id }, { $inc: { refundedAmount: round2(amount) } }, { session });
+        result = { refund };
+    });
+
+    return result;
+};
+
+module.exports = {
+    getRefundable,
+    getBillCreditSummary,
+    issueCreditNote,
+    recordRefund,
+};
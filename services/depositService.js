@@ -0,0 +1,301 @@
+// Deposit policy handling
+// Works out the deposit a booking needs under the property's deposit policy,
+// splits it into due-dated installments, and releases tentative bookings
+// whose deposit never arrived.
+
+const { listTenantContexts } = require('./tenantManager');
+const { getBusinessDate } = require('./businessDateService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const RELEASE_INTERVAL_MS = 15 * 60 * 1000;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Deposit required for a booking under the property's deposit policy.
+ * @param {Object} propertyDetails - PropertyDetails document (may be null)
+ * @param {Object} booking
+ * @param {Number} booking.totalAmount
+ * @param {Array} booking.roomLines - Normalized room lines
+ * @param {Map} booking.roomTypeMap - Room type id -> room type
+ * @returns {Number}
+ */
+const calculateRequiredDeposit = (propertyDetails, { totalAmount = 0, roomLines = [], roomTypeMap = new Map() }) => {
+    const depositPolicy = propertyDetails?.depositPolicy || 'none'; // 'none', 'percentage', 'fixed', 'first_night'
+    const depositAmount = propertyDetails?.depositAmount || 0;
+    const depositPercentage = propertyDetails?.depositPercentage || 0;
+
+    let requiredDeposit = 0;
+    if (depositPolicy === 'percentage' && depositPercentage > 0) {
+        requiredDeposit = (totalAmount * depositPercentage) / 100;
+    } else if (depositPolicy === 'fixed' && depositAmount > 0) {
+        requiredDeposit = depositAmount;
+    } else if (depositPolicy === 'first_night') {
+        // Calculate first night charge across all room lines
+        roomLines.forEach(line => {
+            const roomType = roomTypeMap.get(String(line.roomType?._id || line.roomType));
+            if (!roomType) {
+                return;
+            }
+            if (roomType.priceModel === 'perPerson') {
+                requiredDeposit += (roomType.adultRate || 0) * (line.adults || 0) + (roomType.childRate || 0) * (line.children || 0);
+            } else {
+                requiredDeposit += (line.ratePerNight || roomType.baseRate || 0) * (line.numberOfRooms || 1);
+            }
+        });
+    }
+
+    // Never ask for more than the stay is worth
+    if (totalAmount > 0) {
+        requiredDeposit = Math.min(requiredDeposit, totalAmount);
+    }
+    return roundAmount(requiredDeposit);
+};
+
+/**
+ * Split the required deposit into installments using the property's schedule.
+ * With no schedule configured the whole deposit is due on booking.
+ * Due dates are clamped to the check-in date.
+ */
+const buildDepositSchedule = (propertyDetails, requiredDeposit, { bookingDate = new Date(), checkInDate }) => {
+    if (!requiredDeposit || requiredDeposit <= 0) {
+        return [];
+    }
+
+    const booked = new Date(bookingDate);
+    const arrival = new Date(checkInDate);
+    const configured = (propertyDetails?.depositSchedule || []).filter(step => step.percentage > 0);
+    const steps = configured.length > 0
+        ? configured
+        : [{ label: 'Deposit', percentage: 100, dueType: 'after_booking', days: 0 }];
+
+    const installments = steps.map(step => {
+        const dueDate = step.dueType === 'before_arrival'
+            ? new Date(arrival.getTime() - (step.days || 0) * DAY_MS)
+            : new Date(booked.getTime() + (step.days || 0) * DAY_MS);
+
+        return {
+            label: step.label || 'Deposit',
+            dueDate: new Date(Math.max(booked.getTime(), Math.min(dueDate.getTime(), arrival.getTime()))),
+            amount: roundAmount((requiredDeposit * step.percentage) / 100),
+            paidAmount: 0,
+            status: 'pending'
+        };
+    }).sort((a, b) => a.dueDate - b.dueDate);
+
+    // Percentages that don't add up to 100 leave the balance on the last installment
+    const scheduled = installments.reduce((sum, installment) => sum + installment.amount, 0);
+    const balance = roundAmount(requiredDeposit - scheduled);
+    if (balance !== 0) {
+        const last = installments[installments.length - 1];
+        last.amount = roundAmount(Math.max(0, last.amount + balance));
+    }
+
+    return installments;
+};
+
+/**
+ * Allocate a payment to outstanding installments, earliest due date first.
+ * Works on a reservation document or plain object; returns the amount left over.
+ */
+const applyDepositPayment = (reservation, amount) => {
+    let remaining = roundAmount(amount);
+    const installments = [...(reservation.depositSchedule || [])].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    for (const installment of installments) {
+        if (remaining <= 0) {
+            break;
+        }
+        const outstanding = roundAmount(installment.amount - (installment.paidAmount || 0));
+        if (outstanding <= 0) {
+            continue;
+        }
+        const applied = Math.min(outstanding, remaining);
+        installment.paidAmount = roundAmount((installment.paidAmount || 0) + applied);
+        remaining = roundAmount(remaining - applied);
+        if (installment.paidAmount >= installment.amount) {
+            installment.status = 'paid';
+        }
+    }
+
+    return remaining;
+};
+
+// Deposit still owed on a reservation
+const getOutstandingDeposit = (reservation) => {
+    return roundAmount((reservation.depositSchedule || []).reduce((sum, installment) =>
+        sum + Math.max(0, installment.amount - (installment.paidAmount || 0)), 0));
+};
+
+// Mark unpaid installments past their due date as overdue; returns true when something changed
+const refreshDepositStatus = (reservation, now = new Date()) => {
+    let changed = false;
+    (reservation.depositSchedule || []).forEach(installment => {
+        if (installment.status === 'paid') {
+            return;
+        }
+        const status = new Date(installment.dueDate) < now ? 'overdue' : 'pending';
+        if (installment.status !== status) {
+            installment.status = status;
+            changed = true;
+        }
+    });
+    return changed;
+};
+
+// Allocate a deposit payment to the schedule and confirm the booking once the deposit is in
+const settleDeposit = (reservation, amount) => {
+    if (!reservation.depositSchedule || reservation.depositSchedule.length === 0) {
+        return;
+    }
+
+    applyDepositPayment(reservation, amount);
+    if (getOutstandingDeposit(reservation) <= 0) {
+        reservation.depositReceivedAt = reservation.depositReceivedAt || new Date();
+        if (reservation.status === 'tentative') {
+            reservation.status = 'confirmed';
+        }
+    }
+};
+
+/**
+ * Record a deposit payment on a reservation, with the cashier shift it was
+ * taken in. Guests already in house have a folio, so the payment is posted
+ * there too (with the same _id); otherwise it is carried onto the folio when
+ * one is opened.
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} reservation - Reservation document (saved here)
+ * @param {Object} payment - { amount, method, transactionId, notes, shift }
+ * @returns {Promise<Object|null>} Folio the payment was posted to
+ */
+const recordDepositPayment = async (models, propertyId, reservation, { amount, method, transactionId, notes, shift }) => {
+    reservation.payedAmount = (reservation.payedAmount || 0) + amount;
+    reservation.paymentMethod = method;
+    const payment = reservation.depositPayments[reservation.depositPayments.push({
+        date: new Date(),
+        method,
+        amount,
+        transactionId: transactionId || `DEP-${reservation._id}`,
+        businessDate: await getBusinessDate(models, propertyId),
+        shift,
+        notes: notes || 'Deposit payment'
+    }) - 1];
+    settleDeposit(reservation, amount);
+    await reservation.save();
+
+    const folio = await models.GuestFolio.findOne({
+        reservationId: reservation._id,
+        property: propertyId,
+        status: 'active'
+    });
+    if (folio) {
+        folio.payments.push(payment.toObject());
+        folio.calculateBalance();
+        await folio.save();
+    }
+    return folio;
+};
+
+/**
+ * Release tentative reservations of one property whose deposit installment is
+ * overdue by more than the configured grace period.
+ * @param {Object} tenant - Tenant context ({ models, property })
+ * @returns {Promise<Number>} number of reservations released
+ */
+const releaseExpiredTentativeReservations = async (tenant, now = new Date()) => {
+    const { Reservations, PropertyDetails } = tenant.models;
+    const propertyId = tenant.property._id;
+
+    const propertyDetails = await PropertyDetails.findOne({ property: propertyId }).lean();
+    const graceHours = propertyDetails?.tentativeReleaseGraceHours ?? 24;
+    const graceMs = graceHours * 60 * 60 * 1000;
+    const cutoff = new Date(now.getTime() - graceMs);
+
+    const reservations = await Reservations.find({
+        property: propertyId,
+        status: 'tentative',
+        depositSchedule: { $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: now } } }
+    });
+
+    let released = 0;
+    for (const reservation of reservations) {
+        refreshDepositStatus(reservation, now);
+
+        const expired = reservation.depositSchedule.some(installment =>
+            installment.status !== 'paid' && new Date(installment.dueDate) < cutoff
+        );
+
+        if (expired && propertyDetails?.autoReleaseTentative !== false) {
+            reservation.status = 'cancelled';
+            reservation.releasedAt = now;
+            reservation.cancelledAt = now;
+            reservation.cancellationReason = 'Deposit not received';
+            released += 1;
+        }
+
+        await reservation.save();
+
+        if (reservation.status === 'cancelled') {
+            try {
+                const { broadcastStayViewUpdate } = require('./websocketManager');
+                broadcastStayViewUpdate({ action: 'release', reservation, property: propertyId });
+            } catch (error) {
+                console.error('Error broadcasting released reservation:', error);
+            }
+            const { queueReservationAriUpdate } = require('./channelManagerService');
+            await queueReservationAriUpdate(tenant.models, propertyId, reservation, 'cancellation');
+        }
+    }
+
+    if (released > 0) {
+        const { invalidateAvailability } = require('./cacheService');
+        await invalidateAvailability(propertyId);
+    }
+
+    return released;
+};
+
+let releaseTimer = null;
+
+// Periodically release expired tentative bookings across all properties
+const startDepositReleaseScheduler = (intervalMs = RELEASE_INTERVAL_MS) => {
+    if (releaseTimer) {
+        return releaseTimer;
+    }
+
+    const run = async () => {
+        try {
+            const tenants = await listTenantContexts();
+            for (const tenant of tenants) {
+                try {
+                    const released = await releaseExpiredTentativeReservations(tenant);
+                    if (released > 0) {
+                        console.log(`Released ${released} tentative reservation(s) for ${tenant.code}: deposit not received`);
+                    }
+                } catch (error) {
+                    console.error(`Error releasing tentative reservations for ${tenant.code}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error running deposit release job:', error);
+        }
+    };
+
+    releaseTimer = setInterval(run, intervalMs);
+    releaseTimer.unref();
+    run();
+    return releaseTimer;
+};
+
+module.exports = {
+    calculateRequiredDeposit,
+    buildDepositSchedule,
+    applyDepositPayment,
+    getOutstandingDeposit,
+    refreshDepositStatus,
+    settleDeposit,
+    recordDepositPayment,
+    releaseExpiredTentativeReservations,
+    startDepositReleaseScheduler,
+};
@@ -0,0 +1,221 @@
+// Document numbering
+// Every numbered document (folios, bills, invoices, credit notes, codes)
+// takes its number from an atomic per-property counter, so two requests can
+// never get the same number. Series with a fiscal year in their format
+// restart each fiscal year; the rest run on forever. Allocating a number
+// inside the transaction that saves the document keeps the series gap-free.
+
+require('../db/settings/documentNumbering');
+
+// Series and their default prefix / format. Tokens:
+//   {PREFIX}  the series prefix
+//   {FY}      fiscal year, short (2627 for 2026-27)
+//   {FYFULL}  fiscal year, long (2026-27)
+//   {SEQ}     running number, zero padded to `padding`
+//   {TYPE}    account type prefix (city ledger accounts only)
+const DOCUMENT_TYPES = {
+    folio: { label: 'Guest folio', prefix: 'F', format: '{PREFIX}{FY}{SEQ}', padding: 5 },
+    bill: { label: 'Bill (tax invoice)', prefix: 'B', format: '{PREFIX}{FY}{SEQ}', padding: 5, isTaxDocument: true },
+    cityLedgerInvoice: { label: 'City ledger invoice', prefix: 'INV', format: '{PREFIX}{FY}{SEQ}', padding: 5, isTaxDocument: true },
+    creditNote: { label: 'Credit note', prefix: 'CN', format: '{PREFIX}{FY}{SEQ}', padding: 5, isTaxDocument: true },
+    refund: { label: 'Refund', prefix: 'RF', format: '{PREFIX}{FY}{SEQ}', padding: 5 },
+    cityLedgerAccount: { label: 'City ledger account', prefix: '', format: '{TYPE}{FY}{SEQ}', padding: 4 },
+    travelAgent: { label: 'Travel agent', prefix: 'TA', format: '{PREFIX}{FY}{SEQ}', padding: 4 },
+    paymaster: { label: 'Paymaster', prefix: 'PM', format: '{PREFIX}{SEQ}', padding: 3 },
+    cashierShift: { label: 'Cashier shift', prefix: 'SH', format: '{PREFIX}{FY}{SEQ}', padding: 5 },
+    paymentLink: { label: 'Payment link', prefix: 'PL', format: '{PREFIX}{FY}{SEQ}', padding: 5 },
+    corporateContract: { label: 'Corporate contract', prefix: 'CC', format: '{PREFIX}{FY}{SEQ}', padding: 4 },
+    groupReservation: { label: 'Group reservation', prefix: 'GRP', format: '{PREFIX}{FY}{SEQ}', padding: 4 }
+};
+
+const TOKEN_PATTERN = /\{([A-Z]+)\}/g;
+const TOKENS = ['PREFIX', 'FY', 'FYFULL', 'SEQ', 'TYPE'];
+// GST invoice numbers: at most 16 characters of letters, digits, '-' and '/'
+const TAX_DOCUMENT_PATTERN = /^[A-Za-z0-9/-]{1,16}$/;
+const DOCUMENT_NUMBER_PATTERN = /^[A-Za-z0-9/_-]{1,30}$/;
+
+const DEFAULT_FISCAL_YEAR_START_MONTH = 4;
+
+// Fiscal year a date falls in, e.g. { short: '2627', full: '2026-27' } for an April start
+const getFiscalYear = (date = new Date(), startMonth = DEFAULT_FISCAL_YEAR_START_MONTH) => {
+    const d = new Date(date);
+    const startYear = d.getMonth() + 1 >= startMonth ? d.getFullYear() : d.getFullYear() - 1;
+    if (startMonth === 1) {
+        return { short: String(startYear), full: String(startYear) };
+    }
+    const endYear = String(startYear + 1).slice(-2);
+    return {
+        short: `${String(startYear).slice(-2)}${endYear}`,
+        full: `${startYear}-${endYear}`
+    };
+};
+
+// Series restart every fiscal year only when the fiscal year is part of the number
+const isYearlySeries = (format) => /\{FY(FULL)?\}/.test(format);
+
+const formatDocumentNumber = (sequence, seq, fiscalYear, context = {}) => sequence.format.replace(TOKEN_PATTERN, (match, token) => {
+    switch (token) {
+        case 'PREFIX': return sequence.prefix || '';
+        case 'FY': return fiscalYear.short;
+        case 'FYFULL': return fiscalYear.full;
+        case 'SEQ': return String(seq).padStart(sequence.padding, '0');
+        case 'TYPE': return context.type || '';
+        default: return match;
+    }
+});
+
+/**
+ * Check a prefix / format / padding for a series. The longest number the
+ * format can produce must still be a valid document number.
+ *
+ * @returns {String|null} Error message, or null when valid
+ */
+const validateSequence = (documentType, { prefix = '', format, padding }) => {
+    const defaults = DOCUMENT_TYPES[documentType];
+    if (!defaults) {
+        return `Unknown document type: ${documentType}`;
+    }
+    if (typeof format !== 'string' || !format.includes('{SEQ}')) {
+        return `${documentType}: format must contain {SEQ}`;
+    }
+    const unknown = [...format.matchAll(TOKEN_PATTERN)].map(match => match[1]).filter(token => !TOKENS.includes(token));
+    if (unknown.length > 0) {
+        return `${documentType}: unknown format token ${unknown.map(token => `{${token}}`).join(', ')}`;
+    }
+    if (format.includes('{TYPE}') && documentType !== 'cityLedgerAccount') {
+        return `${documentType}: {TYPE} is only available for city ledger accounts`;
+    }
+    if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+        return `${documentType}: padding must be a whole number from 1 to 10`;
+    }
+
+    const longest = formatDocumentNumber({ prefix, format, padding }, '9'.repeat(padding), { short: '2627', full: '2026-27' }, { type: 'CORP' });
+    const pattern = defaults.isTaxDocument ? TAX_DOCUMENT_PATTERN : DOCUMENT_NUMBER_PATTERN;
+    if (!pattern.test(longest)) {
+        return defaults.isTaxDocument
+            ? `${documentType}: numbers must be at most 16 letters, digits, '-' or '/' (e.g. ${longest})`
+            : `${documentType}: numbers must be at most 30 letters, digits, '-', '_' or '/' (e.g. ${longest})`;
+    }
+    return null;
+};
+
+// Property's numbering settings merged over the defaults
+const resolveNumbering = (settings) => {
+    const sequences = {};
+    Object.entries(DOCUMENT_TYPES).forEach(([documentType, defaults]) => {
+        const stored = (settings?.sequences || []).find(entry => entry.documentType === documentType);
+        sequences[documentType] = {
+            documentType,
+            label: defaults.label,
+            prefix: stored ? stored.prefix || '' : defaults.prefix,
+            format: stored?.format || defaults.format,
+            padding: stored?.padding || defaults.padding
+        };
+    });
+    return {
+        fiscalYearStartMonth: settings?.fiscalYearStartMonth || DEFAULT_FISCAL_YEAR_START_MONTH,
+        sequences
+    };
+};
+
+/**
+ * Take the next number in a series.
+ *
+ * @param {Object} connection - Tenant mongoose connection (Model.db)
+ * @param {ObjectId} propertyId
+ * @param {String} documentType - Key of DOCUMENT_TYPES
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Allocate inside the caller's transaction (rolled back with it)
+ * @param {Date} [options.date] - Document date (fiscal year), defaults to now
+ * @param {Object} [options.context] - Token values such as { type } for {TYPE}
+ * @param {Function} [options.seed] - async () => last number already used, for a series
+ *   whose format existing documents share; only read when the counter is first created
+ * @returns {Promise<String>}
+ */
+const nextDocumentNumber = async (connection, propertyId, documentType, options = {}) => {
+    if (!DOCUMENT_TYPES[documentType]) {
+        throw new Error(`Unknown document type: ${documentType}`);
+    }
+    const { session = null, date = new Date(), context = {}, seed } = options;
+    const DocumentNumbering = connection.model('DocumentNumbering');
+    const DocumentCounter = connection.model('DocumentCounter');
+
+    const settings = await DocumentNumbering.findOne({ property: propertyId }).session(session).lean();
+    const numbering = resolveNumbering(settings);
+    const sequence = numbering.sequences[documentType];
+    const fiscalYear = getFiscalYear(date, numbering.fiscalYearStartMonth);
+    const key = {
+        documentType,
+        period: isYearlySeries(sequence.format) ? fiscalYear.full : 'ALL',
+        property: propertyId
+    };
+
+    if (seed && !(await DocumentCounter.exists(key).session(session))) {
+        try {
+            await DocumentCounter.updateOne(key, { $setOnInsert: { seq: (await seed()) || 0 } }, { upsert: true, session });
+        } catch (error) {
+            // Created by a concurrent request; its seed is as good as ours
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    const increment = () => DocumentCounter.findOneAndUpdate(
+        key,
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+    );
+    let counter;
+    try {
+        counter = await increment();
+    } catch (error) {
+        // Two first numbers of a period raced to create the counter; it exists now
+        if (error.code !== 11000) {
+            throw error;
+        }
+        counter = await increment();
+    }
+
+    return formatDocumentNumber(sequence, counter.seq, fiscalYear, context);
+};
+
+/**
+ * Numbering settings with the next number of each series (read only).
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ */
+const getNumberingOverview = async (models, propertyId) => {
+    const settings = await models.DocumentNumbering.findOne({ property: propertyId }).lean();
+    const numbering = resolveNumbering(settings);
+    const fiscalYear = getFiscalYear(new Date(), numbering.fiscalYearStartMonth);
+    const counters = await models.DocumentCounter.find({ property: propertyId }).lean();
+
+    const sequences = Object.values(numbering.sequences).map(sequence => {
+        const period = isYearlySeries(sequence.format) ? fiscalYear.full : 'ALL';
+        const counter = counters.find(entry => entry.documentType === sequence.documentType && entry.period === period);
+        return {
+            ...sequence,
+            period,
+            lastNumber: counter?.seq || 0,
+            nextNumber: formatDocumentNumber(sequence, (counter?.seq || 0) + 1, fiscalYear, { type: 'CORP' })
+        };
+    });
+
+    return {
+        fiscalYearStartMonth: numbering.fiscalYearStartMonth,
+        fiscalYear: fiscalYear.full,
+        sequences
+    };
+};
+
+module.exports = {
+    DOCUMENT_TYPES,
+    getFiscalYear,
+    formatDocumentNumber,
+    validateSequence,
+    resolveNumbering,
+    nextDocumentNumber,
+    getNumberingOverview,
+};
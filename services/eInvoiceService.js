@@ -0,0 +1,344 @@
+// GST e-invoice export
+// Builds e-invoice schema JSON (INV-01, version 1.1) for bills and city ledger
+// invoices so they can be uploaded to the invoice registration portal, and
+// validates the details the portal insists on before anything is exported.
+
+const { buildTaxInvoice, isValidGstin, isValidStateCode, getStateCodeFromGstin, round2 } = require('./gstService');
+
+const SCHEMA_VERSION = '1.1';
+const VALID_GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+const DOC_NUMBER_PATTERN = /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/;
+const SAC_PATTERN = /^[0-9]{4,8}$/;
+
+// Request validation for recording the portal's response (see utils/validation)
+const E_INVOICE_ACK_SCHEMA = {
+    irn: { type: 'string', required: true, pattern: /^[0-9a-fA-F]{64}$/ },
+    ackNo: { required: true, custom: (val) => /^[0-9]{1,20}$/.test(String(val)) || 'ackNo must be numeric' },
+    ackDate: { type: 'string', isDate: true },
+    signedQrCode: { type: 'string', required: true },
+    signedInvoice: { type: 'string' }
+};
+
+const formatDocDate = (date) => {
+    const d = new Date(date);
+    return `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`;
+};
+
+const clip = (value, max) => String(value || '').trim().slice(0, max);
+
+// Check the address fields the schema requires for a seller or buyer
+const validateParty = (party, label, errors) => {
+    if (!party?.gstin) {
+        errors.push(`${label} GSTIN is required`);
+    } else if (!isValidGstin(party.gstin)) {
+        errors.push(`${label} GSTIN ${party.gstin} is not valid`);
+    }
+    if (!party?.legalName || party.legalName.trim().length < 3) {
+        errors.push(`${label} legal name is required`);
+    }
+    if (!party?.address || party.address.trim().length < 1) {
+        errors.push(`${label} address is required`);
+    }
+    if (!party?.city || party.city.trim().length < 3) {
+        errors.push(`${label} city (location) is required`);
+    }
+    if (!PINCODE_PATTERN.test(String(party?.pincode || ''))) {
+        errors.push(`${label} PIN code is missing or invalid`);
+    }
+    const stateCode = party?.stateCode || getStateCodeFromGstin(party?.gstin);
+    if (!isValidStateCode(stateCode)) {
+        errors.push(`${label} state code is missing or invalid`);
+    }
+};
+
+const buildPartyDetails = (party) => ({
+    Gstin: String(party.gstin || '').trim().toUpperCase(),
+    LglNm: clip(party.legalName, 100),
+    TrdNm: party.tradeName ? clip(party.tradeName, 100) : undefined,
+    Addr1: clip(party.address, 100),
+    Loc: clip(party.city, 100),
+    Pin: Number(party.pincode) || undefined,
+    Stcd: party.stateCode || getStateCodeFromGstin(party.gstin),
+    Ph: party.phone ? clip(String(party.phone).replace(/[^0-9]/g, ''), 12) || undefined : undefined,
+    Em: party.email ? clip(party.email, 100) : undefined
+});
+
+/**
+ * Fold negative lines (early checkout refunds, adjustments) into the earlier
+ * lines with the same SAC code and GST rate as a discount; the schema only
+ * allows non-negative item values.
+ */
+const netNegativeLines = (lines, errors) => {
+    const positive = lines.filter(line => line.AssAmt > 0);
+    lines.filter(line => line.AssAmt < 0).forEach(negative => {
+        let remaining = -negative.AssAmt;
+        const taxShare = { CgstAmt: -negative.CgstAmt, SgstAmt: -negative.SgstAmt, IgstAmt: -negative.IgstAmt };
+        const total = remaining;
+
+        positive
+            .filter(line => line.HsnCd === negative.HsnCd && line.GstRt === negative.GstRt)
+            .forEach(line => {
+                if (remaining <= 0) {
+                    return;
+                }
+                const applied = Math.min(remaining, line.AssAmt);
+                const share = applied / total;
+                line.Discount = round2(line.Discount + applied);
+                line.AssAmt = round2(line.AssAmt - applied);
+                ['CgstAmt', 'SgstAmt', 'IgstAmt'].forEach(key => {
+                    line[key] = round2(Math.max(0, line[key] - taxShare[key] * share));
+                });
+                remaining = round2(remaining - applied);
+            });
+
+        if (remaining > 0) {
+            errors.push(`"${negative.PrdDesc}" reduces the invoice by more than the matching charges; issue a credit note instead`);
+        }
+    });
+    return lines.filter(line => line.AssAmt > 0 || line.TotAmt > 0);
+};
+
+/**
+ * Build an e-invoice payload and check it against the schema's requirements.
+ *
+ * @param {Object} params
+ * @param {String} params.docNumber - Invoice number (max 16 characters)
+ * @param {Date} params.docDate
+ * @param {String} [params.docType] - INV, CRN or DBN
+ * @param {Object} params.seller - { gstin, legalName, tradeName, address, city, pincode, stateCode, phone, email }
+ * @param {Object} params.buyer - Same shape as seller
+ * @param {String} [params.placeOfSupply] - Two digit state code (defaults to the seller's state)
+ * @param {Array} params.items - Folio-style items ({ description, amount, tax, taxRate, discount, quantity, department, sacCode })
+ * @param {Object} params.settings - From gstService.getGstSettings (SAC defaults)
+ * @returns {{ payload: Object, errors: Array<String> }}
+ */
+const buildEInvoice = ({ docNumber, docDate, docType = 'INV', seller, buyer, placeOfSupply, items, settings }) => {
+    const errors = [];
+
+    if (!DOC_NUMBER_PATTERN.test(String(docNumber || ''))) {
+        errors.push(`Document number ${docNumber || ''} must be 1-16 characters (letters, digits, / or -) and not start with 0, / or -`);
+    }
+    validateParty(seller, 'Seller', errors);
+    validateParty(buyer, 'Buyer', errors);
+
+    const pos = placeOfSupply || seller?.stateCode || null;
+    if (!isValidStateCode(pos)) {
+        errors.push('Place of supply is missing or invalid');
+    }
+
+    const invoice = buildTaxInvoice(items, settings, { placeOfSupply: pos });
+    let lines = invoice.items.map((item, index) => {
+        const quantity = item.quantity || 1;
+        const cgst = item.cgst || 0;
+        const sgst = item.sgst || 0;
+        const igst = item.igst || 0;
+        return {
+            SlNo: String(index + 1),
+            PrdDesc: clip(item.description || 'Service', 300),
+            IsServc: 'Y',
+            HsnCd: item.sacCode,
+            Qty: quantity,
+            UnitPrice: round2(item.amount || 0),
+            TotAmt: round2((item.amount || 0) * quantity),
+            Discount: round2((item.discount || 0) * quantity),
+            AssAmt: item.taxableValue,
+            GstRt: item.taxRate || 0,
+            CgstAmt: cgst,
+            SgstAmt: sgst,
+            IgstAmt: igst,
+            TotItemVal: round2(item.taxableValue + cgst + sgst + igst)
+        };
+    });
+
+    lines = netNegativeLines(lines, errors);
+    if (lines.length === 0) {
+        errors.push('Invoice has no chargeable items');
+    }
+
+    lines.forEach((line, index) => {
+        line.SlNo = String(index + 1);
+        line.TotAmt = Math.max(0, line.TotAmt);
+        line.TotItemVal = round2(line.AssAmt + line.CgstAmt + line.SgstAmt + line.IgstAmt);
+        if (!SAC_PATTERN.test(String(line.HsnCd || ''))) {
+            errors.push(`Item ${line.SlNo} (${line.PrdDesc}) has no valid SAC code`);
+        }
+        if (!VALID_GST_RATES.includes(line.GstRt)) {
+            errors.push(`Item ${line.SlNo} (${line.PrdDesc}) has GST rate ${line.GstRt}%, which is not a notified GST rate`);
+        }
+    });
+
+    const sum = (key) => round2(lines.reduce((total, line) => total + line[key], 0));
+    const valDtls = {
+        AssVal: sum('AssAmt'),
+        CgstVal: sum('CgstAmt'),
+        SgstVal: sum('SgstAmt'),
+        IgstVal: sum('IgstAmt'),
+        Discount: 0,
+        OthChrg: 0,
+        RndOffAmt: 0,
+        TotInvVal: sum('TotItemVal')
+    };
+
+    const payload = {
+        Version: SCHEMA_VERSION,
+        TranDtls: {
+            TaxSch: 'GST',
+            SupTyp: 'B2B',
+            RegRev: 'N',
+            IgstOnIntra: 'N'
+        },
+        DocDtls: {
+            Typ: docType,
+            No: String(docNumber || ''),
+            Dt: formatDocDate(docDate || new Date())
+        },
+        SellerDtls: buildPartyDetails(seller || {}),
+        BuyerDtls: {
+            ...buildPartyDetails(buyer || {}),
+            Pos: pos
+        },
+        ItemList: lines,
+        ValDtls: valDtls
+    };
+
+    return { payload: JSON.parse(JSON.stringify(payload)), errors };
+};
+
+const getSeller = (settings) => ({
+    gstin: settings.gstin,
+    legalName: settings.legalName,
+    tradeName: settings.tradeName,
+    address: settings.address,
+    city: settings.city,
+    pincode: settings.pincode,
+    stateCode: settings.stateCode,
+    phone: settings.phone,
+    email: settings.email
+});
+
+// E-invoice for a bill archived at folio checkout
+const buildBillEInvoice = (bill, settings) => {
+    const buyer = bill.buyer || {};
+    return buildEInvoice({
+        docNumber: bill.billId,
+        docDate: bill.checkoutDate,
+        seller: getSeller(settings),
+        buyer: {
+            gstin: buyer.gstin,
+            legalName: buyer.legalName || buyer.name,
+            address: buyer.address,
+            city: buyer.city,
+            pincode: buyer.pincode,
+            stateCode: buyer.stateCode
+        },
+        placeOfSupply: bill.placeOfSupply,
+        items: bill.items,
+        settings
+    });
+};
+
+/**
+ * Items billed on a city ledger invoice: its own snapshot (plus the bills of
+ * its stays when consolidated), else the bill of the folio it was raised for,
+ * else (older invoices) the account charges up to the issue date. City ledger charges carry line totals, so quantity is 1.
+ *
+ * @returns {Promise<{ items: Array, placeOfSupply: String|null }>}
+ */
+const getCityLedgerInvoiceItems = async (models, propertyId, account, invoice) => {
+    const toLine = (charge) => ({
+        description: charge.description,
+        date: charge.date,
+        amount: charge.amount || 0,
+        tax: charge.tax || 0,
+        taxRate: charge.taxRate,
+        discount: charge.discount || 0,
+        quantity: 1,
+        department: charge.department,
+        sacCode: charge.sacCode
+    });
+
+    // Consolidated invoices bill their own charges and the bills of every stay on them
+    if (invoice.consolidated) {
+        const billIds = (invoice.stays || []).map(stay => stay.billId).filter(Boolean);
+        const bills = billIds.length > 0
+            ? await models.Bill.find({ billId: { $in: billIds }, property: propertyId }).lean()
+            : [];
+        return {
+            items: [...(invoice.items || []).map(toLine), ...bills.flatMap(bill => bill.items)],
+            placeOfSupply: bills.find(bill => bill.placeOfSupply)?.placeOfSupply || null
+        };
+    }
+
+    if (invoice.items && invoice.items.length > 0) {
+        return { items: invoice.items.map(toLine), placeOfSupply: null };
+    }
+
+    if (invoice.billId || invoice.folioId) {
+        // A folio split into billing windows has a bill per window
+        const bill = await models.Bill.findOne(invoice.billId
+            ? { billId: invoice.billId, property: propertyId }
+            : { folioId: invoice.folioId, property: propertyId }).lean();
+        if (bill) {
+            return { items: bill.items, placeOfSupply: bill.placeOfSupply || null };
+        }
+    }
+
+    const issuedAt = new Date(invoice.issueDate || Date.now());
+    return {
+        items: (account.charges || []).filter(charge => new Date(charge.date) <= issuedAt).map(toLine),
+        placeOfSupply: null
+    };
+};
+
+// E-invoice for a city ledger invoice; the account is the buyer
+const buildCityLedgerEInvoice = (account, invoice, items, settings, placeOfSupply) => buildEInvoice({
+    docNumber: invoice.invoiceNumber,
+    docDate: invoice.issueDate,
+    seller: getSeller(settings),
+    buyer: {
+        gstin: account.gstin,
+        legalName: account.legalName || account.accountName,
+        address: account.address,
+        city: account.city,
+        pincode: account.pincode,
+        stateCode: account.stateCode
+    },
+    placeOfSupply,
+    items,
+    settings
+});
+
+// Mark an e-invoice as exported (unless the IRN has already been recorded)
+const markExported = (eInvoice, exportedAt = new Date()) => {
+    eInvoice.exportedAt = exportedAt;
+    if (!eInvoice.irn) {
+        eInvoice.status = 'exported';
+    }
+    return eInvoice;
+};
+
+// Record the IRN, acknowledgement and signed QR code returned by the portal
+const recordEInvoiceAck = (eInvoice, { irn, ackNo, ackDate, signedQrCode, signedInvoice }) => {
+    eInvoice.irn = irn.toLowerCase();
+    eInvoice.ackNo = String(ackNo);
+    eInvoice.ackDate = ackDate ? new Date(ackDate) : new Date();
+    eInvoice.signedQrCode = signedQrCode;
+    if (signedInvoice) {
+        eInvoice.signedInvoice = signedInvoice;
+    }
+    eInvoice.status = 'generated';
+    eInvoice.uploadedAt = new Date();
+    return eInvoice;
+};
+
+module.exports = {
+    SCHEMA_VERSION,
+    E_INVOICE_ACK_SCHEMA,
+    buildEInvoice,
+    buildBillEInvoice,
+    getCityLedgerInvoiceItems,
+    buildCityLedgerEInvoice,
+    markExported,
+    recordEInvoiceAck,
+};
@@ -0,0 +1,452 @@
+// Shared folio helpers used by reservations, folios and the stay-view socket
+
+const { getServiceFees } = require('./cacheService');
+const { normalizePaymentMethod } = require('../utils/validation');
+const { applyGstToItem, loadTaxRules, round2 } = require('./gstService');
+
+const getNights = (checkIn, checkOut) => {
+    const nights = Math.ceil((new Date(checkOut) - new Date(checkIn)) / (1000 * 60 * 60 * 24));
+    return Math.max(1, nights);
+};
+
+const getLineGuestCount = (line) => {
+    const adults = Number(line.adults) || 0;
+    const children = Number(line.children) || 0;
+    return adults + children || Number(line.totalGuest) || 1;
+};
+
+/**
+ * Build accommodation folio items for every room line of a reservation.
+ * Single-line (legacy) reservations charge the full totalAmount, as before.
+ * Multi-line reservations charge each line's amount; anything left over on
+ * totalAmount (e.g. meal plan) is posted as one extra item.
+ *
+ * @param {Object} models - Tenant models (Reservations, RoomType, Rooms)
+ * @param {ObjectId} propertyId
+ * @param {Object} reservation - Reservation document or lean object
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Posting date (defaults to check-in)
+ * @param {Number} [options.totalAmount] - Override for the reservation total
+ * @param {Array<String>} [options.fallbackRoomNumbers] - Room numbers to use when none are assigned
+ * @param {Array} [options.taxRules] - Active tax rules; GST is charged on each item at the
+ *   slab rate for its per-room, per-night tariff
+ * @returns {Promise<{items: Array, roomNumbers: Array<String>}>}
+ */
+const buildAccommodationItems = async (models, propertyId, reservation, options = {}) => {
+    const { Reservations, RoomType, Rooms } = models;
+    const lines = Reservations.getRoomLines(reservation);
+    const postingDate = options.date || new Date(reservation.checkInDate);
+    const totalAmount = options.totalAmount != null ? options.totalAmount : (reservation.totalAmount || 0);
+    const isSingleLine = lines.length <= 1;
+    const nights = getNights(reservation.checkInDate, reservation.checkOutDate);
+    const addGst = (item, rooms) => {
+        if (options.taxRules) {
+            applyGstToItem(item, options.taxRules, { tariff: item.amount / nights / (rooms || 1) });
+        }
+        return item;
+    };
+
+    const roomTypeIds = lines.map(line => line.roomType?._id || line.roomType).filter(Boolean);
+    const roomTypes = roomTypeIds.length > 0
+        ? await RoomType.find({ _id: { $in: roomTypeIds }, property: propertyId }).lean()
+        : [];
+    const roomTypeMap = new Map(roomTypes.map(rt => [rt._id.toString(), rt]));
+
+    const roomIds = lines.reduce((all, line) => all.concat(line.roomNumbers || []), []);
+    const rooms = roomIds.length > 0
+        ? await Rooms.find({ _id: { $in: roomIds }, property: propertyId }).select('roomNumber').lean()
+        : [];
+    const roomNumberMap = new Map(rooms.map(room => [room._id.toString(), room.roomNumber]));
+
+    const items = [];
+    const allRoomNumbers = [];
+    let lineTotal = 0;
+
+    lines.forEach(line => {
+        const roomTypeData = roomTypeMap.get(String(line.roomType?._id || line.roomType));
+        const roomTypeName = roomTypeData?.name || 'Room';
+        const priceModel = roomTypeData?.priceModel || 'perRoom';
+        const lineAmount = isSingleLine ? totalAmount : (line.amount || 0);
+        lineTotal += lineAmount;
+
+        let lineRoomNumbers = (line.roomNumbers || [])
+            .map(roomId => roomNumberMap.get(String(roomId?._id || roomId)))
+            .filter(Boolean);
+        if (lineRoomNumbers.length === 0 && isSingleLine && options.fallbackRoomNumbers) {
+            lineRoomNumbers = options.fallbackRoomNumbers;
+        }
+        allRoomNumbers.push(...lineRoomNumbers);
+
+        if (priceModel === 'perPerson') {
+            // For perPerson: Single accommodation charge with total guests and room name
+            const totalGuests = getLineGuestCount(line);
+            items.push(addGst({
+                description: `Accommodation - ${roomTypeName} (${totalGuests} Guest${totalGuests > 1 ? 's' : ''})`,
+                date: postingDate,
+                amount: lineAmount,
+                department: 'Room',
+                quantity: 1,
+                unitPrice: lineAmount
+            }, lineRoomNumbers.length || line.numberOfRooms));
+            return;
+        }
+
+        // For perRoom: Separate charges for each room
+        const numberOfRooms = lineRoomNumbers.length || line.numberOfRooms || 1;
+        const roomChargePerRoom = lineAmount / numberOfRooms;
+        for (let i = 0; i < numberOfRooms; i++) {
+            items.push(addGst({
+                description: `Accommodation - ${roomTypeName} (Room ${lineRoomNumbers[i] || i + 1})`,
+                date: postingDate,
+                amount: roomChargePerRoom,
+                department: 'Room',
+                quantity: 1,
+                unitPrice: roomChargePerRoom
+            }));
+        }
+    });
+
+    // Amount on the reservation not covered by the lines (meal plan, manual adjustments)
+    const remainder = totalAmount - lineTotal;
+    if (!isSingleLine && remainder > 0.01) {
+        const hasMealPlan = reservation.mealPlan && reservation.mealPlan !== 'EP';
+        items.push(addGst({
+            description: hasMealPlan ? `Accommodation - Meal Plan (${reservation.mealPlan})` : 'Accommodation - Other Charges',
+            date: postingDate,
+            amount: remainder,
+            department: 'Room',
+            quantity: 1,
+            unitPrice: remainder
+        }));
+    }
+
+    return { items, roomNumbers: allRoomNumbers };
+};
+
+/**
+ * Tax lines for the tax rules that are not charged as GST on the items
+ * (city tax, tourism tax, flat amounts), calculated on the accommodation total.
+ *
+ * @param {Array} taxRules - Active tax rules
+ * @param {Number} accommodationTotal
+ * @param {Date} date - Posting date
+ * @returns {Array} Folio items
+ */
+const buildTaxLineItems = (taxRules, accommodationTotal, date) => {
+    const items = [];
+    taxRules.forEach(taxRule => {
+        // GST percentages are carried on each charge item instead
+        if (taxRule.type === 'gst' && taxRule.isPercentage) {
+            return;
+        }
+        // Check if tax applies to room_rate or total_amount
+        if (taxRule.applicableOn === 'room_rate' || taxRule.applicableOn === 'total_amount' || taxRule.applicableOn === 'all') {
+            let taxAmount = 0;
+            if (taxRule.isPercentage) {
+                taxAmount = (accommodationTotal * taxRule.rate) / 100;
+            } else {
+                taxAmount = taxRule.rate;
+            }
+            
+            if (taxAmount > 0) {
+                items.push({
+                    description: `${taxRule.name}${taxRule.isPercentage ? ` (${taxRule.rate}%)` : ''}`,
+                    date,
+                    amount: taxAmount,
+                    department: 'Room',
+                    quantity: 1,
+                    unitPrice: taxAmount,
+                    tax: 0, // Tax is already included in amount
+                    taxRule: taxRule._id
+                });
+            }
+        }
+    });
+    return items;
+};
+
+/**
+ * Build the opening charges of a reservation folio: accommodation for every
+ * room line (with GST) plus the other active tax rules and service fees.
+ * With options.nightlyPosting only the service fees are built; the night
+ * audit posts the room rent, meal plan and taxes night by night.
+ *
+ * @param {Object} models - Tenant models (Reservations, RoomType, Rooms, TaxRule, ServiceFee)
+ * @param {ObjectId} propertyId
+ * @param {Object} reservation
+ * @param {Object} [options] - Passed on to buildAccommodationItems (e.g. fallbackRoomNumbers)
+ * @param {Boolean} [options.nightlyPosting]
+ * @returns {Promise<{items: Array, roomNumbers: Array<String>}>}
+ */
+const buildReservationCharges = async (models, propertyId, reservation, options = {}) => {
+    const { ServiceFee } = models;
+
+    // Create accommodation charge items for every room line
+    const checkIn = new Date(reservation.checkInDate);
+    const checkOut = new Date(reservation.checkOutDate);
+    const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
+    
+    // Fetch active tax rules (use lean and cache)
+    const activeTaxRules = await loadTaxRules(models, propertyId);
+
+    const { items: accommodationItems, roomNumbers: finalRoomNumbers } = await buildAccommodationItems(models, propertyId, reservation, {
+        ...options,
+        taxRules: activeTaxRules
+    });
+    
+    // Calculate and add tax items (nightly posting leaves both to the night audit)
+    const accommodationTotal = reservation.totalAmount || 0;
+    const items = options.nightlyPosting ? [] : accommodationItems;
+    if (!options.nightlyPosting) {
+        items.push(...buildTaxLineItems(activeTaxRules, accommodationTotal, checkIn));
+    }
+    
+    // Fetch active service fees (use lean and cache)
+    const activeServiceFees = await getServiceFees(propertyId, async () => {
+        return await ServiceFee.find({
+            property: propertyId,
+            isActive: true
+        }).lean();
+    });
+    
+    // Calculate guest count for per-person calculations
+    const adultCount = reservation.adultCount || reservation.numberOfAdults || reservation.adults || 0;
+    const childCount = reservation.childCount || reservation.numberOfChildren || reservation.children || 0;
+    const totalGuests = adultCount + childCount || reservation.totalGuest || 1;
+    const numberOfRooms = finalRoomNumbers.length || reservation.numberOfRooms || 1;
+    
+    // Calculate and add service fee items
+    activeServiceFees.forEach(serviceFee => {
+        let feeAmount = 0;
+        
+        if (serviceFee.applicableOn === 'per_night') {
+            // Per night: multiply by number of nights
+            if (serviceFee.isPercentage) {
+                // Percentage of accommodation per night
+                const accommodationPerNight = accommodationTotal / nights;
+                feeAmount = (accommodationPerNight * serviceFee.amount) / 100 * nights;
+            } else {
+                // Fixed amount per night
+                feeAmount = serviceFee.amount * nights;
+            }
+        } else if (serviceFee.applicableOn === 'per_booking') {
+            // Per booking: one-time fee
+            if (serviceFee.isPercentage) {
+                feeAmount = (accommodationTotal * serviceFee.amount) / 100;
+            } else {
+                feeAmount = serviceFee.amount;
+            }
+        } else if (serviceFee.applicableOn === 'per_person') {
+            // Per person: multiply by total number of guests
+            if (serviceFee.isPercentage) {
+                // Percentage of accommodation per person
+                feeAmount = (accommodationTotal * serviceFee.amount) / 100;
+            } else {
+                // Fixed amount per person
+                feeAmount = serviceFee.amount * totalGuests;
+            }
+        } else if (serviceFee.applicableOn === 'per_person_per_night') {
+            // Per person per night: multiply by guests and nights
+            if (serviceFee.isPercentage) {
+                // Percentage of accommodation per person per night
+                const accommodationPerNight = accommodationTotal / nights;
+                feeAmount = (accommodationPerNight * serviceFee.amount) / 100 * totalGuests * nights;
+            } else {
+                // Fixed amount per person per night
+                feeAmount = serviceFee.amount * totalGuests * nights;
+            }
+        } else if (serviceFee.applicableOn === 'room_rate' || serviceFee.applicableOn === 'total_amount') {
+            // Based on room rate or total amount
+            if (serviceFee.isPercentage) {
+                feeAmount = (accommodationTotal * serviceFee.amount) / 100;
+            } else {
+                feeAmount = serviceFee.amount;
+            }
+        }
+        
+        if (feeAmount > 0) {
+            let description = serviceFee.name;
+            if (serviceFee.isPercentage) {
+                description += ` (${serviceFee.amount}%)`;
+            }
+            if (serviceFee.applicableOn === 'per_night') {
+                description += ` - ${nights} night${nights > 1 ? 's' : ''}`;
+            } else if (serviceFee.applicableOn === 'per_person') {
+                description += ` - ${totalGuests} guest${totalGuests > 1 ? 's' : ''}`;
+            } else if (serviceFee.applicableOn === 'per_person_per_night') {
+                description += ` - ${totalGuests} guest${totalGuests > 1 ? 's' : ''} × ${nights} night${nights > 1 ? 's' : ''}`;
+            }
+            
+            items.push({
+                description: description,
+                date: checkIn,
+                amount: feeAmount,
+                department: 'Room',
+                quantity: 1,
+                unitPrice: feeAmount,
+                tax: 0
+            });
+        }
+    });
+
+    return { items, roomNumbers: finalRoomNumbers };
+};
+
+/**
+ * Folio payments for what was paid on a reservation before its folio was
+ * opened: each recorded deposit payment (keeping its _id and cashier shift),
+ * and what is left of the paid amount without a record as one advance payment.
+ *
+ * @param {Object} reservation - Reservation document or lean object
+ * @param {Object} [options] - { payedAmount, paymentMethod } to override the reservation's
+ * @returns {Array<Object>} Folio payments
+ */
+const buildAdvancePayments = (reservation, { payedAmount = reservation.payedAmount, paymentMethod = reservation.paymentMethod } = {}) => {
+    const payments = (reservation.depositPayments || []).map(payment => ({
+        _id: payment._id,
+        date: payment.date,
+        method: normalizePaymentMethod(payment.method),
+        amount: payment.amount,
+        transactionId: payment.transactionId,
+        businessDate: payment.businessDate,
+        shift: payment.shift,
+        notes: payment.notes
+    }));
+    const unrecorded = round2((payedAmount || 0) - payments.reduce((sum, payment) => sum + payment.amount, 0));
+    if (unrecorded > 0) {
+        payments.push({
+            date: new Date(),
+            method: normalizePaymentMethod(paymentMethod),
+            amount: unrecorded,
+            transactionId: `ADV-${reservation._id}`,
+            notes: 'Advance payment'
+        });
+    }
+    return payments;
+};
+
+/**
+ * Create the active folio for a reservation (returns the existing one if there is one),
+ * with the opening charges and any advance already paid.
+ * Never throws: returns null when the folio could not be created.
+ */
+const createReservationFolio = async (models, propertyId, reservation) => {
+    try {
+        const { GuestFolio } = models;
+
+        // Check if folio already exists for this reservation
+        const existingFolio = await GuestFolio.findOne({
+            reservationId: reservation._id,
+            property: propertyId,
+            status: 'active'
+        });
+
+        if (existingFolio) {
+            return existingFolio; // Return existing folio
+        }
+
+        // Generate folio ID
+        const folioId = await GuestFolio.generateFolioId(propertyId);
+
+        const checkIn = new Date(reservation.checkInDate);
+        const checkOut = new Date(reservation.checkOutDate);
+        // Room rent, meal plan and taxes are posted night by night by the night audit
+        const { items, roomNumbers: finalRoomNumbers } = await buildReservationCharges(models, propertyId, reservation, { nightlyPosting: true });
+
+        // Deposits and advance already paid
+        const payments = buildAdvancePayments(reservation);
+        const payedAmount = reservation.payedAmount || 0;
+        
+        // Create folio
+        const newFolio = new GuestFolio({
+            folioId,
+            reservationId: reservation._id,
+            guestName: reservation.guestName,
+            guestEmail: reservation.guestEmail,
+            guestPhone: reservation.guestNumber,
+            roomNumber: finalRoomNumbers[0] || '',
+            roomNumbers: finalRoomNumbers,
+            checkIn: checkIn,
+            checkOut: checkOut,
+            items: items,
+            payments: payments,
+            roomPosting: 'nightly',
+            status: 'active',
+            property: propertyId
+        });
+        
+        newFolio.calculateBalance();
+        await newFolio.save();
+        
+        console.log(`Folio created for reservation ${reservation._id} with paid amount: ${payedAmount}`);
+        return newFolio;
+    } catch (error) {
+        console.error('Error creating folio for reservation:', error);
+        return null; // Don't throw, just log and return null
+    }
+};
+
+// Drop the stay charges a cancelled booking no longer owes. Nights the night audit
+// posted and charges in settled billing windows were earned, so they stay.
+const removeUnpostedStayCharges = (folio) => {
+    const settledWindows = new Set(folio.windows.filter(window => window.status === 'settled').map(window => window.windowNumber));
+    folio.items = folio.items.filter(item => item.department !== 'Room' || item.postedNight || settledWindows.has(item.window));
+};
+
+// Replace the unposted stay charges on a cancelled reservation's folio with the cancellation charge
+const postCancellationCharge = async (models, propertyId, reservation, cancellationFee, policyName) => {
+    const { GuestFolio } = models;
+
+    let folio = await GuestFolio.findOne({
+        reservationId: reservation._id,
+        property: propertyId,
+        status: 'active'
+    });
+
+    if (!folio) {
+        const payments = buildAdvancePayments(reservation);
+
+        folio = new GuestFolio({
+            folioId: await GuestFolio.generateFolioId(propertyId),
+            reservationId: reservation._id,
+            guestName: reservation.guestName,
+            guestEmail: reservation.guestEmail,
+            guestPhone: reservation.guestNumber,
+            checkIn: reservation.checkInDate,
+            checkOut: reservation.checkOutDate,
+            items: [],
+            payments,
+            status: 'active',
+            property: propertyId
+        });
+    } else {
+        removeUnpostedStayCharges(folio);
+    }
+
+    folio.items.push({
+        description: `Cancellation Charge${policyName ? ` - ${policyName}` : ''}`,
+        date: new Date(),
+        amount: cancellationFee,
+        department: 'Room',
+        quantity: 1,
+        unitPrice: cancellationFee,
+        tax: 0
+    });
+
+    folio.calculateBalance();
+    await folio.save();
+    console.log(`Cancellation charge ₹${cancellationFee.toFixed(2)} posted to folio ${folio.folioId}`);
+    return folio;
+};
+
+module.exports = {
+    getNights,
+    getLineGuestCount,
+    buildAccommodationItems,
+    buildTaxLineItems,
+    buildReservationCharges,
+    buildAdvancePayments,
+    createReservationFolio,
+    removeUnpostedStayCharges,
+    postCancellationCharge,
+};
@@ -0,0 +1,187 @@
+// Folio-to-folio transfers
+// Moves charges or payments between two active guest folios (a guest paying
+// for a friend's room, a charge posted to the wrong room). Both folios are
+// saved in one transaction and each gets an audit record of the transfer.
+
+const mongoose = require('mongoose');
+const { round2 } = require('./gstService');
+
+const getChargeTotal = (item) => round2((item.amount + (item.tax || 0) - (item.discount || 0)) * (item.quantity || 1));
+
+// Paymaster rooms mirror the charges and payments of their folio
+const syncPaymaster = async (models, propertyId, folio) => {
+    if (!folio.paymasterId) {
+        return;
+    }
+    try {
+        const paymaster = await models.PaymasterRoom.findOne({
+            _id: folio.paymasterId,
+            property: propertyId
+        });
+        if (!paymaster) {
+            return;
+        }
+        paymaster.charges = folio.items.map(item => ({
+            description: item.description,
+            date: item.date,
+            amount: item.amount,
+            department: item.department,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            tax: item.tax,
+            discount: item.discount,
+            notes: item.notes
+        }));
+        paymaster.payments = folio.payments.map(payment => ({
+            date: payment.date,
+            method: payment.method,
+            amount: payment.amount,
+            transactionId: payment.transactionId,
+            notes: payment.notes
+        }));
+        paymaster.calculateBalance();
+        await paymaster.save();
+    } catch (paymasterError) {
+        console.error('Error updating paymaster:', paymasterError);
+    }
+};
+
+/**
+ * Move charges or payments from one active folio to another.
+ *
+ * Entries keep their _id, so anything already exported (accounting, cashier
+ * reports) still refers to the same charge or payment. Charges go to the
+ * target window given, else where the target folio's routing rules send
+ * them; payments go to the given window or window 1.
+ *
+ * @param {Object} tenant - req.tenant (models, connection, property)
+ * @param {Object} params
+ * @param {String} params.sourceFolioId - GuestFolio _id
+ * @param {String} params.targetFolioId - GuestFolio _id
+ * @param {'charge'|'payment'} params.entryType
+ * @param {Array<String>} params.entryIds - Item or payment _ids on the source folio
+ * @param {String} params.reason
+ * @param {Number} [params.window] - Billing window on the target folio
+ * @param {Object} [params.user] - { id, name } of the user making the transfer
+ * @returns {Promise<{ source, target, transferId } | { status: Number, error: String }>}
+ */
+const transferFolioEntries = async (tenant, { sourceFolioId, targetFolioId, entryType, entryIds, reason, window, user }) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    if (String(sourceFolioId) === String(targetFolioId)) {
+        return { status: 400, error: 'Source and target folio must be different' };
+    }
+
+    const [source, target] = await Promise.all([
+        models.GuestFolio.findOne({ _id: sourceFolioId, property: propertyId }),
+        models.GuestFolio.findOne({ _id: targetFolioId, property: propertyId })
+    ]);
+    if (!source) {
+        return { status: 404, error: 'Folio not found.' };
+    }
+    if (!target) {
+        return { status: 404, error: 'Target folio not found.' };
+    }
+    if (source.status !== 'active' || target.status !== 'active') {
+        return { status: 400, error: 'Transfers are only possible between active folios' };
+    }
+
+    const list = entryType === 'charge' ? source.items : source.payments;
+    const uniqueIds = [...new Set(entryIds.map(String))];
+    const entries = uniqueIds.map(entryId => list.id(entryId));
+    const missing = uniqueIds.filter((entryId, index) => !entries[index]);
+    if (missing.length > 0) {
+        return { status: 404, error: `${entryType === 'charge' ? 'Charge' : 'Payment'} not found on folio: ${missing.join(', ')}` };
+    }
+
+    // Entries of a billed (settled) window are on an issued bill and stay where they are
+    source.ensureDefaultWindow();
+    const isSettledWindow = (folio, windowNumber) => folio.windows
+        .some(w => w.windowNumber === windowNumber && w.status === 'settled');
+    const billed = entries.filter(entry => isSettledWindow(source, entry.window || 1));
+    if (billed.length > 0) {
+        return { status: 400, error: `${entryType === 'charge' ? 'Charge' : 'Payment'} already billed on its billing window: ${billed.map(entry => entry._id).join(', ')}` };
+    }
+
+    target.ensureDefaultWindow();
+    if (window !== undefined) {
+        const targetWindow = target.windows.find(w => w.windowNumber === Number(window));
+        if (!targetWindow || targetWindow.status === 'settled') {
+            return { status: 400, error: `Billing window ${window} is not open on the target folio` };
+        }
+    } else {
+        const targetWindows = entries.map(entry => (entryType === 'charge' ? target.getRoutedWindow(entry) : 1));
+        const closedWindow = targetWindows.find(windowNumber => isSettledWindow(target, windowNumber));
+        if (closedWindow !== undefined) {
+            return { status: 400, error: `Billing window ${closedWindow} is not open on the target folio` };
+        }
+    }
+
+    const transferId = new mongoose.Types.ObjectId();
+    const transferredAt = new Date();
+    const note = `Transferred from folio ${source.folioId} (${reason})`;
+    const summary = entries.map(entry => ({
+        entryId: entry._id,
+        description: entryType === 'charge' ? entry.description : `${entry.method || 'Payment'}${entry.transactionId ? ` ${entry.transactionId}` : ''}`,
+        amount: entryType === 'charge' ? getChargeTotal(entry) : round2(entry.amount)
+    }));
+    const amount = round2(summary.reduce((sum, entry) => sum + entry.amount, 0));
+
+    entries.forEach(entry => {
+        const moved = entry.toObject();
+        moved.notes = moved.notes ? `${moved.notes} | ${note}` : note;
+        if (entryType === 'charge') {
+            moved.window = window !== undefined ? Number(window) : target.getRoutedWindow(moved);
+            target.items.push(moved);
+            source.items.pull(entry._id);
+        } else {
+            moved.window = window !== undefined ? Number(window) : 1;
+            target.payments.push(moved);
+            source.payments.pull(entry._id);
+        }
+    });
+
+    const audit = {
+        transferId,
+        entryType,
+        entries: summary,
+        amount,
+        reason,
+        transferredBy: user?.id,
+        transferredByName: user?.name,
+        transferredAt
+    };
+    source.transfers.push({
+        ...audit,
+        direction: 'out',
+        counterpartFolio: target._id,
+        counterpartFolioId: target.folioId,
+        counterpartGuestName: target.guestName
+    });
+    target.transfers.push({
+        ...audit,
+        direction: 'in',
+        counterpartFolio: source._id,
+        counterpartFolioId: source.folioId,
+        counterpartGuestName: source.guestName
+    });
+
+    source.calculateBalance();
+    target.calculateBalance();
+
+    // Both folios change together or not at all
+    await tenant.connection.transaction(async (session) => {
+        await source.save({ session });
+        await target.save({ session });
+    });
+
+    await syncPaymaster(models, propertyId, source);
+    await syncPaymaster(models, propertyId, target);
+
+    return { source, target, transferId };
+};
+
+module.exports = {
+    transferFolioEntries,
+};
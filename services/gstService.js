@@ -0,0 +1,367 @@
+// GST tax engine
+// Works out the GST on folio charges (slab rates that depend on the tariff),
+// splits it into CGST+SGST or IGST by place of supply and builds the tax
+// invoice figures stored on a Bill.
+
+const { getTaxRules, getPropertySettings } = require('./cacheService');
+
+// Default SAC codes per folio department (overridable in property details)
+const DEFAULT_SAC_CODES = {
+    Room: '996311',      // Room or unit accommodation services
+    'F&B': '996331',     // Food and beverage serving services
+    Spa: '999722',       // Beauty and physical well-being services
+    Laundry: '999712',   // Laundry and dry-cleaning services
+    Other: '999799'      // Other services n.e.c.
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const STATE_CODE_PATTERN = /^[0-9]{2}$/;
+
+// Which folio departments a tax rule's applicableOn covers
+const RULE_DEPARTMENTS = {
+    room_rate: ['Room'],
+    food_beverage: ['F&B'],
+    total_amount: null, // every department
+    all: null
+};
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normalizeGstin = (gstin) => String(gstin || '').trim().toUpperCase();
+
+// Validate format and the mod-36 check digit of a GSTIN
+const isValidGstin = (gstin) => {
+    const value = normalizeGstin(gstin);
+    if (!GSTIN_PATTERN.test(value)) {
+        return false;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARSET.indexOf(value[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    const checkDigit = GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+    return checkDigit === value[14];
+};
+
+const isValidStateCode = (code) => STATE_CODE_PATTERN.test(String(code || '')) && Number(code) >= 1 && Number(code) <= 99;
+
+const getStateCodeFromGstin = (gstin) => {
+    const value = normalizeGstin(gstin);
+    return STATE_CODE_PATTERN.test(value.slice(0, 2)) ? value.slice(0, 2) : null;
+};
+
+// Validate an optional buyer ({ name, gstin, address, stateCode }); returns an error message or null
+const validateBuyer = (buyer) => {
+    if (!buyer) {
+        return null;
+    }
+    if (typeof buyer !== 'object' || Array.isArray(buyer)) {
+        return 'buyer must be an object';
+    }
+    if (buyer.gstin && !isValidGstin(buyer.gstin)) {
+        return 'buyer.gstin is not a valid GSTIN';
+    }
+    if (buyer.stateCode && !isValidStateCode(buyer.stateCode)) {
+        return 'buyer.stateCode must be a two digit GST state code';
+    }
+    if (buyer.pincode && !/^[1-9][0-9]{5}$/.test(String(buyer.pincode))) {
+        return 'buyer.pincode must be a six digit PIN code';
+    }
+    return null;
+};
+
+const isGstRule = (rule) => rule && rule.type === 'gst' && rule.isActive !== false && rule.isPercentage !== false;
+
+const ruleAppliesTo = (rule, department) => {
+    const departments = RULE_DEPARTMENTS[rule.applicableOn || 'total_amount'];
+    return !departments || departments.includes(department || 'Other');
+};
+
+/**
+ * The GST rule for a department. A rule scoped to the department
+ * (e.g. room_rate for Room) wins over a rule on the total amount.
+ */
+const getGstRuleForDepartment = (taxRules, department) => {
+    const rules = (taxRules || []).filter(rule => isGstRule(rule) && ruleAppliesTo(rule, department));
+    return rules.find(rule => RULE_DEPARTMENTS[rule.applicableOn]) || rules[0] || null;
+};
+
+/**
+ * GST rate for a tariff. Slabs are matched on the tariff (per unit, per night
+ * for accommodation); a slab without upTo is open-ended. Rules without slabs
+ * use their flat rate.
+ */
+const resolveGstRate = (rule, tariff) => {
+    if (!rule) {
+        return 0;
+    }
+    const slabs = (rule.slabs || [])
+        .slice()
+        .sort((a, b) => (a.upTo == null ? Infinity : a.upTo) - (b.upTo == null ? Infinity : b.upTo));
+    if (slabs.length === 0) {
+        return rule.rate || 0;
+    }
+    const value = Math.abs(Number(tariff) || 0);
+    const slab = slabs.find(s => s.upTo == null || value <= s.upTo);
+    return slab ? slab.rate : slabs[slabs.length - 1].rate;
+};
+
+/**
+ * Set sacCode, taxRate and tax (per unit) on a folio charge item from the
+ * GST rules. Items that already carry a tax amount are left alone.
+ *
+ * @param {Object} item - Folio item ({ amount, discount, department, ... })
+ * @param {Array} taxRules - Active tax rules
+ * @param {Object} [options]
+ * @param {Number} [options.tariff] - Value the slab is chosen on (defaults to the item amount)
+ * @param {String} [options.sacCode]
+ * @returns {Object} The item
+ */
+const applyGstToItem = (item, taxRules, options = {}) => {
+    if (item.tax) {
+        return item;
+    }
+    const rule = getGstRuleForDepartment(taxRules, item.department);
+    if (!rule) {
+        return item;
+    }
+
+    const taxable = (item.amount || 0) - (item.discount || 0);
+    const tariff = options.tariff != null ? options.tariff : taxable;
+    const taxRate = resolveGstRate(rule, tariff);
+
+    item.taxRate = taxRate;
+    item.tax = round2((taxable * taxRate) / 100);
+    if (rule._id) {
+        item.taxRule = rule._id;
+    }
+    if (!item.sacCode && (options.sacCode || rule.sacCode)) {
+        item.sacCode = options.sacCode || rule.sacCode;
+    }
+    return item;
+};
+
+// Active tax rules for a property (cached)
+const loadTaxRules = (models, propertyId) => getTaxRules(propertyId, async () => {
+    return await models.TaxRule.find({
+        property: propertyId,
+        isActive: true
+    }).lean();
+});
+
+/**
+ * Supplier GST settings from property details.
+ * @returns {Promise<{ legalName, tradeName, gstin, stateCode, address, city, pincode, phone, email, sacCodes: Object }>}
+ */
+const getGstSettings = async (models, propertyId) => {
+    const details = await getPropertySettings(propertyId, async () => {
+        return await models.PropertyDetails.findOne({ property: propertyId }).lean();
+    });
+
+    const sacCodes = { ...DEFAULT_SAC_CODES };
+    (details?.sacCodes || []).forEach(entry => {
+        if (entry?.department && entry?.sacCode) {
+            sacCodes[entry.department] = entry.sacCode;
+        }
+    });
+
+    const gstin = normalizeGstin(details?.gstin);
+    return {
+        legalName: details?.legalName || details?.propertyName || '',
+        tradeName: details?.propertyName || '',
+        gstin,
+        stateCode: details?.stateCode || getStateCodeFromGstin(gstin),
+        address: details?.address || '',
+        city: details?.city || '',
+        pincode: details?.pincode || '',
+        phone: details?.phone || '',
+        email: details?.email || '',
+        sacCodes
+    };
+};
+
+// intra-state supplies pay CGST + SGST, inter-state supplies pay IGST
+const getSupplyType = (supplierStateCode, placeOfSupply) => {
+    if (!supplierStateCode || !placeOfSupply) {
+        return 'intra';
+    }
+    return String(supplierStateCode) === String(placeOfSupply) ? 'intra' : 'inter';
+};
+
+const splitGst = (taxAmount, supplyType) => {
+    if (supplyType === 'inter') {
+        return { cgst: 0, sgst: 0, igst: round2(taxAmount) };
+    }
+    const cgst = round2(taxAmount / 2);
+    return { cgst, sgst: round2(taxAmount - cgst), igst: 0 };
+};
+
+// GST rate of an item: the stored rate, or derived from a manually entered tax amount
+const getItemTaxRate = (item, taxableUnit) => {
+    if (item.taxRate != null) {
+        return item.taxRate;
+    }
+    if (!item.tax || !taxableUnit) {
+        return 0;
+    }
+    return round2((item.tax / taxableUnit) * 100);
+};
+
+/**
+ * Build the tax invoice figures for a list of folio items.
+ *
+ * Place of supply for hotel accommodation is where the property is, so it
+ * defaults to the supplier's state; pass another state code to invoice an
+ * inter-state supply.
+ *
+ * @param {Array} items - Folio items
+ * @param {Object} settings - From getGstSettings
+ * @param {Object} [options]
+ * @param {String} [options.placeOfSupply] - Two digit state code
+ * @returns {{ supplyType, placeOfSupply, items: Array, gstSummary: Array, totals: Object }}
+ */
+const buildTaxInvoice = (items, settings, options = {}) => {
+    const placeOfSupply = options.placeOfSupply || settings.stateCode || null;
+    const supplyType = getSupplyType(settings.stateCode, placeOfSupply);
+    const summary = new Map();
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0, invoiceValue: 0 };
+
+    const invoiceItems = (items || []).map(source => {
+        const item = typeof source.toObject === 'function' ? source.toObject() : { ...source };
+        const quantity = item.quantity || 1;
+        const taxableUnit = (item.amount || 0) - (item.discount || 0);
+        const taxableValue = round2(taxableUnit * quantity);
+        const taxAmount = round2((item.tax || 0) * quantity);
+        const gstRate = getItemTaxRate(item, taxableUnit);
+        const sacCode = item.sacCode || settings.sacCodes[item.department || 'Other'] || settings.sacCodes.Other;
+        const { cgst, sgst, igst } = splitGst(taxAmount, supplyType);
+
+        const key = `${sacCode}|${gstRate}`;
+        const row = summary.get(key) || { sacCode, gstRate, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+        row.taxableValue = round2(row.taxableValue + taxableValue);
+        row.cgst = round2(row.cgst + cgst);
+        row.sgst = round2(row.sgst + sgst);
+        row.igst = round2(row.igst + igst);
+        summary.set(key, row);
+
+        totals.taxableValue += taxableValue;
+        totals.cgst += cgst;
+        totals.sgst += sgst;
+        totals.igst += igst;
+
+        return { ...item, sacCode, taxRate: gstRate, taxableValue, cgst, sgst, igst };
+    });
+
+    Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+    totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+    totals.invoiceValue = round2(totals.taxableValue + totals.totalTax);
+
+    return {
+        supplyType,
+        placeOfSupply,
+        items: invoiceItems,
+        gstSummary: Array.from(summary.values()).sort((a, b) => a.sacCode.localeCompare(b.sacCode) || a.gstRate - b.gstRate),
+        totals
+    };
+};
+
+/**
+ * Write the tax invoice fields onto a Bill document (supplier, buyer, place
+ * of supply, per-item split and the SAC summary).
+ *
+ * @param {Object} bill - Bill document
+ * @param {Object} settings - From getGstSettings
+ * @param {Object} [options]
+ * @param {Object} [options.buyer] - { name, gstin, address, stateCode }
+ * @param {String} [options.placeOfSupply]
+ */
+const applyTaxInvoiceToBill = (bill, settings, options = {}) => {
+    const buyer = options.buyer || bill.buyer || {};
+    const buyerGstin = buyer.gstin ? normalizeGstin(buyer.gstin) : '';
+    const invoice = buildTaxInvoice(bill.items, settings, { placeOfSupply: options.placeOfSupply || bill.placeOfSupply });
+
+    bill.supplier = {
+        legalName: settings.legalName,
+        gstin: settings.gstin,
+        stateCode: settings.stateCode,
+        address: settings.address,
+        city: settings.city,
+        pincode: settings.pincode
+    };
+    bill.buyer = {
+        name: buyer.name || bill.guestName,
+        gstin: buyerGstin || undefined,
+        address: buyer.address || undefined,
+        city: buyer.city || undefined,
+        pincode: buyer.pincode ? String(buyer.pincode) : undefined,
+        stateCode: buyer.stateCode || getStateCodeFromGstin(buyerGstin) || undefined
+    };
+    bill.invoiceType = buyerGstin ? 'B2B' : 'B2C';
+    bill.placeOfSupply = invoice.placeOfSupply;
+    bill.supplyType = invoice.supplyType;
+    bill.items = invoice.items;
+    bill.gstSummary = invoice.gstSummary;
+    bill.taxableValue = invoice.totals.taxableValue;
+    bill.cgstTotal = invoice.totals.cgst;
+    bill.sgstTotal = invoice.totals.sgst;
+    bill.igstTotal = invoice.totals.igst;
+    bill.totalTax = invoice.totals.totalTax;
+    return bill;
+};
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const twoDigitWords = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]}${n % 10 ? ` ${ONES[n % 10]}` : ''}`);
+
+const threeDigitWords = (n) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? twoDigitWords(rest) : ''].filter(Boolean).join(' ');
+};
+
+// Amount in words using the Indian numbering system (lakh, crore)
+const amountInWords = (amount) => {
+    const value = Math.abs(round2(amount));
+    let rupees = Math.floor(value);
+    const paise = Math.round((value - rupees) * 100);
+
+    const parts = [];
+    const crore = Math.floor(rupees / 10000000);
+    rupees %= 10000000;
+    const lakh = Math.floor(rupees / 100000);
+    rupees %= 100000;
+    const thousand = Math.floor(rupees / 1000);
+    rupees %= 1000;
+
+    if (crore) parts.push(`${threeDigitWords(crore)} Crore`);
+    if (lakh) parts.push(`${twoDigitWords(lakh)} Lakh`);
+    if (thousand) parts.push(`${twoDigitWords(thousand)} Thousand`);
+    if (rupees) parts.push(threeDigitWords(rupees));
+
+    const words = `Rupees ${parts.join(' ') || 'Zero'}${paise ? ` and ${twoDigitWords(paise)} Paise` : ''} Only`;
+    return amount < 0 ? `Minus ${words}` : words;
+};
+
+module.exports = {
+    DEFAULT_SAC_CODES,
+    round2,
+    isValidGstin,
+    isValidStateCode,
+    getStateCodeFromGstin,
+    validateBuyer,
+    getGstRuleForDepartment,
+    resolveGstRate,
+    applyGstToItem,
+    loadTaxRules,
+    getGstSettings,
+    getSupplyType,
+    splitGst,
+    buildTaxInvoice,
+    applyTaxInvoiceToBill,
+    amountInWords,
+};
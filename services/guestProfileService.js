@@ -0,0 +1,96 @@
+// Guest profiles
+// Keeps the guest history (visits, spend, stays) in step with reservations.
+
+/**
+ * Create the guest profile for a reservation, or add the stay to the guest's
+ * existing profile (matched by email or phone).
+ *
+ * @param {Object} models - Tenant models (GuestProfiles)
+ * @param {ObjectId} propertyId
+ * @param {Object} reservation
+ */
+const recordGuestStay = async (models, propertyId, reservation) => {
+    const guestProfiles = models.GuestProfiles;
+
+    // Check if guest already exists by email or phone
+    const identifierQuery = [];
+    if (reservation.guestEmail) identifierQuery.push({ guestEmail: reservation.guestEmail });
+    if (reservation.guestNumber) identifierQuery.push({ guestNumber: reservation.guestNumber });
+
+    let existingGuest = null;
+    if (identifierQuery.length > 0) {
+        existingGuest = await guestProfiles.findOne({
+            property: propertyId,
+            $or: identifierQuery
+        });
+    }
+
+    const checkIn = reservation.checkInDate ? new Date(reservation.checkInDate) : new Date();
+    const checkOut = reservation.checkOutDate ? new Date(reservation.checkOutDate) : new Date();
+    const totalSpend = reservation.payedAmount || reservation.advanceAmount || 0;
+
+    const buildStayRecord = () => {
+        return {
+            checkInDate: checkIn,
+            checkOutDate: checkOut,
+            amount: totalSpend
+        };
+    };
+
+    if (existingGuest) {
+        // Update existing guest
+        const newStayRecord = buildStayRecord();
+        const allRecords = [...existingGuest.records, newStayRecord];
+        const totalNights = allRecords.reduce((sum, record) => {
+            const checkIn = new Date(record.checkInDate);
+            const checkOut = new Date(record.checkOutDate);
+            const nights = Math.ceil((checkOut.getTime() - checkIn.getTime()) / (1000 * 60 * 60 * 24));
+            return sum + nights;
+        }, 0);
+        const averageStay = totalNights / allRecords.length;
+
+        await guestProfiles.findOneAndUpdate(
+            { _id: existingGuest._id, property: propertyId },
+            {
+                $set: {
+                    totalVisits: existingGuest.totalVisits + 1,
+                    totalSpend: existingGuest.totalSpend + totalSpend,
+                    AverageStay: Math.round(averageStay * 100) / 100,
+                    reservationId: reservation._id
+                },
+                $push: { records: newStayRecord }
+            },
+            { new: true, runValidators: true }
+        );
+        console.log(`Guest profile updated for reservation: ${reservation._id}`);
+    } else {
+        // Create new guest
+        const newStayRecord = buildStayRecord();
+        const checkInDate = new Date(newStayRecord.checkInDate);
+        const checkOutDate = new Date(newStayRecord.checkOutDate);
+        const nights = Math.ceil((checkOutDate.getTime() - checkInDate.getTime()) / (1000 * 60 * 60 * 24));
+        const averageStay = nights;
+
+        const newGuest = new guestProfiles({
+            guestName: reservation.guestName,
+            guestEmail: reservation.guestEmail,
+            guestNumber: reservation.guestNumber,
+            guestType: 'regular',
+            reservationId: reservation._id,
+            aadhaarNumber: reservation.adhaarNumber,
+            adultCount: reservation.totalGuest || 1,
+            childCount: 0,
+            totalVisits: 1,
+            totalSpend: totalSpend,
+            AverageStay: averageStay,
+            records: [newStayRecord],
+            property: propertyId
+        });
+        await newGuest.save();
+        console.log(`Guest profile created for reservation: ${reservation._id}`);
+    }
+};
+
+module.exports = {
+    recordGuestStay,
+};
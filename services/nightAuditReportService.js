@@ -0,0 +1,414 @@
+// Night audit report pack
+// The end-of-day pack managers get after each audit: manager's flash report
+// (occupancy, ADR, RevPAR, revenue by department), in-house guests, arrivals,
+// departures, no-shows, the cashier summary by payment method and outstanding
+// balances. Built from the audit summary and the folios of the business date,
+// rendered with pdfkit and kept on the audit so it can be downloaded again.
+
+const PDFDocument = require('pdfkit');
+const emailService = require('./emailService');
+const { round2 } = require('./gstService');
+const { getBusinessDayRange, toDateKey, getPropertyDetails } = require('./businessDateService');
+
+const DEPARTMENTS = ['Room', 'F&B', 'Spa', 'Laundry', 'Other'];
+
+const isOnDay = (date, range) => Boolean(date) && new Date(date) >= range.start && new Date(date) < range.end;
+
+const countRooms = (Reservations, reservation) => Reservations.getRoomLines(reservation)
+    .reduce((sum, line) => sum + (line.numberOfRooms || 1), 0);
+
+/**
+ * Figures of the report pack for an audit.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} audit - NightAudit document
+ * @returns {Promise<Object>}
+ */
+const buildNightAuditReport = async (models, propertyId, audit) => {
+    const { Reservations, GuestFolio, Rooms } = models;
+    const range = getBusinessDayRange(audit.businessDate);
+    const { start: today, end: tomorrow } = range;
+    const reservationFields = 'guestName guestNumber checkInDate checkOutDate status totalGuest roomType roomNumbers numberOfRooms roomLines Source';
+
+    const [totalRooms, inHouse, arrivals, departures, noShows, folios, outstandingFolios] = await Promise.all([
+        Rooms.countDocuments({ property: propertyId }),
+        Reservations.find({
+            property: propertyId,
+            status: { $in: ['checked-in', 'checked-out'] },
+            checkInDate: { $lt: tomorrow },
+            checkOutDate: { $gt: today }
+        }).select(reservationFields).sort({ guestName: 1 }).lean(),
+        Reservations.find({
+            property: propertyId,
+            status: { $in: ['checked-in', 'checked-out'] },
+            checkInDate: { $gte: today, $lt: tomorrow }
+        }).select(reservationFields).sort({ guestName: 1 }).lean(),
+        Reservations.find({
+            property: propertyId,
+            status: 'checked-out',
+            checkOutDate: { $gte: today, $lt: tomorrow }
+        }).select(reservationFields).sort({ guestName: 1 }).lean(),
+        Reservations.find({
+            property: propertyId,
+            status: 'no-show',
+            checkInDate: { $gte: today, $lt: tomorrow }
+        }).select(reservationFields).sort({ guestName: 1 }).lean(),
+        GuestFolio.find({
+            property: propertyId,
+            $or: [
+                { checkIn: { $lt: tomorrow }, checkOut: { $gte: today } },
+                { 'payments.businessDate': { $gte: today, $lt: tomorrow } },
+                { 'payments.date': { $gte: today, $lt: tomorrow } }
+            ]
+        }).select('folioId reservationId guestName roomNumber roomNumbers items payments').lean(),
+        GuestFolio.find({ property: propertyId, status: 'active', balance: { $gt: 0 } })
+            .select('folioId guestName roomNumber roomNumbers checkIn checkOut totalCharges totalPayments balance')
+            .sort({ balance: -1 })
+            .lean()
+    ]);
+
+    const roomsByReservation = new Map();
+    folios.forEach(folio => {
+        if (folio.reservationId) {
+            roomsByReservation.set(folio.reservationId.toString(), folio.roomNumbers?.length > 0 ? folio.roomNumbers.join(', ') : folio.roomNumber);
+        }
+    });
+    const toGuestRow = (reservation) => ({
+        guestName: reservation.guestName,
+        phone: reservation.guestNumber,
+        roomNumber: roomsByReservation.get(reservation._id.toString()) || '-',
+        rooms: countRooms(Reservations, reservation),
+        guests: reservation.totalGuest || 0,
+        checkIn: reservation.checkInDate,
+        checkOut: reservation.checkOutDate,
+        source: reservation.Source,
+        status: reservation.status
+    });
+
+    // Revenue posted for the business date, by department (net of discounts, GST apart)
+    const departments = new Map(DEPARTMENTS.map(department => [department, { department, revenue: 0, tax: 0 }]));
+    const payments = new Map();
+    folios.forEach(folio => {
+        (folio.items || []).forEach(item => {
+            if (!isOnDay(item.businessDate || item.date, range)) {
+                return;
+            }
+            const quantity = item.quantity || 1;
+            const entry = departments.get(DEPARTMENTS.includes(item.department) ? item.department : 'Other');
+            entry.revenue = round2(entry.revenue + ((item.amount || 0) - (item.discount || 0)) * quantity);
+            entry.tax = round2(entry.tax + (item.tax || 0) * quantity);
+        });
+        (folio.payments || []).forEach(payment => {
+            if (!isOnDay(payment.businessDate || payment.date, range)) {
+                return;
+            }
+            const method = payment.method || 'Other';
+            const entry = payments.get(method) || { method, count: 0, amount: 0 };
+            entry.count++;
+            entry.amount = round2(entry.amount + (payment.amount || 0));
+            payments.set(method, entry);
+        });
+    });
+
+    const departmentRows = Array.from(departments.values());
+    const roomRevenue = departments.get('Room').revenue;
+    const roomsSold = inHouse.reduce((sum, reservation) => sum + countRooms(Reservations, reservation), 0);
+    const cashierRows = Array.from(payments.values()).sort((a, b) => b.amount - a.amount);
+    const summary = audit.summary || {};
+
+    return {
+        auditId: audit._id,
+        businessDate: toDateKey(today),
+        runBy: audit.runBy,
+        completedAt: audit.completedAt,
+        flash: {
+            totalRooms,
+            roomsSold,
+            occupancy: totalRooms > 0 ? round2((roomsSold / totalRooms) * 100) : 0,
+            adr: roomsSold > 0 ? round2(roomRevenue / roomsSold) : 0,
+            revpar: totalRooms > 0 ? round2(roomRevenue / totalRooms) : 0,
+            departments: departmentRows,
+            totalRevenue: round2(departmentRows.reduce((sum, row) => sum + row.revenue, 0)),
+            totalTax: round2(departmentRows.reduce((sum, row) => sum + row.tax, 0)),
+            arrivals: arrivals.length,
+            departures: departures.length,
+            noShows: noShows.length,
+            creditNoteTotal: summary.creditNoteTotal || 0,
+            refundTotal: summary.refundTotal || 0,
+            roomNightsPosted: summary.roomNightsPosted || 0
+        },
+        inHouse: inHouse.map(toGuestRow),
+        arrivals: arrivals.map(toGuestRow),
+        departures: departures.map(toGuestRow),
+        noShows: noShows.map(toGuestRow),
+        cashier: {
+            methods: cashierRows,
+            total: round2(cashierRows.reduce((sum, row) => sum + row.amount, 0))
+        },
+        outstanding: {
+            folios: outstandingFolios.map(folio => ({
+                folioId: folio.folioId,
+                guestName: folio.guestName,
+                roomNumber: folio.roomNumbers?.length > 0 ? folio.roomNumbers.join(', ') : folio.roomNumber,
+                checkIn: folio.checkIn,
+                checkOut: folio.checkOut,
+                totalCharges: round2(folio.totalCharges || 0),
+                totalPayments: round2(folio.totalPayments || 0),
+                balance: round2(folio.balance)
+            })),
+            total: round2(outstandingFolios.reduce((sum, folio) => sum + folio.balance, 0))
+        }
+    };
+};
+
+/**
+ * Render the report pack as an A4 PDF.
+ *
+ * @param {Object} report - From buildNightAuditReport
+ * @param {Object} [propertyDetails]
+ * @returns {Promise<Buffer>}
+ */
+const renderNightAuditReportPdf = (report, propertyDetails) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Colors
+    const primaryColor = '#0f5f9c';
+    const textColor = '#1f2a37';
+    const grayColor = '#6b7280';
+
+    const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', { timeZone: 'UTC' }) : '-');
+
+    // Header
+    doc.rect(0, 0, doc.page.width, 80).fill(primaryColor);
+    doc.fillColor('white')
+       .fontSize(24)
+       .font('Helvetica-Bold')
+       .text(propertyDetails?.propertyName || 'Hotel', 50, 30);
+
+    doc.fontSize(10)
+       .font('Helvetica')
+       .text(`Night Audit Report - Business Date ${formatDate(report.businessDate)}`, 50, 60);
+
+    let yPos = 100;
+
+    const ensureSpace = (height) => {
+        if (yPos + height > doc.page.height - 80) {
+            doc.addPage();
+            yPos = 50;
+        }
+    };
+
+    const sectionTitle = (title) => {
+        ensureSpace(60);
+        doc.font('Helvetica-Bold')
+           .fontSize(12)
+           .fillColor(primaryColor)
+           .text(title, 50, yPos);
+        yPos += 20;
+    };
+
+    // columns: [{ label, x, width, align, value(row) }]
+    const table = (columns, rows, emptyText) => {
+        ensureSpace(40);
+        doc.font('Helvetica-Bold')
+           .fontSize(8)
+           .rect(50, yPos, 500, 20)
+           .fill(primaryColor)
+           .fillColor('white');
+        columns.forEach(column => doc.text(column.label, column.x, yPos + 6, { width: column.width, align: column.align || 'left' }));
+        yPos += 25;
+
+        doc.font('Helvetica')
+           .fontSize(8)
+           .fillColor(textColor);
+        if (rows.length === 0) {
+            doc.fillColor(grayColor).text(emptyText, 55, yPos);
+            yPos += 15;
+        }
+        rows.forEach(row => {
+            ensureSpace(15);
+            columns.forEach(column => doc.text(String(column.value(row) ?? '-'), column.x, yPos, {
+                width: column.width,
+                align: column.align || 'left',
+                height: 10,
+                ellipsis: true
+            }));
+            yPos += 15;
+        });
+        yPos += 15;
+    };
+
+    const guestColumns = [
+        { label: 'Guest', x: 55, width: 150, value: row => row.guestName },
+        { label: 'Room', x: 210, width: 70, value: row => row.roomNumber },
+        { label: 'Rooms', x: 285, width: 35, align: 'right', value: row => row.rooms },
+        { label: 'Guests', x: 325, width: 35, align: 'right', value: row => row.guests },
+        { label: 'Check-in', x: 370, width: 55, value: row => formatDate(row.checkIn) },
+        { label: 'Check-out', x: 430, width: 55, value: row => formatDate(row.checkOut) },
+        { label: 'Source', x: 490, width: 55, value: row => row.source || '-' }
+    ];
+
+    // Manager's flash report
+    const { flash } = report;
+    sectionTitle("Manager's Flash Report");
+    const flashRows = [
+        ['Rooms Available', flash.totalRooms, 'Occupancy', `${flash.occupancy}%`],
+        ['Rooms Sold', flash.roomsSold, 'ADR', formatAmount(flash.adr)],
+        ['Arrivals', flash.arrivals, 'RevPAR', formatAmount(flash.revpar)],
+        ['Departures', flash.departures, 'Credit Notes', formatAmount(flash.creditNoteTotal)],
+        ['No-shows', flash.noShows, 'Refunds', formatAmount(flash.refundTotal)]
+    ];
+    doc.font('Helvetica').fontSize(9);
+    flashRows.forEach(([leftLabel, leftValue, rightLabel, rightValue]) => {
+        doc.fillColor(grayColor)
+           .text(`${leftLabel}:`, 50, yPos)
+           .text(`${rightLabel}:`, 300, yPos);
+        doc.fillColor(textColor)
+           .text(String(leftValue), 160, yPos)
+           .text(String(rightValue), 410, yPos);
+        yPos += 15;
+    });
+    yPos += 10;
+
+    table([
+        { label: 'Department', x: 55, width: 200, value: row => row.department },
+        { label: 'Revenue', x: 300, width: 80, align: 'right', value: row => formatAmount(row.revenue) },
+        { label: 'GST', x: 385, width: 70, align: 'right', value: row => formatAmount(row.tax) },
+        { label: 'Total', x: 460, width: 85, align: 'right', value: row => formatAmount(row.revenue + row.tax) }
+    ], [
+        ...flash.departments,
+        { department: 'Total', revenue: flash.totalRevenue, tax: flash.totalTax }
+    ], 'No revenue posted');
+
+    sectionTitle(`In-house Guests (${report.inHouse.length})`);
+    table(guestColumns, report.inHouse, 'No guests in house');
+
+    sectionTitle(`Arrivals (${report.arrivals.length})`);
+    table(guestColumns, report.arrivals, 'No arrivals');
+
+    sectionTitle(`Departures (${report.departures.length})`);
+    table(guestColumns, report.departures, 'No departures');
+
+    sectionTitle(`No-shows (${report.noShows.length})`);
+    table(guestColumns, report.noShows, 'No no-shows');
+
+    sectionTitle('Cashier Summary');
+    table([
+        { label: 'Payment Method', x: 55, width: 200, value: row => row.method },
+        { label: 'Transactions', x: 300, width: 80, align: 'right', value: row => row.count },
+        { label: 'Amount', x: 460, width: 85, align: 'right', value: row => formatAmount(row.amount) }
+    ], report.cashier.methods.length > 0
+        ? [...report.cashier.methods, { method: 'Total', count: report.cashier.methods.reduce((sum, row) => sum + row.count, 0), amount: report.cashier.total }]
+        : [], 'No payments taken');
+
+    sectionTitle(`Outstanding Balances (${formatAmount(report.outstanding.total)})`);
+    table([
+        { label: 'Folio', x: 55, width: 80, value: row => row.folioId },
+        { label: 'Guest', x: 140, width: 120, value: row => row.guestName },
+        { label: 'Room', x: 265, width: 50, value: row => row.roomNumber || '-' },
+        { label: 'Check-out', x: 320, width: 55, value: row => formatDate(row.checkOut) },
+        { label: 'Charges', x: 380, width: 55, align: 'right', value: row => formatAmount(row.totalCharges) },
+        { label: 'Paid', x: 440, width: 50, align: 'right', value: row => formatAmount(row.totalPayments) },
+        { label: 'Balance', x: 495, width: 50, align: 'right', value: row => formatAmount(row.balance) }
+    ], report.outstanding.folios, 'No outstanding balances');
+
+    // Footer
+    ensureSpace(30);
+    doc.font('Helvetica')
+       .fontSize(8)
+       .fillColor(grayColor)
+       .text(`Audit run by ${report.runBy || '-'}${report.completedAt ? ` on ${new Date(report.completedAt).toLocaleString('en-GB')}` : ''}`, 50, yPos);
+
+    doc.end();
+});
+
+/**
+ * Email a report pack to the given addresses.
+ *
+ * @param {Object} tenant - req.tenant or a tenant context
+ * @param {Object} audit - NightAudit document
+ * @param {Buffer} pdf
+ * @param {Array<String>} recipients
+ * @returns {Promise<{ success: Boolean, error?: String }>}
+ */
+const emailNightAuditReportPack = async (tenant, audit, pdf, recipients) => {
+    const details = await getPropertyDetails(tenant.models, tenant.property._id);
+    const propertyName = details?.propertyName || tenant.property?.name || 'Hotel';
+    const businessDate = toDateKey(audit.businessDate);
+
+    const emailHtml = `
+        <div style="font-family: Arial, sans-serif; padding: 20px;">
+            <h2 style="color: #0f5f9c;">Night Audit Report - ${businessDate}</h2>
+            <p>The night audit for ${businessDate} has completed. The end-of-day report pack is attached.</p>
+            <p>Best regards,<br>${propertyName}</p>
+        </div>
+    `;
+
+    const result = await emailService.sendEmail(
+        tenant,
+        recipients.join(', '),
+        `Night Audit Report ${businessDate} - ${propertyName}`,
+        emailHtml,
+        {
+            attachments: [{
+                filename: `Night_Audit_${businessDate}.pdf`,
+                content: pdf
+            }]
+        }
+    );
+
+    if (result.success) {
+        await tenant.models.NightAudit.updateOne(
+            { _id: audit._id },
+            { $addToSet: { reportPackEmailedTo: { $each: recipients } } }
+        );
+    }
+    return result;
+};
+
+/**
+ * Build the report pack of a completed audit and keep it on the audit.
+ * Emailed to `recipients`, or to the property's nightAuditReportRecipients
+ * when none are given.
+ *
+ * @param {Object} tenant - req.tenant or a tenant context
+ * @param {Object} audit - NightAudit document
+ * @param {Object} [options] - { email: Boolean, recipients: Array<String> }
+ * @returns {Promise<{ pdf: Buffer, report: Object, emailed: Array<String>, emailError?: String }>}
+ */
+const generateNightAuditReportPack = async (tenant, audit, { email = true, recipients } = {}) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    const details = await getPropertyDetails(models, propertyId);
+
+    const report = await buildNightAuditReport(models, propertyId, audit);
+    const pdf = await renderNightAuditReportPdf(report, details);
+    const generatedAt = new Date();
+    await models.NightAudit.updateOne(
+        { _id: audit._id, property: propertyId },
+        { $set: { reportPack: pdf, reportPackGeneratedAt: generatedAt } }
+    );
+    audit.reportPackGeneratedAt = generatedAt;
+
+    const to = recipients || details?.nightAuditReportRecipients || [];
+    if (!email || to.length === 0) {
+        return { pdf, report, emailed: [] };
+    }
+    const result = await emailNightAuditReportPack(tenant, audit, pdf, to);
+    return result.success
+        ? { pdf, report, emailed: to }
+        : { pdf, report, emailed: [], emailError: result.error };
+};
+
+module.exports = {
+    buildNightAuditReport,
+    renderNightAuditReportPdf,
+    emailNightAuditReportPack,
+    generateNightAuditReportPack,
+};
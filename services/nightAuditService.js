@@ -0,0 +1,833 @@
+// Night audit
+// Closes the property's business date in stages: pre-checks, the night's room
+// postings, no-shows, the day's snapshot and the date roll. Each stage
+// journals what it changed, so the last audit can be rolled back and run
+// again; a completed audit gets its end-of-day report pack. Runs on request
+// or, when the property turns it on, automatically at its configured time in
+// the property's timezone, with the pre-check warnings sent to managers ahead
+// of it.
+
+const { listTenantContexts } = require('./tenantManager');
+const { postNightlyCharges } = require('./nightlyPostingService');
+const { generateNightAuditReportPack } = require('./nightAuditReportService');
+const {
+    toBusinessDay,
+    addBusinessDays,
+    toDateKey,
+    getBusinessDayRange,
+    getPropertyClock,
+    getPropertyDetails,
+    getBusinessDate,
+    advanceBusinessDate
+} = require('./businessDateService');
+const { sendNotificationToPropertyRoles } = require('./pushNotificationService');
+const { AUDIT_STAGES } = require('../db/nightAudit');
+
+// How often the scheduler checks whether an audit is due
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+// A failed scheduled audit is tried again after this long
+const RETRY_AFTER_MS = 30 * 60 * 1000;
+// An in-progress audit older than this was interrupted and no longer holds the day
+const STALE_RUN_MS = 30 * 60 * 1000;
+const MANAGER_ROLES = ['Admin', 'Manager'];
+const DEFAULT_AUDIT_TIME = '02:00';
+const DEFAULT_ROLLBACK_HOURS = 12;
+
+/**
+ * What is still open on a business date, with the pre-checks the audit runs
+ * first: guests who should have left and in-house stays with no folio to post
+ * to block it; arrivals it would turn into no-shows are a warning.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Date} businessDate
+ */
+const getAuditPrecheck = async (models, propertyId, businessDate) => {
+    const { Reservations, GuestFolio, Rooms } = models;
+    const { start: today, end: tomorrow } = getBusinessDayRange(businessDate);
+
+    // Pending check-ins
+    const pendingCheckIns = await Reservations.countDocuments({
+        property: propertyId,
+        checkInDate: { $gte: today, $lt: tomorrow },
+        status: { $in: ['tentative', 'confirmed'] }
+    });
+
+    // Pending check-outs
+    const pendingCheckOuts = await Reservations.countDocuments({
+        property: propertyId,
+        checkOutDate: { $lt: tomorrow },
+        status: 'checked-in'
+    });
+
+    // Pending folio postings
+    const pendingFolios = await GuestFolio.countDocuments({
+        property: propertyId,
+        status: 'active',
+        createdAt: { $lt: today }
+    });
+
+    // Unposted charges (folios with items added today but not posted)
+    const unpostedCharges = await GuestFolio.countDocuments({
+        property: propertyId,
+        status: 'active',
+        'items.date': { $gte: today, $lt: tomorrow }
+    });
+
+    // In-house stays the night's room charges cannot be posted to
+    const inHouse = await Reservations.find({ property: propertyId, status: 'checked-in' }).select('_id').lean();
+    const foliosInHouse = await GuestFolio.countDocuments({
+        property: propertyId,
+        status: 'active',
+        reservationId: { $in: inHouse.map(reservation => reservation._id) }
+    });
+    const inHouseWithoutFolio = Math.max(0, inHouse.length - foliosInHouse);
+
+    // Room status summary
+    const totalRooms = await Rooms.countDocuments({ property: propertyId });
+    const occupiedRooms = await Reservations.countDocuments({
+        property: propertyId,
+        status: 'checked-in',
+        checkOutDate: { $gt: today }
+    });
+
+    // Departures still in house and stays with nothing to post to block the audit;
+    // arrivals that will turn into no-shows only warn
+    const checks = [];
+    if (pendingCheckOuts > 0) {
+        checks.push({
+            code: 'pending-check-outs',
+            severity: 'block',
+            message: `${pendingCheckOuts} departure${pendingCheckOuts > 1 ? 's are' : ' is'} still checked in; check out or extend the stay`,
+            count: pendingCheckOuts
+        });
+    }
+    if (inHouseWithoutFolio > 0) {
+        checks.push({
+            code: 'in-house-without-folio',
+            severity: 'block',
+            message: `${inHouseWithoutFolio} in-house reservation${inHouseWithoutFolio > 1 ? 's have' : ' has'} no active folio; room charges cannot be posted`,
+            count: inHouseWithoutFolio
+        });
+    }
+    if (pendingCheckIns > 0) {
+        checks.push({
+            code: 'pending-check-ins',
+            severity: 'warn',
+            message: `${pendingCheckIns} arrival${pendingCheckIns > 1 ? 's are' : ' is'} not checked in and will be marked no-show`,
+            count: pendingCheckIns
+        });
+    }
+
+    return {
+        businessDate: today,
+        pendingCheckIns,
+        pendingCheckOuts,
+        pendingFolios,
+        unpostedCharges,
+        inHouseWithoutFolio,
+        roomStatus: {
+            total: totalRooms,
+            occupied: occupiedRooms,
+            available: totalRooms - occupiedRooms
+        },
+        checks,
+        canRun: !checks.some(check => check.severity === 'block'),
+        warnings: checks.map(check => check.message)
+    };
+};
+
+/**
+ * Find the stage of an audit by name.
+ */
+const getStage = (audit, name) => audit.stages.find(stage => stage.name === name);
+
+// Run one stage, saving the audit after it so its journal survives a crash in a later stage
+const runStage = async (audit, name, work) => {
+    const stage = getStage(audit, name);
+    stage.status = 'running';
+    stage.startedAt = new Date();
+    const message = await work(stage);
+    stage.status = 'completed';
+    stage.completedAt = new Date();
+    stage.message = message;
+    await audit.save();
+    return stage;
+};
+
+/**
+ * Reasons the journaled changes of an audit can no longer be undone
+ * (charges already billed or moved, the business date moved on again).
+ *
+ * @returns {Promise<Array<String>>}
+ */
+const findRollbackConflicts = async (models, propertyId, audit) => {
+    const conflicts = [];
+    for (const stage of audit.stages) {
+        for (const entry of stage.journal) {
+            if (entry.action === 'post-charges') {
+                const folio = await models.GuestFolio.findOne({ _id: entry.targetId, property: propertyId });
+                if (!folio || folio.status !== 'active') {
+                    conflicts.push(`Folio ${entry.reference} has been checked out`);
+                    continue;
+                }
+                const items = entry.data.itemIds.map(itemId => folio.items.id(itemId));
+                if (items.some(item => !item)) {
+                    conflicts.push(`Charges posted to folio ${entry.reference} have been moved or removed`);
+                } else if (items.some(item => folio.windows.some(window => window.windowNumber === item.window && window.status === 'settled'))) {
+                    conflicts.push(`Charges posted to folio ${entry.reference} have been billed`);
+                }
+            } else if (entry.action === 'advance-date') {
+                const current = await getBusinessDate(models, propertyId);
+                if (toDateKey(current) !== toDateKey(entry.data.to)) {
+                    conflicts.push(`The business date has moved on to ${toDateKey(current)}`);
+                }
+            }
+        }
+    }
+    return conflicts;
+};
+
+/**
+ * Undo the journaled changes of an audit, last stage first.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} audit - NightAudit document (saved by the caller)
+ * @param {Object} [session] - Transaction to undo in
+ */
+const undoStages = async (models, propertyId, audit, session = null) => {
+    const { GuestFolio, Reservations, ReportSnapshot, BusinessDate } = models;
+    for (const stage of audit.stages.slice().reverse()) {
+        for (const entry of stage.journal.slice().reverse()) {
+            switch (entry.action) {
+                case 'advance-date': {
+                    const { matchedCount } = await BusinessDate.updateOne(
+                        { property: propertyId, date: entry.data.to },
+                        { $set: { date: entry.data.from, advancedAt: new Date() } },
+                        { session }
+                    );
+                    if (matchedCount === 0) {
+                        throw new Error('The business date has moved on since this audit');
+                    }
+                    break;
+                }
+                case 'save-snapshot':
+                    await ReportSnapshot.deleteOne({ _id: entry.targetId, property: propertyId }, { session });
+                    break;
+                case 'mark-no-show': {
+                    const reservation = await Reservations.findOne({ _id: entry.targetId, property: propertyId }).session(session);
+                    // Left alone when someone has changed it since
+                    if (reservation && reservation.status === 'no-show') {
+                        reservation.status = entry.data.previousStatus;
+                        await reservation.save({ session });
+                    }
+                    break;
+                }
+                case 'post-charges': {
+                    const folio = await GuestFolio.findOne({ _id: entry.targetId, property: propertyId }).session(session);
+                    if (folio) {
+                        entry.data.itemIds.forEach(itemId => folio.items.pull(itemId));
+                        const nights = new Set((entry.data.nights || []).map(night => new Date(night).getTime()));
+                        folio.postedNights = folio.postedNights.filter(night => !nights.has(night.getTime()));
+                        folio.calculateBalance();
+                        await folio.save({ session });
+                    }
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+        // A failed stage stays failed, with whatever it journaled undone
+        if (stage.status === 'completed' && stage.name !== 'pre-check') {
+            stage.status = 'rolled-back';
+        }
+    }
+};
+
+/**
+ * Run the night audit for the property's business date as a staged pipeline:
+ * pre-checks (blocking checks stop it), postings, no-shows, snapshots and the
+ * date roll. Every change is journaled on its stage; when a stage fails the
+ * changes made so far are undone, so a re-run starts from a clean day.
+ *
+ * @param {Object} tenant - req.tenant or a tenant context (models, connection, property)
+ * @param {Object} [options]
+ * @param {String} [options.runBy] - Name shown on the audit
+ * @param {ObjectId} [options.rerunOf] - Rolled back audit this run replaces
+ * @returns {Promise<{ audit, businessDate: Date } | { status: Number, error: String, audit? }>}
+ */
+const runNightAudit = async (tenant, { runBy = 'System', rerunOf } = {}) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    const { NightAudit, Reservations, GuestFolio, Rooms, ReportSnapshot, CreditNote, BillRefund } = models;
+
+    const businessDate = await getBusinessDate(models, propertyId);
+    const { start: today, end: tomorrow } = getBusinessDayRange(businessDate);
+
+    // Check if audit already run for this business date
+    const existingAudit = await NightAudit.findOne({
+        property: propertyId,
+        businessDate: today,
+        status: 'completed'
+    });
+
+    if (existingAudit) {
+        // The day was closed but the date change was lost (e.g. a restart in between)
+        await advanceBusinessDate(models, propertyId, today, { auditId: existingAudit._id, advancedBy: existingAudit.runBy });
+        return {
+            status: 400,
+            error: `Night audit already completed for ${toDateKey(today)}.`,
+            audit: existingAudit
+        };
+    }
+
+    // A run interrupted long ago (e.g. a restart) no longer holds the day
+    await NightAudit.updateMany({
+        property: propertyId,
+        businessDate: today,
+        status: 'in-progress',
+        auditDate: { $lte: new Date(Date.now() - STALE_RUN_MS) }
+    }, {
+        $set: { status: 'failed' },
+        $push: { errors: { type: 'audit-error', message: 'Interrupted before it finished', timestamp: new Date() } }
+    });
+
+    // Create audit log; only one run per business date can be in progress (unique index)
+    const auditLog = new NightAudit({
+        auditDate: new Date(),
+        businessDate: today,
+        runBy,
+        status: 'in-progress',
+        stages: AUDIT_STAGES.map(name => ({ name })),
+        rerunOf,
+        property: propertyId
+    });
+    try {
+        await auditLog.save();
+    } catch (error) {
+        if (error.code === 11000) {
+            const runningAudit = await NightAudit.findOne({
+                property: propertyId,
+                businessDate: today,
+                status: 'in-progress'
+            });
+            return {
+                status: 409,
+                error: `A night audit for ${toDateKey(today)} is already running.`,
+                audit: runningAudit
+            };
+        }
+        throw error;
+    }
+
+    const errors = [];
+    const pendingTasks = [];
+    let nextDate = null;
+
+    try {
+        const precheck = await runStage(auditLog, 'pre-check', async (stage) => {
+            const result = await getAuditPrecheck(models, propertyId, today);
+            stage.checks = result.checks;
+            return result.warnings.length > 0 ? result.warnings.join('. ') : 'No issues found';
+        });
+
+        const blocking = precheck.checks.filter(check => check.severity === 'block');
+        if (blocking.length > 0) {
+            precheck.status = 'failed';
+            auditLog.stages.forEach(stage => {
+                if (stage.status === 'pending') {
+                    stage.status = 'skipped';
+                }
+            });
+            auditLog.status = 'blocked';
+            await auditLog.save();
+            return {
+                status: 409,
+                error: `Night audit blocked: ${blocking.map(check => check.message).join('. ')}`,
+                audit: auditLog
+            };
+        }
+
+        // Post the night's room rent, meal plan and taxes (and any nights a missed audit left) to in-house folios
+        let posting;
+        await runStage(auditLog, 'postings', async (stage) => {
+            posting = await postNightlyCharges(models, propertyId, today);
+            posting.posted.forEach(entry => {
+                stage.journal.push({
+                    action: 'post-charges',
+                    targetId: entry.folio,
+                    reference: entry.folioId,
+                    data: { itemIds: entry.itemIds, nights: entry.nights }
+                });
+            });
+            if (posting.failed.length > 0) {
+                pendingTasks.push({
+                    type: 'folio-posting',
+                    description: `Nightly charges could not be posted to folio${posting.failed.length > 1 ? 's' : ''} ${posting.failed.map(entry => entry.folioId).join(', ')}`,
+                    count: posting.failed.length
+                });
+            }
+            return `${posting.nights} night${posting.nights === 1 ? '' : 's'} posted to ${posting.folios} folio${posting.folios === 1 ? '' : 's'}`;
+        });
+
+        // Arrivals of the business date that never checked in are no-shows
+        let noShows = 0;
+        await runStage(auditLog, 'no-shows', async (stage) => {
+            const noShowReservations = await Reservations.find({
+                property: propertyId,
+                checkInDate: { $lt: tomorrow },
+                status: { $in: ['tentative', 'confirmed'] }
+            });
+
+            for (const reservation of noShowReservations) {
+                const previousStatus = reservation.status;
+                reservation.status = 'no-show';
+                await reservation.save();
+                stage.journal.push({
+                    action: 'mark-no-show',
+                    targetId: reservation._id,
+                    reference: reservation.guestName,
+                    data: { previousStatus }
+                });
+                noShows++;
+            }
+            return `${noShows} reservation${noShows === 1 ? '' : 's'} marked no-show`;
+        });
+
+        await runStage(auditLog, 'snapshots', async (stage) => {
+            // Generate revenue summary
+            const foliosForRevenue = await GuestFolio.find({
+                property: propertyId,
+                checkOut: { $gte: today, $lt: tomorrow },
+                status: { $in: ['active', 'settled'] }
+            });
+
+            let totalRevenue = 0;
+            let roomRevenue = 0;
+            let fBRevenue = 0;
+            let otherRevenue = 0;
+
+            foliosForRevenue.forEach(folio => {
+                folio.items.forEach(item => {
+                    totalRevenue += item.amount * (item.quantity || 1);
+                    if (item.department === 'Room') {
+                        roomRevenue += item.amount * (item.quantity || 1);
+                    } else if (item.department === 'F&B') {
+                        fBRevenue += item.amount * (item.quantity || 1);
+                    } else {
+                        otherRevenue += item.amount * (item.quantity || 1);
+                    }
+                });
+            });
+
+            // Credit notes issued today reverse revenue; refunds are reported alongside
+            const [creditNotes, refunds] = await Promise.all([
+                CreditNote.find({
+                    property: propertyId,
+                    issuedAt: { $gte: today, $lt: tomorrow }
+                }).lean(),
+                BillRefund.find({
+                    property: propertyId,
+                    refundedAt: { $gte: today, $lt: tomorrow }
+                }).lean()
+            ]);
+
+            let creditNoteTotal = 0;
+            creditNotes.forEach(creditNote => {
+                creditNoteTotal += creditNote.totalAmount || 0;
+                (creditNote.items || []).forEach(line => {
+                    const credited = line.taxableValue || 0;
+                    totalRevenue -= credited;
+                    if (line.department === 'Room') {
+                        roomRevenue -= credited;
+                    } else if (line.department === 'F&B') {
+                        fBRevenue -= credited;
+                    } else {
+                        otherRevenue -= credited;
+                    }
+                });
+            });
+            const refundTotal = refunds.reduce((sum, refund) => sum + (refund.amount || 0), 0);
+
+            // Get room statuses
+            const totalRooms = await Rooms.countDocuments({ property: propertyId });
+            const occupiedRooms = await Reservations.countDocuments({
+                property: propertyId,
+                status: 'checked-in',
+                checkOutDate: { $gt: today }
+            });
+
+            // Get check-ins and check-outs
+            const totalCheckIns = await Reservations.countDocuments({
+                property: propertyId,
+                checkInDate: { $gte: today, $lt: tomorrow },
+                status: 'checked-in'
+            });
+
+            const totalCheckOuts = await Reservations.countDocuments({
+                property: propertyId,
+                checkOutDate: { $gte: today, $lt: tomorrow },
+                status: 'checked-out'
+            });
+
+            const totalReservations = await Reservations.countDocuments({
+                property: propertyId,
+                checkInDate: { $gte: today, $lt: tomorrow }
+            });
+
+            // Update audit log
+            auditLog.summary = {
+                totalRevenue,
+                roomRevenue,
+                fBRevenue,
+                otherRevenue,
+                creditNoteCount: creditNotes.length,
+                creditNoteTotal,
+                refundCount: refunds.length,
+                refundTotal,
+                totalCheckIns,
+                totalCheckOuts,
+                totalReservations,
+                occupiedRooms,
+                availableRooms: totalRooms - occupiedRooms,
+                noShows,
+                foliosPosted: posting.folios,
+                roomNightsPosted: posting.nights,
+                roomChargesPosted: posting.amount,
+                roomTaxPosted: posting.tax
+            };
+
+            // Save revenue snapshot
+            const snapshot = await ReportSnapshot.findOneAndUpdate(
+                { type: 'night-audit', property: propertyId, 'dateRange.start': today, 'dateRange.end': today },
+                {
+                    type: 'night-audit',
+                    property: propertyId,
+                    dateRange: { label: `Night Audit ${toDateKey(today)}`, start: today, end: today },
+                    summary: auditLog.summary,
+                    generatedAt: new Date()
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+            stage.journal.push({ action: 'save-snapshot', targetId: snapshot._id, reference: snapshot.dateRange.label });
+            return 'Night audit snapshot saved';
+        });
+
+        await runStage(auditLog, 'date-roll', async (stage) => {
+            nextDate = await advanceBusinessDate(models, propertyId, today, { auditId: auditLog._id, advancedBy: runBy });
+            if (!nextDate) {
+                throw new Error(`The business date is no longer ${toDateKey(today)}`);
+            }
+            stage.journal.push({ action: 'advance-date', data: { from: today, to: nextDate } });
+            return `Business date moved to ${toDateKey(nextDate)}`;
+        });
+
+        auditLog.status = 'completed';
+        auditLog.completedAt = new Date();
+    } catch (error) {
+        console.error('Error running night audit:', error);
+        const failedStage = auditLog.stages.find(stage => stage.status === 'running');
+        if (failedStage) {
+            failedStage.status = 'failed';
+            failedStage.message = error.message;
+        }
+        errors.push({
+            type: 'audit-error',
+            message: error.message,
+            timestamp: new Date()
+        });
+        auditLog.status = 'failed';
+
+        // Undo what the completed stages changed, so the day stays open as it was
+        try {
+            await undoStages(models, propertyId, auditLog);
+        } catch (undoError) {
+            console.error('Error undoing failed night audit:', undoError);
+            errors.push({
+                type: 'rollback-error',
+                message: undoError.message,
+                timestamp: new Date()
+            });
+        }
+        auditLog.stages.forEach(stage => {
+            if (stage.status === 'pending') {
+                stage.status = 'skipped';
+            }
+        });
+    }
+
+    auditLog.errors = errors;
+    auditLog.pendingTasks = pendingTasks;
+    await auditLog.save();
+
+    // The report pack is a by-product; the audit stands if it cannot be made or sent
+    if (auditLog.status === 'completed') {
+        try {
+            const pack = await generateNightAuditReportPack(tenant, auditLog);
+            if (pack.emailError) {
+                console.error('Error emailing night audit report pack:', pack.emailError);
+            }
+        } catch (error) {
+            console.error('Error generating night audit report pack:', error);
+        }
+    }
+
+    return { audit: auditLog, businessDate: nextDate || await getBusinessDate(models, propertyId) };
+};
+
+/**
+ * Roll back the last completed night audit: undo its postings, no-shows,
+ * snapshot and date roll (in one transaction) and reopen its business date.
+ * Only allowed within the property's rollback window and while nothing the
+ * audit posted has been billed or moved. The reopened date is held from the
+ * audit scheduler, so it is audited again only when someone runs it.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {String} auditId
+ * @param {Object} [options] - { rolledBackBy, reason }
+ * @returns {Promise<{ audit, businessDate: Date } | { status: Number, error: String, conflicts? }>}
+ */
+const rollbackNightAudit = async (tenant, auditId, { rolledBackBy, reason } = {}) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    const { NightAudit } = models;
+
+    const audit = await NightAudit.findOne({ _id: auditId, property: propertyId });
+    if (!audit) {
+        return { status: 404, error: 'Audit not found.' };
+    }
+    if (audit.status !== 'completed') {
+        return { status: 400, error: 'Only a completed night audit can be rolled back.' };
+    }
+    if (audit.stages.length === 0) {
+        return { status: 400, error: 'This audit ran before audits were journaled and cannot be rolled back.' };
+    }
+
+    const lastAudit = await NightAudit.findOne({ property: propertyId, status: 'completed' })
+        .sort({ businessDate: -1, completedAt: -1 })
+        .select('_id')
+        .lean();
+    if (!lastAudit._id.equals(audit._id)) {
+        return { status: 400, error: 'Only the last night audit can be rolled back.' };
+    }
+
+    const details = await getPropertyDetails(models, propertyId);
+    const windowHours = details?.nightAuditRollbackHours ?? DEFAULT_ROLLBACK_HOURS;
+    if (Date.now() - new Date(audit.completedAt).getTime() > windowHours * 60 * 60 * 1000) {
+        return { status: 400, error: `Night audits can only be rolled back within ${windowHours} hour${windowHours === 1 ? '' : 's'} of completing.` };
+    }
+
+    const conflicts = await findRollbackConflicts(models, propertyId, audit);
+    if (conflicts.length > 0) {
+        return { status: 409, error: `Night audit cannot be rolled back: ${conflicts.join('. ')}`, conflicts };
+    }
+
+    await tenant.connection.transaction(async (session) => {
+        await undoStages(models, propertyId, audit, session);
+        await models.BusinessDate.updateOne(
+            { property: propertyId },
+            { $set: { scheduledAuditHeldAt: new Date() } },
+            { session }
+        );
+        audit.status = 'rolled-back';
+        audit.rolledBackAt = new Date();
+        audit.rolledBackBy = rolledBackBy;
+        audit.rollbackReason = reason;
+        await audit.save({ session });
+    });
+
+    return { audit, businessDate: audit.businessDate };
+};
+
+/**
+ * Roll back the last night audit and run it again for the reopened date.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {String} auditId
+ * @param {Object} [options] - { runBy, reason }
+ */
+const rerunNightAudit = async (tenant, auditId, { runBy, reason } = {}) => {
+    const rollback = await rollbackNightAudit(tenant, auditId, { rolledBackBy: runBy, reason });
+    if (rollback.error) {
+        return rollback;
+    }
+    return await runNightAudit(tenant, { runBy, rerunOf: rollback.audit._id });
+};
+
+const parseAuditTime = (value) => {
+    const [hours, minutes] = String(value || DEFAULT_AUDIT_TIME).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * When the audit of a business date is due, on the property's wall clock
+ * (a UTC date holding local time). Times before noon fall in the early hours
+ * after the business day, later times on the business day itself.
+ */
+const getAuditDueAt = (businessDate, nightAuditTime) => {
+    const minutes = parseAuditTime(nightAuditTime);
+    const day = minutes < 12 * 60 ? addBusinessDays(businessDate, 1) : toBusinessDay(businessDate);
+    return new Date(day.getTime() + minutes * 60 * 1000);
+};
+
+/**
+ * Business date and audit schedule of a property.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ */
+const getBusinessDateStatus = async (models, propertyId) => {
+    const details = await getPropertyDetails(models, propertyId);
+    const businessDate = await getBusinessDate(models, propertyId);
+    const clock = getPropertyClock(details?.timezone);
+    const lastAudit = await models.NightAudit.findOne({ property: propertyId })
+        .sort({ auditDate: -1 })
+        .select('businessDate status runBy completedAt')
+        .lean();
+
+    return {
+        businessDate: toDateKey(businessDate),
+        propertyDate: toDateKey(clock.date),
+        timezone: details?.timezone,
+        autoNightAudit: Boolean(details?.autoNightAudit),
+        nightAuditTime: details?.nightAuditTime || DEFAULT_AUDIT_TIME,
+        // Local time the audit of the open business date is due, e.g. 2026-10-20T02:00
+        auditDueAt: getAuditDueAt(businessDate, details?.nightAuditTime).toISOString().slice(0, 16),
+        // The date's audit was rolled back; the scheduler will not run it
+        scheduledAuditHeld: Boolean(await models.BusinessDate.exists({ property: propertyId, scheduledAuditHeldAt: { $ne: null } })),
+        lastAudit
+    };
+};
+
+// Push a night audit alert to the property's managers (app and stay view)
+const notifyManagers = async (tenant, title, body, data = {}) => {
+    const propertyId = tenant.property._id;
+    try {
+        const { broadcastNightAuditAlert } = require('./websocketManager');
+        broadcastNightAuditAlert({ property: propertyId.toString(), title, body, ...data }, MANAGER_ROLES);
+    } catch (error) {
+        console.error('Error broadcasting night audit alert:', error);
+    }
+
+    // Push data values must be strings
+    const pushData = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]));
+    const result = await sendNotificationToPropertyRoles(tenant.models.User, propertyId, MANAGER_ROLES, title, body, pushData);
+    if (!result.success && result.error && result.error !== 'No users with FCM tokens found') {
+        console.error('Error sending night audit notification:', result.error);
+    }
+};
+
+// Business dates already warned about / last scheduled attempt, per property
+const warnedAudits = new Set();
+const auditAttempts = new Map();
+
+// Warn managers ahead of a property's scheduled audit, then run it once it is due
+const runScheduledAudit = async (tenant, now = new Date()) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    const details = await getPropertyDetails(models, propertyId);
+    if (!details?.autoNightAudit) {
+        return;
+    }
+
+    // A rolled back date waits for an Admin to run its audit
+    const held = await models.BusinessDate.exists({ property: propertyId, scheduledAuditHeldAt: { $ne: null } });
+    if (held) {
+        return;
+    }
+
+    const businessDate = await getBusinessDate(models, propertyId);
+    const clock = getPropertyClock(details.timezone, now);
+    const localNow = clock.date.getTime() + clock.minutes * 60 * 1000;
+    const dueAt = getAuditDueAt(businessDate, details.nightAuditTime).getTime();
+    const key = `${propertyId}:${toDateKey(businessDate)}`;
+
+    const warningMs = (details.nightAuditWarningMinutes ?? 60) * 60 * 1000;
+    if (localNow >= dueAt - warningMs && !warnedAudits.has(key)) {
+        warnedAudits.add(key);
+        const precheck = await getAuditPrecheck(models, propertyId, businessDate);
+        if (precheck.warnings.length > 0) {
+            await notifyManagers(
+                tenant,
+                `Night audit for ${toDateKey(businessDate)}`,
+                precheck.warnings.join('. '),
+                { type: 'night-audit-precheck', businessDate: toDateKey(businessDate) }
+            );
+        }
+    }
+
+    if (localNow < dueAt || now.getTime() - (auditAttempts.get(key) || 0) < RETRY_AFTER_MS) {
+        return;
+    }
+    auditAttempts.set(key, now.getTime());
+
+    const result = await runNightAudit(tenant, { runBy: 'Scheduler' });
+    if (result.audit?.status === 'completed' && !result.error) {
+        warnedAudits.delete(key);
+        auditAttempts.delete(key);
+        console.log(`Night audit completed for ${tenant.code} (${toDateKey(businessDate)}); business date is now ${toDateKey(result.businessDate)}`);
+    } else if (result.audit?.status === 'blocked') {
+        await notifyManagers(
+            tenant,
+            `Night audit for ${toDateKey(businessDate)} blocked`,
+            `${result.audit.stages[0].checks.filter(check => check.severity === 'block').map(check => check.message).join('. ')}. It will be tried again.`,
+            { type: 'night-audit-blocked', businessDate: toDateKey(businessDate), auditId: result.audit._id }
+        );
+    } else if (result.audit?.status === 'failed') {
+        await notifyManagers(
+            tenant,
+            `Night audit for ${toDateKey(businessDate)} failed`,
+            'The scheduled night audit did not complete and will be tried again. The business date has not changed.',
+            { type: 'night-audit-failed', businessDate: toDateKey(businessDate), auditId: result.audit._id }
+        );
+    }
+};
+
+let auditTimer = null;
+
+// Check every property's audit schedule once a minute
+const startNightAuditScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+    if (auditTimer) {
+        return auditTimer;
+    }
+
+    let running = false;
+    const run = async () => {
+        // An audit can outlast the interval; never run two passes at once
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            const tenants = await listTenantContexts();
+            for (const tenant of tenants) {
+                try {
+                    await runScheduledAudit(tenant);
+                } catch (error) {
+                    console.error(`Error running scheduled night audit for ${tenant.code}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error running night audit scheduler:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    auditTimer = setInterval(run, intervalMs);
+    auditTimer.unref();
+    run();
+    return auditTimer;
+};
+
+module.exports = {
+    getAuditPrecheck,
+    runNightAudit,
+    rollbackNightAudit,
+    rerunNightAudit,
+    getAuditDueAt,
+    getBusinessDateStatus,
+    startNightAuditScheduler,
+};
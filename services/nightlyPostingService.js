@@ -0,0 +1,285 @@
+// Nightly room posting
+// Reservation folios are opened without the stay charges; the night audit
+// posts each night's room rent, meal plan and taxes to every in-house folio.
+// The folio records the nights of its stay that were posted (postedNights), so a
+// night is never posted twice and nights missed by an audit are caught up on the
+// next run. Posted items also carry the night they are for (postedNight).
+// Folios opened before nightly posting (roomPosting 'upfront') already hold
+// the whole stay and are left alone.
+
+const { applyGstToItem, loadTaxRules, round2 } = require('./gstService');
+const { getRatePlanPriceForDate, calculateLineStayAmount } = require('./pricingService');
+const { getNights, getLineGuestCount, buildTaxLineItems } = require('./folioService');
+const { toBusinessDay } = require('./businessDateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getNightKey = (date) => toBusinessDay(date).getTime();
+
+// Position of a night in the stay (0 = arrival night)
+const getStayNightIndex = (reservation, night) => Math.round((getNightKey(night) - getNightKey(reservation.checkInDate)) / DAY_MS);
+
+// Nights already posted to a folio. Folios posted before postedNights was kept
+// also count the posted items they still hold, except those transferred in.
+const getPostedNights = (folio) => {
+    const transferredIn = new Set();
+    (folio.transfers || [])
+        .filter(transfer => transfer.direction === 'in' && transfer.entryType === 'charge')
+        .forEach(transfer => transfer.entries.forEach(entry => transferredIn.add(String(entry.entryId))));
+    const posted = new Set((folio.postedNights || []).map(getNightKey));
+    folio.items
+        .filter(item => item.postedNight && !transferredIn.has(String(item._id)))
+        .forEach(item => posted.add(getNightKey(item.postedNight)));
+    return posted;
+};
+
+// Nights of a stay up to and including the business date (a day use counts as one night)
+const getNightsToPost = (checkIn, checkOut, businessDate) => {
+    const nights = [];
+    const night = toBusinessDay(checkIn);
+    const departure = toBusinessDay(checkOut);
+    const last = toBusinessDay(businessDate);
+    do {
+        if (night > last) {
+            break;
+        }
+        nights.push(new Date(night));
+        night.setUTCDate(night.getUTCDate() + 1);
+    } while (night < departure);
+    return nights;
+};
+
+// Room rent booked for a line over the whole stay; 0 when the booking holds no rate for it.
+// A single room type booked with only a total is charged that total less the meal plan.
+const getBookedLineAmount = (reservation, line, lineCount, nights) => {
+    if (reservation.roomLines?.length > 0 && line.amount > 0) {
+        return line.amount;
+    }
+    if (line.ratePerNight > 0) {
+        return line.ratePerNight * (line.numberOfRooms || 1) * nights;
+    }
+    if (lineCount === 1 && reservation.totalAmount > 0) {
+        return Math.max(0, reservation.totalAmount - (reservation.mealPlanAmount || 0));
+    }
+    return 0;
+};
+
+/**
+ * Room rent of one room line for one night: the rate the stay was booked at,
+ * so the folio adds up to the reservation total (the last night takes the
+ * rounding remainder of the booked amount). Lines priced night by night
+ * (corporate contract nights) post that night's rate. Lines booked without a
+ * rate are priced from the rate plan, daily rates and dynamic pricing for that date.
+ */
+const priceLineNight = async (models, propertyId, reservation, line, roomType, ratePlan, night, nights, lineCount) => {
+    const nightRate = (line.nightRates || []).find(entry => getNightKey(entry.night) === night.getTime());
+    if (nightRate) {
+        return round2(nightRate.amount);
+    }
+    const booked = getBookedLineAmount(reservation, line, lineCount, nights);
+    if (booked > 0) {
+        const nightly = round2(booked / nights);
+        return getStayNightIndex(reservation, night) >= nights - 1 ? round2(booked - nightly * (nights - 1)) : nightly;
+    }
+    const rate = await getRatePlanPriceForDate(models, propertyId, ratePlan, roomType._id, night);
+    return round2(calculateLineStayAmount(roomType, line, [rate], 1));
+};
+
+// Meal plan charge for one night (per guest rate, or the booked amount spread over its nights)
+const getMealPlanNightAmount = (reservation, nights) => {
+    if (!reservation.mealPlan || reservation.mealPlan === 'EP') {
+        return 0;
+    }
+    if (reservation.mealPlanRate > 0) {
+        return round2(reservation.mealPlanRate * (reservation.mealPlanGuestCount || reservation.totalGuest || 1));
+    }
+    return reservation.mealPlanAmount > 0
+        ? round2(reservation.mealPlanAmount / (reservation.mealPlanNights || nights))
+        : 0;
+};
+
+/**
+ * Room rent, meal plan and tax items of one night of a reservation.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} reservation - Reservation document
+ * @param {Date} night
+ * @param {Object} context - { taxRules, ratePlan, roomTypeMap, roomNumberMap, fallbackRoomNumbers }
+ * @returns {Promise<Array>} Folio items
+ */
+const buildNightItems = async (models, propertyId, reservation, night, context) => {
+    const { taxRules, ratePlan, roomTypeMap, roomNumberMap, fallbackRoomNumbers } = context;
+    const lines = models.Reservations.getRoomLines(reservation);
+    const nights = getNights(reservation.checkInDate, reservation.checkOutDate);
+    const items = [];
+    const tariffs = [];
+    const addRoomItem = (description, amount, rooms) => {
+        const tariff = amount / (rooms || 1);
+        tariffs.push(tariff);
+        items.push(applyGstToItem({
+            description,
+            date: night,
+            amount,
+            department: 'Room',
+            quantity: 1,
+            unitPrice: amount,
+            postedNight: night
+        }, taxRules, { tariff }));
+    };
+
+    for (const line of lines) {
+        const roomType = roomTypeMap.get(String(line.roomType?._id || line.roomType));
+        if (!roomType) {
+            throw new Error('Room type not found');
+        }
+        const amount = await priceLineNight(models, propertyId, reservation, line, roomType, ratePlan, night, nights, lines.length);
+
+        let roomNumbers = (line.roomNumbers || [])
+            .map(roomId => roomNumberMap.get(String(roomId?._id || roomId)))
+            .filter(Boolean);
+        if (roomNumbers.length === 0 && lines.length <= 1) {
+            roomNumbers = fallbackRoomNumbers;
+        }
+
+        if (roomType.priceModel === 'perPerson') {
+            const totalGuests = getLineGuestCount(line);
+            addRoomItem(
+                `Accommodation - ${roomType.name} (${totalGuests} Guest${totalGuests > 1 ? 's' : ''})`,
+                amount,
+                roomNumbers.length || line.numberOfRooms
+            );
+            continue;
+        }
+
+        const numberOfRooms = roomNumbers.length || line.numberOfRooms || 1;
+        const roomAmount = round2(amount / numberOfRooms);
+        for (let i = 0; i < numberOfRooms; i++) {
+            // The last room takes the rounding remainder of the line's night
+            const itemAmount = i === numberOfRooms - 1 ? round2(amount - roomAmount * (numberOfRooms - 1)) : roomAmount;
+            addRoomItem(`Accommodation - ${roomType.name} (Room ${roomNumbers[i] || i + 1})`, itemAmount);
+        }
+    }
+
+    // The meal plan goes with the room, so it is taxed at the night's room tariff
+    const mealPlanAmount = getMealPlanNightAmount(reservation, nights);
+    if (mealPlanAmount > 0) {
+        items.push(applyGstToItem({
+            description: `Accommodation - Meal Plan (${reservation.mealPlan})`,
+            date: night,
+            amount: mealPlanAmount,
+            department: 'Room',
+            quantity: 1,
+            unitPrice: mealPlanAmount,
+            postedNight: night
+        }, taxRules, { tariff: tariffs.length > 0 ? Math.max(...tariffs) : mealPlanAmount }));
+    }
+
+    // Flat-amount taxes are per stay, so they are posted with the arrival night only
+    const nightTotal = items.reduce((sum, item) => sum + item.amount, 0);
+    const nightTaxRules = getStayNightIndex(reservation, night) === 0 ? taxRules : taxRules.filter(taxRule => taxRule.isPercentage);
+    buildTaxLineItems(nightTaxRules, nightTotal, night).forEach(item => {
+        items.push({ ...item, amount: round2(item.amount), unitPrice: round2(item.unitPrice), postedNight: night });
+    });
+
+    return items;
+};
+
+/**
+ * Post the room, meal plan and tax charges of every unposted night up to the
+ * business date to the folios of checked-in reservations.
+ *
+ * One folio failing does not stop the others; it is reported in `failed`.
+ * `posted` lists the items added to each folio, for the audit journal.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Date} businessDate - Business date being audited
+ * @returns {Promise<{ folios: Number, nights: Number, amount: Number, tax: Number, skipped: Number,
+ *   posted: Array<{ folio, folioId, itemIds, nights }>, failed: Array }>}
+ */
+const postNightlyCharges = async (models, propertyId, businessDate) => {
+    const { GuestFolio, Reservations, RoomType, Rooms, RatePlan } = models;
+    const result = { folios: 0, nights: 0, amount: 0, tax: 0, skipped: 0, posted: [], failed: [] };
+
+    const inHouse = await Reservations.find({ property: propertyId, status: 'checked-in' });
+    if (inHouse.length === 0) {
+        return result;
+    }
+    const reservationMap = new Map(inHouse.map(reservation => [reservation._id.toString(), reservation]));
+    const folios = await GuestFolio.find({
+        property: propertyId,
+        status: 'active',
+        reservationId: { $in: inHouse.map(reservation => reservation._id) }
+    });
+
+    const taxRules = await loadTaxRules(models, propertyId);
+    const roomTypes = await RoomType.find({ property: propertyId }).lean();
+    const roomTypeMap = new Map(roomTypes.map(roomType => [roomType._id.toString(), roomType]));
+    const ratePlans = new Map();
+
+    for (const folio of folios) {
+        // Stays whose charges were posted up front at check-in
+        if (folio.roomPosting !== 'nightly') {
+            result.skipped++;
+            continue;
+        }
+
+        try {
+            const reservation = reservationMap.get(folio.reservationId.toString());
+            const posted = getPostedNights(folio);
+            const nights = getNightsToPost(reservation.checkInDate, reservation.checkOutDate, businessDate)
+                .filter(night => !posted.has(night.getTime()));
+            if (nights.length === 0) {
+                continue;
+            }
+
+            const ratePlanKey = String(reservation.ratePlan || '');
+            if (reservation.ratePlan && !ratePlans.has(ratePlanKey)) {
+                ratePlans.set(ratePlanKey, await RatePlan.findOne({ _id: reservation.ratePlan, property: propertyId }).lean());
+            }
+            const roomIds = Reservations.getRoomLines(reservation).reduce((all, line) => all.concat(line.roomNumbers || []), []);
+            const rooms = roomIds.length > 0
+                ? await Rooms.find({ _id: { $in: roomIds }, property: propertyId }).select('roomNumber').lean()
+                : [];
+            const context = {
+                taxRules,
+                ratePlan: ratePlans.get(ratePlanKey) || null,
+                roomTypeMap,
+                roomNumberMap: new Map(rooms.map(room => [room._id.toString(), room.roomNumber])),
+                fallbackRoomNumbers: folio.roomNumbers?.length > 0 ? folio.roomNumbers : (folio.roomNumber ? [folio.roomNumber] : [])
+            };
+
+            const items = [];
+            for (const night of nights) {
+                items.push(...await buildNightItems(models, propertyId, reservation, night, context));
+            }
+            const itemIds = items.map(item => {
+                item.window = folio.getRoutedWindow(item);
+                return folio.items[folio.items.push(item) - 1]._id;
+            });
+            folio.postedNights.push(...nights);
+            folio.calculateBalance();
+            // Saved only if no other run posted one of these nights in the meantime
+            folio.$where = { postedNights: { $nin: nights } };
+            await folio.save();
+
+            result.posted.push({ folio: folio._id, folioId: folio.folioId, itemIds, nights });
+            result.folios++;
+            result.nights += nights.length;
+            result.amount = round2(result.amount + items.reduce((sum, item) => sum + item.amount, 0));
+            result.tax = round2(result.tax + items.reduce((sum, item) => sum + (item.tax || 0), 0));
+        } catch (error) {
+            console.error(`Error posting nightly charges to folio ${folio.folioId}:`, error);
+            result.failed.push({ folioId: folio.folioId, message: error.message });
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    getNightsToPost,
+    buildNightItems,
+    postNightlyCharges,
+};
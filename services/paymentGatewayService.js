@@ -0,0 +1,627 @@
+// Payment links through a payment gateway
+// A payment link collects a folio window balance, a city ledger invoice or a
+// reservation deposit through the property's gateway (see services/paymentProviders).
+// The gateway confirms the payment with a signed webhook and the payment is then
+// posted where it belongs, without anyone keying it in. Refunds of a link payment
+// go back through the gateway and are reversed in the PMS once the gateway
+// processes them.
+// Webhook events are recorded on the link, so a redelivered event is ignored.
+
+const { getProvider } = require('./paymentProviders');
+const { round2 } = require('./gstService');
+const { getBusinessDate } = require('./businessDateService');
+const { getOutstandingDeposit, recordDepositPayment } = require('./depositService');
+const { getRefundable, recordRefund } = require('./creditNoteService');
+const { getInvoiceOutstanding } = require('./cityLedgerService');
+const { cancelSettledInvoiceReminders } = require('./scheduledEmailService');
+
+// Amounts are compared to the paisa
+const TOLERANCE = 0.005;
+const CLOSED_RESERVATION_STATUSES = ['cancelled', 'no-show', 'checked-out'];
+
+/**
+ * Active gateway of a property: the one asked for, or the only active one.
+ *
+ * @returns {Promise<{ gateway } | { status: Number, error: String }>}
+ */
+const getGateway = async (models, propertyId, gatewayId) => {
+    const query = { property: propertyId, isActive: true };
+    if (gatewayId) {
+        query._id = gatewayId;
+    }
+    const gateways = await models.PaymentGateway.find(query).select('+webhookSecret').limit(2);
+    if (gateways.length === 0) {
+        return { status: 400, error: 'No active payment gateway is set up for this property.' };
+    }
+    if (gateways.length > 1) {
+        return { status: 400, error: 'Several payment gateways are active; choose one with gatewayId.' };
+    }
+    if (!getProvider(gateways[0].provider)) {
+        return { status: 400, error: `Payment provider ${gateways[0].provider} is not available.` };
+    }
+    return { gateway: gateways[0] };
+};
+
+/**
+ * What a payment link collects for, with the amount outstanding on it.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} params - { type, folio, window, account, invoiceId, reservation }
+ * @returns {Promise<{ target, outstanding, customer, description } | { status: Number, error: String }>}
+ */
+const resolveTarget = async (models, propertyId, { type, folio: folioRef, window = 1, account: accountRef, invoiceId, reservation: reservationRef }) => {
+    if (type === 'folio') {
+        const folio = await models.GuestFolio.findOne({ _id: folioRef, property: propertyId });
+        if (!folio) {
+            return { status: 404, error: 'Folio not found.' };
+        }
+        if (folio.status !== 'active') {
+            return { status: 400, error: `Cannot collect payment on a ${folio.status} folio.` };
+        }
+        const balance = folio.getWindowBalances().find(entry => entry.windowNumber === Number(window));
+        if (!balance) {
+            return { status: 400, error: `Billing window ${window} does not exist on this folio` };
+        }
+        if (balance.status === 'settled') {
+            return { status: 400, error: `Billing window ${window} is already settled` };
+        }
+        return {
+            target: { type, folio: folio._id, folioId: folio.folioId, window: Number(window) },
+            outstanding: round2(balance.balance),
+            customer: { name: folio.guestName, email: folio.guestEmail, phone: folio.guestPhone },
+            description: `Folio ${folio.folioId}`
+        };
+    }
+
+    if (type === 'city-ledger-invoice') {
+        const account = await models.CityLedgerAccount.findOne({ _id: accountRef, property: propertyId });
+        if (!account) {
+            return { status: 404, error: 'Account not found.' };
+        }
+        const invoice = account.invoices.id(invoiceId);
+        if (!invoice) {
+            return { status: 404, error: 'Invoice not found.' };
+        }
+        if (!['pending', 'overdue'].includes(invoice.status)) {
+            return { status: 400, error: `Cannot collect payment on a ${invoice.status} invoice.` };
+        }
+        return {
+            target: { type, account: account._id, accountName: account.accountName, invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber },
+            outstanding: getInvoiceOutstanding(account, invoice),
+            customer: { name: account.contactPerson || account.accountName, email: account.email, phone: account.phone },
+            description: `Invoice ${invoice.invoiceNumber}`
+        };
+    }
+
+    if (type === 'deposit') {
+        const reservation = await models.Reservations.findOne({ _id: reservationRef, property: propertyId });
+        if (!reservation) {
+            return { status: 404, error: 'Reservation not found.' };
+        }
+        if (CLOSED_RESERVATION_STATUSES.includes(reservation.status)) {
+            return { status: 400, error: `Cannot collect a deposit on a ${reservation.status} reservation.` };
+        }
+        return {
+            target: { type, reservation: reservation._id },
+            // Reservations without a deposit schedule can still pay an advance
+            outstanding: reservation.depositSchedule?.length > 0 ? getOutstandingDeposit(reservation) : null,
+            customer: { name: reservation.guestName, email: reservation.guestEmail, phone: reservation.guestNumber },
+            description: `Deposit for ${reservation.guestName}, arriving ${new Date(reservation.checkInDate).toDateString()}`
+        };
+    }
+
+    return { status: 400, error: 'Unknown payment target type.' };
+};
+
+/**
+ * Create a payment link with the gateway.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} params
+ * @param {String} [params.gatewayId] - Needed when several gateways are active
+ * @param {Object} params.target - See resolveTarget
+ * @param {Number} [params.amount] - Defaults to the amount outstanding
+ * @param {String} [params.description]
+ * @param {Object} [params.customer] - { name, email, phone }, defaults to the guest or account
+ * @param {Object} [params.user] - req.user
+ * @returns {Promise<{ link } | { status: Number, error: String }>}
+ */
+const createPaymentLink = async (tenant, { gatewayId, target, amount, description, customer = {}, user }) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const gatewayResult = await getGateway(models, propertyId, gatewayId);
+    if (gatewayResult.error) {
+        return gatewayResult;
+    }
+    const { gateway } = gatewayResult;
+
+    const resolved = await resolveTarget(models, propertyId, target);
+    if (resolved.error) {
+        return resolved;
+    }
+
+    const linkAmount = round2(amount ?? resolved.outstanding ?? 0);
+    if (linkAmount <= 0) {
+        return { status: 400, error: 'Nothing is outstanding; give the amount to collect.' };
+    }
+    if (resolved.outstanding != null && linkAmount - resolved.outstanding > TOLERANCE) {
+        return { status: 400, error: `Only ${Math.max(0, resolved.outstanding).toFixed(2)} is outstanding` };
+    }
+
+    const link = new models.PaymentLink({
+        linkNumber: await models.PaymentLink.generateLinkNumber(propertyId),
+        gateway: gateway._id,
+        provider: gateway.provider,
+        target: resolved.target,
+        amount: linkAmount,
+        currency: gateway.currency,
+        description: description || resolved.description,
+        customer: {
+            name: customer.name || resolved.customer.name,
+            email: customer.email || resolved.customer.email,
+            phone: customer.phone || resolved.customer.phone
+        },
+        expiresAt: new Date(Date.now() + gateway.linkExpiryMinutes * 60 * 1000),
+        createdBy: user?.id,
+        createdByName: user?.name,
+        property: propertyId
+    });
+
+    try {
+        const created = await getProvider(gateway.provider).createPaymentLink(gateway, {
+            number: link.linkNumber,
+            amount: link.amount,
+            currency: link.currency,
+            description: link.description,
+            customer: link.customer,
+            expiresAt: link.expiresAt
+        });
+        link.reference = created.reference;
+        link.url = created.url;
+        link.expiresAt = created.expiresAt || link.expiresAt;
+    } catch (error) {
+        console.error(`Error creating payment link with ${gateway.provider}:`, error);
+        return { status: 502, error: `Payment gateway error: ${error.message}` };
+    }
+
+    await link.save();
+    return { link };
+};
+
+// Post a folio payment (negative for a refund) to the link's billing window
+const postToFolio = async (models, propertyId, link, { amount, transactionId, notes }) => {
+    const folio = await models.GuestFolio.findOne({ _id: link.target.folio, property: propertyId });
+    if (!folio || folio.status !== 'active') {
+        throw new Error('The folio is no longer open; post the payment manually.');
+    }
+    const window = folio.getWindowBalances().find(entry => entry.windowNumber === link.target.window);
+    folio.payments.push({
+        date: new Date(),
+        method: link.method,
+        amount,
+        transactionId,
+        window: window && window.status !== 'settled' ? link.target.window : 1,
+        businessDate: await getBusinessDate(models, propertyId),
+        notes
+    });
+    folio.calculateBalance();
+    await folio.save();
+
+    // Paymaster folios keep the paymaster account's payments in step
+    if (folio.paymasterId) {
+        const paymaster = await models.PaymasterRoom.findOne({ _id: folio.paymasterId, property: propertyId });
+        if (paymaster) {
+            paymaster.payments = folio.payments.map(payment => ({
+                date: payment.date,
+                method: payment.method,
+                amount: payment.amount,
+                transactionId: payment.transactionId,
+                notes: payment.notes
+            }));
+            paymaster.calculateBalance();
+            await paymaster.save();
+        }
+    }
+};
+
+// Post a city ledger payment (negative for a refund) applied to the link's invoice
+const postToCityLedger = async (models, propertyId, link, { amount, transactionId, notes }) => {
+    const account = await models.CityLedgerAccount.findOne({ _id: link.target.account, property: propertyId });
+    const invoice = account?.invoices.id(link.target.invoiceId);
+    if (!invoice) {
+        throw new Error('The city ledger invoice no longer exists; post the payment manually.');
+    }
+    account.payments.push({
+        date: new Date(),
+        amount,
+        method: link.method,
+        transactionId,
+        referenceNumber: link.linkNumber,
+        notes,
+        appliedToInvoices: [{ invoiceId: invoice._id, amount }]
+    });
+    if (invoice.status !== 'cancelled') {
+        const outstanding = getInvoiceOutstanding(account, invoice);
+        if (outstanding <= TOLERANCE) {
+            invoice.status = 'paid';
+        } else if (invoice.status === 'paid') {
+            invoice.status = invoice.dueDate && invoice.dueDate < new Date() ? 'overdue' : 'pending';
+        }
+    }
+    account.calculateBalance();
+    await account.save();
+    await cancelSettledInvoiceReminders(models, propertyId, account);
+};
+
+// Record the captured payment of a link where it belongs
+const postLinkPayment = async (models, propertyId, link) => {
+    const transactionId = link.paymentId;
+    const notes = `Paid online (payment link ${link.linkNumber})`;
+
+    if (link.target.type === 'folio') {
+        await postToFolio(models, propertyId, link, { amount: link.paidAmount, transactionId, notes });
+    } else if (link.target.type === 'city-ledger-invoice') {
+        await postToCityLedger(models, propertyId, link, { amount: link.paidAmount, transactionId, notes });
+    } else {
+        const reservation = await models.Reservations.findOne({ _id: link.target.reservation, property: propertyId });
+        if (!reservation) {
+            throw new Error('The reservation no longer exists; post the payment manually.');
+        }
+        await recordDepositPayment(models, propertyId, reservation, {
+            amount: link.paidAmount,
+            method: link.method,
+            transactionId,
+            notes: `Deposit paid online (payment link ${link.linkNumber})`
+        });
+    }
+};
+
+/**
+ * Post a paid link's payment. Only one caller posts it; a failure is kept on
+ * the link (postingError) so it can be retried.
+ *
+ * @returns {Promise<{ link } | { status: Number, error: String }>}
+ */
+const postPaymentLink = async (tenant, linkId) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const link = await models.PaymentLink.findOneAndUpdate(
+        { _id: linkId, property: propertyId, status: 'paid', posted: false },
+        { $set: { posted: true } },
+        { new: true }
+    );
+    if (!link) {
+        return { status: 409, error: 'The payment link is not paid or its payment is already posted.' };
+    }
+
+    try {
+        await postLinkPayment(models, propertyId, link);
+        await models.PaymentLink.updateOne({ _id: link._id }, { $unset: { postingError: 1 } });
+    } catch (error) {
+        console.error(`Error posting payment of link ${link.linkNumber}:`, error);
+        await models.PaymentLink.updateOne({ _id: link._id }, { $set: { posted: false, postingError: error.message } });
+    }
+    return { link: await models.PaymentLink.findById(link._id) };
+};
+
+// Reverse a processed refund in the PMS (negative payment, or a refund on the bill)
+const postRefundReversal = async (tenant, link, refund) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    const notes = `Refunded online (payment link ${link.linkNumber})${refund.reason ? ` - ${refund.reason}` : ''}`;
+
+    if (refund.bill) {
+        const result = await recordRefund(tenant, {
+            billId: refund.bill,
+            creditNoteId: refund.creditNote,
+            amount: refund.amount,
+            method: link.method,
+            transactionId: refund.reference,
+            reason: refund.reason || `Refund of payment link ${link.linkNumber}`,
+            paidByGateway: true
+        });
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return { billRefund: result.refund._id };
+    }
+
+    if (link.target.type === 'folio') {
+        await postToFolio(models, propertyId, link, { amount: -refund.amount, transactionId: refund.reference, notes });
+    } else if (link.target.type === 'city-ledger-invoice') {
+        await postToCityLedger(models, propertyId, link, { amount: -refund.amount, transactionId: refund.reference, notes });
+    } else {
+        // The deposit schedule keeps what was paid; only the amount held comes down
+        const reservation = await models.Reservations.findOne({ _id: link.target.reservation, property: propertyId });
+        if (!reservation) {
+            throw new Error('The reservation no longer exists; reverse the deposit manually.');
+        }
+        reservation.payedAmount = round2(Math.max(0, (reservation.payedAmount || 0) - refund.amount));
+        const payment = reservation.depositPayments[reservation.depositPayments.push({
+            date: new Date(),
+            method: link.method,
+            amount: -refund.amount,
+            transactionId: refund.reference,
+            businessDate: await getBusinessDate(models, propertyId),
+            notes
+        }) - 1];
+        await reservation.save();
+
+        const folio = await models.GuestFolio.findOne({ reservationId: reservation._id, property: propertyId, status: 'active' });
+        if (folio) {
+            folio.payments.push(payment.toObject());
+            folio.calculateBalance();
+            await folio.save();
+        }
+    }
+    return {};
+};
+
+// Post a processed refund once; a failure is kept on the refund
+const postRefund = async (tenant, linkId, refundId) => {
+    const { PaymentLink } = tenant.models;
+    const link = await PaymentLink.findOneAndUpdate(
+        { _id: linkId, refunds: { $elemMatch: { _id: refundId, status: 'processed', posted: false } } },
+        { $set: { 'refunds.$.posted': true } },
+        { new: true }
+    );
+    if (!link) {
+        return;
+    }
+
+    const refund = link.refunds.id(refundId);
+    try {
+        const { billRefund } = await postRefundReversal(tenant, link, refund);
+        await PaymentLink.updateOne(
+            { _id: link._id, 'refunds._id': refundId },
+            { $set: { 'refunds.$.billRefund': billRefund }, $unset: { 'refunds.$.postingError': 1 } }
+        );
+    } catch (error) {
+        console.error(`Error posting refund ${refund.reference} of link ${link.linkNumber}:`, error);
+        await PaymentLink.updateOne(
+            { _id: link._id, 'refunds._id': refundId },
+            { $set: { 'refunds.$.posted': false, 'refunds.$.postingError': error.message } }
+        );
+    }
+};
+
+/**
+ * Refund (part of) a link's payment through the gateway.
+ * Refunds of a folio that was checked out since are recorded against its bill,
+ * so billId (and optionally creditNoteId) is needed then.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {String} linkId
+ * @param {Object} params - { amount, reason, billId, creditNoteId, user }
+ * @returns {Promise<{ link, refund } | { status: Number, error: String }>}
+ */
+const refundLinkPayment = async (tenant, linkId, { amount, reason, billId, creditNoteId, user }) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const link = await models.PaymentLink.findOne({ _id: linkId, property: propertyId });
+    if (!link) {
+        return { status: 404, error: 'Payment link not found.' };
+    }
+    if (link.status !== 'paid' || !link.posted) {
+        return { status: 400, error: 'Only a paid and posted link payment can be refunded.' };
+    }
+
+    const refundAmount = round2(amount ?? link.paidAmount - link.refundedAmount);
+    if (refundAmount <= 0 || refundAmount - (link.paidAmount - link.refundedAmount) > TOLERANCE) {
+        return { status: 400, error: `Only ${round2(link.paidAmount - link.refundedAmount).toFixed(2)} can be refunded on this link` };
+    }
+
+    // A billed folio's refund goes against its bill
+    let bill = null;
+    if (link.target.type === 'folio') {
+        const folio = await models.GuestFolio.findOne({ _id: link.target.folio, property: propertyId }).select('status').lean();
+        if (folio?.status !== 'active') {
+            if (!billId) {
+                return { status: 400, error: 'The folio is checked out; give the billId the refund is against.' };
+            }
+            bill = await models.Bill.findOne({ _id: billId, folioId: link.target.folioId, property: propertyId });
+            if (!bill) {
+                return { status: 404, error: 'Bill not found for this folio.' };
+            }
+            if (refundAmount - getRefundable(bill) > TOLERANCE) {
+                return { status: 400, error: 'Nothing is refundable on this bill; issue a credit note first' };
+            }
+        }
+    }
+
+    const gatewayResult = await getGateway(models, propertyId, link.gateway);
+    if (gatewayResult.error) {
+        return gatewayResult;
+    }
+    const { gateway } = gatewayResult;
+
+    // Hold the amount so two refunds cannot exceed the payment
+    const refund = link.refunds.create({
+        amount: refundAmount,
+        reason,
+        bill: bill?._id,
+        creditNote: bill ? creditNoteId : undefined,
+        requestedBy: user?.id,
+        requestedByName: user?.name
+    });
+    const held = await models.PaymentLink.updateOne(
+        { _id: link._id, $expr: { $lte: [{ $add: ['$refundedAmount', refundAmount] }, { $add: ['$paidAmount', TOLERANCE] }] } },
+        { $inc: { refundedAmount: refundAmount }, $push: { refunds: refund } }
+    );
+    if (held.modifiedCount === 0) {
+        return { status: 409, error: 'Another refund changed this link; reload and try again.' };
+    }
+
+    let result;
+    try {
+        result = await getProvider(gateway.provider).refundPayment(gateway, { paymentId: link.paymentId, amount: refundAmount, reason });
+    } catch (error) {
+        console.error(`Error refunding payment link ${link.linkNumber}:`, error);
+        await models.PaymentLink.updateOne(
+            { _id: link._id },
+            { $inc: { refundedAmount: -refundAmount }, $pull: { refunds: { _id: refund._id } } }
+        );
+        return { status: 502, error: `Payment gateway error: ${error.message}` };
+    }
+
+    await models.PaymentLink.updateOne(
+        { _id: link._id, 'refunds._id': refund._id },
+        {
+            $set: {
+                'refunds.$.reference': result.reference,
+                'refunds.$.status': result.status === 'processed' ? 'processed' : 'pending',
+                ...(result.status === 'processed' ? { 'refunds.$.processedAt': new Date() } : {})
+            }
+        }
+    );
+    if (result.status === 'processed') {
+        await postRefund(tenant, link._id, refund._id);
+    }
+
+    const updated = await models.PaymentLink.findById(link._id);
+    return { link: updated, refund: updated.refunds.id(refund._id) };
+};
+
+/**
+ * Apply a verified gateway webhook event.
+ *
+ * @param {Object} tenant - Tenant context
+ * @param {Object} gateway - PaymentGateway the event came from
+ * @param {Object} event - Event from the provider's parseWebhook
+ * @returns {Promise<{ handled: Boolean, duplicate?: Boolean, link?: Object, message?: String }>}
+ */
+const handleWebhookEvent = async (tenant, gateway, event) => {
+    const { PaymentLink } = tenant.models;
+    const propertyId = tenant.property._id;
+    const eventEntry = { eventId: event.id, type: event.type };
+
+    if (event.type === 'refund.processed' || event.type === 'refund.failed') {
+        const link = await PaymentLink.findOne({ gateway: gateway._id, property: propertyId, 'refunds.reference': event.refundReference });
+        const refund = link?.refunds.find(entry => entry.reference === event.refundReference);
+        if (!refund) {
+            return { handled: false, message: 'Unknown refund' };
+        }
+
+        const processed = event.type === 'refund.processed';
+        const updated = await PaymentLink.findOneAndUpdate(
+            { _id: link._id, 'events.eventId': { $ne: event.id }, refunds: { $elemMatch: { _id: refund._id, status: 'pending' } } },
+            {
+                $set: processed
+                    ? { 'refunds.$.status': 'processed', 'refunds.$.processedAt': new Date() }
+                    : { 'refunds.$.status': 'failed', 'refunds.$.failureReason': event.message || 'Refund failed' },
+                $inc: { refundedAmount: processed ? 0 : -refund.amount },
+                $push: { events: eventEntry }
+            },
+            { new: true }
+        );
+        if (!updated) {
+            return { handled: true, duplicate: true };
+        }
+        if (processed) {
+            await postRefund(tenant, link._id, refund._id);
+        }
+        return { handled: true, link: await PaymentLink.findById(link._id) };
+    }
+
+    const link = await PaymentLink.findOne({ gateway: gateway._id, property: propertyId, reference: event.linkReference });
+    if (!link) {
+        return { handled: false, message: 'Unknown payment link' };
+    }
+    if (link.events.some(entry => entry.eventId === event.id)) {
+        return { handled: true, duplicate: true };
+    }
+
+    let update;
+    let condition;
+    if (event.type === 'payment.captured') {
+        // Money taken after a link expired or was cancelled is still the guest's payment
+        condition = { status: { $ne: 'paid' } };
+        update = {
+            $set: {
+                status: 'paid',
+                paidAt: new Date(),
+                paymentId: event.paymentId,
+                paidAmount: round2(event.amount ?? link.amount),
+                method: event.method || 'Credit Card'
+            },
+            $unset: { failureReason: 1 }
+        };
+    } else if (event.type === 'payment.failed') {
+        condition = { status: 'created' };
+        update = { $set: { status: 'failed', failureReason: event.message || 'Payment failed' } };
+    } else if (event.type === 'link.expired') {
+        condition = { status: { $in: ['created', 'failed'] } };
+        update = { $set: { status: 'expired' } };
+    } else {
+        return { handled: false, message: `Unsupported event type ${event.type}` };
+    }
+
+    const updated = await PaymentLink.findOneAndUpdate(
+        { _id: link._id, 'events.eventId': { $ne: event.id }, ...condition },
+        { ...update, $push: { events: eventEntry } },
+        { new: true }
+    );
+    if (!updated) {
+        // Out of order (e.g. a failure reported after the payment went through)
+        await PaymentLink.updateOne({ _id: link._id, 'events.eventId': { $ne: event.id } }, { $push: { events: eventEntry } });
+        return { handled: true, link };
+    }
+
+    if (event.type === 'payment.captured') {
+        return { handled: true, ...await postPaymentLink(tenant, updated._id) };
+    }
+    return { handled: true, link: updated };
+};
+
+/**
+ * Cancel an unpaid link.
+ *
+ * @returns {Promise<{ link } | { status: Number, error: String }>}
+ */
+const cancelPaymentLink = async (tenant, linkId) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+
+    const link = await models.PaymentLink.findOne({ _id: linkId, property: propertyId });
+    if (!link) {
+        return { status: 404, error: 'Payment link not found.' };
+    }
+    if (!['created', 'failed'].includes(link.status)) {
+        return { status: 400, error: `Cannot cancel a ${link.status} payment link.` };
+    }
+
+    const gateway = await models.PaymentGateway.findOne({ _id: link.gateway, property: propertyId }).select('+webhookSecret');
+    const provider = gateway && getProvider(gateway.provider);
+    if (provider?.cancelPaymentLink) {
+        try {
+            await provider.cancelPaymentLink(gateway, link.reference);
+        } catch (error) {
+            console.error(`Error cancelling payment link ${link.linkNumber}:`, error);
+            return { status: 502, error: `Payment gateway error: ${error.message}` };
+        }
+    }
+
+    const cancelled = await models.PaymentLink.findOneAndUpdate(
+        { _id: link._id, status: { $in: ['created', 'failed'] } },
+        { $set: { status: 'cancelled' } },
+        { new: true }
+    );
+    if (!cancelled) {
+        return { status: 409, error: 'The payment link changed while cancelling; reload and try again.' };
+    }
+    return { link: cancelled };
+};
+
+module.exports = {
+    getGateway,
+    resolveTarget,
+    createPaymentLink,
+    cancelPaymentLink,
+    postPaymentLink,
+    refundLinkPayment,
+    handleWebhookEvent,
+};
@@ -0,0 +1,44 @@
+// Payment provider registry
+//
+// A provider connects the PMS to one payment gateway. Providers are plain objects:
+//
+//   {
+//       name: 'simulator',
+//       // Create a hosted payment link / order. Resolve { reference, url, expiresAt }, throw on failure.
+//       createPaymentLink: async (gateway, link) => ({ reference, url, expiresAt }),
+//       // Optional: cancel an unpaid link
+//       cancelPaymentLink: async (gateway, reference) => {},
+//       // Refund a captured payment. Resolve { reference, status: 'pending' | 'processed' }, throw on failure.
+//       refundPayment: async (gateway, { paymentId, amount, reason }) => ({ reference, status }),
+//       // Check a webhook's signature and turn it into an event. Throw on a bad signature.
+//       parseWebhook: (gateway, { headers, rawBody, body }) => event
+//   }
+//
+// link = { number, amount, currency, description, customer: { name, email, phone }, expiresAt }
+// event = { id, type, linkReference, paymentId, amount, method, refundReference, message }
+//   type: 'payment.captured' | 'payment.failed' | 'link.expired' | 'refund.processed' | 'refund.failed'
+//   method is one of the PMS payment methods (UPI, Credit Card, ...)
+
+const simulatorProvider = require('./simulatorProvider');
+
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    if (!provider || !provider.name || typeof provider.createPaymentLink !== 'function'
+        || typeof provider.refundPayment !== 'function' || typeof provider.parseWebhook !== 'function') {
+        throw new Error('Payment provider needs a name, createPaymentLink, refundPayment and parseWebhook');
+    }
+    providers.set(provider.name, provider);
+};
+
+const getProvider = (name) => providers.get(name) || null;
+
+const listProviders = () => Array.from(providers.keys());
+
+registerProvider(simulatorProvider);
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+};
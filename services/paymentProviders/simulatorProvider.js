@@ -0,0 +1,176 @@
+// Local payment gateway simulator, to run the payment link flow without a
+// real gateway. Links live in memory; a "customer payment" is made through
+// simulatePayment, which builds the webhook the gateway would send, signed
+// with the gateway's webhook secret. Failures can be simulated through
+// gateway.settings:
+//   failLinks: true    - creating links fails
+//   failRefunds: true  - refunds are rejected
+//   pendingRefunds: true - refunds stay pending until simulateRefundResult
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-simulator-signature';
+const TIMESTAMP_HEADER = 'x-simulator-timestamp';
+// Webhooks older than this are refused (replays)
+const MAX_WEBHOOK_AGE_MS = 5 * 60 * 1000;
+const PAY_METHODS = ['UPI', 'Credit Card', 'Debit Card', 'Wallet', 'Bank Transfer'];
+
+const links = new Map();
+const refunds = new Map();
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (secret, timestamp, rawBody) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+const createPaymentLink = async (gateway, link) => {
+    if (gateway.settings?.failLinks) {
+        throw new Error('Simulator rejected the payment link (simulated failure)');
+    }
+    const reference = newId('plink');
+    links.set(reference, {
+        reference,
+        gateway: gateway._id.toString(),
+        amount: link.amount,
+        currency: link.currency,
+        expiresAt: link.expiresAt,
+        status: 'created',
+        payments: []
+    });
+    return {
+        reference,
+        url: `https://simulator.local/pay/${reference}`,
+        expiresAt: link.expiresAt
+    };
+};
+
+const cancelPaymentLink = async (gateway, reference) => {
+    const link = links.get(reference);
+    if (link) {
+        link.status = 'cancelled';
+    }
+};
+
+const refundPayment = async (gateway, { paymentId, amount }) => {
+    if (gateway.settings?.failRefunds) {
+        throw new Error('Simulator rejected the refund (simulated failure)');
+    }
+    const reference = newId('rfnd');
+    const status = gateway.settings?.pendingRefunds ? 'pending' : 'processed';
+    refunds.set(reference, { reference, paymentId, amount, status });
+    return { reference, status };
+};
+
+/**
+ * Build the signed webhook the simulator sends for an event.
+ *
+ * @returns {{ headers: Object, rawBody: String, body: Object }}
+ */
+const buildWebhook = (gateway, type, data) => {
+    const body = { id: newId('evt'), type, createdAt: new Date().toISOString(), data };
+    const rawBody = JSON.stringify(body);
+    const timestamp = String(Date.now());
+    return {
+        headers: {
+            'content-type': 'application/json',
+            [TIMESTAMP_HEADER]: timestamp,
+            [SIGNATURE_HEADER]: sign(gateway.webhookSecret, timestamp, rawBody)
+        },
+        rawBody,
+        body
+    };
+};
+
+const parseWebhook = (gateway, { headers, rawBody }) => {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = headers[TIMESTAMP_HEADER];
+    if (!gateway.webhookSecret || !signature || !timestamp || !rawBody) {
+        throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() - Number(timestamp)) > MAX_WEBHOOK_AGE_MS) {
+        throw new Error('Webhook timestamp is too old');
+    }
+
+    const signatureBuffer = Buffer.from(String(signature));
+    const expectedBuffer = Buffer.from(sign(gateway.webhookSecret, timestamp, rawBody.toString()));
+    if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const { id, type, data = {} } = JSON.parse(rawBody.toString());
+    return {
+        id,
+        type,
+        linkReference: data.linkId,
+        paymentId: data.paymentId,
+        amount: data.amount,
+        method: data.method,
+        refundReference: data.refundId,
+        message: data.message
+    };
+};
+
+/**
+ * Pay (or fail to pay) a simulator link as the customer would.
+ *
+ * @param {Object} gateway - PaymentGateway with its webhookSecret
+ * @param {String} reference - Link reference
+ * @param {Object} [options] - { outcome: 'success' | 'failure', method, amount }
+ * @returns {Object} Signed webhook for the payment
+ */
+const simulatePayment = (gateway, reference, { outcome = 'success', method = 'UPI', amount } = {}) => {
+    const link = links.get(reference);
+    if (!link || link.gateway !== gateway._id.toString()) {
+        throw new Error('Simulator link not found (links are lost when the server restarts)');
+    }
+    if (link.status !== 'created') {
+        throw new Error(`Simulator link is ${link.status}`);
+    }
+    // A link paid after its expiry only tells the PMS it expired
+    if (link.expiresAt && new Date(link.expiresAt) < new Date()) {
+        link.status = 'expired';
+        return buildWebhook(gateway, 'link.expired', { linkId: reference });
+    }
+    if (!PAY_METHODS.includes(method)) {
+        throw new Error(`method must be one of: ${PAY_METHODS.join(', ')}`);
+    }
+
+    const paymentId = newId('pay');
+    if (outcome === 'success') {
+        link.status = 'paid';
+        link.payments.push(paymentId);
+        return buildWebhook(gateway, 'payment.captured', { linkId: reference, paymentId, amount: amount ?? link.amount, method });
+    }
+    return buildWebhook(gateway, 'payment.failed', { linkId: reference, paymentId, amount: amount ?? link.amount, method, message: 'Payment declined by the simulator' });
+};
+
+/**
+ * Finish a pending simulator refund.
+ *
+ * @returns {Object} Signed webhook for the refund result
+ */
+const simulateRefundResult = (gateway, reference, { outcome = 'success' } = {}) => {
+    const refund = refunds.get(reference);
+    if (!refund || refund.status !== 'pending') {
+        throw new Error('No pending simulator refund with this reference');
+    }
+    refund.status = outcome === 'success' ? 'processed' : 'failed';
+    return buildWebhook(gateway, outcome === 'success' ? 'refund.processed' : 'refund.failed', {
+        refundId: reference,
+        paymentId: refund.paymentId,
+        amount: refund.amount,
+        message: outcome === 'success' ? undefined : 'Refund failed at the simulator'
+    });
+};
+
+module.exports = {
+    name: 'simulator',
+    createPaymentLink,
+    cancelPaymentLink,
+    refundPayment,
+    parseWebhook,
+    simulatePayment,
+    simulateRefundResult,
+};
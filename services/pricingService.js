@@ -0,0 +1,365 @@
+// Room pricing
+// Resolves the nightly price for a room type: manual daily rate > dynamic pricing
+// > room type base rate, and rate plans layered on top of that.
+
+// Helper function to calculate occupancy for a date
+async function calculateOccupancyForDate(propertyId, roomTypeId, date, Reservations, Rooms) {
+    const dateStart = new Date(date);
+    dateStart.setHours(0, 0, 0, 0);
+    const dateEnd = new Date(date);
+    dateEnd.setHours(23, 59, 59, 999);
+
+    // Get all rooms of this type
+    const totalRooms = await Rooms.countDocuments({
+        roomType: roomTypeId,
+        property: propertyId,
+        status: { $nin: ['maintenance'] }
+    });
+
+    if (totalRooms === 0) return 0;
+
+    // Get occupied rooms (reservations holding this room type on any line that overlap with this date)
+    const occupiedReservations = await Reservations.find({
+        ...Reservations.roomTypeFilter(roomTypeId),
+        property: propertyId,
+        status: { $in: ['tentative', 'confirmed', 'checked-in'] },
+        checkInDate: { $lte: dateEnd },
+        checkOutDate: { $gt: dateStart }
+    }).select('roomType numberOfRooms roomNumbers roomLines').lean();
+
+    // Count the rooms of this type each reservation holds, assigned or not
+    const occupiedRooms = occupiedReservations.reduce((sum, res) => sum + Reservations.countRoomsOfType(res, roomTypeId), 0);
+    const occupancyPercent = (occupiedRooms / totalRooms) * 100;
+    
+    return occupancyPercent;
+}
+
+// Helper function to apply dynamic pricing rules
+function applyDynamicPricingRules(basePrice, occupancyPercent, rule, rateRoundOff) {
+    if (!rule || !rule.enabled) {
+        return basePrice;
+    }
+
+    let adjustedPrice = basePrice;
+
+    // Apply demand scale
+    adjustedPrice = adjustedPrice * (rule.demandScale || 1.0);
+
+    // Apply occupancy rules
+    if (rule.occupancyRules && Array.isArray(rule.occupancyRules)) {
+        for (const occupancyRule of rule.occupancyRules) {
+            if (!occupancyRule.enabled) continue;
+            
+            if (occupancyPercent >= occupancyRule.startPercent && occupancyPercent <= occupancyRule.endPercent) {
+                // Apply first add/subtract
+                if (occupancyRule.addSubtract1 !== undefined && occupancyRule.addSubtract1 !== null) {
+                    adjustedPrice = adjustedPrice + occupancyRule.addSubtract1;
+                }
+                
+                // Apply multiplier
+                if (occupancyRule.multiplier !== undefined && occupancyRule.multiplier !== null && occupancyRule.multiplier > 0) {
+                    adjustedPrice = adjustedPrice * occupancyRule.multiplier;
+                }
+                
+                // Apply second add/subtract
+                if (occupancyRule.addSubtract2 !== undefined && occupancyRule.addSubtract2 !== null) {
+                    adjustedPrice = adjustedPrice + occupancyRule.addSubtract2;
+                }
+                
+                break; // Only apply the first matching rule
+            }
+        }
+    }
+
+    // Apply rate round off
+    if (rateRoundOff && rateRoundOff > 1) {
+        adjustedPrice = Math.round(adjustedPrice / rateRoundOff) * rateRoundOff;
+    }
+
+    return Math.max(0, adjustedPrice); // Ensure price is not negative
+}
+
+// Unified function to get price for a single date
+// Priority: Manual Price > Dynamic Pricing > Base Price
+async function getPriceForDate(propertyId, roomTypeId, date, DailyRate, RoomType, DynamicPricingRule, Reservations, Rooms) {
+    // Normalize date to UTC midnight
+    const dateObj = new Date(date);
+    dateObj.setUTCHours(0, 0, 0, 0);
+    
+    // Get room type
+    const roomType = await RoomType.findOne({ _id: roomTypeId, property: propertyId });
+    if (!roomType) {
+        throw new Error('Room type not found');
+    }
+
+    // Check for manual price first (highest priority)
+    const manualRate = await DailyRate.findOne({
+        roomType: roomTypeId,
+        property: propertyId,
+        date: dateObj
+    });
+
+    if (manualRate) {
+        // Manual price exists - return it
+        if (roomType.priceModel === 'perPerson') {
+            return {
+                adultRate: manualRate.adultRate || 0,
+                childRate: manualRate.childRate || 0,
+                source: 'manual'
+            };
+        } else {
+            return {
+                baseRate: manualRate.baseRate || 0,
+                extraGuestRate: manualRate.extraGuestRate || 0,
+                source: 'manual'
+            };
+        }
+    }
+
+    // No manual price - check dynamic pricing
+    const pricingRule = await DynamicPricingRule.findOne({
+        roomType: roomTypeId,
+        property: propertyId
+    });
+
+    if (pricingRule && pricingRule.enabled) {
+        // Calculate occupancy
+        const occupancyPercent = await calculateOccupancyForDate(
+            propertyId,
+            roomTypeId,
+            dateObj,
+            Reservations,
+            Rooms
+        );
+
+        // Get base rates from room type
+        let baseAdultRate = roomType.adultRate || 0;
+        let baseChildRate = roomType.childRate || 0;
+        let baseRoomRate = roomType.baseRate || 0;
+        let baseExtraGuestRate = roomType.extraGuestRate || 0;
+
+        // Apply dynamic pricing rules
+        if (roomType.priceModel === 'perPerson') {
+            return {
+                adultRate: applyDynamicPricingRules(
+                    baseAdultRate,
+                    occupancyPercent,
+                    pricingRule,
+                    pricingRule.rateRoundOff
+                ),
+                childRate: applyDynamicPricingRules(
+                    baseChildRate,
+                    occupancyPercent,
+                    pricingRule,
+                    pricingRule.rateRoundOff
+                ),
+                source: 'dynamic',
+                occupancyPercent: occupancyPercent
+            };
+        } else {
+            return {
+                baseRate: applyDynamicPricingRules(
+                    baseRoomRate,
+                    occupancyPercent,
+                    pricingRule,
+                    pricingRule.rateRoundOff
+                ),
+                extraGuestRate: applyDynamicPricingRules(
+                    baseExtraGuestRate,
+                    occupancyPercent,
+                    pricingRule,
+                    pricingRule.rateRoundOff
+                ),
+                source: 'dynamic',
+                occupancyPercent: occupancyPercent
+            };
+        }
+    }
+
+    // No dynamic pricing - return base price from room type
+    if (roomType.priceModel === 'perPerson') {
+        return {
+            adultRate: roomType.adultRate || 0,
+            childRate: roomType.childRate || 0,
+            source: 'base'
+        };
+    } else {
+        return {
+            baseRate: roomType.baseRate || 0,
+            extraGuestRate: roomType.extraGuestRate || 0,
+            source: 'base'
+        };
+    }
+}
+
+// Stay amount for one room line: daily rates when present, otherwise room type base rates
+function calculateLineStayAmount(roomType, line, dailyRates, nights) {
+    const numberOfRooms = line.numberOfRooms || 1;
+    const totalGuest = line.totalGuest || 1;
+    const childCount = line.children || 0;
+    const adultCount = line.adults || Math.max(0, totalGuest - childCount);
+    const baseOccupancy = (roomType.baseOccupancy || 1) * numberOfRooms;
+    const extraGuests = Math.max(0, totalGuest - baseOccupancy);
+
+    if (dailyRates.length > 0) {
+        return dailyRates.reduce((sum, rate) => {
+            if (roomType.priceModel === 'perPerson') {
+                const adultTotal = (rate.adultRate || roomType.adultRate || 0) * adultCount;
+                const childTotal = (rate.childRate || roomType.childRate || 0) * childCount;
+                return sum + adultTotal + childTotal;
+            }
+            // perRoom: sum daily rates
+            const baseTotalRooms = (rate.baseRate || roomType.baseRate || 0) * numberOfRooms;
+            const extraTotal = (rate.extraGuestRate || roomType.extraGuestRate || 0) * extraGuests;
+            return sum + baseTotalRooms + extraTotal;
+        }, 0);
+    }
+
+    // Fallback to base rates if no daily rates
+    if (roomType.priceModel === 'perPerson') {
+        // perPerson: (adultRate x adults + childRate x children) x nights
+        const adultTotal = (roomType.adultRate || 0) * adultCount;
+        const childTotal = (roomType.childRate || 0) * childCount;
+        return (adultTotal + childTotal) * nights;
+    }
+
+    // perRoom: baseRate x rooms x nights + (extraGuestRate x extra guests x nights)
+    const baseTotalRooms = (roomType.baseRate || 0) * numberOfRooms * nights;
+    const extraTotal = (roomType.extraGuestRate || 0) * extraGuests * nights;
+    return baseTotalRooms + extraTotal;
+}
+
+// --- Rate plans ---
+
+// Guards against parent plan cycles
+const MAX_PLAN_DEPTH = 5;
+
+// Apply a plan's derivation rule to a parent price.
+// Percentages adjust every rate; a fixed amount adjusts the main rate (baseRate / adultRate) only.
+function applyDerivation(price, derivation) {
+    if (!derivation || !derivation.value) {
+        return { ...price };
+    }
+
+    const derived = { ...price };
+    const fields = derivation.type === 'amount'
+        ? ['baseRate', 'adultRate']
+        : ['baseRate', 'extraGuestRate', 'adultRate', 'childRate'];
+
+    fields.forEach(field => {
+        if (typeof derived[field] !== 'number') {
+            return;
+        }
+        const adjusted = derivation.type === 'amount'
+            ? derived[field] + derivation.value
+            : derived[field] * (1 + derivation.value / 100);
+        derived[field] = Math.max(0, Math.round(adjusted * 100) / 100);
+    });
+
+    return derived;
+}
+
+/**
+ * Price for one date on a rate plan.
+ * Priority: the plan's own override for the date > parent plan price (or base
+ * pricing for top-level plans) with the plan's derivation rule applied.
+ * A null plan returns base pricing.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object|null} ratePlan - RatePlan document or lean object
+ * @param {ObjectId} roomTypeId
+ * @param {Date} date
+ */
+async function getRatePlanPriceForDate(models, propertyId, ratePlan, roomTypeId, date, depth = 0) {
+    const { RatePlan, ratePlanRates, dailyRates, RoomType, dynamicPricingRules, Reservations, Rooms } = models;
+
+    const dateObj = new Date(date);
+    dateObj.setUTCHours(0, 0, 0, 0);
+
+    if (!ratePlan) {
+        return getPriceForDate(propertyId, roomTypeId, dateObj, dailyRates, RoomType, dynamicPricingRules, Reservations, Rooms);
+    }
+
+    if (depth > MAX_PLAN_DEPTH) {
+        throw new Error('Rate plan derivation is too deep. Check the plan for a parent cycle.');
+    }
+
+    const override = await ratePlanRates.findOne({
+        ratePlan: ratePlan._id,
+        roomType: roomTypeId,
+        property: propertyId,
+        date: dateObj
+    }).lean();
+
+    if (override) {
+        const roomType = await RoomType.findOne({ _id: roomTypeId, property: propertyId }).select('priceModel').lean();
+        if (!roomType) {
+            throw new Error('Room type not found');
+        }
+        if (roomType.priceModel === 'perPerson') {
+            return {
+                adultRate: override.adultRate || 0,
+                childRate: override.childRate || 0,
+                source: 'plan',
+                ratePlan: ratePlan._id
+            };
+        }
+        return {
+            baseRate: override.baseRate || 0,
+            extraGuestRate: override.extraGuestRate || 0,
+            source: 'plan',
+            ratePlan: ratePlan._id
+        };
+    }
+
+    let parentPlan = null;
+    if (ratePlan.parentPlan) {
+        parentPlan = ratePlan.parentPlan._id
+            ? ratePlan.parentPlan
+            : await RatePlan.findOne({ _id: ratePlan.parentPlan, property: propertyId }).lean();
+    }
+
+    const parentPrice = await getRatePlanPriceForDate(models, propertyId, parentPlan, roomTypeId, dateObj, depth + 1);
+    const derived = applyDerivation(parentPrice, ratePlan.derivation);
+
+    return {
+        ...derived,
+        source: ratePlan.derivation?.value ? 'derived' : parentPrice.source,
+        ratePlan: ratePlan._id
+    };
+}
+
+/**
+ * Stay amount for one room line on a rate plan (null plan = base pricing).
+ * @returns {Promise<{ amount: Number, ratePerNight: Number }>} ratePerNight is per room
+ */
+async function priceLineForStay(models, propertyId, ratePlan, roomType, line, checkIn, checkOut) {
+    const rates = [];
+    const night = new Date(checkIn);
+    night.setUTCHours(0, 0, 0, 0);
+    const departure = new Date(checkOut);
+    departure.setUTCHours(0, 0, 0, 0);
+
+    while (night < departure) {
+        rates.push(await getRatePlanPriceForDate(models, propertyId, ratePlan, roomType._id, night));
+        night.setUTCDate(night.getUTCDate() + 1);
+    }
+
+    const nights = Math.max(1, rates.length);
+    const amount = Math.round(calculateLineStayAmount(roomType, line, rates, nights) * 100) / 100;
+    return {
+        amount,
+        ratePerNight: Math.round((amount / (line.numberOfRooms || 1) / nights) * 100) / 100
+    };
+}
+
+module.exports = {
+    calculateOccupancyForDate,
+    applyDynamicPricingRules,
+    getPriceForDate,
+    calculateLineStayAmount,
+    applyDerivation,
+    getRatePlanPriceForDate,
+    priceLineForStay,
+};
@@ -220,10 +220,35 @@ async function sendNotificationToPropertyUsers(Users, propertyId, title, body, d
     }
 }
 
+/**
+ * Send push notification to the users of a property with one of the given roles
+ */
+async function sendNotificationToPropertyRoles(Users, propertyId, roles, title, body, data = {}) {
+    try {
+        const users = await Users.find({
+            property: propertyId,
+            status: 'Active',
+            role: { $in: roles },
+            fcmToken: { $exists: true, $nin: [null, ''] }
+        }).select('fcmToken').lean();
+        const tokens = users.map(user => user.fcmToken).filter(token => token);
+
+        if (tokens.length === 0) {
+            return { success: false, error: 'No users with FCM tokens found' };
+        }
+
+        return await sendNotificationToMultiple(tokens, title, body, data);
+    } catch (error) {
+        console.error('Error sending notifications to property roles:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 module.exports = {
     initializeFirebase,
     sendNotification,
     sendNotificationToMultiple,
     sendNotificationToPropertyUsers,
+    sendNotificationToPropertyRoles,
 };
 
@@ -1,3 +1,5 @@
+const { getBusinessDate } = require('./businessDateService');
+
 const EXCLUDED_RESERVATION_STATUSES = new Set([
     'cancelled',
     'canceled',
@@ -81,8 +83,9 @@ const validateCustomDates = (start, end) => {
     return { startDate, endDate };
 };
 
-const resolveDateRange = (range = '7days', start, end) => {
-    const today = toStartOfDayUTC(new Date());
+// Ranges end on `today`, the property's business date
+const resolveDateRange = (range = '7days', start, end, businessDate = new Date()) => {
+    const today = toStartOfDayUTC(businessDate);
     let startDate;
     let endDate;
 
@@ -275,6 +278,7 @@ const computeRevenue = async (models, range, dailyOccupancyMap, propertyId) => {
         spaRevenue: 0,
         laundryRevenue: 0,
         otherRevenue: 0,
+        creditNotes: 0,
         adr: 0,
         revPar: 0
     });
@@ -348,7 +352,8 @@ const computeRevenue = async (models, range, dailyOccupancyMap, propertyId) => {
                 return;
             }
             document.items.forEach((item) => {
-                const referenceDate = item.date ? toStartOfDayUTC(item.date) : (document.checkIn ? toStartOfDayUTC(document.checkIn) : null);
+                const postedOn = item.businessDate || item.date;
+                const referenceDate = postedOn ? toStartOfDayUTC(postedOn) : (document.checkIn ? toStartOfDayUTC(document.checkIn) : null);
                 if (!referenceDate) {
                     return;
                 }
@@ -362,7 +367,7 @@ const computeRevenue = async (models, range, dailyOccupancyMap, propertyId) => {
         });
     };
 
-    const [folios, bills] = await Promise.all([
+    const [folios, bills, creditNotes] = await Promise.all([
         models.GuestFolio.find({
             property: propertyId,
             checkIn: { $lt: range.endExclusive },
@@ -372,12 +377,27 @@ const computeRevenue = async (models, range, dailyOccupancyMap, propertyId) => {
             property: propertyId,
             checkIn: { $lt: range.endExclusive },
             checkOut: { $gt: range.startDate }
+        }).lean(),
+        models.CreditNote.find({
+            property: propertyId,
+            issuedAt: { $gte: range.startDate, $lt: range.endExclusive }
         }).lean()
     ]);
 
     processFinancialDocuments(folios);
     processFinancialDocuments(bills);
 
+    // Credit notes reduce revenue on the day they are issued
+    creditNotes.forEach((creditNote) => {
+        const dateKey = formatDateKey(toStartOfDayUTC(creditNote.issuedAt));
+        (creditNote.items || []).forEach((line) => {
+            assignRevenue({ department: line.department, amount: -toNumber(line.taxableValue), tax: -toNumber(line.tax) }, { dateKey });
+        });
+        if (dailyRevenueMap[dateKey]) {
+            dailyRevenueMap[dateKey].creditNotes += toNumber(creditNote.totalAmount);
+        }
+    });
+
     const dailyRevenue = range.dateKeys.map((dateKey) => {
         const dailyEntry = dailyRevenueMap[dateKey];
         const occupancyEntry = dailyOccupancyMap[dateKey];
@@ -397,6 +417,7 @@ const computeRevenue = async (models, range, dailyOccupancyMap, propertyId) => {
         accumulator.spaRevenue += toNumber(dailyEntry.spaRevenue);
         accumulator.laundryRevenue += toNumber(dailyEntry.laundryRevenue);
         accumulator.otherRevenue += toNumber(dailyEntry.otherRevenue);
+        accumulator.creditNotes += toNumber(dailyEntry.creditNotes);
         return accumulator;
     }, {
         totalRevenue: 0,
@@ -404,7 +425,8 @@ const computeRevenue = async (models, range, dailyOccupancyMap, propertyId) => {
         fBRevenue: 0,
         spaRevenue: 0,
         laundryRevenue: 0,
-        otherRevenue: 0
+        otherRevenue: 0,
+        creditNotes: 0
     });
 
     const totalDepartmentRevenue = Object.values(departmentTotals).reduce((sum, value) => sum + value, 0);
@@ -515,7 +537,7 @@ const upsertSnapshot = async (models, type, range, filters, summary, propertyId)
 };
 
 const getDashboardReport = async (models, query, propertyId) => {
-    const range = resolveDateRange(query.range, query.start, query.end);
+    const range = resolveDateRange(query.range, query.start, query.end, await getBusinessDate(models, propertyId));
 
     const [roomTypes, reservations] = await Promise.all([
         fetchRoomTypes(models, propertyId),
@@ -561,7 +583,7 @@ const getDashboardReport = async (models, query, propertyId) => {
 };
 
 const getOccupancyReport = async (models, query, propertyId) => {
-    const range = resolveDateRange(query.range, query.start, query.end);
+    const range = resolveDateRange(query.range, query.start, query.end, await getBusinessDate(models, propertyId));
 
     const [roomTypes, reservations] = await Promise.all([
         fetchRoomTypes(models, propertyId),
@@ -588,7 +610,7 @@ const getOccupancyReport = async (models, query, propertyId) => {
 };
 
 const getRevenueReport = async (models, query, propertyId) => {
-    const range = resolveDateRange(query.range, query.start, query.end);
+    const range = resolveDateRange(query.range, query.start, query.end, await getBusinessDate(models, propertyId));
 
     const [roomTypes, reservations] = await Promise.all([
         fetchRoomTypes(models, propertyId),
@@ -610,6 +632,7 @@ const getRevenueReport = async (models, query, propertyId) => {
         spaRevenue: revenue.totals.spaRevenue,
         laundryRevenue: revenue.totals.laundryRevenue,
         otherRevenue: revenue.totals.otherRevenue,
+        creditNotes: revenue.totals.creditNotes,
         adr: occupancy.totalRoomsSold > 0 ? revenue.totals.roomRevenue / occupancy.totalRoomsSold : 0,
         revPar: occupancy.totalRoomNightsAvailable > 0 ? revenue.totals.roomRevenue / occupancy.totalRoomNightsAvailable : 0
     };
@@ -625,7 +648,7 @@ const getRevenueReport = async (models, query, propertyId) => {
 };
 
 const getChannelPerformanceReport = async (models, query, propertyId) => {
-    const range = resolveDateRange(query.range, query.start, query.end);
+    const range = resolveDateRange(query.range, query.start, query.end, await getBusinessDate(models, propertyId));
 
     const reservations = await fetchReservationsForRange(models, range, propertyId);
     const channelPerformance = computeChannelPerformance(range, reservations);
@@ -639,11 +662,102 @@ const getChannelPerformanceReport = async (models, query, propertyId) => {
     };
 };
 
+// Deposits still owed on tentative/confirmed bookings, split into overdue and upcoming.
+// Optional from/to limit the installment due dates included.
+const getDepositReport = async (models, query, propertyId) => {
+    const { Reservations } = models;
+    const now = new Date();
+
+    const dueDateFilter = {};
+    if (query.from) {
+        dueDateFilter.$gte = toStartOfDayUTC(query.from);
+    }
+    if (query.to) {
+        dueDateFilter.$lt = addDaysUTC(toStartOfDayUTC(query.to), 1);
+    }
+    if (Number.isNaN(dueDateFilter.$gte?.getTime()) || Number.isNaN(dueDateFilter.$lt?.getTime())) {
+        throw new Error('Invalid from/to date.');
+    }
+
+    const installmentMatch = { status: { $ne: 'paid' } };
+    if (Object.keys(dueDateFilter).length > 0) {
+        installmentMatch.dueDate = dueDateFilter;
+    }
+
+    const reservations = await Reservations.find({
+        property: propertyId,
+        status: { $in: ['tentative', 'confirmed'] },
+        depositSchedule: { $elemMatch: installmentMatch }
+    })
+        .select('guestName guestEmail guestNumber checkInDate checkOutDate status totalAmount payedAmount depositRequired depositSchedule')
+        .sort({ checkInDate: 1 })
+        .lean();
+
+    const overdue = [];
+    const due = [];
+
+    reservations.forEach(reservation => {
+        reservation.depositSchedule.forEach(installment => {
+            const outstanding = toNumber(installment.amount) - toNumber(installment.paidAmount);
+            if (installment.status === 'paid' || outstanding <= 0) {
+                return;
+            }
+            const dueDate = new Date(installment.dueDate);
+            if (dueDateFilter.$gte && dueDate < dueDateFilter.$gte) {
+                return;
+            }
+            if (dueDateFilter.$lt && dueDate >= dueDateFilter.$lt) {
+                return;
+            }
+
+            const entry = {
+                reservationId: reservation._id,
+                guestName: reservation.guestName,
+                guestEmail: reservation.guestEmail,
+                guestNumber: reservation.guestNumber,
+                checkInDate: reservation.checkInDate,
+                checkOutDate: reservation.checkOutDate,
+                reservationStatus: reservation.status,
+                installmentId: installment._id,
+                label: installment.label,
+                dueDate: installment.dueDate,
+                amount: installment.amount,
+                paidAmount: toNumber(installment.paidAmount),
+                outstanding
+            };
+
+            if (dueDate < now) {
+                overdue.push({ ...entry, daysOverdue: Math.floor((now - dueDate) / (1000 * 60 * 60 * 24)) });
+            } else {
+                due.push(entry);
+            }
+        });
+    });
+
+    const sumOutstanding = (entries) => entries.reduce((sum, entry) => sum + entry.outstanding, 0);
+
+    return {
+        generatedAt: now.toISOString(),
+        filters: { from: query.from || null, to: query.to || null },
+        summary: {
+            overdueCount: overdue.length,
+            overdueAmount: sumOutstanding(overdue),
+            dueCount: due.length,
+            dueAmount: sumOutstanding(due),
+            totalOutstanding: sumOutstanding(overdue) + sumOutstanding(due),
+            tentativeReservations: reservations.filter(reservation => reservation.status === 'tentative').length
+        },
+        overdue: overdue.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate)),
+        due: due.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate))
+    };
+};
+
 module.exports = {
     resolveDateRange,
     getDashboardReport,
     getOccupancyReport,
     getRevenueReport,
-    getChannelPerformanceReport
+    getChannelPerformanceReport,
+    getDepositReport
 };
 
@@ -0,0 +1,90 @@
+// Stay restrictions (min/max length of stay, closed to arrival/departure, stop-sell)
+// Restrictions are stored per room type and date in rateRestrictions; this
+// checks a requested stay against them.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const toUTCMidnight = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Restrictions for a room type from check-in up to and including check-out,
+ * keyed by YYYY-MM-DD.
+ */
+const getRestrictionsForStay = async (models, propertyId, roomTypeId, checkIn, checkOut) => {
+    const { rateRestrictions } = models;
+    const restrictions = await rateRestrictions.find({
+        roomType: roomTypeId,
+        property: propertyId,
+        date: { $gte: toUTCMidnight(checkIn), $lte: toUTCMidnight(checkOut) }
+    }).lean();
+
+    return restrictions.reduce((map, restriction) => {
+        map[toDateKey(restriction.date)] = restriction;
+        return map;
+    }, {});
+};
+
+/**
+ * Check a stay against a restriction map from getRestrictionsForStay.
+ * LOS limits come from the arrival date; stop-sell applies to every night stayed.
+ * @returns {{ isAllowed: Boolean, violations: Array<{ type: String, date: String, message: String }> }}
+ */
+const evaluateStayRestrictions = (restrictionMap, checkIn, checkOut, roomTypeName = 'Room type') => {
+    const violations = [];
+    const arrival = toUTCMidnight(checkIn);
+    const departure = toUTCMidnight(checkOut);
+    const nights = Math.round((departure - arrival) / DAY_MS);
+    const arrivalKey = toDateKey(arrival);
+    const departureKey = toDateKey(departure);
+    const onArrival = restrictionMap[arrivalKey];
+
+    if (onArrival?.closedToArrival) {
+        violations.push({ type: 'closedToArrival', date: arrivalKey, message: `${roomTypeName} is closed to arrival on ${arrivalKey}` });
+    }
+    if (onArrival?.minLOS && nights < onArrival.minLOS) {
+        violations.push({
+            type: 'minLOS',
+            date: arrivalKey,
+            message: `Minimum stay for ${roomTypeName} arriving ${arrivalKey} is ${onArrival.minLOS} night(s). Selected stay is ${nights} night(s).`
+        });
+    }
+    if (onArrival?.maxLOS && nights > onArrival.maxLOS) {
+        violations.push({
+            type: 'maxLOS',
+            date: arrivalKey,
+            message: `Maximum stay for ${roomTypeName} arriving ${arrivalKey} is ${onArrival.maxLOS} night(s). Selected stay is ${nights} night(s).`
+        });
+    }
+    if (restrictionMap[departureKey]?.closedToDeparture) {
+        violations.push({ type: 'closedToDeparture', date: departureKey, message: `${roomTypeName} is closed to departure on ${departureKey}` });
+    }
+
+    for (let night = new Date(arrival); night < departure; night.setUTCDate(night.getUTCDate() + 1)) {
+        const nightKey = toDateKey(night);
+        if (restrictionMap[nightKey]?.stopSell) {
+            violations.push({ type: 'stopSell', date: nightKey, message: `${roomTypeName} is not available for sale on ${nightKey}` });
+        }
+    }
+
+    return { isAllowed: violations.length === 0, violations };
+};
+
+// Load and evaluate restrictions for one room type in a single call
+const checkStayRestrictions = async (models, propertyId, roomType, checkIn, checkOut) => {
+    const roomTypeId = roomType?._id || roomType;
+    const restrictionMap = await getRestrictionsForStay(models, propertyId, roomTypeId, checkIn, checkOut);
+    return evaluateStayRestrictions(restrictionMap, checkIn, checkOut, roomType?.name);
+};
+
+module.exports = {
+    toDateKey,
+    getRestrictionsForStay,
+    evaluateStayRestrictions,
+    checkStayRestrictions,
+};
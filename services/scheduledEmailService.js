@@ -0,0 +1,355 @@
+// Scheduled emails
+// City ledger invoice emails and the payment reminders of the property's
+// dunning sequence (days before/after the invoice due date) are queued as
+// ScheduledEmail rows and sent by a dispatcher that runs for every property.
+// Failed sends are retried with exponential backoff until maxAttempts; a
+// reminder whose invoice has been paid or cancelled is cancelled instead of sent.
+
+const { listTenantContexts } = require('./tenantManager');
+const emailService = require('./emailService');
+const { getInvoiceOutstanding } = require('./cityLedgerService');
+const { round2 } = require('./gstService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DISPATCH_INTERVAL_MS = 60 * 1000;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// Mails left in processing this long (e.g. after a restart) are picked up again
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+const EMAILS_PER_RUN = 50;
+const TOLERANCE = 0.005;
+
+const REMINDER_TYPE = 'city-ledger-reminder';
+const OPEN_STATUSES = ['pending', 'processing', 'failed'];
+
+const getRetryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), RETRY_MAX_MS);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB');
+const formatAmount = (amount) => (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const replaceVariables = (text, replacements) => Object.keys(replacements).reduce(
+    (result, key) => result.replace(new RegExp(`{{${key}}}`, 'g'), replacements[key]),
+    text || ''
+);
+
+// Reminder sent when the property has no cityLedgerReminder email template
+const DEFAULT_REMINDER_SUBJECT = 'Payment Reminder - Invoice {{invoiceNumber}}';
+const DEFAULT_REMINDER_CONTENT = `
+<p>Dear {{contactPerson}},</p>
+<p>{{reminderText}}</p>
+<table>
+<tr><td>Invoice</td><td><strong>{{invoiceNumber}}</strong></td></tr>
+<tr><td>Issued</td><td>{{issueDate}}</td></tr>
+<tr><td>Due date</td><td>{{dueDate}}</td></tr>
+<tr><td>Invoice amount</td><td>₹{{invoiceAmount}}</td></tr>
+<tr><td>Amount outstanding</td><td><strong>₹{{outstandingAmount}}</strong></td></tr>
+</table>
+<p>If you have already made this payment, please ignore this reminder.</p>
+<p>Regards,<br>{{propertyName}}<br>{{propertyEmail}} {{propertyPhone}}</p>`;
+
+const getReminderText = (offsetDays, dueDate) => {
+    if (offsetDays < 0) {
+        return `This is a friendly reminder that the invoice below falls due on ${formatDate(dueDate)}.`;
+    }
+    if (offsetDays === 0) {
+        return 'The invoice below is due for payment today.';
+    }
+    return `The invoice below is now ${offsetDays} day${offsetDays > 1 ? 's' : ''} overdue. Please arrange the payment at the earliest.`;
+};
+
+/**
+ * Queue the dunning reminders of a city ledger invoice, per the property's
+ * dunning sequence. Steps already past are skipped. Never throws: a failed
+ * enqueue must not fail the invoice itself.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} account - CityLedgerAccount
+ * @param {Object} invoice - Invoice of the account (saved, with its number)
+ * @returns {Promise<Array>} Queued reminders
+ */
+const scheduleInvoiceReminders = async (models, propertyId, account, invoice) => {
+    try {
+        if (!account.email || !invoice.dueDate) {
+            return [];
+        }
+        // Not lean, so properties saved before dunning existed get the default steps
+        const details = await models.PropertyDetails.findOne({ property: propertyId }).select('cityLedgerDunning cityLedgerDunningSteps')
+            || new models.PropertyDetails();
+        if (!details.cityLedgerDunning) {
+            return [];
+        }
+        const steps = details.cityLedgerDunningSteps;
+
+        const now = Date.now();
+        const reminders = steps
+            .map(step => ({ step, scheduledAt: new Date(new Date(invoice.dueDate).getTime() + step.offsetDays * DAY_MS) }))
+            .filter(({ scheduledAt }) => scheduledAt.getTime() > now)
+            .map(({ step, scheduledAt }) => ({
+                type: REMINDER_TYPE,
+                targetId: account._id,
+                invoiceId: invoice._id,
+                recipientEmail: account.email,
+                scheduledAt,
+                step: { label: step.label, offsetDays: step.offsetDays },
+                property: propertyId,
+                metadata: { invoiceNumber: invoice.invoiceNumber, amount: invoice.amount }
+            }));
+
+        return reminders.length > 0 ? await models.ScheduledEmail.insertMany(reminders) : [];
+    } catch (error) {
+        console.error(`Error scheduling reminders for invoice ${invoice?.invoiceNumber}:`, error);
+        return [];
+    }
+};
+
+/**
+ * Cancel the open reminders of invoices that are paid or cancelled.
+ * Never throws.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {Object} account - CityLedgerAccount
+ * @returns {Promise<Number>} Reminders cancelled
+ */
+const cancelSettledInvoiceReminders = async (models, propertyId, account) => {
+    try {
+        const settled = (account.invoices || []).filter(invoice =>
+            invoice.status === 'paid' || invoice.status === 'cancelled' || getInvoiceOutstanding(account, invoice) <= TOLERANCE);
+        if (settled.length === 0) {
+            return 0;
+        }
+        const result = await models.ScheduledEmail.updateMany(
+            { property: propertyId, type: REMINDER_TYPE, invoiceId: { $in: settled.map(invoice => invoice._id) }, status: { $in: ['pending', 'failed'] } },
+            { $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: 'Invoice paid' } }
+        );
+        return result.modifiedCount;
+    } catch (error) {
+        console.error(`Error cancelling reminders of account ${account?.accountCode}:`, error);
+        return 0;
+    }
+};
+
+// Subject and content of a reminder, from the invoice as it is now; null when nothing is owed any more
+const buildReminder = async (models, propertyId, email) => {
+    const account = await models.CityLedgerAccount.findOne({ _id: email.targetId, property: propertyId });
+    const invoice = account?.invoices.id(email.invoiceId);
+    if (!invoice) {
+        return { cancelReason: 'Invoice no longer exists' };
+    }
+    const outstanding = getInvoiceOutstanding(account, invoice);
+    if (invoice.status === 'paid' || invoice.status === 'cancelled' || outstanding <= TOLERANCE) {
+        return { cancelReason: invoice.status === 'cancelled' ? 'Invoice cancelled' : 'Invoice paid' };
+    }
+
+    const [details, template] = await Promise.all([
+        models.PropertyDetails.findOne({ property: propertyId }).lean(),
+        models.EmailTemplate.findOne({ template_name: 'cityLedgerReminder', property: propertyId }).lean()
+    ]);
+    const offsetDays = email.step?.offsetDays ?? Math.floor((Date.now() - new Date(invoice.dueDate).getTime()) / DAY_MS);
+    const replacements = {
+        accountName: account.accountName,
+        accountCode: account.accountCode,
+        contactPerson: account.contactPerson || 'Valued Customer',
+        invoiceNumber: invoice.invoiceNumber,
+        issueDate: formatDate(invoice.issueDate),
+        dueDate: invoice.dueDate ? formatDate(invoice.dueDate) : '',
+        invoiceAmount: formatAmount(invoice.amount),
+        outstandingAmount: formatAmount(round2(outstanding)),
+        daysOverdue: Math.max(0, offsetDays),
+        reminderLabel: email.step?.label || 'Payment reminder',
+        reminderText: getReminderText(offsetDays, invoice.dueDate),
+        propertyName: details?.propertyName || 'Hotel',
+        propertyEmail: details?.email || '',
+        propertyPhone: details?.phone || ''
+    };
+
+    return {
+        subject: replaceVariables(template?.subject || DEFAULT_REMINDER_SUBJECT, replacements),
+        content: replaceVariables(template?.content || DEFAULT_REMINDER_CONTENT, replacements)
+    };
+};
+
+/**
+ * Send one claimed scheduled email and record the outcome: sent, retried later
+ * with backoff, failed after maxAttempts, or cancelled when its invoice is settled.
+ *
+ * @param {Object} tenant - Tenant context
+ * @param {Object} email - ScheduledEmail document (status processing)
+ * @returns {Promise<Object>} The updated email
+ */
+const sendScheduledEmail = async (tenant, email) => {
+    const { models } = tenant;
+    const propertyId = tenant.property._id;
+    const now = new Date();
+
+    try {
+        let { subject, content } = email;
+        if (email.type === REMINDER_TYPE) {
+            const reminder = await buildReminder(models, propertyId, email);
+            if (reminder.cancelReason) {
+                email.status = 'cancelled';
+                email.cancelledAt = now;
+                email.cancelReason = reminder.cancelReason;
+                return await email.save();
+            }
+            // Reminders show the invoice as it is when they go out
+            subject = reminder.subject;
+            content = reminder.content;
+        }
+
+        const result = await emailService.sendEmail(tenant, email.recipientEmail, subject || 'Notification', content || '');
+        if (!result.success) {
+            throw new Error(result.error || 'Email could not be sent');
+        }
+
+        email.status = 'sent';
+        email.subject = subject;
+        email.content = content;
+        email.sentAt = now;
+        email.lastError = undefined;
+        email.nextAttemptAt = undefined;
+    } catch (error) {
+        email.lastError = error.message;
+        if (email.attempts + 1 >= email.maxAttempts) {
+            email.status = 'failed';
+        } else {
+            email.status = 'pending';
+            email.nextAttemptAt = new Date(now.getTime() + getRetryDelay(email.attempts + 1));
+        }
+        console.error(`Scheduled email ${email._id} failed (attempt ${email.attempts + 1}/${email.maxAttempts}):`, error.message);
+    }
+
+    email.attempts += 1;
+    email.lastAttemptAt = now;
+    return email.save();
+};
+
+/**
+ * Send the due scheduled emails of one property.
+ *
+ * @param {Object} tenant - Tenant context
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<{ processed: Number, sent: Number, failed: Number, cancelled: Number }>}
+ */
+const processDueEmails = async (tenant, { limit = EMAILS_PER_RUN } = {}) => {
+    const { ScheduledEmail } = tenant.models;
+    const propertyId = tenant.property._id;
+    const summary = { processed: 0, sent: 0, failed: 0, cancelled: 0 };
+
+    await ScheduledEmail.updateMany(
+        { property: propertyId, status: 'processing', lastAttemptAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+        { status: 'pending' }
+    );
+
+    while (summary.processed < limit) {
+        // Claim one due mail at a time so parallel runs never send the same mail twice
+        const now = new Date();
+        const email = await ScheduledEmail.findOneAndUpdate(
+            {
+                property: propertyId,
+                status: 'pending',
+                scheduledAt: { $lte: now },
+                $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }]
+            },
+            { status: 'processing', lastAttemptAt: now },
+            { sort: { scheduledAt: 1 }, new: true }
+        );
+        if (!email) {
+            break;
+        }
+
+        const result = await sendScheduledEmail(tenant, email);
+        summary.processed += 1;
+        if (result.status === 'sent') {
+            summary.sent += 1;
+        } else if (result.status === 'cancelled') {
+            summary.cancelled += 1;
+        } else {
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+};
+
+/**
+ * Send a scheduled email again (or now, if it has not gone out yet) as a new
+ * mail, keeping the original's history.
+ *
+ * @param {Object} tenant - req.tenant
+ * @param {Object} original - ScheduledEmail document
+ * @returns {Promise<Object>} The new email after the send attempt
+ */
+const resendScheduledEmail = async (tenant, original) => {
+    const { ScheduledEmail } = tenant.models;
+    const now = new Date();
+
+    if (OPEN_STATUSES.includes(original.status) && original.status !== 'processing') {
+        original.status = 'cancelled';
+        original.cancelledAt = now;
+        original.cancelReason = 'Resent';
+        await original.save();
+    }
+
+    const email = await ScheduledEmail.create({
+        type: original.type,
+        targetId: original.targetId,
+        invoiceId: original.invoiceId,
+        recipientEmail: original.recipientEmail,
+        subject: original.subject,
+        content: original.content,
+        step: original.step,
+        scheduledAt: now,
+        status: 'processing',
+        lastAttemptAt: now,
+        resendOf: original._id,
+        metadata: original.metadata,
+        property: original.property
+    });
+    return sendScheduledEmail(tenant, email);
+};
+
+let dispatchTimer = null;
+let dispatchRunning = false;
+
+// Periodically send due scheduled emails for all properties
+const startScheduledEmailDispatcher = (intervalMs = DISPATCH_INTERVAL_MS) => {
+    if (dispatchTimer) {
+        return dispatchTimer;
+    }
+
+    const run = async () => {
+        if (dispatchRunning) {
+            return;
+        }
+        dispatchRunning = true;
+        try {
+            const tenants = await listTenantContexts();
+            for (const tenant of tenants) {
+                try {
+                    await processDueEmails(tenant);
+                } catch (error) {
+                    console.error(`Error sending scheduled emails for ${tenant.code}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error running scheduled email dispatcher:', error);
+        } finally {
+            dispatchRunning = false;
+        }
+    };
+
+    dispatchTimer = setInterval(run, intervalMs);
+    dispatchTimer.unref();
+    return dispatchTimer;
+};
+
+module.exports = {
+    scheduleInvoiceReminders,
+    cancelSettledInvoiceReminders,
+    sendScheduledEmail,
+    processDueEmails,
+    resendScheduledEmail,
+    startScheduledEmailDispatcher,
+};
@@ -0,0 +1,651 @@
+// Tally accounting export
+// Turns bills, folio / paymaster / city ledger payments, city ledger
+// invoices and bill credit notes / refunds into Tally vouchers (sales,
+// receipts, credit notes, payments and the journal that moves a folio balance
+// to a city ledger account) and remembers every exported source document so
+// nothing goes to Tally twice.
+//
+// Ledger amounts are kept signed the Tally way round: credits positive,
+// debits negative (ISDEEMEDPOSITIVE Yes).
+
+const { buildTaxInvoice, getGstSettings, round2 } = require('./gstService');
+const { getCityLedgerInvoiceItems } = require('./eInvoiceService');
+
+const DEPARTMENTS = ['Room', 'F&B', 'Spa', 'Laundry', 'Other'];
+const PAYMENT_METHODS = ['Cash', 'Credit Card', 'Debit Card', 'UPI', 'Bank Transfer', 'Wallet', 'Cheque'];
+
+// Ledger names used until the property maps its own
+const DEFAULT_LEDGERS = {
+    departmentLedgers: {
+        Room: 'Room Revenue',
+        'F&B': 'Food & Beverage Sales',
+        Spa: 'Spa Revenue',
+        Laundry: 'Laundry Revenue',
+        Other: 'Other Operating Revenue'
+    },
+    cgstLedger: 'Output CGST',
+    sgstLedger: 'Output SGST',
+    igstLedger: 'Output IGST',
+    otherTaxLedger: 'Other Taxes Payable',
+    paymentLedgers: {
+        Cash: 'Cash',
+        'Credit Card': 'Card Settlements',
+        'Debit Card': 'Card Settlements',
+        UPI: 'UPI Collections',
+        'Bank Transfer': 'Bank Account',
+        Wallet: 'Wallet Collections',
+        Cheque: 'Cheques in Hand'
+    },
+    guestLedger: 'Guest Ledger',
+    roundOffLedger: 'Round Off',
+    suspenseLedger: 'Suspense Account',
+    salesVoucherType: 'Sales',
+    receiptVoucherType: 'Receipt',
+    creditNoteVoucherType: 'Credit Note',
+    journalVoucherType: 'Journal',
+    paymentVoucherType: 'Payment'
+};
+
+// Largest difference posted to the round off ledger; anything more is reported
+const ROUND_OFF_LIMIT = 1;
+
+/**
+ * Merge a property's stored ledger mapping over the defaults.
+ *
+ * @param {Object|null} mapping - AccountingLedgerMapping document (lean)
+ * @param {String} [companyName] - Fallback Tally company name
+ * @returns {Object} Flat mapping with department/payment lookups and a taxRule id -> ledgers map
+ */
+const resolveLedgerMapping = (mapping, companyName = '') => {
+    const resolved = {
+        ...DEFAULT_LEDGERS,
+        departmentLedgers: { ...DEFAULT_LEDGERS.departmentLedgers },
+        paymentLedgers: { ...DEFAULT_LEDGERS.paymentLedgers },
+        taxLedgers: new Map(),
+        companyName: mapping?.companyName || companyName
+    };
+
+    if (!mapping) {
+        return resolved;
+    }
+
+    ['cgstLedger', 'sgstLedger', 'igstLedger', 'otherTaxLedger', 'guestLedger', 'roundOffLedger', 'suspenseLedger',
+        'salesVoucherType', 'receiptVoucherType', 'creditNoteVoucherType', 'journalVoucherType', 'paymentVoucherType'].forEach(key => {
+        if (mapping[key]) {
+            resolved[key] = mapping[key];
+        }
+    });
+    (mapping.departmentLedgers || []).forEach(entry => {
+        resolved.departmentLedgers[entry.department] = entry.ledgerName;
+    });
+    (mapping.paymentLedgers || []).forEach(entry => {
+        resolved.paymentLedgers[entry.method] = entry.ledgerName;
+    });
+    (mapping.taxLedgers || []).forEach(entry => {
+        resolved.taxLedgers.set(String(entry.taxRule), entry);
+    });
+    return resolved;
+};
+
+const escapeXml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Tally dates are YYYYMMDD
+const formatTallyDate = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+};
+
+const shortId = (id) => String(id).slice(-6).toUpperCase();
+
+// Add an amount to a ledger in an entry map (credits positive)
+const post = (entries, ledger, amount) => {
+    if (!amount) {
+        return;
+    }
+    entries.set(ledger, round2((entries.get(ledger) || 0) + amount));
+};
+
+/**
+ * Tax rule a folio line was posted for, when the line is a non-GST tax
+ * (service charge, city tax, fixed amount levies). Older lines carry no
+ * taxRule, so fall back to the "<rule name> (<rate>%)" description.
+ */
+const getTaxLineRule = (item, taxRulesById, taxRules) => {
+    // Percentage GST is charged on the item itself (see buildTaxLineItems)
+    const isTaxLineRule = (rule) => rule && !(rule.type === 'gst' && rule.isPercentage);
+    if (item.tax) {
+        return null;
+    }
+    if (item.taxRule) {
+        const rule = taxRulesById.get(String(item.taxRule));
+        return isTaxLineRule(rule) ? rule : null;
+    }
+    const description = String(item.description || '');
+    return taxRules.find(rule => isTaxLineRule(rule)
+        && (description === rule.name || description.startsWith(`${rule.name} (`))) || null;
+};
+
+/**
+ * Credit side of a sales voucher: revenue per department ledger, tax lines
+ * to their rule's ledger and GST to the CGST/SGST/IGST ledgers. Balances
+ * carried over from another bill (paymaster billing windows) clear the guest
+ * ledger instead of counting as revenue again.
+ *
+ * @param {Array} items - Tax invoice items (from buildTaxInvoice or a bill)
+ * @returns {Map} ledger -> signed amount
+ */
+const buildRevenueEntries = (items, mapping, taxRules) => {
+    const taxRulesById = new Map(taxRules.map(rule => [String(rule._id), rule]));
+    const entries = new Map();
+
+    items.forEach(item => {
+        // Balance of another bill carried to this folio: that bill has the revenue
+        if (item.sourceBillId) {
+            post(entries, mapping.guestLedger, item.taxableValue);
+            return;
+        }
+
+        const taxLineRule = getTaxLineRule(item, taxRulesById, taxRules);
+        if (taxLineRule) {
+            const ledgers = mapping.taxLedgers.get(String(taxLineRule._id));
+            post(entries, ledgers?.ledgerName || mapping.otherTaxLedger, item.taxableValue);
+            return;
+        }
+
+        const department = DEPARTMENTS.includes(item.department) ? item.department : 'Other';
+        post(entries, mapping.departmentLedgers[department], item.taxableValue);
+
+        const ledgers = item.taxRule ? mapping.taxLedgers.get(String(item.taxRule)) : null;
+        post(entries, ledgers?.cgstLedger || mapping.cgstLedger, item.cgst);
+        post(entries, ledgers?.sgstLedger || mapping.sgstLedger, item.sgst);
+        post(entries, ledgers?.igstLedger || mapping.igstLedger, item.igst);
+    });
+
+    return entries;
+};
+
+/**
+ * Assemble a voucher with the party line first. Small differences between
+ * the party amount and the ledger lines go to the round off ledger.
+ */
+const buildVoucher = (details, partyAmount, entries, mapping, warnings) => {
+    const lines = [{ ledger: details.partyLedger, amount: round2(partyAmount), isParty: true }];
+    entries.forEach((amount, ledger) => {
+        if (amount) {
+            lines.push({ ledger, amount });
+        }
+    });
+
+    const difference = round2(lines.reduce((sum, line) => sum + line.amount, 0));
+    if (difference) {
+        if (Math.abs(difference) > ROUND_OFF_LIMIT) {
+            warnings.push(`${details.voucherNumber}: ledger lines differ from the voucher total by ${difference.toFixed(2)}`);
+        }
+        lines.push({ ledger: mapping.roundOffLedger, amount: -difference });
+    }
+
+    return {
+        ...details,
+        amount: round2(Math.abs(partyAmount)),
+        lines
+    };
+};
+
+const getBillItems = (bill, settings) => {
+    if (bill.items.length > 0 && bill.items.every(item => item.taxableValue != null)) {
+        return bill.items;
+    }
+    // Bills archived before tax invoices were stored
+    return buildTaxInvoice(bill.items, settings, { placeOfSupply: bill.placeOfSupply }).items;
+};
+
+// Sales voucher for a bill archived at folio checkout
+const buildBillSalesVoucher = (bill, context) => {
+    const { mapping, settings, taxRules, warnings } = context;
+    const buyer = bill.invoiceType === 'B2B' ? bill.buyer : null;
+    const entries = buildRevenueEntries(getBillItems(bill, settings), mapping, taxRules);
+
+    return buildVoucher({
+        sourceKey: `bill:${bill._id}`,
+        sourceType: 'bill',
+        voucherType: 'sales',
+        tallyVoucherType: mapping.salesVoucherType,
+        voucherNumber: bill.billId,
+        date: bill.checkoutDate,
+        reference: bill.folioId,
+        partyLedger: mapping.guestLedger,
+        partyName: buyer?.legalName || buyer?.name || bill.guestName,
+        partyGstin: buyer?.gstin,
+        narration: `Bill ${bill.billId} - ${bill.guestName}${bill.roomNumber ? `, Room ${bill.roomNumber}` : ''}${bill.billingWindow?.payerType && bill.billingWindow.payerType !== 'guest' ? ` (billed to ${bill.billingWindow.payerName})` : ''}`
+    }, -(bill.totalCharges || 0), entries, mapping, warnings);
+};
+
+// Credit note against a bill: the bill's sales voucher reversed for the credited lines
+const buildBillCreditNoteVoucher = (creditNote, context) => {
+    const { mapping, taxRules, warnings } = context;
+    const buyer = creditNote.invoiceType === 'B2B' ? creditNote.buyer : null;
+    const entries = buildRevenueEntries(creditNote.items, mapping, taxRules);
+    entries.forEach((amount, ledger) => entries.set(ledger, -amount));
+
+    return buildVoucher({
+        sourceKey: `bill-credit-note:${creditNote._id}`,
+        sourceType: 'bill-credit-note',
+        voucherType: 'creditNote',
+        tallyVoucherType: mapping.creditNoteVoucherType,
+        voucherNumber: creditNote.creditNoteNumber,
+        date: creditNote.issuedAt,
+        reference: creditNote.billId,
+        partyLedger: mapping.guestLedger,
+        partyName: buyer?.legalName || buyer?.name || creditNote.guestName,
+        partyGstin: buyer?.gstin,
+        narration: `Credit note ${creditNote.creditNoteNumber} against bill ${creditNote.billId} - ${creditNote.guestName} (${creditNote.reason})`
+    }, creditNote.totalAmount || 0, entries, mapping, warnings);
+};
+
+// Sales voucher (or, reversed, credit note) for a city ledger invoice raised at account checkout
+const buildCityLedgerInvoiceVoucher = (account, invoice, items, context, isCreditNote = false) => {
+    const { mapping, settings, taxRules, warnings } = context;
+    const invoiceItems = buildTaxInvoice(items, settings).items;
+    const entries = buildRevenueEntries(invoiceItems, mapping, taxRules);
+    const sign = isCreditNote ? -1 : 1;
+    if (isCreditNote) {
+        entries.forEach((amount, ledger) => entries.set(ledger, -amount));
+    }
+
+    return buildVoucher({
+        sourceKey: `${isCreditNote ? 'city-ledger-credit-note' : 'city-ledger-invoice'}:${invoice._id}`,
+        sourceType: isCreditNote ? 'city-ledger-credit-note' : 'city-ledger-invoice',
+        voucherType: isCreditNote ? 'creditNote' : 'sales',
+        tallyVoucherType: isCreditNote ? mapping.creditNoteVoucherType : mapping.salesVoucherType,
+        voucherNumber: isCreditNote ? `CN-${invoice.invoiceNumber}` : invoice.invoiceNumber,
+        date: isCreditNote ? (invoice.eInvoice?.cancelledAt || account.updatedAt) : invoice.issueDate,
+        reference: invoice.invoiceNumber,
+        partyLedger: account.accountName,
+        partyName: account.legalName || account.accountName,
+        partyGstin: account.gstin,
+        narration: `${isCreditNote ? 'Cancellation of invoice' : 'Invoice'} ${invoice.invoiceNumber} - ${account.accountName} (${account.accountCode})`
+    }, -sign * (invoice.amount || 0), entries, mapping, warnings);
+};
+
+const getPaymentLedger = (method, mapping, label, warnings) => {
+    const ledger = mapping.paymentLedgers[method];
+    if (!ledger) {
+        warnings.push(`${label}: payment method "${method || 'none'}" has no ledger, posted to ${mapping.suspenseLedger}`);
+        return mapping.suspenseLedger;
+    }
+    return ledger;
+};
+
+const buildReceiptVoucher = (details, payment, mapping, warnings) => {
+    const entries = new Map();
+    post(entries, getPaymentLedger(payment.method, mapping, details.voucherNumber, warnings), -(payment.amount || 0));
+    return buildVoucher({
+        ...details,
+        voucherType: 'receipt',
+        tallyVoucherType: mapping.receiptVoucherType,
+        date: payment.date,
+        reference: payment.transactionId || details.reference
+    }, payment.amount || 0, entries, mapping, warnings);
+};
+
+// Refund paid back to a guest: the payment ledger is credited, the guest ledger debited
+const buildRefundVoucher = (refund, mapping, warnings) => {
+    const entries = new Map();
+    post(entries, getPaymentLedger(refund.method, mapping, refund.refundNumber, warnings), refund.amount || 0);
+    return buildVoucher({
+        sourceKey: `bill-refund:${refund._id}`,
+        sourceType: 'bill-refund',
+        voucherType: 'payment',
+        tallyVoucherType: mapping.paymentVoucherType,
+        voucherNumber: refund.refundNumber,
+        date: refund.refundedAt,
+        reference: refund.transactionId || refund.creditNoteNumber || refund.billId,
+        partyLedger: mapping.guestLedger,
+        partyName: refund.guestName,
+        narration: `Refund ${refund.refundNumber} against bill ${refund.billId} - ${refund.guestName}${refund.reason ? ` (${refund.reason})` : ''}`
+    }, -(refund.amount || 0), entries, mapping, warnings);
+};
+
+// Same payment recorded on the paymaster and its folio (the folio copies its payments across)
+const isSamePayment = (a, b) => new Date(a.date).getTime() === new Date(b.date).getTime()
+    && round2(a.amount) === round2(b.amount)
+    && (a.method || '') === (b.method || '')
+    && (a.transactionId || '') === (b.transactionId || '');
+
+const inRange = (date, from, to) => {
+    const time = new Date(date).getTime();
+    return time >= from.getTime() && time <= to.getTime();
+};
+
+// Source keys from the list that have already been exported
+const findExportedKeys = async (models, propertyId, keys) => {
+    if (keys.length === 0) {
+        return new Set();
+    }
+    const entries = await models.AccountingExportEntry.find({
+        property: propertyId,
+        sourceKey: { $in: keys }
+    }).select('sourceKey').lean();
+    return new Set(entries.map(entry => entry.sourceKey));
+};
+
+/**
+ * Build the vouchers for a date range that have not been exported yet.
+ *
+ * - Sales: bills by checkout date; city ledger invoices raised at account
+ *   checkout by issue date.
+ * - Receipts: deposits paid on reservations, folio payments (guest and
+ *   paymaster folios; deposits carried onto a folio keep their _id and are
+ *   exported once, as deposits), payments taken directly on a paymaster
+ *   that are not on its folio, city ledger payments.
+ * - Credit notes: credit notes against bills by issue date; exported city
+ *   ledger invoices that have since been cancelled.
+ * - Payments: refunds paid back against bills.
+ * - Journal: city ledger invoices raised for a folio move the balance from
+ *   the guest ledger to the account; the revenue is already on the bill.
+ *
+ * @param {Object} models - Tenant models
+ * @param {ObjectId} propertyId
+ * @param {{ from: Date, to: Date }} range - Inclusive
+ * @returns {Promise<{ vouchers: Array, warnings: Array, mapping: Object }>}
+ */
+const collectVouchers = async (models, propertyId, { from, to }) => {
+    const [storedMapping, settings, taxRules] = await Promise.all([
+        models.AccountingLedgerMapping.findOne({ property: propertyId }).lean(),
+        getGstSettings(models, propertyId),
+        // Inactive rules too: older bills still carry their lines
+        models.TaxRule.find({ property: propertyId }).lean()
+    ]);
+    const mapping = resolveLedgerMapping(storedMapping, settings.legalName || settings.tradeName);
+    const warnings = [];
+    const context = { mapping, settings, taxRules, warnings };
+    const vouchers = [];
+
+    const bills = await models.Bill.find({
+        property: propertyId,
+        checkoutDate: { $gte: from, $lte: to }
+    }).sort({ checkoutDate: 1 }).lean();
+    bills.forEach(bill => vouchers.push(buildBillSalesVoucher(bill, context)));
+
+    const [creditNotes, refunds] = await Promise.all([
+        models.CreditNote.find({
+            property: propertyId,
+            issuedAt: { $gte: from, $lte: to }
+        }).lean(),
+        models.BillRefund.find({
+            property: propertyId,
+            refundedAt: { $gte: from, $lte: to }
+        }).lean()
+    ]);
+    creditNotes.forEach(creditNote => vouchers.push(buildBillCreditNoteVoucher(creditNote, context)));
+    refunds.forEach(refund => vouchers.push(buildRefundVoucher(refund, mapping, warnings)));
+
+    // Deposits are exported when they are paid, whether or not the stay ever gets a folio
+    const reservations = await models.Reservations.find({
+        property: propertyId,
+        'depositPayments.date': { $gte: from, $lte: to }
+    }).select('guestName depositPayments').lean();
+    const depositIds = new Set();
+    const depositVouchers = [];
+    reservations.forEach(reservation => {
+        reservation.depositPayments
+            .filter(payment => inRange(payment.date, from, to))
+            .forEach(payment => {
+                depositIds.add(payment._id.toString());
+                depositVouchers.push(buildReceiptVoucher({
+                    sourceKey: `deposit-payment:${payment._id}`,
+                    sourceType: 'deposit-payment',
+                    voucherNumber: `DEP-${shortId(payment._id)}`,
+                    reference: `DEP-${shortId(payment._id)}`,
+                    partyLedger: mapping.guestLedger,
+                    partyName: reservation.guestName,
+                    narration: `Deposit on reservation ${reservation._id} - ${reservation.guestName}`
+                }, payment, mapping, warnings));
+            });
+    });
+    // Exported as folio payments before deposits were exported on their own
+    const exportedAsFolioPayments = await findExportedKeys(models, propertyId, [...depositIds].map(id => `folio-payment:${id}`));
+    depositVouchers
+        .filter(voucher => !exportedAsFolioPayments.has(voucher.sourceKey.replace('deposit-payment:', 'folio-payment:')))
+        .forEach(voucher => vouchers.push(voucher));
+
+    const folios = await models.GuestFolio.find({
+        property: propertyId,
+        'payments.date': { $gte: from, $lte: to }
+    }).lean();
+    folios.forEach(folio => {
+        folio.payments
+            .filter(payment => inRange(payment.date, from, to))
+            .filter(payment => !depositIds.has(payment._id.toString()))
+            .forEach(payment => {
+                vouchers.push(buildReceiptVoucher({
+                    sourceKey: `folio-payment:${payment._id}`,
+                    sourceType: 'folio-payment',
+                    voucherNumber: `${folio.folioId}-${shortId(payment._id)}`,
+                    reference: folio.folioId,
+                    partyLedger: mapping.guestLedger,
+                    partyName: folio.guestName,
+                    narration: `Payment on folio ${folio.folioId} - ${folio.guestName}`
+                }, payment, mapping, warnings));
+            });
+    });
+
+    const paymasters = await models.PaymasterRoom.find({
+        property: propertyId,
+        'payments.date': { $gte: from, $lte: to }
+    }).lean();
+    for (const paymaster of paymasters) {
+        const folio = await models.GuestFolio.findOne({ paymasterId: paymaster._id, property: propertyId }).select('payments').lean();
+        paymaster.payments
+            .filter(payment => inRange(payment.date, from, to))
+            .filter(payment => !(folio?.payments || []).some(folioPayment => isSamePayment(folioPayment, payment)))
+            .forEach(payment => {
+                vouchers.push(buildReceiptVoucher({
+                    sourceKey: `paymaster-payment:${payment._id}`,
+                    sourceType: 'paymaster-payment',
+                    voucherNumber: `${paymaster.paymasterCode}-${shortId(payment._id)}`,
+                    reference: paymaster.paymasterCode,
+                    partyLedger: mapping.guestLedger,
+                    partyName: paymaster.name,
+                    narration: `Payment on paymaster ${paymaster.paymasterCode} - ${paymaster.name}`
+                }, payment, mapping, warnings));
+            });
+    }
+
+    const accounts = await models.CityLedgerAccount.find({
+        property: propertyId,
+        $or: [
+            { 'invoices.issueDate': { $gte: from, $lte: to } },
+            { 'invoices.status': 'cancelled' },
+            { 'payments.date': { $gte: from, $lte: to } }
+        ]
+    }).lean();
+    const cancelledKeys = accounts.flatMap(account => (account.invoices || [])
+        .filter(invoice => invoice.status === 'cancelled')
+        .map(invoice => `city-ledger-invoice:${invoice._id}`));
+    const exportedInvoices = await findExportedKeys(models, propertyId, cancelledKeys);
+
+    for (const account of accounts) {
+        for (const invoice of account.invoices || []) {
+            const issuedInRange = inRange(invoice.issueDate, from, to);
+
+            if (invoice.folioId) {
+                if (issuedInRange && invoice.status !== 'cancelled') {
+                    vouchers.push(buildVoucher({
+                        sourceKey: `city-ledger-transfer:${invoice._id}`,
+                        sourceType: 'city-ledger-transfer',
+                        voucherType: 'journal',
+                        tallyVoucherType: mapping.journalVoucherType,
+                        voucherNumber: invoice.invoiceNumber,
+                        date: invoice.issueDate,
+                        reference: invoice.folioId,
+                        partyLedger: account.accountName,
+                        partyName: account.legalName || account.accountName,
+                        partyGstin: account.gstin,
+                        narration: `Folio ${invoice.folioId} (${invoice.guestName || 'guest'}) billed to ${account.accountName} on invoice ${invoice.invoiceNumber}`
+                    }, -(invoice.amount || 0), new Map([[mapping.guestLedger, invoice.amount || 0]]), mapping, warnings));
+                }
+                continue;
+            }
+
+            if (invoice.status === 'cancelled') {
+                const creditNote = exportedInvoices.has(`city-ledger-invoice:${invoice._id}`)
+                    ? buildCityLedgerInvoiceVoucher(account, invoice, (await getCityLedgerInvoiceItems(models, propertyId, account, invoice)).items, context, true)
+                    : null;
+                if (creditNote && inRange(creditNote.date, from, to)) {
+                    vouchers.push(creditNote);
+                }
+                continue;
+            }
+
+            if (issuedInRange) {
+                const { items } = await getCityLedgerInvoiceItems(models, propertyId, account, invoice);
+                vouchers.push(buildCityLedgerInvoiceVoucher(account, invoice, items, context));
+            }
+        }
+
+        (account.payments || [])
+            .filter(payment => inRange(payment.date, from, to))
+            .forEach(payment => {
+                vouchers.push(buildReceiptVoucher({
+                    sourceKey: `city-ledger-payment:${payment._id}`,
+                    sourceType: 'city-ledger-payment',
+                    voucherNumber: `${account.accountCode}-${shortId(payment._id)}`,
+                    reference: payment.referenceNumber || account.accountCode,
+                    partyLedger: account.accountName,
+                    partyName: account.legalName || account.accountName,
+                    partyGstin: account.gstin,
+                    narration: `Payment from ${account.accountName} (${account.accountCode})`
+                }, payment, mapping, warnings));
+            });
+    }
+
+    const exported = await findExportedKeys(models, propertyId, vouchers.map(voucher => voucher.sourceKey));
+    return {
+        vouchers: vouchers
+            .filter(voucher => !exported.has(voucher.sourceKey) && voucher.amount > 0)
+            .sort((a, b) => new Date(a.date) - new Date(b.date)),
+        warnings,
+        mapping
+    };
+};
+
+const buildVoucherXml = (voucher, propertyId) => {
+    const optional = (tag, value) => (value ? `\n     <${tag}>${escapeXml(value)}</${tag}>` : '');
+    const lines = voucher.lines.map(line => `
+     <ALLLEDGERENTRIES.LIST>
+      <LEDGERNAME>${escapeXml(line.ledger)}</LEDGERNAME>
+      <ISDEEMEDPOSITIVE>${line.amount < 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>
+      <ISPARTYLEDGER>${line.isParty ? 'Yes' : 'No'}</ISPARTYLEDGER>
+      <AMOUNT>${line.amount.toFixed(2)}</AMOUNT>
+     </ALLLEDGERENTRIES.LIST>`).join('');
+
+    return `
+    <TALLYMESSAGE xmlns:UDF="TallyUDF">
+     <VOUCHER REMOTEID="${escapeXml(`${propertyId}:${voucher.sourceKey}`)}" VCHTYPE="${escapeXml(voucher.tallyVoucherType)}" ACTION="Create" OBJVIEW="Accounting Voucher View">
+     <DATE>${formatTallyDate(voucher.date)}</DATE>
+     <VOUCHERTYPENAME>${escapeXml(voucher.tallyVoucherType)}</VOUCHERTYPENAME>
+     <VOUCHERNUMBER>${escapeXml(voucher.voucherNumber)}</VOUCHERNUMBER>${optional('REFERENCE', voucher.reference)}
+     <PARTYLEDGERNAME>${escapeXml(voucher.partyLedger)}</PARTYLEDGERNAME>${optional('PARTYNAME', voucher.partyName)}${optional('PARTYGSTIN', voucher.partyGstin)}
+     <NARRATION>${escapeXml(voucher.narration)}</NARRATION>
+     <PERSISTEDVIEW>Accounting Voucher View</PERSISTEDVIEW>
+     <ISINVOICE>No</ISINVOICE>${lines}
+     </VOUCHER>
+    </TALLYMESSAGE>`;
+};
+
+/**
+ * Tally XML import envelope for a list of vouchers.
+ * REMOTEID is the property and source key, so Tally refuses a re-import too.
+ */
+const buildTallyXml = (vouchers, companyName, propertyId) => `<?xml version="1.0" encoding="UTF-8"?>
+<ENVELOPE>
+ <HEADER>
+  <TALLYREQUEST>Import Data</TALLYREQUEST>
+ </HEADER>
+ <BODY>
+  <IMPORTDATA>
+   <REQUESTDESC>
+    <REPORTNAME>Vouchers</REPORTNAME>
+    <STATICVARIABLES>
+     <SVCURRENTCOMPANY>${escapeXml(companyName)}</SVCURRENTCOMPANY>
+    </STATICVARIABLES>
+   </REQUESTDESC>
+   <REQUESTDATA>${vouchers.map(voucher => buildVoucherXml(voucher, propertyId)).join('')}
+   </REQUESTDATA>
+  </IMPORTDATA>
+ </BODY>
+</ENVELOPE>
+`;
+
+// Voucher counts and totals per type for an export run
+const summarizeVouchers = (vouchers) => {
+    const voucherCounts = { sales: 0, receipt: 0, creditNote: 0, journal: 0, payment: 0 };
+    const totals = { sales: 0, receipt: 0, creditNote: 0, journal: 0, payment: 0 };
+    vouchers.forEach(voucher => {
+        voucherCounts[voucher.voucherType] += 1;
+        totals[voucher.voucherType] = round2(totals[voucher.voucherType] + voucher.amount);
+    });
+    return { voucherCounts, totals };
+};
+
+/**
+ * Export the new vouchers for a date range as one batch.
+ *
+ * @returns {Promise<{ exportBatch?: Object, status?: Number, error?: String }>}
+ */
+const exportVouchers = async (models, propertyId, { from, to, userId }) => {
+    const { vouchers, warnings, mapping } = await collectVouchers(models, propertyId, { from, to });
+    if (vouchers.length === 0) {
+        return { status: 404, error: 'No vouchers left to export for this period.' };
+    }
+
+    const exportBatch = await models.AccountingExport.create({
+        fromDate: from,
+        toDate: to,
+        ...summarizeVouchers(vouchers),
+        warnings,
+        xml: buildTallyXml(vouchers, mapping.companyName, propertyId),
+        exportedBy: userId,
+        property: propertyId
+    });
+
+    try {
+        await models.AccountingExportEntry.insertMany(vouchers.map(voucher => ({
+            sourceKey: voucher.sourceKey,
+            sourceType: voucher.sourceType,
+            voucherType: voucher.voucherType,
+            voucherNumber: voucher.voucherNumber,
+            voucherDate: voucher.date,
+            amount: voucher.amount,
+            exportBatch: exportBatch._id,
+            property: propertyId
+        })));
+    } catch (error) {
+        // Another export picked up some of the same documents first
+        await models.AccountingExportEntry.deleteMany({ exportBatch: exportBatch._id, property: propertyId });
+        await models.AccountingExport.deleteOne({ _id: exportBatch._id });
+        if (error.code === 11000) {
+            return { status: 409, error: 'Some of these vouchers were exported by another run. Please try again.' };
+        }
+        throw error;
+    }
+
+    return { exportBatch };
+};
+
+module.exports = {
+    DEPARTMENTS,
+    PAYMENT_METHODS,
+    DEFAULT_LEDGERS,
+    resolveLedgerMapping,
+    collectVouchers,
+    buildTallyXml,
+    summarizeVouchers,
+    exportVouchers,
+};
@@ -25,6 +25,11 @@ function loadBaseSchema(modelName) {
         RoomType: require('../db/foundation/roomType').schema,
         Rooms: require('../db/foundation/rooms').schema,
         dailyRates: require('../db/dailyRates').schema,
+        rateRestrictions: require('../db/rateRestrictions').schema,
+        RatePlan: require('../db/ratePlan').schema,
+        ratePlanRates: require('../db/ratePlanRates').schema,
+        ChannelConnection: require('../db/channelConnection').schema,
+        ChannelSyncJob: require('../db/channelSyncJob').schema,
         InventoryBlock: require('../db/inventoryBlocks').schema,
         GuestProfiles: require('../db/guestProfiles').schema,
         Campaign: require('../db/guestManagement/campaign').schema,
@@ -35,6 +40,14 @@ function loadBaseSchema(modelName) {
         Review: require('../db/guestManagement/reputation').schema,
         GuestFolio: require('../db/billingFinance/guestFolio').schema,
         Bill: require('../db/billingFinance/bill').schema,
+        AccountingLedgerMapping: require('../db/billingFinance/accountingExport').AccountingLedgerMapping.schema,
+        AccountingExport: require('../db/billingFinance/accountingExport').AccountingExport.schema,
+        AccountingExportEntry: require('../db/billingFinance/accountingExport').AccountingExportEntry.schema,
+        CreditNote: require('../db/billingFinance/creditNote').CreditNote.schema,
+        BillRefund: require('../db/billingFinance/creditNote').BillRefund.schema,
+        CashierShift: require('../db/billingFinance/cashierShift').schema,
+        PaymentGateway: require('../db/billingFinance/paymentGateway').PaymentGateway.schema,
+        PaymentLink: require('../db/billingFinance/paymentGateway').PaymentLink.schema,
         PropertyDetails: require('../db/settings/propertyDetails').schema,
         EmailIntegration: require('../db/settings/emailIntegration').schema,
         TaxRule: require('../db/settings/taxesFees').TaxRule.schema,
@@ -46,12 +59,17 @@ function loadBaseSchema(modelName) {
         MaintenanceLog: require('../db/housekeeping/maintenanceLog').schema,
         HousekeepingMessage: require('../db/housekeeping/message').schema,
         NightAudit: require('../db/nightAudit').schema,
+        BusinessDate: require('../db/businessDate').schema,
         CityLedgerAccount: require('../db/cityLedger').schema,
         ScheduledEmail: require('../db/scheduledEmail').schema,
+        CorporateContract: require('../db/corporateContract').schema,
         TravelAgent: require('../db/travelAgent').schema,
         PaymasterRoom: require('../db/paymaster').schema,
         GroupReservation: require('../db/groupReservation').schema,
         dynamicPricingRules: require('../db/dynamicPricingRules').schema,
+        CancellationPolicy: require('../db/settings/cancellationPolicy').schema,
+        DocumentNumbering: require('../db/settings/documentNumbering').DocumentNumbering.schema,
+        DocumentCounter: require('../db/settings/documentNumbering').DocumentCounter.schema,
     };
 
     const schema = schemaMap[modelName];
@@ -84,6 +102,11 @@ function registerModels(connection) {
         'RoomType',
         'Rooms',
         'dailyRates',
+        'rateRestrictions',
+        'RatePlan',
+        'ratePlanRates',
+        'ChannelConnection',
+        'ChannelSyncJob',
         'InventoryBlock',
         'GuestProfiles',
         'Campaign',
@@ -94,6 +117,14 @@ function registerModels(connection) {
         'Review',
         'GuestFolio',
         'Bill',
+        'AccountingLedgerMapping',
+        'AccountingExport',
+        'AccountingExportEntry',
+        'CreditNote',
+        'BillRefund',
+        'CashierShift',
+        'PaymentGateway',
+        'PaymentLink',
         'PropertyDetails',
         'EmailIntegration',
         'TaxRule',
@@ -104,11 +135,17 @@ function registerModels(connection) {
         'MaintenanceLog',
         'HousekeepingMessage',
         'NightAudit',
+        'BusinessDate',
         'CityLedgerAccount',
+        'ScheduledEmail',
+        'CorporateContract',
         'TravelAgent',
         'PaymasterRoom',
         'GroupReservation',
         'dynamicPricingRules',
+        'CancellationPolicy',
+        'DocumentNumbering',
+        'DocumentCounter',
     ].forEach((name) => {
         if (!connection.models[name]) {
             const baseSchema = loadBaseSchema(name);
@@ -259,9 +296,47 @@ async function getTenantContext(propertyCode) {
     };
 }
 
+// List tenant contexts for every active property (used by background jobs,
+// which run outside of a request and have no property code to resolve)
+async function listTenantContexts() {
+    const primaryDb = mongoose.connection?.db;
+    if (!primaryDb) {
+        throw new Error('PRIMARY_DB_NOT_CONNECTED');
+    }
+
+    const contexts = [];
+    const { databases } = await primaryDb.admin().listDatabases();
+    for (const { name } of databases) {
+        if (SYSTEM_DATABASES.has(name)) {
+            continue;
+        }
+        try {
+            const tenant = getOrCreateTenant(name);
+            const properties = await tenant.models.Property.find({ status: 'Active' }).lean();
+            for (const property of properties) {
+                codeToDbName.set(property.code, name);
+                contexts.push({
+                    code: property.code,
+                    dbName: name,
+                    connection: tenant.connection,
+                    models: tenant.models,
+                    property,
+                });
+            }
+        } catch (error) {
+            if (error?.code === 26 || error?.codeName === 'NamespaceNotFound') {
+                continue;
+            }
+            throw error;
+        }
+    }
+    return contexts;
+}
+
 module.exports = {
     sanitizeCode,
     dbNameFromCode,
     getTenantContext,
+    listTenantContexts,
 };
 
@@ -1,6 +1,11 @@
 const { WebSocketServer } = require('ws');
 const jwt = require('jsonwebtoken');
 const { getTenantContext } = require('./tenantManager');
+const { buildAccommodationItems, buildTaxLineItems } = require('./folioService');
+const { loadTaxRules } = require('./gstService');
+const { priceLineForStay } = require('./pricingService');
+const { queueReservationAriUpdate } = require('./channelManagerService');
+const { findContract, priceLinesWithContract } = require('./corporateContractService');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -139,6 +144,26 @@ function broadcastHousekeepingRoomUpdate(payload) {
   });
 }
 
+// Night audit warnings and results, to the property's managers on the stay view
+function broadcastNightAuditAlert(payload, roles = ['Admin', 'Manager']) {
+  if (!stayViewWss) return;
+
+  const propertyId = payload.property?.toString?.() ?? payload.property;
+
+  stayViewWss.clients.forEach((client) => {
+    if (
+      client.readyState === client.OPEN &&
+      client.propertyId === propertyId &&
+      roles.includes(client.user?.role)
+    ) {
+      client.send(JSON.stringify({
+        type: 'night-audit:alert',
+        payload
+      }));
+    }
+  });
+}
+
 // Unified Websocket Initialization
 function initWebsockets(server) {
   // Housekeeping WSS
@@ -258,6 +283,30 @@ function initWebsockets(server) {
             const updateData = {};
             let oldRoomIds = [];
             let newRoom = null;
+            let oldRoom = null;
+            
+            // The moved room must match the room line it came from (multi-room-type reservations)
+            const hasRoomLines = Array.isArray(reservation.roomLines) && reservation.roomLines.length > 0;
+            let expectedRoomTypeId = reservation.roomType;
+            if (newRoomId && oldRoomNumber) {
+              oldRoom = await Rooms.findOne({ 
+                roomNumber: oldRoomNumber, 
+                property: socket.propertyId 
+              });
+              
+              if (!oldRoom) {
+                throw new Error(`Room ${oldRoomNumber} not found`);
+              }
+              
+              const owningLine = Reservations.getRoomLines(reservation).find(line =>
+                (line.roomNumbers || []).some(roomId => roomId.toString() === oldRoom._id.toString())
+              );
+              if (owningLine) {
+                expectedRoomTypeId = owningLine.roomType;
+              }
+            } else if (newRoomId && hasRoomLines && reservation.roomLines.length > 1) {
+              throw new Error('Specify which room to move for reservations with multiple room types');
+            }
             
             // Validate new room exists and is of the same room type
             if (newRoomId) {
@@ -271,13 +320,13 @@ function initWebsockets(server) {
               }
               
               // Validate room type matches reservation room type (unless explicitly allowing different types)
-              if (reservation.roomType && newRoom.roomType) {
-                const reservationRoomTypeId = reservation.roomType.toString();
+              if (expectedRoomTypeId && newRoom.roomType) {
+                const reservationRoomTypeId = expectedRoomTypeId.toString();
                 const newRoomTypeId = newRoom.roomType.toString();
                 
                 if (reservationRoomTypeId !== newRoomTypeId) {
                   // Get room type names for better error message
-                  const reservationRoomType = await RoomType.findById(reservation.roomType);
+                  const reservationRoomType = await RoomType.findById(expectedRoomTypeId);
                   const newRoomType = await RoomType.findById(newRoom.roomType);
                   const reservationTypeName = reservationRoomType?.name || 'Unknown';
                   const newTypeName = newRoomType?.name || 'Unknown';
@@ -291,7 +340,7 @@ function initWebsockets(server) {
                 _id: { $ne: reservationId },
                 roomNumbers: newRoomId,
                 property: socket.propertyId,
-                status: { $in: ['confirmed', 'checked-in'] },
+                status: { $in: ['tentative', 'confirmed', 'checked-in'] },
                 checkInDate: { $lt: reservation.checkOutDate || new Date() },
                 checkOutDate: { $gt: reservation.checkInDate || new Date() }
               });
@@ -305,16 +354,6 @@ function initWebsockets(server) {
             if (newRoomId && oldRoomNumber) {
               console.log('Moving room:', { oldRoomNumber, newRoomId, reservationId });
               
-              // Find the room ID for the old room number
-              const oldRoom = await Rooms.findOne({ 
-                roomNumber: oldRoomNumber, 
-                property: socket.propertyId 
-              });
-              
-              if (!oldRoom) {
-                throw new Error(`Room ${oldRoomNumber} not found`);
-              }
-              
               console.log('Found old room:', { 
                 roomId: oldRoom._id.toString(), 
                 roomNumber: oldRoom.roomNumber 
@@ -340,11 +379,24 @@ function initWebsockets(server) {
               
               console.log('Updated room IDs:', updatedRoomIds.map(id => id.toString()));
               updateData.roomNumbers = updatedRoomIds;
+              
+              // Swap the room on its line as well
+              if (hasRoomLines) {
+                updateData.roomLines = reservation.roomLines.map(line => ({
+                  ...line.toObject(),
+                  roomNumbers: (line.roomNumbers || []).map(roomId =>
+                    roomId.toString() === oldRoomIdStr ? newRoomId : roomId
+                  )
+                }));
+              }
             } else if (newRoomId) {
               // If no oldRoomNumber, replace all (backward compatibility)
               // Store all old room IDs to free them
               oldRoomIds = reservation.roomNumbers || [];
               updateData.roomNumbers = [newRoomId];
+              if (hasRoomLines) {
+                updateData.roomLines = [{ ...reservation.roomLines[0].toObject(), roomNumbers: [newRoomId] }];
+              }
             }
             
             if (newCheckIn) updateData.checkInDate = new Date(newCheckIn);
@@ -355,6 +407,8 @@ function initWebsockets(server) {
             if (!updatedRes) {
               throw new Error('Failed to update reservation in database');
             }
+            queueReservationAriUpdate(socket.tenant.models, socket.tenant.property._id, reservation);
+            queueReservationAriUpdate(socket.tenant.models, socket.tenant.property._id, updatedRes);
             
             console.log('Reservation moved successfully:', {
               reservationId,
@@ -438,11 +492,16 @@ function initWebsockets(server) {
           const RoomType = socket.tenant.models.RoomType;
           const GuestFolio = socket.tenant.models.GuestFolio;
           const GuestProfiles = socket.tenant.models.GuestProfiles;
-          const TaxRule = socket.tenant.models.TaxRule;
           const ServiceFee = socket.tenant.models.ServiceFee;
           
-          // Get room type details
-          const roomType = await RoomType.findById(reservation.roomType);
+          // Get room type details for every room line
+          const roomLines = Reservations.getRoomLines(reservation);
+          const lineRoomTypes = await RoomType.find({
+            _id: { $in: roomLines.map(line => line.roomType?._id || line.roomType) },
+            property: socket.propertyId
+          });
+          const roomTypeMap = new Map(lineRoomTypes.map(rt => [rt._id.toString(), rt]));
+          const roomType = roomTypeMap.get(String(reservation.roomType?._id || reservation.roomType));
           if (!roomType) {
             throw new Error('Room type not found');
           }
@@ -456,62 +515,59 @@ function initWebsockets(server) {
           const oldNights = Math.ceil((oldCheckOut.getTime() - oldCheckIn.getTime()) / (1000 * 60 * 60 * 24));
           const newNights = Math.ceil((newCheckOutDate.getTime() - newCheckInDate.getTime()) / (1000 * 60 * 60 * 24));
 
-          // Recalculate total amount based on room type pricing model
-          // Try to use daily rates if available, otherwise use base rates
-          const DailyRate = socket.tenant.models.dailyRates;
-          const numberOfRooms = reservation.numberOfRooms || 1;
+          // Reprice each line for the new dates from the reservation's rate plan
+          // (base pricing when it has none), the same way a new booking is priced
           const totalGuest = reservation.totalGuest || 1;
+          const ratePlan = reservation.ratePlan
+            ? await socket.tenant.models.RatePlan.findOne({ _id: reservation.ratePlan, property: socket.propertyId })
+            : null;
+          // Company bookings are repriced on the contract covering the new dates
+          const contract = reservation.corporateAccountId
+            ? await findContract(socket.tenant.models, socket.propertyId, reservation.corporateAccountId, newCheckInDate, newCheckOutDate)
+            : null;
           
           let newTotalAmount = 0;
+          const updatedLines = [];
           
-          // Fetch daily rates for the new date range
-          const startDateStr = newCheckInDate.toISOString().split('T')[0];
-          const endDateStr = newCheckOutDate.toISOString().split('T')[0];
-          
-          const dailyRates = await DailyRate.find({
-            roomType: reservation.roomType,
-            property: socket.propertyId,
-            date: { $gte: newCheckInDate, $lt: newCheckOutDate }
-          }).sort({ date: 1 });
-          
-          // If daily rates exist, use them; otherwise use base rates
-          if (dailyRates.length > 0) {
-            // Calculate using daily rates
-            if (roomType.priceModel === 'perPerson') {
-              const adultCount = reservation.adultCount || reservation.numberOfAdults || totalGuest;
-              const childCount = reservation.childCount || reservation.numberOfChildren || 0;
-              
-              dailyRates.forEach(rate => {
-                const adultTotal = (rate.adultRate || roomType.adultRate || 0) * adultCount;
-                const childTotal = (rate.childRate || roomType.childRate || 0) * childCount;
-                newTotalAmount += (adultTotal + childTotal);
-              });
-            } else {
-              // perRoom: sum daily rates
-              dailyRates.forEach(rate => {
-                const baseTotalRooms = (rate.baseRate || roomType.baseRate || 0) * numberOfRooms;
-                const baseOccupancy = (roomType.baseOccupancy || 1) * numberOfRooms;
-                const extraGuests = Math.max(0, totalGuest - baseOccupancy);
-                const extraTotal = (rate.extraGuestRate || roomType.extraGuestRate || 0) * extraGuests;
-                newTotalAmount += (baseTotalRooms + extraTotal);
-              });
+          for (const line of roomLines) {
+            const lineRoomTypeId = String(line.roomType?._id || line.roomType);
+            const lineRoomType = roomTypeMap.get(lineRoomTypeId);
+            if (!lineRoomType) {
+              throw new Error('Room type not found');
             }
-          } else {
-            // Fallback to base rates if no daily rates
-            if (roomType.priceModel === 'perPerson') {
-              // perPerson: (adultRate x adults + childRate x children) x nights
-              const adultCount = reservation.adultCount || reservation.numberOfAdults || totalGuest;
-              const childCount = reservation.childCount || reservation.numberOfChildren || 0;
-              const adultTotal = (roomType.adultRate || 0) * adultCount;
-              const childTotal = (roomType.childRate || 0) * childCount;
-              newTotalAmount = (adultTotal + childTotal) * newNights;
-            } else {
-              // perRoom: baseRate x rooms x nights + (extraGuestRate x extra guests x nights)
-              const baseTotalRooms = (roomType.baseRate || 0) * numberOfRooms * newNights;
-              const baseOccupancy = (roomType.baseOccupancy || 1) * numberOfRooms;
-              const extraGuests = Math.max(0, totalGuest - baseOccupancy);
-              const extraTotal = (roomType.extraGuestRate || 0) * extraGuests * newNights;
-              newTotalAmount = baseTotalRooms + extraTotal;
+
+            const lineData = typeof line.toObject === 'function' ? line.toObject() : { ...line };
+            if (contract) {
+              updatedLines.push({ ...lineData, roomType: lineRoomType._id });
+              continue;
+            }
+
+            // Night rates and contract nights belong to the old dates
+            const priced = await priceLineForStay(socket.tenant.models, socket.propertyId, ratePlan, lineRoomType, line, newCheckInDate, newCheckOutDate);
+            newTotalAmount += priced.amount;
+            updatedLines.push({
+              ...lineData,
+              amount: priced.amount,
+              ratePerNight: priced.ratePerNight,
+              nightRates: [],
+              contractNights: []
+            });
+          }
+
+          let corporateContract = null;
+          if (contract) {
+            const priced = await priceLinesWithContract(socket.tenant.models, socket.propertyId, contract, ratePlan, roomTypeMap, updatedLines, newCheckInDate, newCheckOutDate, {
+              excludeReservationId: reservation._id
+            });
+            updatedLines.forEach((line, index) => {
+              line.amount = priced[index].amount;
+              line.ratePerNight = priced[index].ratePerNight;
+              line.nightRates = priced[index].nightRates;
+              line.contractNights = priced[index].contractNights;
+              newTotalAmount += priced[index].amount;
+            });
+            if (priced.some(result => result.contractNights.length > 0)) {
+              corporateContract = contract._id;
             }
           }
 
@@ -521,6 +577,12 @@ function initWebsockets(server) {
             checkOutDate: newCheckOutDate,
             totalAmount: newTotalAmount
           };
+          if (Array.isArray(reservation.roomLines) && reservation.roomLines.length > 0) {
+            updateData.roomLines = updatedLines;
+          }
+          if (reservation.corporateAccountId) {
+            updateData.corporateContract = corporateContract;
+          }
 
           // Add meal plan amount if applicable
           if (reservation.mealPlan && reservation.mealPlan !== 'EP' && roomType.MealPlan) {
@@ -553,6 +615,8 @@ function initWebsockets(server) {
           if (!updatedRes) {
             throw new Error('Failed to update reservation');
           }
+          queueReservationAriUpdate(socket.tenant.models, socket.tenant.property._id, reservation);
+          queueReservationAriUpdate(socket.tenant.models, socket.tenant.property._id, updatedRes);
 
           // Update folio if it exists (update accommodation charges)
           const activeFolio = await GuestFolio.findOne({
@@ -562,99 +626,35 @@ function initWebsockets(server) {
           });
 
           if (activeFolio) {
-            // Remove old accommodation charges
-            activeFolio.items = activeFolio.items.filter(item => 
-              !item.description.toLowerCase().includes('accommodation')
-            );
-
-            // Add new accommodation charges based on new dates and amount
             const checkIn = newCheckInDate;
             const checkOut = newCheckOutDate;
-            const roomTypeName = roomType.name || 'Room';
-            const accommodationPerRoom = newTotalAmount / numberOfRooms;
-
-            if (roomType.priceModel === 'perPerson') {
-              const adultCount = reservation.adultCount || reservation.numberOfAdults || totalGuest;
-              const childCount = reservation.childCount || reservation.numberOfChildren || 0;
-              const totalGuests = adultCount + childCount;
-              
-              activeFolio.items.push({
-                description: `Accommodation - ${roomTypeName} (${totalGuests} Guest${totalGuests > 1 ? 's' : ''})`,
-                date: checkIn,
-                amount: newTotalAmount,
-                department: 'Room',
-                quantity: 1,
-                unitPrice: newTotalAmount
-              });
-            } else {
-              // Get room numbers for per-room charges
-              const Rooms = socket.tenant.models.Rooms;
-              let finalRoomNumbers = [];
-              if (reservation.roomNumbers && reservation.roomNumbers.length > 0) {
-                const rooms = await Rooms.find({ _id: { $in: reservation.roomNumbers }, property: socket.propertyId });
-                finalRoomNumbers = rooms.map(r => r.roomNumber);
-              }
+            const propertyId = socket.propertyId;
 
-              if (finalRoomNumbers.length > 0) {
-                finalRoomNumbers.forEach((roomNum) => {
-                  activeFolio.items.push({
-                    description: `Accommodation - ${roomTypeName} (Room ${roomNum})`,
-                    date: checkIn,
-                    amount: accommodationPerRoom,
-                    department: 'Room',
-                    quantity: 1,
-                    unitPrice: accommodationPerRoom
-                  });
-                });
-              } else {
-                for (let i = 0; i < numberOfRooms; i++) {
-                  activeFolio.items.push({
-                    description: `Accommodation - ${roomTypeName} (Room ${i + 1})`,
-                    date: checkIn,
-                    amount: accommodationPerRoom,
-                    department: 'Room',
-                    quantity: 1,
-                    unitPrice: accommodationPerRoom
-                  });
-                }
-              }
-            }
+            // Nightly posted folios keep the nights already posted; the night audit prices the rest
+            if (activeFolio.roomPosting !== 'nightly') {
+              // Remove old accommodation charges
+              activeFolio.items = activeFolio.items.filter(item => 
+                !item.description.toLowerCase().includes('accommodation')
+              );
 
-            // Recalculate taxes and service fees based on new total
-            const propertyId = socket.propertyId;
-            const activeTaxRules = await TaxRule.find({
-              property: propertyId,
-              isActive: true
-            });
+              // Add new accommodation charges for every room line based on new dates and amount
+              const activeTaxRules = await loadTaxRules(socket.tenant.models, propertyId);
+              const { items: accommodationItems } = await buildAccommodationItems(
+                { Reservations, RoomType, Rooms: socket.tenant.models.Rooms },
+                socket.propertyId,
+                updatedRes,
+                { date: checkIn, totalAmount: newTotalAmount, taxRules: activeTaxRules }
+              );
+              activeFolio.items.push(...accommodationItems);
 
-            // Remove old tax items and add new ones
-            activeFolio.items = activeFolio.items.filter(item => 
-              !item.description.toUpperCase().includes('GST') && 
-              !item.description.toLowerCase().includes('tax')
-            );
-
-            activeTaxRules.forEach(taxRule => {
-              if (taxRule.applicableOn === 'room_rate' || taxRule.applicableOn === 'total_amount' || taxRule.applicableOn === 'all') {
-                let taxAmount = 0;
-                if (taxRule.isPercentage) {
-                  taxAmount = (newTotalAmount * taxRule.rate) / 100;
-                } else {
-                  taxAmount = taxRule.rate;
-                }
-                
-                if (taxAmount > 0) {
-                  activeFolio.items.push({
-                    description: `${taxRule.name}${taxRule.isPercentage ? ` (${taxRule.rate}%)` : ''}`,
-                    date: checkIn,
-                    amount: taxAmount,
-                    department: 'Room',
-                    quantity: 1,
-                    unitPrice: taxAmount,
-                    tax: 0
-                  });
-                }
-              }
-            });
+              // Recalculate taxes and service fees based on new total
+              // Remove old tax items and add new ones
+              activeFolio.items = activeFolio.items.filter(item => 
+                !item.description.toUpperCase().includes('GST') && 
+                !item.description.toLowerCase().includes('tax')
+              );
+              activeFolio.items.push(...buildTaxLineItems(activeTaxRules, newTotalAmount, checkIn));
+            }
 
             // Update service fees
             const activeServiceFees = await ServiceFee.find({
@@ -822,6 +822,7 @@ module.exports = {
   initWebsockets,
   broadcastHousekeepingMessage,
   broadcastStayViewUpdate,
-  broadcastHousekeepingRoomUpdate
+  broadcastHousekeepingRoomUpdate,
+  broadcastNightAuditAlert
 };
 